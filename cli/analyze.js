@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/**
+ * 画像解析CLI
+ * PNG/TIFFファイルのSN比・ヒストグラム統計・ラインプロファイルを計算してJSONで出力する
+ *
+ * 使い方・オプションは node cli/analyze.js --help（USAGE）を参照
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ブラウザ用スクリプトは互いをグローバル名で参照するため、依存順にグローバルへ登録する
+global.Inflate = require('../js/inflate.js');
+global.TiffDecoder = require('../js/tiff-decoder.js');
+global.PngDecoder = require('../js/png-decoder.js');
+global.ImageModel = require('../js/image-model.js');
+const AnalysisCore = require('../js/analysis-core.js');
+
+const USAGE = `使い方: node cli/analyze.js <画像ファイル(PNG/TIFF)> [オプション]
+
+  --roi x,y,width,height   解析領域（元画像座標、省略時は画像全体）
+  --ellipse                解析領域を外接矩形とする楕円の内側のみ解析
+  --polygon x0,y0,x1,y1,…  多角形の内側のみ解析（3頂点以上、--roiより優先）
+  --line x0,y0,x1,y1       ラインプロファイルを取得する線分（元画像座標）
+  --grid columns,rows      解析領域をタイルに分割し、タイルごとの統計と均一性を出力
+  --edge                   解析領域（傾斜エッジを1本含む矩形）のMTFを傾斜エッジ法で出力
+  --shading model          画像全体をフラット画像として周辺光量を出力（radial / polynomial）
+  --shading-center x,y     シェーディング解析の光学中心（省略時は自動検出）
+  --ca-map n               画像全体をチャート画像として、画像中心からn本の放射状のラインで倍率色収差を出力
+  --dark file,…            暗画像（複数指定は平均）を減算してから解析
+  --flat file,…            均一光源の画像（複数指定は平均）でフラット補正してから解析
+  --page n                 TIFFのページ番号（0始まり、既定 0）
+  --bit-depth n            有効ビット深度（省略時は自動判定）
+  --peak-threshold n       ピーク検出の閾値（既定 5）
+  --luma name              輝度式（bt601 / bt709 / bt2020 / average / max / green、既定 bt601）
+  --linearize name         線形化（none / srgb / bt709 / gamma:N、既定 none）
+  --histogram              ヒストグラムの全ビンを出力
+  --help                   この使い方を表示`;
+
+/**
+ * コマンドライン引数の解析
+ * @param {Array} argv - 引数（ノード実行ファイルとスクリプトを除く）
+ * @returns {Object} オプション
+ */
+function parseArgs(argv) {
+    const options = {
+        file: null,
+        roi: null,
+        shape: 'rect',
+        points: null,
+        line: null,
+        grid: null,
+        edge: false,
+        shading: null,
+        shadingCenter: null,
+        caMap: null,
+        dark: null,
+        flat: null,
+        page: 0,
+        bitDepth: null,
+        peakThreshold: 5,
+        brightness: Object.assign({}, AnalysisCore.DEFAULT_BRIGHTNESS_SETTINGS),
+        histogram: false,
+        help: false
+    };
+
+    const parseNumbers = (name, value, count) => {
+        const numbers = String(value || '').split(',').map(Number);
+        if (numbers.length !== count || numbers.some(n => !Number.isFinite(n))) {
+            throw new Error(`${name} には ${count} 個の数値をカンマ区切りで指定してください`);
+        }
+        return numbers;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--roi': {
+                const [x, y, width, height] = parseNumbers(arg, argv[++i], 4);
+                options.roi = { x, y, width, height };
+                break;
+            }
+            case '--ellipse':
+                options.shape = 'ellipse';
+                break;
+            case '--polygon': {
+                const numbers = String(argv[++i] || '').split(',').map(Number);
+                if (numbers.length < 6 || numbers.length % 2 !== 0 || numbers.some(n => !Number.isFinite(n))) {
+                    throw new Error('--polygon には3頂点以上の座標 x0,y0,x1,y1,... を指定してください');
+                }
+                options.shape = 'polygon';
+                options.points = [];
+                for (let j = 0; j < numbers.length; j += 2) {
+                    options.points.push({ x: numbers[j], y: numbers[j + 1] });
+                }
+                break;
+            }
+            case '--line': {
+                const [x0, y0, x1, y1] = parseNumbers(arg, argv[++i], 4);
+                options.line = { start: { x: x0, y: y0 }, end: { x: x1, y: y1 } };
+                break;
+            }
+            case '--grid': {
+                const [columns, rows] = parseNumbers(arg, argv[++i], 2);
+                if (columns < 1 || rows < 1) {
+                    throw new Error('--grid の分割数は1以上で指定してください');
+                }
+                options.grid = { columns, rows };
+                break;
+            }
+            case '--edge':
+                options.edge = true;
+                break;
+            case '--shading': {
+                const model = argv[++i];
+                if (!AnalysisCore.SHADING_MODELS[model]) {
+                    throw new Error(`--shading には ${Object.keys(AnalysisCore.SHADING_MODELS).join(' / ')} のいずれかを指定してください`);
+                }
+                options.shading = model;
+                break;
+            }
+            case '--shading-center': {
+                const [x, y] = parseNumbers(arg, argv[++i], 2);
+                options.shadingCenter = { x, y };
+                break;
+            }
+            case '--ca-map':
+                options.caMap = parseNumbers(arg, argv[++i], 1)[0];
+                if (!Number.isInteger(options.caMap) || options.caMap < 1) {
+                    throw new Error('--ca-map のライン数は1以上の整数で指定してください');
+                }
+                break;
+            case '--dark':
+            case '--flat': {
+                const files = String(argv[++i] || '').split(',').filter(Boolean);
+                if (files.length === 0) {
+                    throw new Error(`${arg} には画像ファイルをカンマ区切りで指定してください`);
+                }
+                options[arg.slice(2)] = files;
+                break;
+            }
+            case '--page':
+                options.page = parseNumbers(arg, argv[++i], 1)[0];
+                break;
+            case '--bit-depth':
+                options.bitDepth = parseNumbers(arg, argv[++i], 1)[0];
+                if (options.bitDepth < 8 || options.bitDepth > 16) {
+                    throw new Error('--bit-depth は8〜16で指定してください');
+                }
+                break;
+            case '--peak-threshold':
+                options.peakThreshold = parseNumbers(arg, argv[++i], 1)[0];
+                break;
+            case '--luma': {
+                const luma = argv[++i];
+                if (!AnalysisCore.LUMA_FORMULAS[luma]) {
+                    throw new Error(`--luma には ${Object.keys(AnalysisCore.LUMA_FORMULAS).join(' / ')} のいずれかを指定してください`);
+                }
+                options.brightness.luma = luma;
+                break;
+            }
+            case '--linearize': {
+                const [transfer, gamma] = String(argv[++i] || '').split(':');
+                if (!AnalysisCore.TRANSFER_CURVES[transfer]) {
+                    throw new Error(`--linearize には ${Object.keys(AnalysisCore.TRANSFER_CURVES).join(' / ')} のいずれかを指定してください`);
+                }
+                options.brightness.transfer = transfer;
+                if (transfer === 'gamma' && gamma !== undefined) {
+                    options.brightness.gamma = parseNumbers(arg, gamma, 1)[0];
+                    if (options.brightness.gamma <= 0) {
+                        throw new Error('--linearize gamma:N のガンマ値は正の数で指定してください');
+                    }
+                }
+                break;
+            }
+            case '--histogram':
+                options.histogram = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`不明なオプションです: ${arg}`);
+                }
+                options.file = arg;
+        }
+    }
+    return options;
+}
+
+/**
+ * 画像ファイルを画像モデルとして読み込む
+ * @param {string} file - ファイルパス
+ * @param {Object} options - {page, bitDepth}
+ * @returns {Object} {format, model}
+ */
+function loadImageModel(file, options) {
+    const data = fs.readFileSync(file);
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+    if (TiffDecoder.isTiff(buffer)) {
+        const decoder = new TiffDecoder(buffer);
+        if (options.page < 0 || options.page >= decoder.getPageCount()) {
+            throw new Error(`ページ番号が範囲外です（0〜${decoder.getPageCount() - 1}）`);
+        }
+        const page = decoder.decodePage(options.page);
+        return { format: 'tiff', model: ImageModel.fromTiffPage(page, options.bitDepth) };
+    }
+
+    if (PngDecoder.isPng(buffer)) {
+        return { format: 'png', model: ImageModel.fromPng(PngDecoder.decode(buffer), options.bitDepth) };
+    }
+
+    throw new Error('PNGまたはTIFFファイルを指定してください');
+}
+
+/**
+ * ダーク減算・フラット補正の適用
+ * @param {ImageModel} model - 補正前の画像モデル
+ * @param {Object} options - {dark, flat, page, bitDepth}
+ * @returns {ImageModel} 補正後の画像モデル（補正フレームの指定がなければそのまま）
+ */
+function applyCalibration(model, options) {
+    if (!options.dark && !options.flat) return model;
+
+    const loadMaster = (files) => (files
+        ? AnalysisCore.averageFrames(files.map(file => loadImageModel(file, options).model))
+        : null);
+    const channels = AnalysisCore.calibrateImage(model, loadMaster(options.dark), loadMaster(options.flat));
+    return new ImageModel(model.width, model.height, model.bitDepth, channels, model.alpha, model.containerBits);
+}
+
+/**
+ * SN比をJSONで表現できる値に変換（無限大はnull）
+ * @param {number} value - SN比
+ * @returns {number|null} 出力値
+ */
+function toJsonNumber(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * 解析の実行
+ * @param {Object} options - コマンドラインオプション
+ * @returns {Object} 解析結果
+ */
+function analyze(options) {
+    const loaded = loadImageModel(options.file, options);
+    const model = applyCalibration(loaded.model, options);
+    const output = {
+        file: path.resolve(options.file),
+        format: loaded.format,
+        width: model.width,
+        height: model.height,
+        bitDepth: model.bitDepth,
+        maxValue: model.maxValue,
+        brightnessSettings: options.brightness
+    };
+    if (options.dark || options.flat) {
+        output.calibration = {
+            dark: options.dark ? options.dark.map(file => path.resolve(file)) : null,
+            flat: options.flat ? options.flat.map(file => path.resolve(file)) : null
+        };
+    }
+
+    // 解析領域（UIのROIと同じ統計、多角形は頂点の外接矩形）
+    const requested = options.roi || { x: 0, y: 0, width: model.width, height: model.height };
+    const region = options.points
+        ? AnalysisCore.getShapeBounds(options.points, model.width, model.height)
+        : AnalysisCore.clampRegion(requested, model.width, model.height);
+    if (!region) {
+        throw new Error('解析領域が画像の範囲外です');
+    }
+    region.mask = AnalysisCore.createShapeMask(options.shape, region, options.points);
+
+    const results = AnalysisCore.analyzeRegion(model, region, null, options.brightness, true);
+    if (!results) {
+        throw new Error('解析領域に有効な画素がありません');
+    }
+
+    const { statistics, snData, focus } = results;
+    const histograms = {
+        brightness: statistics.brightnessHistogram,
+        red: statistics.redHistogram,
+        green: statistics.greenHistogram,
+        blue: statistics.blueHistogram
+    };
+
+    output.roi = {
+        shape: options.shape,
+        region: { x: region.x, y: region.y, width: region.width, height: region.height },
+        points: options.points || undefined,
+        snRatio: toJsonNumber(snData.snRatio),
+        signal: snData.mean,
+        noise: snData.stdDev,
+        pixelCount: snData.pixelCount,
+        maskPixelCount: snData.maskPixelCount,
+        channelMeans: snData.channelMeans,
+        focus: {
+            laplacianVariance: focus.laplacianVariance,
+            tenengrad: focus.tenengrad,
+            normalizedGradient: focus.normalizedGradient
+        },
+        channels: {},
+        histogramStatistics: {}
+    };
+    // チャンネルごとの雑音の定義別のσ・SN比・dB
+    const mapValues = (values) => {
+        const mapped = {};
+        Object.entries(values).forEach(([definition, value]) => {
+            mapped[definition] = toJsonNumber(value);
+        });
+        return mapped;
+    };
+    Object.entries(snData.channels).forEach(([channel, measures]) => {
+        output.roi.channels[channel] = {
+            mean: measures.mean,
+            noise: mapValues(measures.noise),
+            snRatio: mapValues(measures.snRatios),
+            snRatioDb: mapValues(measures.snRatiosDb)
+        };
+    });
+    Object.entries(histograms).forEach(([channel, histogram]) => {
+        output.roi.histogramStatistics[channel] = AnalysisCore.calculateHistogramStatistics(histogram, statistics.histogramOffset);
+    });
+    if (options.histogram) {
+        // 補正後の画像は負値を含むため、先頭のビンの値（histogramOffset）も出力する
+        output.roi.histogramOffset = statistics.histogramOffset;
+        output.roi.histogram = {};
+        Object.entries(histograms).forEach(([channel, histogram]) => {
+            output.roi.histogram[channel] = Array.from(histogram);
+        });
+    }
+
+    // グリッド解析（タイルの座標は元画像座標）
+    if (options.grid) {
+        const regionModel = model.extractRegion(region);
+        regionModel.mask = region.mask;
+        const grid = AnalysisCore.analyzeGrid(regionModel, null, options.brightness, options.grid);
+        const uniformity = grid.uniformity;
+        output.grid = {
+            columns: grid.columns,
+            rows: grid.rows,
+            uniformity: uniformity && Object.assign({}, uniformity, { maxMinRatio: toJsonNumber(uniformity.maxMinRatio) }),
+            tiles: grid.tiles.map(tile => Object.assign({}, tile, {
+                x: tile.x + region.x,
+                y: tile.y + region.y,
+                snRatio: tile.snRatio === null ? null : toJsonNumber(tile.snRatio)
+            }))
+        };
+    }
+
+    // エッジMTF（周波数はcycles/pixel）
+    if (options.edge) {
+        const edge = AnalysisCore.analyzeSlantedEdge(model.extractRegion(region), null, options.brightness);
+        output.edge = {
+            orientation: edge.orientation,
+            angle: edge.angle,
+            rows: edge.rows,
+            phaseCycles: edge.phaseCycles,
+            mtf50: edge.mtf50,
+            mtf10: edge.mtf10,
+            frequencies: Array.from(edge.frequencies),
+            mtf: Array.from(edge.mtf)
+        };
+    }
+
+    // シェーディング（相対照度は光学中心に対する比）
+    if (options.shading) {
+        const shading = AnalysisCore.analyzeShading(model, null, options.brightness, {
+            model: options.shading,
+            center: options.shadingCenter
+        });
+        output.shading = {
+            model: shading.model,
+            center: shading.center,
+            radius: shading.radius,
+            channels: shading.channels,
+            profile: shading.profile
+        };
+    }
+
+    // 倍率色収差マップ（ずれは画像中心から外向きが正、%は画像中心からの距離に対する比、像高は最も遠い隅を1とする）
+    if (options.caMap) {
+        const map = AnalysisCore.analyzeChromaticAberrationMap(model, null, options.brightness, { lines: options.caMap });
+        output.chromaticAberration = {
+            center: map.center,
+            radius: map.radius,
+            lines: map.lines,
+            samples: map.samples,
+            summary: map.summary
+        };
+    }
+
+    // ラインプロファイル（ピーク、エッジの立ち上がり、R・G・Bのエッジ位置のずれ）
+    if (options.line) {
+        const values = AnalysisCore.sampleLine(model, options.line.start, options.line.end, options.brightness);
+        output.line = {
+            start: options.line.start,
+            end: options.line.end,
+            length: values.brightness.length,
+            maxValue: values.maxValue,
+            profile: { r: values.r, g: values.g, b: values.b, brightness: values.brightness },
+            peaks: AnalysisCore.findPeaks(values.brightness, options.peakThreshold),
+            edge: AnalysisCore.analyzeEdgeProfile(
+                values.brightness,
+                values.brightness.length > 1
+                    ? Math.hypot(options.line.end.x - options.line.start.x, options.line.end.y - options.line.start.y) / (values.brightness.length - 1)
+                    : 1,
+                values.maxValue * 0.02
+            ),
+            chromaticAberration: AnalysisCore.analyzeChromaticAberration(model, options.line, options.brightness, values.maxValue * 0.02)
+        };
+    }
+
+    return output;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`エラー: ${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (options.help || !options.file) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    try {
+        process.stdout.write(JSON.stringify(analyze(options), null, 2) + '\n');
+    } catch (error) {
+        console.error(`エラー: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, loadImageModel, applyCalibration, analyze };
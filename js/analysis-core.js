@@ -0,0 +1,2382 @@
+/**
+ * AnalysisCore - 解析演算モジュール
+ * DOMに依存しない解析演算（画素統計、格子状のタイル統計、2枚の画像の時間ノイズとフォトントランスファー曲線、
+ * ダーク減算・フラット補正、固定パターンノイズ、ヒストグラム統計、解析領域、ラインプロファイル、ピーク検出）
+ * ブラウザ（メインスレッド・Web Worker）とNode.js（CommonJS/ES Module）の両方から利用する
+ */
+
+class AnalysisCore {
+    /**
+     * 輝度値の計算（BT.601、線形化なし）
+     * @param {number} r - R値
+     * @param {number} g - G値
+     * @param {number} b - B値
+     * @returns {number} 輝度値
+     */
+    static calculateBrightness(r, g, b) {
+        return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    }
+
+    /**
+     * 輝度設定に応じた画素値変換の生成
+     * @param {Object} [settings] - 輝度設定 {luma, transfer, gamma}
+     * @param {number} maxValue - 画素値の最大値（フルスケール）
+     * @returns {Object} {channel: 線形化関数, brightness: 輝度関数, settings}（いずれもDN、丸めない小数を返す）
+     */
+    static createConverter(settings, maxValue) {
+        const options = Object.assign({}, AnalysisCore.DEFAULT_BRIGHTNESS_SETTINGS, settings);
+        const formula = AnalysisCore.LUMA_FORMULAS[options.luma] || AnalysisCore.LUMA_FORMULAS.bt601;
+
+        // 線形化はビット深度ごとのLUTで行う（範囲外の値はそのまま、補正後の小数値はLUTを補間）
+        const lut = AnalysisCore.createLinearizationLut(options, maxValue);
+        const channel = lut
+            ? (value) => {
+                if (!(value >= 0 && value <= maxValue)) return value;
+                const index = Math.floor(value);
+                const fraction = value - index;
+                return fraction === 0 ? lut[index] : lut[index] + (lut[index + 1] - lut[index]) * fraction;
+            }
+            : (value) => value;
+
+        let luma;
+        if (formula.weights) {
+            const [wr, wg, wb] = formula.weights;
+            luma = (r, g, b) => wr * r + wg * g + wb * b;
+        } else {
+            luma = (r, g, b) => Math.max(r, g, b);
+        }
+
+        return {
+            channel,
+            brightness: lut ? (r, g, b) => luma(channel(r), channel(g), channel(b)) : luma,
+            settings: options
+        };
+    }
+
+    /**
+     * 線形化LUTの生成
+     * @param {Object} settings - 輝度設定 {transfer, gamma}
+     * @param {number} maxValue - 画素値の最大値
+     * @returns {Float32Array|null} 線形化後の値（DN、線形化しない場合はnull）
+     */
+    static createLinearizationLut(settings, maxValue) {
+        const curve = AnalysisCore.TRANSFER_CURVES[settings.transfer];
+        if (!curve || !curve.decode) return null;
+
+        // 整数DNに丸めると8bitの暗部が0/1に潰れるため小数のまま保持する
+        const lut = new Float32Array(maxValue + 1);
+        for (let v = 0; v <= maxValue; v++) {
+            lut[v] = curve.decode(v / maxValue, settings.gamma) * maxValue;
+        }
+        return lut;
+    }
+
+    /**
+     * 輝度設定の表示名
+     * @param {Object} [settings] - 輝度設定 {luma, transfer, gamma}
+     * @returns {Object} {luma, transfer} 表示名
+     */
+    static describeBrightnessSettings(settings) {
+        const options = Object.assign({}, AnalysisCore.DEFAULT_BRIGHTNESS_SETTINGS, settings);
+        const formula = AnalysisCore.LUMA_FORMULAS[options.luma] || AnalysisCore.LUMA_FORMULAS.bt601;
+        const curve = AnalysisCore.TRANSFER_CURVES[options.transfer] || AnalysisCore.TRANSFER_CURVES.none;
+        return {
+            luma: formula.label,
+            transfer: options.transfer === 'gamma' ? `${curve.label} ${options.gamma}` : curve.label
+        };
+    }
+
+    /**
+     * 表示座標の矩形を元画像座標の解析領域に変換
+     * @param {Object} rect - 表示座標の矩形 {x, y, width, height}
+     * @param {Object} view - 表示状態 {imageWidth, imageHeight, displayedWidth, displayedHeight, offsetX, offsetY}
+     * @returns {Object|null} 解析領域 {x, y, width, height}
+     */
+    static calculateRegion(rect, view) {
+        const scaleX = view.imageWidth / view.displayedWidth;
+        const scaleY = view.imageHeight / view.displayedHeight;
+
+        // 矩形座標を元画像基準に変換
+        return AnalysisCore.clampRegion({
+            x: Math.round((rect.x - view.offsetX) * scaleX),
+            y: Math.round((rect.y - view.offsetY) * scaleY),
+            width: Math.round(rect.width * scaleX),
+            height: Math.round(rect.height * scaleY)
+        }, view.imageWidth, view.imageHeight);
+    }
+
+    /**
+     * 解析領域を画像の範囲内に制限
+     * @param {Object} region - 元画像座標の領域 {x, y, width, height}
+     * @param {number} imageWidth - 画像の幅
+     * @param {number} imageHeight - 画像の高さ
+     * @returns {Object|null} 制限後の領域（面積がない場合はnull）
+     */
+    static clampRegion(region, imageWidth, imageHeight) {
+        const startX = Math.max(0, Math.min(imageWidth - 1, region.x));
+        const startY = Math.max(0, Math.min(imageHeight - 1, region.y));
+        const endX = Math.max(0, Math.min(imageWidth, region.x + region.width));
+        const endY = Math.max(0, Math.min(imageHeight, region.y + region.height));
+
+        const width = endX - startX;
+        const height = endY - startY;
+        if (width <= 0 || height <= 0) {
+            console.error('Invalid analysis region dimensions:', width, 'x', height);
+            return null;
+        }
+
+        return { x: startX, y: startY, width, height };
+    }
+
+    /**
+     * 形状の外接矩形（画素単位に広げて画像内に制限）
+     * @param {Array} points - 頂点 [{x, y}]（元画像座標、小数可）
+     * @param {number} imageWidth - 画像の幅
+     * @param {number} imageHeight - 画像の高さ
+     * @returns {Object|null} 外接矩形 {x, y, width, height}
+     */
+    static getShapeBounds(points, imageWidth, imageHeight) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const x = Math.floor(Math.min(...xs));
+        const y = Math.floor(Math.min(...ys));
+        return AnalysisCore.clampRegion({
+            x,
+            y,
+            width: Math.ceil(Math.max(...xs)) - x,
+            height: Math.ceil(Math.max(...ys)) - y
+        }, imageWidth, imageHeight);
+    }
+
+    /**
+     * ROI形状のマスク生成（画素中心が形状の内側にある画素を1とする）
+     * @param {string} shape - 形状（rect / ellipse / polygon / freehand）
+     * @param {Object} region - 形状の外接矩形 {x, y, width, height}
+     * @param {Array} [points=null] - 多角形の頂点 [{x, y}]（元画像座標）
+     * @returns {Uint8Array|null} 外接矩形サイズのマスク（矩形はマスク不要のためnull）
+     */
+    static createShapeMask(shape, region, points = null) {
+        const { width, height } = region;
+
+        if (shape === 'ellipse') {
+            const mask = new Uint8Array(width * height);
+            const rx = width / 2;
+            const ry = height / 2;
+            for (let y = 0; y < height; y++) {
+                const dy = (y + 0.5 - ry) / ry;
+                for (let x = 0; x < width; x++) {
+                    const dx = (x + 0.5 - rx) / rx;
+                    if (dx * dx + dy * dy <= 1) mask[y * width + x] = 1;
+                }
+            }
+            return mask;
+        }
+
+        if ((shape === 'polygon' || shape === 'freehand') && points && points.length >= 3) {
+            // 走査線ごとに辺との交点を求め、偶奇規則で内側を塗りつぶす
+            const mask = new Uint8Array(width * height);
+            for (let y = 0; y < height; y++) {
+                const py = region.y + y + 0.5;
+                const crossings = [];
+                for (let i = 0; i < points.length; i++) {
+                    const p1 = points[i];
+                    const p2 = points[(i + 1) % points.length];
+                    if ((p1.y <= py) !== (p2.y <= py)) {
+                        crossings.push(p1.x + (py - p1.y) * (p2.x - p1.x) / (p2.y - p1.y));
+                    }
+                }
+                crossings.sort((a, b) => a - b);
+
+                for (let i = 0; i + 1 < crossings.length; i += 2) {
+                    const start = Math.max(0, Math.ceil(crossings[i] - region.x - 0.5));
+                    const end = Math.min(width, Math.ceil(crossings[i + 1] - region.x - 0.5));
+                    mask.fill(1, y * width + start, y * width + Math.max(start, end));
+                }
+            }
+            return mask;
+        }
+
+        return null;
+    }
+
+    /**
+     * 画素統計（ヒストグラム・SN比）の計算
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b, alpha, mask}（maskがあれば内側の画素のみ）
+     * @param {Function} [onProgress=null] - 進捗コールバック（0〜1）
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @param {boolean} [focus=false] - ピント指標も求める場合はtrue
+     * @returns {Object|null} {statistics, focus, snData}（値はネイティブビット深度のDN）
+     */
+    static analyzePixels(image, onProgress = null, settings = null, focus = false) {
+        const region = { x: 0, y: 0, width: image.width, height: image.height, mask: image.mask || null };
+        return AnalysisCore.analyzeRegion(image, region, onProgress, settings, focus);
+    }
+
+    /**
+     * 画像内の領域の画素統計を計算（領域をコピーせずに直接参照）
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b, alpha}
+     * @param {Object} region - 元画像座標の領域 {x, y, width, height, mask}（maskは領域サイズ、1の画素のみ集計）
+     * @param {Function} [onProgress=null] - 進捗コールバック（0〜1）
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @param {boolean} [focus=false] - ピント指標も求める場合はtrue（求めない場合のfocusはnull）
+     * @returns {Object|null} {statistics, focus, snData}
+     */
+    static analyzeRegion(image, region, onProgress = null, settings = null, focus = false) {
+        const { r, g, b, alpha } = image;
+        const { width, height } = region;
+        const mask = region.mask || null;
+        if (width * height === 0) {
+            console.error('No pixel data to analyze');
+            return null;
+        }
+
+        // ヒストグラムのビン数はビット深度に合わせる（補正後の画像は負値・最大値超えも含む範囲）
+        const maxValue = Math.pow(2, image.bitDepth) - 1;
+        const converter = AnalysisCore.createConverter(settings, maxValue);
+        const domain = AnalysisCore.getHistogramDomain(image, region, converter, maxValue);
+        const statistics = {
+            brightnessHistogram: new Uint32Array(domain.bins),
+            redHistogram: new Uint32Array(domain.bins),
+            greenHistogram: new Uint32Array(domain.bins),
+            blueHistogram: new Uint32Array(domain.bins),
+            histogramOffset: domain.offset,
+            validPixelCount: 0,
+            bitDepth: image.bitDepth,
+            brightnessSettings: converter.settings
+        };
+
+        // 分散は最初の値を基準にした偏差の和から求める（桁落ち防止）
+        // 平面当てはめ用に、領域の中心を原点とした座標との積和もチャンネルごとに集計する
+        const accumulators = AnalysisCore.NOISE_CHANNELS.map(() => ({ shift: null, sum: 0, sumSquares: 0, sumX: 0, sumY: 0, min: Infinity, max: -Infinity }));
+        const [brightnessAcc, redAcc, greenAcc, blueAcc] = accumulators;
+        const accumulate = (acc, value, px, py) => {
+            if (acc.shift === null) acc.shift = value;
+            const deviation = value - acc.shift;
+            acc.sum += deviation;
+            acc.sumSquares += deviation * deviation;
+            acc.sumX += deviation * px;
+            acc.sumY += deviation * py;
+            if (value < acc.min) acc.min = value;
+            if (value > acc.max) acc.max = value;
+        };
+        const lastBin = domain.bins - 1;
+        const countBin = (histogram, value) => {
+            let bin = Math.round(value) - domain.offset;
+            // 範囲を制限した補正後の画像では、範囲外の値を端のビンに数える（順位を保つ）
+            if (domain.clamp) bin = Math.max(0, Math.min(lastBin, bin));
+            if (bin >= 0 && bin <= lastBin) histogram[bin]++;
+        };
+        const coordinates = { sumX: 0, sumY: 0, sumXX: 0, sumYY: 0, sumXY: 0 };
+        // ピント指標用の輝度（除外した画素はNaN、ピント指標を求める場合のみ確保）
+        const luminance = focus ? new Float32Array(width * height).fill(NaN) : null;
+        const centerX = (width - 1) / 2;
+        const centerY = (height - 1) / 2;
+        const progressStep = Math.max(1, Math.floor(height / 20));
+
+        for (let y = 0; y < height; y++) {
+            const rowStart = (region.y + y) * image.width + region.x;
+            const rowEnd = rowStart + width;
+            const maskOffset = y * width - rowStart;
+            const py = y - centerY;
+            for (let i = rowStart; i < rowEnd; i++) {
+                // 形状の外側・透明なピクセルは除外
+                if (mask && !mask[maskOffset + i]) continue;
+                if (alpha && alpha[i] === 0) continue;
+
+                // 線形化と輝度値計算（設定された輝度式）
+                const red = converter.channel(r[i]);
+                const green = converter.channel(g[i]);
+                const blue = converter.channel(b[i]);
+                const brightness = converter.brightness(r[i], g[i], b[i]);
+                const px = i - rowStart - centerX;
+                if (luminance) luminance[maskOffset + i] = brightness;
+                accumulate(brightnessAcc, brightness, px, py);
+                accumulate(redAcc, red, px, py);
+                accumulate(greenAcc, green, px, py);
+                accumulate(blueAcc, blue, px, py);
+                coordinates.sumX += px;
+                coordinates.sumY += py;
+                coordinates.sumXX += px * px;
+                coordinates.sumYY += py * py;
+                coordinates.sumXY += px * py;
+
+                // ヒストグラム更新（ビンは最も近い整数DN、統計値は丸める前の値から求める）
+                countBin(statistics.brightnessHistogram, brightness);
+                countBin(statistics.redHistogram, red);
+                countBin(statistics.greenHistogram, green);
+                countBin(statistics.blueHistogram, blue);
+
+                statistics.validPixelCount++;
+            }
+
+            if (onProgress && (y + 1) % progressStep === 0) {
+                onProgress((y + 1) / height);
+            }
+        }
+
+        const count = statistics.validPixelCount;
+        if (count === 0) {
+            console.error('No valid brightness data');
+            return null;
+        }
+
+        // MADは画素値を保持せず、領域を走査し直して実際の値から求める
+        const samples = new Float64Array(AnalysisCore.NOISE_CHANNELS.length);
+        const forEachSample = (visit) => {
+            for (let y = 0; y < height; y++) {
+                const rowStart = (region.y + y) * image.width + region.x;
+                const maskOffset = y * width - rowStart;
+                for (let i = rowStart; i < rowStart + width; i++) {
+                    if (mask && !mask[maskOffset + i]) continue;
+                    if (alpha && alpha[i] === 0) continue;
+                    samples[0] = converter.brightness(r[i], g[i], b[i]);
+                    samples[1] = converter.channel(r[i]);
+                    samples[2] = converter.channel(g[i]);
+                    samples[3] = converter.channel(b[i]);
+                    visit(samples);
+                }
+            }
+        };
+        const madStdDevs = AnalysisCore.calculateMadStdDevs(forEachSample, count, accumulators);
+
+        // 統計値計算（チャンネルごとに標準偏差・MADによるσ・平面除去後の標準偏差）
+        const channels = {};
+        AnalysisCore.NOISE_CHANNELS.forEach((name, index) => {
+            const acc = accumulators[index];
+            const meanDeviation = acc.sum / count;
+            const stdDev = Math.sqrt(Math.max(0, acc.sumSquares / count - meanDeviation * meanDeviation));
+            channels[name] = AnalysisCore.createNoiseMeasures(acc.shift + meanDeviation, {
+                stdDev,
+                mad: madStdDevs[index],
+                plane: AnalysisCore.calculatePlaneResidual(acc, coordinates, count)
+            });
+        });
+
+        const { mean, stdDev, snRatio } = channels.brightness;
+        return {
+            statistics,
+            focus: luminance ? AnalysisCore.calculateFocusMetrics(luminance, width, height, mean) : null,
+            snData: {
+                mean,
+                stdDev,
+                snRatio,
+                pixelCount: count,
+                maskPixelCount: mask ? AnalysisCore.countMask(mask) : null,
+                channelMeans: { red: channels.red.mean, green: channels.green.mean, blue: channels.blue.mean },
+                channels
+            }
+        };
+    }
+
+    /**
+     * ヒストグラムの値の範囲
+     * 整数の画素値は0〜最大値、補正後の画像（Float32Array）は領域内の値の範囲まで広げる（下限・上限は最大値の1段分まで）
+     * @param {Object} image - 画像データ {width, r, g, b}
+     * @param {Object} region - 元画像座標の領域 {x, y, width, height}
+     * @param {Object} converter - createConverterの戻り値
+     * @param {number} maxValue - 画素値の最大値
+     * @returns {Object} {offset, bins, clamp}（offsetはビン0の値、clampは範囲外の値を端のビンに数える）
+     */
+    static getHistogramDomain(image, region, converter, maxValue) {
+        if (!(image.r instanceof Float32Array)) {
+            return { offset: 0, bins: maxValue + 1, clamp: false };
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        const arrays = image.r === image.g && image.g === image.b ? [image.r] : [image.r, image.g, image.b];
+        for (let y = 0; y < region.height; y++) {
+            const rowStart = (region.y + y) * image.width + region.x;
+            arrays.forEach(array => {
+                for (let i = rowStart; i < rowStart + region.width; i++) {
+                    if (array[i] < min) min = array[i];
+                    if (array[i] > max) max = array[i];
+                }
+            });
+        }
+
+        // 線形化は単調増加、輝度はチャンネル値の重み付き平均（または最大）のため、いずれもこの範囲に収まる
+        const low = Math.max(-(maxValue + 1), Math.min(0, Math.floor(converter.channel(min))));
+        const high = Math.min(2 * maxValue + 1, Math.max(maxValue, Math.ceil(converter.channel(max))));
+        return { offset: low, bins: high - low + 1, clamp: true };
+    }
+
+    /**
+     * 雑音の定義ごとのSN比
+     * @param {number} mean - 平均
+     * @param {Object} noise - 雑音の定義ごとの値 {stdDev, mad, plane}（求められない定義はnull）
+     * @returns {Object} {mean, stdDev, snRatio, noise: {定義: σ}, snRatios: {定義: SN比}, snRatiosDb: {定義: dB}}
+     */
+    static createNoiseMeasures(mean, noise) {
+        const snRatios = {};
+        const snRatiosDb = {};
+        Object.entries(noise).forEach(([definition, sigma]) => {
+            const ratio = sigma === null ? null : (sigma > 0 ? mean / sigma : Infinity);
+            snRatios[definition] = ratio;
+            snRatiosDb[definition] = AnalysisCore.toDecibels(ratio);
+        });
+        return { mean, stdDev: noise.stdDev, snRatio: snRatios.stdDev, noise, snRatios, snRatiosDb };
+    }
+
+    /**
+     * SN比のデシベル表示（20・log10）
+     * @param {number|null} ratio - SN比
+     * @returns {number|null} dB（SN比が正でなければnull、無限大はInfinity）
+     */
+    static toDecibels(ratio) {
+        if (ratio === null || !(ratio > 0)) return null;
+        return ratio === Infinity ? Infinity : 20 * Math.log10(ratio);
+    }
+
+    /**
+     * 中央絶対偏差（MAD）による標準偏差の推定値（1.4826 × MAD）をチャンネルごとに求める
+     * 外れ値（欠陥画素・ゴミ）の影響を受けにくい。中央値・MADは実際の画素値（小数・負値を含む）から求める
+     * @param {Function} forEachSample - 全画素を走査する関数（コールバックにチャンネルごとの値の配列を渡す）
+     * @param {number} count - 画素数
+     * @param {Array<Object>} ranges - チャンネルごとの値の範囲 [{min, max}]
+     * @returns {Array<number|null>} チャンネルごとのσの推定値（画素がない場合はnull）
+     */
+    static calculateMadStdDevs(forEachSample, count, ranges) {
+        if (count === 0) return ranges.map(() => null);
+
+        // 中央値（偶数個は小さい側）と、中央値からの絶対偏差の中央値
+        const rank = (count - 1) >> 1;
+        const medians = AnalysisCore.selectRanks(forEachSample, ranges, rank);
+        const deviations = new Array(ranges.length);
+        const mads = AnalysisCore.selectRanks(
+            (visit) => forEachSample(values => {
+                for (let c = 0; c < values.length; c++) deviations[c] = Math.abs(values[c] - medians[c]);
+                visit(deviations);
+            }),
+            ranges.map((range, c) => ({ min: 0, max: Math.max(medians[c] - range.min, range.max - medians[c]) })),
+            rank
+        );
+        return mads.map(mad => 1.4826 * mad);
+    }
+
+    /**
+     * 順位rank（0始まり、小さい順）の値をチャンネルごとに求める
+     * 値を保持せず、候補の範囲をビンに分けて数える走査を範囲が1つの値に絞れるまで繰り返す
+     * @param {Function} forEachSample - 全画素を走査する関数（コールバックにチャンネルごとの値の配列を渡す）
+     * @param {Array<Object>} ranges - チャンネルごとの値の範囲 [{min, max}]
+     * @param {number} rank - 順位
+     * @returns {Array<number>} チャンネルごとの値
+     */
+    static selectRanks(forEachSample, ranges, rank) {
+        const bins = AnalysisCore.SELECT_BINS;
+        const states = ranges.map(({ min, max }) => ({
+            low: min,
+            high: max,
+            value: min === max ? min : null,
+            counts: new Uint32Array(bins),
+            binMin: new Float64Array(bins),
+            binMax: new Float64Array(bins),
+            below: 0
+        }));
+
+        for (let pass = 0; pass < AnalysisCore.SELECT_MAX_PASSES; pass++) {
+            const active = states.filter(state => state.value === null);
+            if (active.length === 0) break;
+            active.forEach(state => {
+                state.counts.fill(0);
+                state.binMin.fill(Infinity);
+                state.binMax.fill(-Infinity);
+                state.below = 0;
+                state.scale = bins / (state.high - state.low);
+            });
+
+            forEachSample(values => {
+                for (let c = 0; c < states.length; c++) {
+                    const state = states[c];
+                    if (state.value !== null) continue;
+                    const value = values[c];
+                    if (value < state.low) {
+                        state.below++;
+                        continue;
+                    }
+                    if (value > state.high) continue;
+                    const bin = Math.min(bins - 1, Math.floor((value - state.low) * state.scale));
+                    state.counts[bin]++;
+                    if (value < state.binMin[bin]) state.binMin[bin] = value;
+                    if (value > state.binMax[bin]) state.binMax[bin] = value;
+                }
+            });
+
+            // 順位を含むビンの実際の最小値〜最大値を次の候補の範囲とする
+            active.forEach(state => {
+                let cumulative = state.below;
+                for (let bin = 0; bin < bins; bin++) {
+                    cumulative += state.counts[bin];
+                    if (cumulative > rank) {
+                        state.low = state.binMin[bin];
+                        state.high = state.binMax[bin];
+                        if (state.low === state.high) state.value = state.low;
+                        break;
+                    }
+                }
+            });
+        }
+
+        // 回数の上限に達した場合（極端に近い値が多い場合）は候補の範囲の下端
+        return states.map(state => (state.value !== null ? state.value : state.low));
+    }
+
+    /**
+     * 平面（a + b·x + c·y）を最小二乗で当てはめた残差の標準偏差（照明のむらによる傾斜を除く）
+     * @param {Object} acc - 値の偏差の積和 {sum, sumSquares, sumX, sumY}
+     * @param {Object} coordinates - 座標の積和 {sumX, sumY, sumXX, sumYY, sumXY}
+     * @param {number} count - 画素数
+     * @returns {number} 残差の標準偏差
+     */
+    static calculatePlaneResidual(acc, coordinates, count) {
+        // 平均を引いた（中心化した）積和
+        const meanX = coordinates.sumX / count;
+        const meanY = coordinates.sumY / count;
+        const meanV = acc.sum / count;
+        const sxx = coordinates.sumXX - count * meanX * meanX;
+        const syy = coordinates.sumYY - count * meanY * meanY;
+        const sxy = coordinates.sumXY - count * meanX * meanY;
+        const sxv = acc.sumX - count * meanX * meanV;
+        const syv = acc.sumY - count * meanY * meanV;
+        const svv = acc.sumSquares - count * meanV * meanV;
+
+        // 1行・1列の領域では傾きは片方向のみ
+        let residual = svv;
+        const determinant = sxx * syy - sxy * sxy;
+        if (determinant > 1e-9 * Math.max(1, sxx * syy)) {
+            const slopeX = (sxv * syy - syv * sxy) / determinant;
+            const slopeY = (syv * sxx - sxv * sxy) / determinant;
+            residual -= slopeX * sxv + slopeY * syv;
+        } else if (sxx > 0) {
+            residual -= sxv * sxv / sxx;
+        } else if (syy > 0) {
+            residual -= syv * syv / syy;
+        }
+        return Math.sqrt(Math.max(0, residual / count));
+    }
+
+    /**
+     * ピント（鮮鋭度）指標（ラプラシアン分散・Tenengrad・正規化勾配）
+     * @param {Float32Array} luminance - 領域の輝度（除外した画素はNaN）
+     * @param {number} width - 幅
+     * @param {number} height - 高さ
+     * @param {number} mean - 領域の平均輝度
+     * @returns {Object} {laplacianVariance, tenengrad, normalizedGradient, laplacianCount, gradientCount}（求められない値はnull）
+     */
+    static calculateFocusMetrics(luminance, width, height, mean) {
+        let laplacianCount = 0;
+        let laplacianSum = 0;
+        let laplacianSquares = 0;
+        let gradientCount = 0;
+        let energySum = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const center = luminance[i];
+                const top = luminance[i - width];
+                const bottom = luminance[i + width];
+                const left = luminance[i - 1];
+                const right = luminance[i + 1];
+                // 近傍がすべて有効な画素のみ使う（形状の境界・透明部分の段差を含めない）
+                // NaNを含むと結果もNaNになるため、和の判定で近傍の欠けを検出する
+                if (Number.isNaN(center + top + bottom + left + right)) continue;
+
+                // ラプラシアン分散: 4近傍ラプラシアンの分散
+                const laplacian = top + bottom + left + right - 4 * center;
+                laplacianSum += laplacian;
+                laplacianSquares += laplacian * laplacian;
+                laplacianCount++;
+
+                const topLeft = luminance[i - width - 1];
+                const topRight = luminance[i - width + 1];
+                const bottomLeft = luminance[i + width - 1];
+                const bottomRight = luminance[i + width + 1];
+                if (Number.isNaN(topLeft + topRight + bottomLeft + bottomRight)) continue;
+
+                // Tenengrad: Sobel勾配の二乗和（Gx² + Gy²）の平均
+                const gx = (topRight + 2 * right + bottomRight) - (topLeft + 2 * left + bottomLeft);
+                const gy = (bottomLeft + 2 * bottom + bottomRight) - (topLeft + 2 * top + topRight);
+                energySum += gx * gx + gy * gy;
+                gradientCount++;
+            }
+        }
+
+        const laplacianMean = laplacianCount > 0 ? laplacianSum / laplacianCount : 0;
+        const tenengrad = gradientCount > 0 ? energySum / gradientCount : null;
+        return {
+            laplacianVariance: laplacianCount > 0
+                ? Math.max(0, laplacianSquares / laplacianCount - laplacianMean * laplacianMean)
+                : null,
+            tenengrad,
+            // 正規化勾配: Sobel勾配の二乗平均平方根 ÷ 平均輝度（明るさに依存しない、単純平均はぼけても保存されやすい）
+            normalizedGradient: tenengrad !== null && mean > 0 ? Math.sqrt(tenengrad) / mean : null,
+            laplacianCount,
+            gradientCount
+        };
+    }
+
+    /**
+     * 格子状のタイルごとの画素統計（平均・標準偏差・SN比）
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b, alpha, mask}（maskがあれば内側の画素のみ）
+     * @param {Function} [onProgress=null] - 進捗コールバック（0〜1）
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @param {Object} grid - 分割数 {columns, rows}
+     * @returns {Object} {columns, rows, tiles, uniformity}（タイルの座標は画像データ内の座標）
+     */
+    static analyzeGrid(image, onProgress = null, settings = null, grid = { columns: 1, rows: 1 }) {
+        const columns = Math.max(1, Math.min(image.width, Math.floor(grid.columns)));
+        const rows = Math.max(1, Math.min(image.height, Math.floor(grid.rows)));
+        const tiles = [];
+
+        for (let row = 0; row < rows; row++) {
+            const y = Math.round(row * image.height / rows);
+            const height = Math.round((row + 1) * image.height / rows) - y;
+            for (let column = 0; column < columns; column++) {
+                const x = Math.round(column * image.width / columns);
+                const width = Math.round((column + 1) * image.width / columns) - x;
+
+                const region = { x, y, width, height, mask: AnalysisCore.cropMask(image.mask, image.width, x, y, width, height) };
+                // 形状の外側だけのタイルは値なし
+                const results = region.mask && AnalysisCore.countMask(region.mask) === 0
+                    ? null
+                    : AnalysisCore.analyzeRegion(image, region, null, settings);
+                const snData = results && results.snData;
+                tiles.push({
+                    column,
+                    row,
+                    x,
+                    y,
+                    width,
+                    height,
+                    pixelCount: snData ? snData.pixelCount : 0,
+                    mean: snData ? snData.mean : null,
+                    stdDev: snData ? snData.stdDev : null,
+                    snRatio: snData ? snData.snRatio : null
+                });
+            }
+            if (onProgress) onProgress((row + 1) / rows);
+        }
+
+        return { columns, rows, tiles, uniformity: AnalysisCore.calculateGridUniformity(tiles, columns, rows) };
+    }
+
+    /**
+     * タイルの平均値から均一性の指標を計算
+     * 中心は中央のタイル（分割数が偶数の方向は中央の2タイルの平均）、四隅は角のタイル
+     * @param {Array} tiles - タイル（行優先）
+     * @param {number} columns - 列数
+     * @param {number} rows - 行数
+     * @returns {Object|null} {maxMean, minMean, maxMinRatio, centerMean, cornerMeans, cornerFalloff, minCornerFalloff}
+     */
+    static calculateGridUniformity(tiles, columns, rows) {
+        const means = tiles.map(tile => tile.mean).filter(mean => mean !== null);
+        if (means.length === 0) return null;
+
+        const maxMean = Math.max(...means);
+        const minMean = Math.min(...means);
+        const meanAt = (column, row) => tiles[row * columns + column].mean;
+
+        // 中央のタイル
+        const centerColumns = columns % 2 ? [(columns - 1) / 2] : [columns / 2 - 1, columns / 2];
+        const centerRows = rows % 2 ? [(rows - 1) / 2] : [rows / 2 - 1, rows / 2];
+        const centerValues = [];
+        centerRows.forEach(row => centerColumns.forEach(column => {
+            const mean = meanAt(column, row);
+            if (mean !== null) centerValues.push(mean);
+        }));
+        const centerMean = centerValues.length > 0
+            ? centerValues.reduce((sum, value) => sum + value, 0) / centerValues.length
+            : null;
+
+        const cornerMeans = {
+            topLeft: meanAt(0, 0),
+            topRight: meanAt(columns - 1, 0),
+            bottomLeft: meanAt(0, rows - 1),
+            bottomRight: meanAt(columns - 1, rows - 1)
+        };
+        const corners = Object.values(cornerMeans).filter(mean => mean !== null);
+
+        let cornerFalloff = null;
+        let minCornerFalloff = null;
+        if (centerMean && corners.length > 0) {
+            cornerFalloff = corners.reduce((sum, value) => sum + value, 0) / corners.length / centerMean;
+            minCornerFalloff = Math.min(...corners) / centerMean;
+        }
+
+        return {
+            maxMean,
+            minMean,
+            maxMinRatio: minMean > 0 ? maxMean / minMean : Infinity,
+            centerMean,
+            cornerMeans,
+            cornerFalloff,
+            minCornerFalloff
+        };
+    }
+
+    /**
+     * 同じ条件で撮影した2枚の画像の平均と時間ノイズ（差分画像の分散の1/2）
+     * 固定パターンノイズは差分で打ち消されるため、時間的に変動するノイズのみが残る
+     * 空間ノイズ（固定パターンノイズ）は平均画像の分散から、平均で1/2に減った時間ノイズの分散を除いて求める
+     * @param {Object} pair - {first, second, mask}（first・secondは同じサイズの画像データ、maskは省略可）
+     * @param {Function} [onProgress=null] - 進捗コールバック（0〜1）
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @returns {Object|null} {meanFirst, meanSecond, mean, differenceMean, temporalVariance, temporalNoise,
+     *                         spatialVariance, spatialNoise, temporalSnRatio, spatialSnRatio, pixelCount}
+     */
+    static analyzeFramePair(pair, onProgress = null, settings = null) {
+        const { first, second } = pair;
+        const mask = pair.mask || null;
+        if (first.width !== second.width || first.height !== second.height) {
+            throw new Error('2枚の画像のサイズが一致しません');
+        }
+
+        const converter = AnalysisCore.createConverter(settings, Math.pow(2, first.bitDepth) - 1);
+        const { width, height } = first;
+        let count = 0;
+        let sumFirst = 0;
+        let sumSecond = 0;
+        let sumDifference = 0;
+        let sumSquares = 0;
+        let sumAverageSquares = 0;
+        const progressStep = Math.max(1, Math.floor(height / 20));
+
+        for (let y = 0; y < height; y++) {
+            for (let i = y * width; i < (y + 1) * width; i++) {
+                if (mask && !mask[i]) continue;
+                if ((first.alpha && first.alpha[i] === 0) || (second.alpha && second.alpha[i] === 0)) continue;
+
+                const a = converter.brightness(first.r[i], first.g[i], first.b[i]);
+                const b = converter.brightness(second.r[i], second.g[i], second.b[i]);
+                const difference = a - b;
+                sumFirst += a;
+                sumSecond += b;
+                sumDifference += difference;
+                sumSquares += difference * difference;
+                sumAverageSquares += (a + b) * (a + b) / 4;
+                count++;
+            }
+
+            if (onProgress && (y + 1) % progressStep === 0) {
+                onProgress((y + 1) / height);
+            }
+        }
+
+        if (count === 0) {
+            console.error('No valid pixels in frame pair');
+            return null;
+        }
+
+        const differenceMean = sumDifference / count;
+        const differenceVariance = Math.max(0, sumSquares / count - differenceMean * differenceMean);
+        const temporalVariance = differenceVariance / 2;
+        const mean = (sumFirst + sumSecond) / (2 * count);
+        const averageVariance = Math.max(0, sumAverageSquares / count - mean * mean);
+        const spatialVariance = Math.max(0, averageVariance - temporalVariance / 2);
+        const temporalNoise = Math.sqrt(temporalVariance);
+        const spatialNoise = Math.sqrt(spatialVariance);
+        return {
+            meanFirst: sumFirst / count,
+            meanSecond: sumSecond / count,
+            mean,
+            differenceMean,
+            temporalVariance,
+            temporalNoise,
+            spatialVariance,
+            spatialNoise,
+            temporalSnRatio: temporalNoise > 0 ? mean / temporalNoise : Infinity,
+            spatialSnRatio: spatialNoise > 0 ? mean / spatialNoise : Infinity,
+            pixelCount: count
+        };
+    }
+
+    /**
+     * フォトントランスファー曲線（EMVA 1288の手法）の当てはめ
+     * 信号 μy−μdark に対する時間ノイズの分散 σ²y−σ²dark の傾きを変換係数 K (DN/e-) とする
+     * 分散が最大となる点を飽和とし、飽和点の信号の一定割合（既定70%）までの点で直線を当てはめる
+     * @param {Array} levels - 露光量ごとの明画像ペアの結果 [{mean, temporalVariance, label, dark}]
+     *   （darkは同じ露光の暗画像の結果、省略時は共通の暗画像を使う）
+     * @param {Object|null} dark - 共通の暗画像の結果 {mean, temporalVariance}（temporalVarianceは1枚のみの場合null）
+     * @param {Object} [options] - {fitLimit: 当てはめに使う飽和点の信号に対する割合}
+     * @returns {Object} {points, darkVariance, gain, conversionGain, offset, readNoiseDN, readNoiseElectrons,
+     *                    saturationSignal, fullWell, dynamicRange, dynamicRangeDb, fitRange, fitPointCount}
+     */
+    static fitPhotonTransfer(levels, dark = null, options = {}) {
+        const fitLimit = options.fitLimit || 0.7;
+        const getDarkVariance = (d) => (d && Number.isFinite(d.temporalVariance) ? d.temporalVariance : null);
+
+        const points = levels
+            .map(level => {
+                const levelDark = level.dark || dark;
+                const darkMean = levelDark ? levelDark.mean : 0;
+                const darkVariance = getDarkVariance(levelDark);
+                const signal = level.mean - darkMean;
+                const variance = level.temporalVariance - (darkVariance || 0);
+                return {
+                    label: level.label,
+                    mean: level.mean,
+                    darkMean,
+                    darkVariance,
+                    signal,
+                    variance,
+                    noise: Math.sqrt(Math.max(0, variance)),
+                    used: false
+                };
+            })
+            .sort((a, b) => a.signal - b.signal);
+
+        // 読み出しノイズは共通の暗画像、なければ最も暗い点の暗画像から求める
+        const darkVariance = getDarkVariance(dark) !== null
+            ? getDarkVariance(dark)
+            : (points.length > 0 ? points[0].darkVariance : null);
+
+        const result = {
+            points,
+            darkVariance,
+            gain: null,
+            conversionGain: null,
+            offset: null,
+            readNoiseDN: null,
+            readNoiseElectrons: null,
+            saturationSignal: null,
+            fullWell: null,
+            dynamicRange: null,
+            dynamicRangeDb: null,
+            fitRange: null,
+            fitPointCount: 0
+        };
+        if (points.length === 0) return result;
+
+        // 飽和点（分散が最大の点）
+        const saturationIndex = points.reduce((best, point, i) => (point.variance > points[best].variance ? i : best), 0);
+        const saturation = points[saturationIndex];
+        result.saturationSignal = saturation.signal;
+
+        // 直線 variance = offset + gain × signal の最小二乗当てはめ
+        const limit = saturation.signal * fitLimit;
+        const fitPoints = points.filter((point, i) => i <= saturationIndex && point.signal > 0 && point.signal <= limit);
+        fitPoints.forEach(point => {
+            point.used = true;
+        });
+        result.fitPointCount = fitPoints.length;
+        if (fitPoints.length < 2) return result;
+
+        const n = fitPoints.length;
+        const sumX = fitPoints.reduce((sum, p) => sum + p.signal, 0);
+        const sumY = fitPoints.reduce((sum, p) => sum + p.variance, 0);
+        const sumXX = fitPoints.reduce((sum, p) => sum + p.signal * p.signal, 0);
+        const sumXY = fitPoints.reduce((sum, p) => sum + p.signal * p.variance, 0);
+        const denominator = n * sumXX - sumX * sumX;
+        if (denominator === 0) return result;
+
+        const gain = (n * sumXY - sumX * sumY) / denominator;
+        const offset = (sumY - gain * sumX) / n;
+        result.fitRange = [fitPoints[0].signal, fitPoints[n - 1].signal];
+        if (!(gain > 0)) return result;
+
+        result.gain = gain;
+        result.conversionGain = 1 / gain;
+        result.offset = offset;
+
+        // 読み出しノイズ（暗画像ペアの時間ノイズ、なければ切片）から量子化ノイズ（1/12 DN²）を除く
+        const readVariance = darkVariance !== null ? darkVariance : Math.max(0, offset);
+        result.readNoiseDN = Math.sqrt(readVariance);
+        result.readNoiseElectrons = Math.sqrt(Math.max(0, readVariance - 1 / 12)) / gain;
+
+        result.fullWell = saturation.signal / gain;
+        if (result.readNoiseElectrons > 0) {
+            result.dynamicRange = result.fullWell / result.readNoiseElectrons;
+            result.dynamicRangeDb = 20 * Math.log10(result.dynamicRange);
+        }
+        return result;
+    }
+
+    /**
+     * 複数フレームの平均（マスターダーク・マスターフラットの作成）
+     * @param {Array} frames - 同じサイズの画像データ [{width, height, bitDepth, r, g, b}]
+     * @returns {Object} {width, height, bitDepth, frameCount, r, g, b}（各チャンネルはFloat32Array、グレーは共有）
+     */
+    static averageFrames(frames) {
+        if (!frames || frames.length === 0) {
+            throw new Error('平均するフレームがありません');
+        }
+        const { width, height, bitDepth } = frames[0];
+        if (frames.some(frame => frame.width !== width || frame.height !== height)) {
+            throw new Error('フレームのサイズが一致しません');
+        }
+
+        const count = width * height;
+        const isGray = frames.every(frame => frame.r === frame.g && frame.g === frame.b);
+        const average = (channel) => {
+            const sum = new Float32Array(count);
+            frames.forEach(frame => {
+                const values = frame[channel];
+                for (let i = 0; i < count; i++) {
+                    sum[i] += values[i];
+                }
+            });
+            for (let i = 0; i < count; i++) {
+                sum[i] /= frames.length;
+            }
+            return sum;
+        };
+
+        const r = average('r');
+        const g = isGray ? r : average('g');
+        const b = isGray ? r : average('b');
+        return { width, height, bitDepth, frameCount: frames.length, r, g, b };
+    }
+
+    /**
+     * ダーク減算とフラット補正 (raw − dark) / 正規化(flat − dark)
+     * フラットはチャンネルごとに平均が1となるよう正規化する（色のバランスは変えない）
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b}
+     * @param {Object|null} dark - マスターダーク（averageFramesの結果、省略可）
+     * @param {Object|null} flat - マスターフラット（averageFramesの結果、省略可）
+     * @returns {Object} {r, g, b}（Float32Array、解析用に丸めず負値・最大値超えも残す。グレーは共有）
+     */
+    static calibrateImage(image, dark = null, flat = null) {
+        const { width, height } = image;
+        [dark, flat].forEach(master => {
+            if (master && (master.width !== width || master.height !== height)) {
+                throw new Error(`補正フレームのサイズ（${master.width} × ${master.height}）が画像（${width} × ${height}）と異なります`);
+            }
+        });
+
+        const count = width * height;
+        const correct = (channel) => {
+            const values = image[channel];
+            const darkValues = dark ? dark[channel] : null;
+            const flatValues = flat ? flat[channel] : null;
+
+            // フラットの正規化係数（ダーク減算後の平均）
+            let flatMean = 0;
+            if (flatValues) {
+                for (let i = 0; i < count; i++) {
+                    flatMean += flatValues[i] - (darkValues ? darkValues[i] : 0);
+                }
+                flatMean /= count;
+            }
+
+            // 暗部の平均・σが偏らないよう、0で切り捨てず整数にも丸めない（表示時にだけ丸める）
+            const result = new Float32Array(count);
+            for (let i = 0; i < count; i++) {
+                const darkValue = darkValues ? darkValues[i] : 0;
+                let value = values[i] - darkValue;
+                if (flatValues && flatMean > 0) {
+                    // 感度のない画素（フラットがダーク以下）は補正しない
+                    const flatValue = flatValues[i] - darkValue;
+                    if (flatValue > 0) value *= flatMean / flatValue;
+                }
+                result[i] = value;
+            }
+            return result;
+        };
+
+        const r = correct('r');
+        const isGray = image.r === image.g && image.g === image.b;
+        return {
+            r,
+            g: isGray ? r : correct('g'),
+            b: isGray ? r : correct('b')
+        };
+    }
+
+    /**
+     * 固定パターンノイズ（EMVA 1288の手法、DSNU・PRNUと行・列・画素ごとの成分）
+     * @param {Object} stacks - {dark: [画像データ], flat: [画像データ], mask}（いずれかのスタックは省略可）
+     * @param {Function} [onProgress=null] - 進捗コールバック（0〜1）
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @returns {Object} {dark, flat, dsnu, prnu}（dark・flatは各スタックの結果 {frameCount, mean, spatialNoise, rowNoise, columnNoise, pixelNoise, rowProfile, columnProfile, ...}、フレームがなければnull）
+     */
+    static analyzeFixedPattern(stacks, onProgress = null, settings = null) {
+        const mask = stacks.mask || null;
+        const darkFrames = stacks.dark || [];
+        const flatFrames = stacks.flat || [];
+        const totalFrames = darkFrames.length + flatFrames.length;
+        let processed = 0;
+
+        // 行・列の平均のばらつき（平均に残る時間ノイズの分散を差し引く）
+        const profileNoise = (values, remainingVariance) => {
+            const defined = values.filter(value => value !== null);
+            if (defined.length < 2) return null;
+            const mean = defined.reduce((sum, value) => sum + value, 0) / defined.length;
+            const variance = defined.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / defined.length;
+            return Math.sqrt(Math.max(0, variance - remainingVariance));
+        };
+
+        const analyzeStack = (frames) => {
+            if (frames.length === 0) return null;
+            const { width, height, bitDepth } = frames[0];
+            if (frames.some(frame => frame.width !== width || frame.height !== height)) {
+                throw new Error('フレームのサイズが一致しません');
+            }
+
+            const converter = AnalysisCore.createConverter(settings, Math.pow(2, bitDepth) - 1);
+            const count = width * height;
+            const sums = new Float64Array(count);
+            const squares = new Float64Array(count);
+            frames.forEach(frame => {
+                for (let i = 0; i < count; i++) {
+                    if (mask && !mask[i]) continue;
+                    const value = converter.brightness(frame.r[i], frame.g[i], frame.b[i]);
+                    sums[i] += value;
+                    squares[i] += value * value;
+                }
+                if (onProgress) onProgress(++processed / totalFrames);
+            });
+
+            // 画素ごとの平均（sumsを平均画像として使う）と時間ノイズの分散、行・列の平均
+            const frameCount = frames.length;
+            const rowSums = new Float64Array(height);
+            const rowCounts = new Uint32Array(height);
+            const columnSums = new Float64Array(width);
+            const columnCounts = new Uint32Array(width);
+            let pixelCount = 0;
+            let total = 0;
+            let temporalTotal = 0;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = y * width + x;
+                    if (mask && !mask[i]) continue;
+                    const mean = sums[i] / frameCount;
+                    sums[i] = mean;
+                    if (frameCount > 1) {
+                        temporalTotal += Math.max(0, squares[i] - frameCount * mean * mean) / (frameCount - 1);
+                    }
+                    rowSums[y] += mean;
+                    rowCounts[y]++;
+                    columnSums[x] += mean;
+                    columnCounts[x]++;
+                    total += mean;
+                    pixelCount++;
+                }
+            }
+            if (pixelCount === 0) return null;
+
+            const mean = total / pixelCount;
+            const rowProfile = Array.from(rowSums, (sum, y) => (rowCounts[y] > 0 ? sum / rowCounts[y] : null));
+            const columnProfile = Array.from(columnSums, (sum, x) => (columnCounts[x] > 0 ? sum / columnCounts[x] : null));
+
+            // 平均画像の空間分散と、行・列成分を除いた残差（画素ごとの成分）の分散
+            // 平均画像に残る時間ノイズ（σ²temporal / フレーム数）は差し引く
+            let spatialTotal = 0;
+            let residualTotal = 0;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = y * width + x;
+                    if (mask && !mask[i]) continue;
+                    const deviation = sums[i] - mean;
+                    const residual = sums[i] - rowProfile[y] - columnProfile[x] + mean;
+                    spatialTotal += deviation * deviation;
+                    residualTotal += residual * residual;
+                }
+            }
+
+            const temporalVariance = frameCount > 1 ? temporalTotal / pixelCount : null;
+            const remainingTemporal = temporalVariance !== null ? temporalVariance / frameCount : 0;
+            const spatialVariance = Math.max(0, spatialTotal / pixelCount - remainingTemporal);
+            return {
+                frameCount,
+                pixelCount,
+                mean,
+                temporalVariance,
+                temporalNoise: temporalVariance !== null ? Math.sqrt(temporalVariance) : null,
+                spatialVariance,
+                spatialNoise: Math.sqrt(spatialVariance),
+                rowNoise: profileNoise(rowProfile, remainingTemporal * height / pixelCount),
+                columnNoise: profileNoise(columnProfile, remainingTemporal * width / pixelCount),
+                pixelNoise: Math.sqrt(Math.max(0, residualTotal / pixelCount - remainingTemporal)),
+                rowProfile,
+                columnProfile
+            };
+        };
+
+        const dark = analyzeStack(darkFrames);
+        const flat = analyzeStack(flatFrames);
+        if (dark && flat && (dark.rowProfile.length !== flat.rowProfile.length || dark.columnProfile.length !== flat.columnProfile.length)) {
+            throw new Error('暗画像と明画像のサイズが一致しません');
+        }
+
+        // DSNUは暗画像の空間ノイズ (DN)、PRNUは明画像と暗画像の空間分散の差の平方根を信号で割った値
+        let prnu = null;
+        if (flat) {
+            const signal = flat.mean - (dark ? dark.mean : 0);
+            const variance = flat.spatialVariance - (dark ? dark.spatialVariance : 0);
+            prnu = signal > 0 ? Math.sqrt(Math.max(0, variance)) / signal : null;
+        }
+        return { dark, flat, dsnu: dark ? dark.spatialNoise : null, prnu };
+    }
+
+    /**
+     * マスクの一部の切り出し
+     * @param {Uint8Array|null} mask - マスク（幅 maskWidth）
+     * @param {number} maskWidth - マスクの幅
+     * @param {number} x - 切り出す左端
+     * @param {number} y - 切り出す上端
+     * @param {number} width - 切り出す幅
+     * @param {number} height - 切り出す高さ
+     * @returns {Uint8Array|null} 切り出したマスク（元がnullならnull）
+     */
+    static cropMask(mask, maskWidth, x, y, width, height) {
+        if (!mask) return null;
+        const cropped = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            const start = (y + row) * maskWidth + x;
+            cropped.set(mask.subarray(start, start + width), row * width);
+        }
+        return cropped;
+    }
+
+    /**
+     * マスク内の画素数
+     * @param {Uint8Array} mask - マスク
+     * @returns {number} 画素数
+     */
+    static countMask(mask) {
+        let count = 0;
+        for (let i = 0; i < mask.length; i++) {
+            if (mask[i]) count++;
+        }
+        return count;
+    }
+
+    /**
+     * ヒストグラム統計の計算
+     * @param {Array|Uint32Array} histogram - ヒストグラムデータ
+     * @param {number} [offset=0] - ビン0の値（補正後の画像の負値を含むヒストグラム）
+     * @returns {Object|null} 統計情報（値はビン番号にoffsetを加えた画素値）
+     */
+    static calculateHistogramStatistics(histogram, offset = 0) {
+        let totalPixels = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            totalPixels += histogram[i];
+        }
+        if (totalPixels === 0) return null;
+        
+        // 平均値計算
+        let sum = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            sum += i * histogram[i];
+        }
+        const mean = sum / totalPixels;
+        
+        // 中央値計算
+        let median = 0;
+        let cumSum = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            cumSum += histogram[i];
+            if (cumSum >= totalPixels / 2) {
+                median = i;
+                break;
+            }
+        }
+        
+        // 最頻値（モード）
+        // 16bitでは65536ビンになるためスプレッド演算子ではなくループで求める
+        let maxValue = 0;
+        let mode = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            if (histogram[i] > maxValue) {
+                maxValue = histogram[i];
+                mode = i;
+            }
+        }
+        
+        // 標準偏差計算
+        let variance = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            const count = histogram[i];
+            variance += count * Math.pow(i - mean, 2);
+        }
+        const stdDev = Math.sqrt(variance / totalPixels);
+        
+        // 値の範囲
+        let minValue = -1, maxValueIndex = -1;
+        for (let i = 0; i < histogram.length; i++) {
+            if (histogram[i] > 0) {
+                if (minValue === -1) minValue = i;
+                maxValueIndex = i;
+            }
+        }
+        
+        return {
+            totalPixels,
+            mean: mean + offset,
+            median: median + offset,
+            mode: mode + offset,
+            stdDev,
+            maxValue,
+            minValue: (minValue !== -1 ? minValue : 0) + offset,
+            maxValueIndex: (maxValueIndex !== -1 ? maxValueIndex : 0) + offset,
+            range: maxValueIndex !== -1 ? maxValueIndex - minValue : 0
+        };
+    }
+
+    /**
+     * ラインプロファイルの取得（Bresenhamで画素を辿る）
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b}
+     * @param {Object} start - 元画像座標の始点 {x, y}
+     * @param {Object} end - 元画像座標の終点 {x, y}
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @returns {Object} {r, g, b, brightness, maxValue}（maxValueはビット深度のフルスケール）
+     */
+    static sampleLine(image, start, end, settings = null) {
+        const x0 = Math.round(start.x);
+        const y0 = Math.round(start.y);
+        const x1 = Math.round(end.x);
+        const y1 = Math.round(end.y);
+
+        const dx = Math.abs(x1 - x0);
+        const sx = x0 < x1 ? 1 : -1;
+        const dy = -Math.abs(y1 - y0);
+        const sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0;
+        let y = y0;
+
+        const maxValue = Math.pow(2, image.bitDepth) - 1;
+        const converter = AnalysisCore.createConverter(settings, maxValue);
+        const values = { r: [], g: [], b: [], brightness: [], maxValue };
+        while (true) {
+            if (x >= 0 && x < image.width && y >= 0 && y < image.height) {
+                const index = y * image.width + x;
+                const r = image.r[index];
+                const g = image.g[index];
+                const b = image.b[index];
+                values.r.push(converter.channel(r));
+                values.g.push(converter.channel(g));
+                values.b.push(converter.channel(b));
+                values.brightness.push(converter.brightness(r, g, b));
+            }
+            if (x === x1 && y === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x += sx; }
+            if (e2 <= dx) { err += dx; y += sy; }
+        }
+        return values;
+    }
+
+    /**
+     * 等間隔のラインプロファイルの取得（線形化した4画素の双線形補間）
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b}
+     * @param {Object} start - 元画像座標の始点 {x, y}（画像の外は端に寄せる）
+     * @param {Object} end - 元画像座標の終点 {x, y}
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @param {number} [step=CA_SAMPLE_STEP] - おおよそのサンプル間隔（画素）
+     * @returns {Object} {r, g, b, maxValue, spacing}（spacingは実際のサンプル間隔）
+     */
+    static sampleLineInterpolated(image, start, end, settings = null, step = AnalysisCore.CA_SAMPLE_STEP) {
+        const { width, height } = image;
+        const maxValue = Math.pow(2, image.bitDepth) - 1;
+        const converter = AnalysisCore.createConverter(settings, maxValue);
+        const clamp = (point) => ({
+            x: Math.min(width - 1, Math.max(0, point.x)),
+            y: Math.min(height - 1, Math.max(0, point.y))
+        });
+        const from = clamp(start);
+        const to = clamp(end);
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        const count = Math.max(2, Math.floor(length / step) + 1);
+
+        // Bresenhamの画素列と違い斜めのラインでも等間隔になるため、サブピクセルの位置を比較できる
+        const values = { r: [], g: [], b: [], maxValue, spacing: length / (count - 1) };
+        for (let i = 0; i < count; i++) {
+            const t = i / (count - 1);
+            const x = from.x + (to.x - from.x) * t;
+            const y = from.y + (to.y - from.y) * t;
+            const x0 = Math.min(width - 2, Math.floor(x));
+            const y0 = Math.min(height - 2, Math.floor(y));
+            const fx = width > 1 ? x - x0 : 0;
+            const fy = height > 1 ? y - y0 : 0;
+            const index = y0 * width + x0;
+            const right = width > 1 ? 1 : 0;
+            const below = height > 1 ? width : 0;
+            ['r', 'g', 'b'].forEach(key => {
+                const data = image[key];
+                const top = converter.channel(data[index]) * (1 - fx) + converter.channel(data[index + right]) * fx;
+                const bottom = converter.channel(data[index + below]) * (1 - fx) + converter.channel(data[index + below + right]) * fx;
+                values[key].push(top * (1 - fy) + bottom * fy);
+            });
+        }
+        return values;
+    }
+
+    /**
+     * ピーク（両隣より閾値を超えて高い点）の検出
+     * @param {Array} values - プロファイル値
+     * @param {number} [threshold=5] - 両隣との差の閾値
+     * @returns {Array} ピーク [{index, value}]
+     */
+    static findPeaks(values, threshold = 5) {
+        const peaks = [];
+        for (let i = 1; i < values.length - 1; i++) {
+            if (values[i] > values[i - 1] && values[i] > values[i + 1]) {
+                if ((values[i] - values[i - 1] > threshold) && (values[i] - values[i + 1] > threshold)) {
+                    peaks.push({ index: i, value: values[i] });
+                }
+            }
+        }
+        return peaks;
+    }
+
+    /**
+     * ラインプロファイルのエッジ解析（立ち上がり距離・オーバーシュート・LSF）
+     * @param {Array} values - プロファイル値（始点から終点の順）
+     * @param {number} [spacing=1] - サンプル間隔（画素）
+     * @param {number} [minContrast=0] - エッジとみなす最小のレベル差
+     * @returns {Object|null} {direction, startLevel, endLevel, edgeIndex, rise1090, rise2080, overshoot, undershoot, lsf, lsfPeak, fwhm}（エッジがない場合null）
+     */
+    static analyzeEdgeProfile(values, spacing = 1, minContrast = 0) {
+        const length = values.length;
+        if (length < 4) return null;
+
+        // 両端の平坦部（各15%、最低2サンプル）の中央値
+        const edgeCount = Math.max(2, Math.floor(length * 0.15));
+        const median = (items) => {
+            const sorted = Array.from(items).sort((a, b) => a - b);
+            const middle = sorted.length >> 1;
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+        const startLevel = median(values.slice(0, edgeCount));
+        const endLevel = median(values.slice(length - edgeCount));
+        const contrast = endLevel - startLevel;
+        if (!(Math.abs(contrast) > minContrast)) return null;
+
+        // 始点側0・終点側1に正規化し、最も急な区間をエッジ位置とする
+        const esf = Array.from(values, value => (value - startLevel) / contrast);
+        let steepest = 0;
+        for (let i = 1; i < length - 1; i++) {
+            if (esf[i + 1] - esf[i] > esf[steepest + 1] - esf[steepest]) steepest = i;
+        }
+
+        // エッジ位置から手前（下側のレベル）・先（上側のレベル）に向かって横切る位置を補間して求める
+        const crossBelow = (level) => {
+            for (let i = steepest; i >= 0; i--) {
+                if (esf[i] <= level && esf[i + 1] > level) {
+                    return i + (level - esf[i]) / (esf[i + 1] - esf[i]);
+                }
+            }
+            return null;
+        };
+        const crossAbove = (level) => {
+            for (let i = steepest; i < length - 1; i++) {
+                if (esf[i] < level && esf[i + 1] >= level) {
+                    return i + (level - esf[i]) / (esf[i + 1] - esf[i]);
+                }
+            }
+            return null;
+        };
+        // 区間 {from, to, distance}（from・toはサンプル位置、distanceは画素、求められない場合null）
+        const span = (from, to) => (from === null || to === null ? null : { from, to, distance: (to - from) * spacing });
+
+        // オーバーシュート（エッジより先で終点側レベルを超えた分）・アンダーシュート（手前で始点側レベルを下回った分）、レベル差に対する%
+        let maxAfter = 1;
+        let minBefore = 0;
+        for (let i = 0; i < length; i++) {
+            if (i > steepest) maxAfter = Math.max(maxAfter, esf[i]);
+            else minBefore = Math.min(minBefore, esf[i]);
+        }
+
+        // LSF（中心差分、両端は片側差分）と半値幅
+        const lsf = esf.map((value, i) => {
+            if (i === 0) return esf[1] - esf[0];
+            if (i === length - 1) return esf[i] - esf[i - 1];
+            return (esf[i + 1] - esf[i - 1]) / 2;
+        });
+        let peakIndex = 0;
+        lsf.forEach((value, i) => {
+            if (value > lsf[peakIndex]) peakIndex = i;
+        });
+        const half = lsf[peakIndex] / 2;
+        let left = null;
+        for (let i = peakIndex; i > 0; i--) {
+            if (lsf[i - 1] <= half) {
+                left = i - 1 + (half - lsf[i - 1]) / (lsf[i] - lsf[i - 1]);
+                break;
+            }
+        }
+        let right = null;
+        for (let i = peakIndex; i < length - 1; i++) {
+            if (lsf[i + 1] <= half) {
+                right = i + (lsf[i] - half) / (lsf[i] - lsf[i + 1]);
+                break;
+            }
+        }
+
+        return {
+            direction: contrast > 0 ? 'rising' : 'falling',
+            startLevel,
+            endLevel,
+            edgeIndex: steepest + 0.5,
+            rise1090: span(crossBelow(0.1), crossAbove(0.9)),
+            rise2080: span(crossBelow(0.2), crossAbove(0.8)),
+            overshoot: (maxAfter - 1) * 100,
+            undershoot: -minBefore * 100,
+            lsf,
+            lsfPeak: { index: peakIndex, value: lsf[peakIndex] },
+            fwhm: span(left, right)
+        };
+    }
+
+    /**
+     * ラインプロファイルのR・G・Bのエッジ位置（倍率色収差の測定用）
+     * @param {Object} values - プロファイル {r, g, b}（始点から終点の順）
+     * @param {number} [spacing=1] - サンプル間隔（画素）
+     * @param {number} [minContrast=0] - エッジとみなす最小のレベル差（3チャンネルとも超える必要がある）
+     * @returns {Array} エッジ [{direction, contrast, from, to, positions: {red, green, blue}, redOffset, blueOffset}]（始点側から順、ずれは画素で終点側が正）
+     */
+    static findColorEdges(values, spacing = 1, minContrast = 0) {
+        const length = values.g.length;
+        if (length < 4) return [];
+
+        const derivative = (data) => Array.from(data, (value, i) => {
+            if (i === 0) return data[1] - data[0];
+            if (i === length - 1) return value - data[i - 1];
+            return (data[i + 1] - data[i - 1]) / 2;
+        });
+        const slopes = { red: derivative(values.r), green: derivative(values.g), blue: derivative(values.b) };
+        const green = slopes.green;
+        let maxSlope = 0;
+        green.forEach(value => {
+            maxSlope = Math.max(maxSlope, Math.abs(value));
+        });
+        if (!(maxSlope > 0)) return [];
+
+        // Gの微分の極値（最大の20%以上）と、同じ向きで極値の10%を超える裾の範囲
+        const candidates = [];
+        for (let i = 0; i < length; i++) {
+            const slope = Math.abs(green[i]);
+            if (slope < maxSlope * 0.2) continue;
+            if ((i > 0 && Math.abs(green[i - 1]) > slope) || (i < length - 1 && Math.abs(green[i + 1]) >= slope)) continue;
+            const sign = Math.sign(green[i]);
+            let from = i;
+            while (from > 0 && green[from - 1] * sign > slope * 0.1) from--;
+            let to = i;
+            while (to < length - 1 && green[to + 1] * sign > slope * 0.1) to++;
+            candidates.push({ sign, slope, from, to });
+        }
+
+        // 裾が重なる極値は大きい方だけを残す
+        const accepted = [];
+        candidates.sort((a, b) => b.slope - a.slope).forEach(candidate => {
+            if (accepted.every(edge => candidate.to < edge.from || candidate.from > edge.to)) {
+                accepted.push(candidate);
+            }
+        });
+        accepted.sort((a, b) => a.from - b.from);
+
+        const edges = [];
+        accepted.forEach((edge, k) => {
+            // ラインの端で途切れたエッジは位置が偏るため除く
+            if (edge.from === 0 || edge.to === length - 1) return;
+
+            // 裾の幅（最低3画素）だけ広げ、隣のエッジとの中間で区切る
+            const pad = Math.max(Math.ceil(3 / spacing), edge.to - edge.from);
+            const lower = k > 0 ? Math.ceil((accepted[k - 1].to + edge.from) / 2) : 0;
+            const upper = k < accepted.length - 1 ? Math.floor((edge.to + accepted[k + 1].from) / 2) : length - 1;
+            const from = Math.max(lower, edge.from - pad);
+            const to = Math.min(upper, edge.to + pad);
+
+            // チャンネルごとに、微分のエッジの向きの成分から極値の10%を引いた分の重心をサブピクセルのエッジ位置とする
+            // contrastはGのレベル差
+            const positions = {};
+            let contrast = 0;
+            for (const [channel, slope] of Object.entries(slopes)) {
+                let peak = 0;
+                let change = 0;
+                for (let i = from; i <= to; i++) {
+                    peak = Math.max(peak, slope[i] * edge.sign);
+                    change += slope[i] * edge.sign;
+                }
+                if (!(change > minContrast)) return;
+
+                let sum = 0;
+                let weighted = 0;
+                for (let i = from; i <= to; i++) {
+                    const weight = slope[i] * edge.sign - peak * 0.1;
+                    if (weight > 0) {
+                        sum += weight;
+                        weighted += weight * i;
+                    }
+                }
+                positions[channel] = weighted / sum;
+                if (channel === 'green') contrast = change;
+            }
+
+            edges.push({
+                direction: edge.sign > 0 ? 'rising' : 'falling',
+                contrast,
+                from,
+                to,
+                positions,
+                redOffset: (positions.red - positions.green) * spacing,
+                blueOffset: (positions.blue - positions.green) * spacing
+            });
+        });
+        return edges;
+    }
+
+    /**
+     * ライン上のエッジの画像上の位置と、画像中心からの放射方向のずれ
+     * @param {Object} edge - findColorEdgesのエッジ
+     * @param {Object} line - {start, end}（元画像座標）
+     * @param {number} length - プロファイルのサンプル数
+     * @param {Object} center - 画像中心 {x, y}
+     * @returns {Object} {point, distance, angle, radial, radialRedOffset, radialBlueOffset, redPercent, bluePercent}（放射方向でない場合radial以降はfalse・null）
+     */
+    static locateColorEdge(edge, line, length, center) {
+        const dx = line.end.x - line.start.x;
+        const dy = line.end.y - line.start.y;
+        const lineLength = Math.hypot(dx, dy);
+        const t = length > 1 ? edge.positions.green / (length - 1) : 0;
+        const point = { x: line.start.x + dx * t, y: line.start.y + dy * t };
+        const rx = point.x - center.x;
+        const ry = point.y - center.y;
+        const distance = Math.hypot(rx, ry);
+
+        // ラインと「画像中心→エッジ」のなす角（度）がCA_RADIAL_TOLERANCE以内なら放射方向とみなす
+        const along = lineLength > 0 && distance > 0 ? (dx * rx + dy * ry) / (lineLength * distance) : 0;
+        const angle = Math.acos(Math.min(1, Math.abs(along))) * 180 / Math.PI;
+        const result = {
+            point,
+            distance,
+            angle,
+            radial: false,
+            radialRedOffset: null,
+            radialBlueOffset: null,
+            redPercent: null,
+            bluePercent: null
+        };
+        if (distance < 1 || angle > AnalysisCore.CA_RADIAL_TOLERANCE) return result;
+
+        // 外向きを正としたずれと、画像中心からの距離に対する%
+        const outward = along > 0 ? 1 : -1;
+        result.radial = true;
+        result.radialRedOffset = edge.redOffset * outward;
+        result.radialBlueOffset = edge.blueOffset * outward;
+        result.redPercent = result.radialRedOffset / distance * 100;
+        result.bluePercent = result.radialBlueOffset / distance * 100;
+        return result;
+    }
+
+    /**
+     * ラインの倍率色収差（Gのレベル差が最も大きいエッジでのR-G・B-Gのずれ）
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b}（画像中心は幅・高さの中央）
+     * @param {Object} line - {start, end}（元画像座標）
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @param {number} [minContrast=0] - エッジとみなす最小のレベル差
+     * @returns {Object|null} findColorEdgesのエッジにlocateColorEdgeの結果と始点からの距離 distances: {red, green, blue} を加えたもの（エッジがない場合null）
+     */
+    static analyzeChromaticAberration(image, line, settings = null, minContrast = 0) {
+        const values = AnalysisCore.sampleLineInterpolated(image, line.start, line.end, settings);
+        const length = values.g.length;
+        const edges = AnalysisCore.findColorEdges(values, values.spacing, minContrast);
+        if (edges.length === 0) return null;
+
+        const edge = edges.reduce((best, item) => (item.contrast > best.contrast ? item : best));
+        const center = { x: (image.width - 1) / 2, y: (image.height - 1) / 2 };
+        const distances = {};
+        Object.entries(edge.positions).forEach(([channel, position]) => {
+            distances[channel] = position * values.spacing;
+        });
+        return Object.assign(edge, { distances }, AnalysisCore.locateColorEdge(edge, line, length, center));
+    }
+
+    /**
+     * チャート画像（ドット・グリッドなど）の倍率色収差マップ（放射状のライン上のすべてのエッジのずれ）
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b}
+     * @param {Function} [onProgress=null] - 進捗コールバック（0〜1）
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @param {Object} [options={}] - {lines: ラインの本数, center: {x, y}（省略時は画像中心）, minContrast: 最小のレベル差（省略時はフルスケールの5%）}
+     * @returns {Object} {width, height, center, radius, lines, samples: [{x, y, distance, height, direction, redOffset, blueOffset, redPercent, bluePercent}], summary}
+     */
+    static analyzeChromaticAberrationMap(image, onProgress = null, settings = null, options = {}) {
+        const { width, height } = image;
+        const lines = Math.max(1, Math.round(options.lines || AnalysisCore.CA_MAP_LINES));
+        const center = options.center || { x: (width - 1) / 2, y: (height - 1) / 2 };
+        const start = { x: Math.min(width - 1, Math.max(0, center.x)), y: Math.min(height - 1, Math.max(0, center.y)) };
+        const radius = Math.max(
+            ...[[0, 0], [width - 1, 0], [0, height - 1], [width - 1, height - 1]].map(([x, y]) => Math.hypot(x - center.x, y - center.y))
+        );
+        const minContrast = options.minContrast ?? (Math.pow(2, image.bitDepth) - 1) * 0.05;
+
+        const samples = [];
+        for (let k = 0; k < lines; k++) {
+            // 画像の端までの放射状のライン（ずれは外向きを正とする）
+            const theta = (k / lines) * Math.PI * 2;
+            const cos = Math.cos(theta);
+            const sin = Math.sin(theta);
+            const reach = Math.min(
+                cos > 1e-9 ? (width - 1 - start.x) / cos : cos < -1e-9 ? -start.x / cos : Infinity,
+                sin > 1e-9 ? (height - 1 - start.y) / sin : sin < -1e-9 ? -start.y / sin : Infinity
+            );
+            const line = { start, end: { x: start.x + cos * reach, y: start.y + sin * reach } };
+            const values = AnalysisCore.sampleLineInterpolated(image, line.start, line.end, settings);
+
+            AnalysisCore.findColorEdges(values, values.spacing, minContrast).forEach(edge => {
+                const located = AnalysisCore.locateColorEdge(edge, line, values.g.length, center);
+                if (!located.radial) return;
+                samples.push({
+                    x: located.point.x,
+                    y: located.point.y,
+                    distance: located.distance,
+                    height: located.distance / radius,
+                    direction: edge.direction,
+                    redOffset: located.radialRedOffset,
+                    blueOffset: located.radialBlueOffset,
+                    redPercent: located.redPercent,
+                    bluePercent: located.bluePercent
+                });
+            });
+            if (onProgress) onProgress((k + 1) / lines);
+        }
+
+        return {
+            width,
+            height,
+            center,
+            radius,
+            lines,
+            samples,
+            summary: AnalysisCore.summarizeChromaticAberration(samples)
+        };
+    }
+
+    /**
+     * 倍率色収差の測定点のまとめ（全体のずれの比と像高の区間ごとの中央値）
+     * @param {Array} samples - [{height, distance, redOffset, blueOffset, redPercent, bluePercent}]（heightは最も遠い隅を1とする像高）
+     * @param {number} [bins=CA_PROFILE_BINS] - 像高の区間数
+     * @returns {Object} {redPercent, bluePercent, bins: [{from, to, count, redOffset, blueOffset, redPercent, bluePercent}]}（測定点がない場合redPercent・bluePercentはnull）
+     */
+    static summarizeChromaticAberration(samples, bins = AnalysisCore.CA_PROFILE_BINS) {
+        const median = (items) => {
+            const sorted = items.slice().sort((a, b) => a - b);
+            const middle = sorted.length >> 1;
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+        // 倍率色収差は像高にほぼ比例するため、距離に対するずれの比（%）を距離の2乗を重みとした中央値で求める
+        // （中心付近の不安定な比と外れ値の影響を抑える）
+        const weightedMedian = (key) => {
+            if (samples.length === 0) return null;
+            const items = samples
+                .map(sample => ({ value: sample[key], weight: sample.distance * sample.distance }))
+                .sort((a, b) => a.value - b.value);
+            const total = items.reduce((sum, item) => sum + item.weight, 0);
+            let accumulated = 0;
+            for (const item of items) {
+                accumulated += item.weight;
+                if (accumulated >= total / 2) return item.value;
+            }
+            return items[items.length - 1].value;
+        };
+
+        const groups = Array.from({ length: bins }, () => []);
+        samples.forEach(sample => {
+            groups[Math.min(bins - 1, Math.max(0, Math.floor(sample.height * bins)))].push(sample);
+        });
+        return {
+            redPercent: weightedMedian('redPercent'),
+            bluePercent: weightedMedian('bluePercent'),
+            bins: groups
+                .map((group, i) => (group.length === 0 ? null : {
+                    from: i / bins,
+                    to: (i + 1) / bins,
+                    count: group.length,
+                    redOffset: median(group.map(sample => sample.redOffset)),
+                    blueOffset: median(group.map(sample => sample.blueOffset)),
+                    redPercent: median(group.map(sample => sample.redPercent)),
+                    bluePercent: median(group.map(sample => sample.bluePercent))
+                }))
+                .filter(bin => bin !== null)
+        };
+    }
+
+    /**
+     * 傾斜エッジ法によるMTF（ISO 12233 e-SFR）
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b}（エッジを1本含む矩形）
+     * @param {Function} [onProgress=null] - 進捗コールバック（0〜1）
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @returns {Object} {orientation, angle, rows, phaseCycles, low, high, oversampling, esf, lsf, frequencies, mtf, mtf50, mtf10}（周波数はcycles/pixel）
+     */
+    static analyzeSlantedEdge(image, onProgress = null, settings = null) {
+        const { width, height } = image;
+        const maxValue = Math.pow(2, image.bitDepth) - 1;
+        const converter = AnalysisCore.createConverter(settings, maxValue);
+        const values = new Float64Array(width * height);
+        let gradX = 0;
+        let gradY = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                values[i] = converter.brightness(image.r[i], image.g[i], image.b[i]);
+                if (x > 0) gradX += Math.abs(values[i] - values[i - 1]);
+                if (y > 0) gradY += Math.abs(values[i] - values[i - width]);
+            }
+        }
+
+        // エッジを横切る方向（変化の大きい方）を列方向とする（横に近いエッジは転置して縦のエッジとして扱う）
+        const vertical = gradX >= gradY;
+        const columns = vertical ? width : height;
+        const rows = vertical ? height : width;
+        if (columns < 8 || rows < 4) {
+            throw new Error('エッジMTFの解析領域が小さすぎます（エッジを横切る方向に8画素、沿う方向に4画素以上必要です）');
+        }
+        const data = new Float64Array(columns * rows);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                data[row * columns + column] = vertical
+                    ? values[row * width + column]
+                    : values[column * width + row];
+            }
+        }
+
+        // 暗→明のエッジに揃える（左右反転）
+        let left = 0;
+        let right = 0;
+        for (let row = 0; row < rows; row++) {
+            left += data[row * columns];
+            right += data[row * columns + columns - 1];
+        }
+        const mirrored = left > right;
+        if (mirrored) {
+            for (let row = 0; row < rows; row++) {
+                data.subarray(row * columns, (row + 1) * columns).reverse();
+            }
+        }
+        if (onProgress) onProgress(0.2);
+
+        // 各行のエッジ位置（微分の重心、2回目は1回目の直線を中心としたハミング窓付き）に直線を当てはめて傾きを推定
+        const hamming = (offset, halfWidth) => (Math.abs(offset) >= halfWidth
+            ? 0
+            : 0.54 + 0.46 * Math.cos(Math.PI * offset / halfWidth));
+        const fitEdge = (line) => {
+            let count = 0, sumY = 0, sumX = 0, sumYY = 0, sumXY = 0;
+            for (let row = 0; row < rows; row++) {
+                const center = line ? line.intercept + line.slope * row : null;
+                let weight = 0;
+                let moment = 0;
+                for (let column = 0; column < columns - 1; column++) {
+                    const position = column + 0.5;
+                    const window = center === null ? 1 : hamming(position - center, columns / 2);
+                    const derivative = (data[row * columns + column + 1] - data[row * columns + column]) * window;
+                    weight += derivative;
+                    moment += derivative * position;
+                }
+                if (!(weight > 0)) continue;
+                const edge = moment / weight;
+                count++;
+                sumY += row;
+                sumX += edge;
+                sumYY += row * row;
+                sumXY += row * edge;
+            }
+            if (count < Math.max(2, rows / 2)) return null;
+            const denominator = count * sumYY - sumY * sumY;
+            const slope = denominator > 0 ? (count * sumXY - sumY * sumX) / denominator : 0;
+            return { slope, intercept: (sumX - slope * sumY) / count };
+        };
+        const line = fitEdge(fitEdge(null));
+        if (!line) {
+            throw new Error('エッジを検出できません（明暗の境界を1本だけ含むようにROIを描いてください）');
+        }
+        if (onProgress) onProgress(0.4);
+
+        // 位相が整数周期回る行数だけ使う（ISO 12233、phaseCyclesが1未満は傾き不足）
+        const absSlope = Math.abs(line.slope);
+        const phaseCycles = Math.floor(absSlope * rows);
+        const usedRows = phaseCycles >= 1 ? Math.min(rows, Math.round(phaseCycles / absSlope)) : rows;
+
+        // 4倍オーバーサンプリングのESF（エッジ位置をビン列の中央に置く）
+        const factor = AnalysisCore.MTF_OVERSAMPLING;
+        const binCount = columns * factor;
+        const sums = new Float64Array(binCount);
+        const counts = new Uint32Array(binCount);
+        for (let row = 0; row < usedRows; row++) {
+            const edge = line.intercept + line.slope * row;
+            for (let column = 0; column < columns; column++) {
+                const bin = Math.floor((column - edge) * factor) + binCount / 2;
+                if (bin < 0 || bin >= binCount) continue;
+                sums[bin] += data[row * columns + column];
+                counts[bin]++;
+            }
+        }
+        const esf = new Float64Array(binCount);
+        let previous = -1;
+        for (let i = 0; i < binCount; i++) {
+            if (counts[i] === 0) continue;
+            esf[i] = sums[i] / counts[i];
+            // 空のビンは前後のビンから線形補間（先頭側は最初の値で埋める）
+            for (let j = previous + 1; j < i; j++) {
+                esf[j] = previous < 0 ? esf[i] : esf[previous] + (esf[i] - esf[previous]) * (j - previous) / (i - previous);
+            }
+            previous = i;
+        }
+        if (previous < 0) {
+            throw new Error('エッジを検出できません（明暗の境界を1本だけ含むようにROIを描いてください）');
+        }
+        esf.fill(esf[previous], previous + 1);
+        if (onProgress) onProgress(0.6);
+
+        // LSF（中心差分）とハミング窓（LSFの重心を中心とする）
+        const lsf = new Float64Array(binCount);
+        let lsfWeight = 0;
+        let lsfMoment = 0;
+        for (let i = 1; i < binCount - 1; i++) {
+            lsf[i] = (esf[i + 1] - esf[i - 1]) / 2;
+            lsfWeight += lsf[i];
+            lsfMoment += lsf[i] * i;
+        }
+        const lsfCenter = lsfWeight > 0 ? lsfMoment / lsfWeight : binCount / 2;
+        const windowed = lsf.map((value, i) => value * hamming(i - lsfCenter, binCount / 2));
+
+        // 離散フーリエ変換（エッジに垂直な方向の周波数で1 cycle/pixelまで）
+        // 中心差分の周波数特性（sinc）で割って補正する（補正は最大10倍）
+        const cosine = Math.cos(Math.atan(line.slope));
+        const lastBin = Math.min(binCount / 2, Math.ceil(binCount * cosine / factor));
+        const frequencies = new Float64Array(lastBin + 1);
+        const mtf = new Float64Array(lastBin + 1);
+        let dc = 0;
+        for (let k = 0; k <= lastBin; k++) {
+            let real = 0;
+            let imaginary = 0;
+            const omega = 2 * Math.PI * k / binCount;
+            for (let i = 0; i < binCount; i++) {
+                real += windowed[i] * Math.cos(omega * i);
+                imaginary -= windowed[i] * Math.sin(omega * i);
+            }
+            const amplitude = Math.hypot(real, imaginary);
+            if (k === 0) dc = amplitude;
+            const correction = k === 0 ? 1 : Math.min(10, omega / Math.sin(omega));
+            frequencies[k] = k * factor / (binCount * cosine);
+            mtf[k] = dc > 0 ? amplitude / dc * correction : 0;
+            if (onProgress && k % 64 === 0) onProgress(0.6 + 0.4 * k / lastBin);
+        }
+
+        // MTFがしきい値を下回る最初の周波数（線形補間、下回らなければnull）
+        const crossing = (threshold) => {
+            for (let k = 1; k <= lastBin; k++) {
+                if (mtf[k] < threshold) {
+                    const t = (mtf[k - 1] - threshold) / (mtf[k - 1] - mtf[k]);
+                    return frequencies[k - 1] + t * (frequencies[k] - frequencies[k - 1]);
+                }
+            }
+            return null;
+        };
+
+        // エッジ両側の平坦部の平均（ESFの両端10%）
+        const edgeWidth = Math.max(1, Math.floor(binCount / 10));
+        const average = (from, to) => {
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += esf[i];
+            return sum / (to - from);
+        };
+
+        return {
+            orientation: vertical ? 'vertical' : 'horizontal',
+            // エッジの縦（横）からの傾き（度）
+            angle: (mirrored ? -1 : 1) * Math.atan(line.slope) * 180 / Math.PI,
+            rows: usedRows,
+            phaseCycles,
+            low: average(0, edgeWidth),
+            high: average(binCount - edgeWidth, binCount),
+            oversampling: factor,
+            esf,
+            lsf,
+            frequencies,
+            mtf,
+            mtf50: crossing(0.5),
+            mtf10: crossing(0.1)
+        };
+    }
+
+    /**
+     * フラット画像のシェーディング（周辺光量落ち）解析（光学中心を1とした相対照度）
+     * @param {Object} image - 画像データ {width, height, bitDepth, r, g, b, alpha}
+     * @param {Function} [onProgress=null] - 進捗コールバック（0〜1）
+     * @param {Object} [settings=null] - 輝度設定 {luma, transfer, gamma}
+     * @param {Object} [options={}] - {model: 'radial' | 'polynomial', center: {x, y}（省略時は自動検出）, blocks: 長辺のブロック数}
+     * @returns {Object} {width, height, model, center: {x, y, source: 'auto' | 'fallback' | 'manual'}, radius, blockSize, columns, rows, channels, profile, contours}
+     */
+    static analyzeShading(image, onProgress = null, settings = null, options = {}) {
+        const { width, height, r, g, b, alpha } = image;
+        const model = AnalysisCore.SHADING_MODELS[options.model] ? options.model : 'radial';
+        const converter = AnalysisCore.createConverter(settings, Math.pow(2, image.bitDepth) - 1);
+
+        // ブロックごとのチャンネル平均（透明な画素は除外）
+        const blockSize = Math.max(1, Math.ceil(Math.max(width, height) / (options.blocks || AnalysisCore.SHADING_BLOCKS)));
+        const columns = Math.ceil(width / blockSize);
+        const rows = Math.ceil(height / blockSize);
+        const sums = AnalysisCore.NOISE_CHANNELS.map(() => new Float64Array(columns * rows));
+        const [brightnessSum, redSum, greenSum, blueSum] = sums;
+        const counts = new Uint32Array(columns * rows);
+        const progressStep = Math.max(1, Math.floor(height / 20));
+        for (let y = 0; y < height; y++) {
+            const blockRow = Math.floor(y / blockSize) * columns;
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (alpha && alpha[i] === 0) continue;
+                const block = blockRow + Math.floor(x / blockSize);
+                brightnessSum[block] += converter.brightness(r[i], g[i], b[i]);
+                redSum[block] += converter.channel(r[i]);
+                greenSum[block] += converter.channel(g[i]);
+                blueSum[block] += converter.channel(b[i]);
+                counts[block]++;
+            }
+            if (onProgress && (y + 1) % progressStep === 0) {
+                onProgress((y + 1) / height * 0.9);
+            }
+        }
+
+        // ブロックの中心座標（端のブロックは画像内の部分の中心）と平均値
+        const blocks = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const index = row * columns + column;
+                if (counts[index] === 0) continue;
+                const x0 = column * blockSize;
+                const y0 = row * blockSize;
+                blocks.push({
+                    x: (x0 + Math.min(width, x0 + blockSize) - 1) / 2,
+                    y: (y0 + Math.min(height, y0 + blockSize) - 1) / 2,
+                    weight: counts[index],
+                    values: sums.map(sum => sum[index] / counts[index])
+                });
+            }
+        }
+
+        // 光学中心の指定がなければ自動検出（検出できなければ画像中心）
+        const center = options.center && Number.isFinite(options.center.x) && Number.isFinite(options.center.y)
+            ? {
+                x: Math.max(0, Math.min(width - 1, options.center.x)),
+                y: Math.max(0, Math.min(height - 1, options.center.y)),
+                source: 'manual'
+            }
+            : AnalysisCore.findShadingCenter(blocks, width, height);
+
+        // 座標は光学中心から最も遠い隅までの距離で正規化
+        const radius = Math.max(1, ...[[0, 0], [width - 1, 0], [0, height - 1], [width - 1, height - 1]]
+            .map(([x, y]) => Math.hypot(x - center.x, y - center.y)));
+        const termsAt = (x, y) => AnalysisCore.getShadingTerms(model, (x - center.x) / radius, (y - center.y) / radius);
+        const blockTerms = blocks.map(block => termsAt(block.x, block.y));
+        const weights = blocks.map(block => block.weight);
+
+        // 位置（隅・辺の中点）の座標
+        const points = {};
+        Object.entries(AnalysisCore.SHADING_POINTS).forEach(([key, point]) => {
+            points[key] = termsAt(point.fx * (width - 1), point.fy * (height - 1));
+        });
+
+        // 等高線・最小値を求めるモデルの格子（画像の端から端まで）
+        const gridColumns = Math.min(width, AnalysisCore.SHADING_BLOCKS + 1);
+        const gridRows = Math.min(height, Math.max(2, Math.round((gridColumns - 1) * height / width) + 1));
+        const xs = Array.from({ length: gridColumns }, (_, i) => (gridColumns > 1 ? i * (width - 1) / (gridColumns - 1) : 0));
+        const ys = Array.from({ length: gridRows }, (_, i) => (gridRows > 1 ? i * (height - 1) / (gridRows - 1) : 0));
+        const gridTerms = [];
+        ys.forEach(y => xs.forEach(x => gridTerms.push(termsAt(x, y))));
+
+        // ブロック平均の対数に減光モデルを当てはめる（cos⁴則のような減光は対数の方が低次の多項式でよく近似できる）
+        // 中心に対する比（係数の先頭が光学中心での対数値）
+        const evaluate = (coefficients, terms) => Math.exp(terms.reduce((sum, term, i) => sum + term * coefficients[i], 0) - coefficients[0]);
+        const channels = {};
+        let brightnessMap = null;
+        AnalysisCore.NOISE_CHANNELS.forEach((name, index) => {
+            // 値が0以下のブロック（暗部・黒つぶれ）は対数をとれないため除外
+            const valid = blocks.map(block => block.values[index] > 0);
+            const coefficients = AnalysisCore.solveLeastSquares(
+                blockTerms.filter((_, i) => valid[i]),
+                blocks.filter((_, i) => valid[i]).map(block => Math.log(block.values[index])),
+                weights.filter((_, i) => valid[i])
+            );
+            if (!coefficients) {
+                channels[name] = { centerValue: null, coefficients: null, residual: null, points: null, minimum: null, measured: null, fitted: null };
+                return;
+            }
+            const centerValue = Math.exp(coefficients[0]);
+
+            // 当てはめ残差（中心の値に対する比のRMS）
+            let residualSum = 0;
+            let weightSum = 0;
+            const measured = [];
+            const fitted = [];
+            blocks.forEach((block, i) => {
+                const predicted = evaluate(coefficients, blockTerms[i]);
+                const value = block.values[index] / centerValue;
+                residualSum += block.weight * (value - predicted) * (value - predicted);
+                weightSum += block.weight;
+                measured.push(value);
+                fitted.push(predicted);
+            });
+
+            const relativePoints = {};
+            Object.entries(points).forEach(([key, terms]) => {
+                relativePoints[key] = evaluate(coefficients, terms);
+            });
+            const map = new Float64Array(gridTerms.length);
+            gridTerms.forEach((terms, i) => {
+                map[i] = evaluate(coefficients, terms);
+            });
+            if (name === 'brightness') brightnessMap = map;
+
+            // points: 隅・辺の中点の相対照度、minimum: 格子上の最小の相対照度
+            channels[name] = {
+                centerValue,
+                coefficients,
+                residual: Math.sqrt(residualSum / weightSum),
+                points: relativePoints,
+                minimum: map.reduce((min, value) => Math.min(min, value), Infinity),
+                measured,
+                fitted
+            };
+        });
+
+        if (!channels.brightness.coefficients) {
+            throw new Error('減光モデルを当てはめられません（画素値が0以下か、画像が小さすぎます）');
+        }
+
+        // 半径方向のプロファイル（ブロックを中心からの距離で区切った平均）
+        const bins = AnalysisCore.SHADING_PROFILE_BINS;
+        const binOf = blocks.map(block => Math.min(bins - 1, Math.floor(Math.hypot(block.x - center.x, block.y - center.y) / radius * bins)));
+        const profile = { rho: Array.from({ length: bins }, (_, i) => (i + 0.5) / bins), channels: {} };
+        AnalysisCore.NOISE_CHANNELS.forEach(name => {
+            const channel = channels[name];
+            const measuredSums = new Float64Array(bins);
+            const fittedSums = new Float64Array(bins);
+            const weightSums = new Float64Array(bins);
+            if (channel.measured) {
+                blocks.forEach((block, i) => {
+                    measuredSums[binOf[i]] += block.weight * channel.measured[i];
+                    fittedSums[binOf[i]] += block.weight * channel.fitted[i];
+                    weightSums[binOf[i]] += block.weight;
+                });
+            }
+            profile.channels[name] = {
+                measured: Array.from(measuredSums, (sum, i) => (weightSums[i] > 0 ? sum / weightSums[i] : null)),
+                fitted: Array.from(fittedSums, (sum, i) => (weightSums[i] > 0 ? sum / weightSums[i] : null))
+            };
+            delete channel.measured;
+            delete channel.fitted;
+        });
+
+        // 輝度の等高線
+        const contours = brightnessMap
+            ? AnalysisCore.SHADING_CONTOUR_LEVELS
+                .map(level => ({ level, lines: AnalysisCore.traceContours(brightnessMap, xs, ys, level) }))
+                .filter(contour => contour.lines.length > 0)
+            : [];
+
+        if (onProgress) onProgress(1);
+        return { width, height, model, center, radius, blockSize, columns, rows, channels, profile, contours };
+    }
+
+    /**
+     * 光学中心の自動検出（輝度の対数に当てはめた2次曲面 a + bx + cy + dx² + ey² + fxy の頂点）
+     * @param {Array} blocks - ブロック [{x, y, weight, values}]（values[0]が輝度）
+     * @param {number} width - 画像の幅
+     * @param {number} height - 画像の高さ
+     * @returns {Object} {x, y, source: 'auto' | 'fallback'}
+     */
+    static findShadingCenter(blocks, width, height) {
+        const fallback = { x: (width - 1) / 2, y: (height - 1) / 2, source: 'fallback' };
+        const scale = Math.max(width, height) / 2;
+        const fitVertex = (candidates, origin) => {
+            const usable = candidates.filter(block => block.values[0] > 0);
+            const terms = usable.map(block => {
+                const u = (block.x - origin.x) / scale;
+                const v = (block.y - origin.y) / scale;
+                return [1, u, v, u * u, v * v, u * v];
+            });
+            const c = AnalysisCore.solveLeastSquares(terms, usable.map(block => Math.log(block.values[0])), usable.map(block => block.weight));
+            if (!c) return null;
+
+            // 頂点が極大（ヘッセ行列が負定値）で、画像の端までに0.1%以上減光する場合のみ採用
+            const [, b, cy, d, e, f] = c;
+            const determinant = 4 * d * e - f * f;
+            if (!(d < -1e-3 && e < -1e-3 && determinant > 0)) return null;
+            const x = origin.x + (f * cy - 2 * e * b) / determinant * scale;
+            const y = origin.y + (f * b - 2 * d * cy) / determinant * scale;
+            return x >= 0 && x <= width - 1 && y >= 0 && y <= height - 1 ? { x, y } : null;
+        };
+
+        // 2次曲面は中心付近でしか減光をよく近似しないため、求めた頂点の周囲のブロックだけで当てはめ直す
+        let vertex = fitVertex(blocks, fallback);
+        if (!vertex) return fallback;
+        for (let iteration = 0; iteration < AnalysisCore.SHADING_CENTER_ITERATIONS; iteration++) {
+            const near = blocks.filter(block => Math.hypot(block.x - vertex.x, block.y - vertex.y) <= scale * 0.6);
+            if (near.length < 12) break;
+            const refined = fitVertex(near, vertex);
+            if (!refined) break;
+            vertex = refined;
+        }
+        return { x: vertex.x, y: vertex.y, source: 'auto' };
+    }
+
+    /**
+     * 減光モデルの項（先頭の項は定数）
+     * @param {string} model - 'radial' / 'polynomial'
+     * @param {number} u - 光学中心を原点とした正規化X座標
+     * @param {number} v - 光学中心を原点とした正規化Y座標
+     * @returns {Array<number>} 項の値
+     */
+    static getShadingTerms(model, u, v) {
+        // polynomial: x・yの4次までの2次元多項式（非対称な減光・色シェーディング向け）
+        if (model === 'polynomial') {
+            const terms = [];
+            for (let degree = 0; degree <= 4; degree++) {
+                for (let j = 0; j <= degree; j++) {
+                    terms.push(Math.pow(u, degree - j) * Math.pow(v, j));
+                }
+            }
+            return terms;
+        }
+        // radial: 光学中心からの距離の偶数次多項式 a0 + a1·ρ² + a2·ρ⁴ + a3·ρ⁶
+        const rho2 = u * u + v * v;
+        return [1, rho2, rho2 * rho2, rho2 * rho2 * rho2];
+    }
+
+    /**
+     * 重み付き最小二乗法（正規方程式を部分ピボット選択のガウス消去で解く）
+     * @param {Array<Array<number>>} terms - 各データの項の値
+     * @param {Array<number>} values - 各データの値
+     * @param {Array<number>} [weights=null] - 各データの重み（省略時は等しい重み）
+     * @returns {Array<number>|null} 係数（データが足りない・解けない場合はnull）
+     */
+    static solveLeastSquares(terms, values, weights = null) {
+        const n = terms.length > 0 ? terms[0].length : 0;
+        if (n === 0 || terms.length < n) return null;
+
+        // 拡大係数行列 [AᵀWA | AᵀWy]
+        const matrix = Array.from({ length: n }, () => new Float64Array(n + 1));
+        terms.forEach((row, k) => {
+            const w = weights ? weights[k] : 1;
+            for (let i = 0; i < n; i++) {
+                const wi = w * row[i];
+                for (let j = i; j < n; j++) matrix[i][j] += wi * row[j];
+                matrix[i][n] += wi * values[k];
+            }
+        });
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < i; j++) matrix[i][j] = matrix[j][i];
+        }
+
+        const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])));
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+            }
+            if (!(Math.abs(matrix[pivot][column]) > 1e-12 * scale)) return null;
+            [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+
+            for (let row = column + 1; row < n; row++) {
+                const factor = matrix[row][column] / matrix[column][column];
+                if (factor === 0) continue;
+                for (let j = column; j <= n; j++) matrix[row][j] -= factor * matrix[column][j];
+            }
+        }
+
+        const solution = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = matrix[row][n];
+            for (let j = row + 1; j < n; j++) sum -= matrix[row][j] * solution[j];
+            solution[row] = sum / matrix[row][row];
+        }
+        return solution;
+    }
+
+    /**
+     * 格子上の値の等高線（マーチングスクエア法、線分をつないだ折れ線）
+     * @param {ArrayLike<number>} values - 格子点の値（行優先、xs.length × ys.length）
+     * @param {Array<number>} xs - 格子のX座標
+     * @param {Array<number>} ys - 格子のY座標
+     * @param {number} level - 等高線の値
+     * @returns {Array<Array<Object>>} 折れ線 [[{x, y}, ...], ...]（閉じた線は始点と終点が同じ）
+     */
+    static traceContours(values, xs, ys, level) {
+        const nx = xs.length;
+        const ny = ys.length;
+        const points = new Map();
+
+        // 格子の辺上の交点（辺のキーで共有する）
+        const crossing = (key, x0, y0, v0, x1, y1, v1) => {
+            if (!points.has(key)) {
+                const t = v1 === v0 ? 0.5 : (level - v0) / (v1 - v0);
+                points.set(key, { x: x0 + t * (x1 - x0), y: y0 + t * (y1 - y0) });
+            }
+            return key;
+        };
+
+        // セルの状態（4隅が値以上かどうか）ごとの交差する辺の組（0: 上、1: 右、2: 下、3: 左）
+        const cases = {
+            1: [[3, 2]], 2: [[2, 1]], 3: [[3, 1]], 4: [[0, 1]], 6: [[0, 2]], 7: [[0, 3]],
+            8: [[0, 3]], 9: [[0, 2]], 11: [[0, 1]], 12: [[3, 1]], 13: [[2, 1]], 14: [[3, 2]]
+        };
+        const segments = [];
+        for (let j = 0; j < ny - 1; j++) {
+            for (let i = 0; i < nx - 1; i++) {
+                const v0 = values[j * nx + i];
+                const v1 = values[j * nx + i + 1];
+                const v2 = values[(j + 1) * nx + i + 1];
+                const v3 = values[(j + 1) * nx + i];
+                const state = (v0 >= level ? 8 : 0) | (v1 >= level ? 4 : 0) | (v2 >= level ? 2 : 0) | (v3 >= level ? 1 : 0);
+                if (state === 0 || state === 15) continue;
+
+                let pairs = cases[state];
+                if (!pairs) {
+                    // 鞍点は中心の値で分け方を決める
+                    const centerAbove = (v0 + v1 + v2 + v3) / 4 >= level;
+                    pairs = (state === 5) === centerAbove ? [[0, 3], [2, 1]] : [[0, 1], [3, 2]];
+                }
+
+                const edge = (side) => {
+                    switch (side) {
+                        case 0: return crossing(`h${j},${i}`, xs[i], ys[j], v0, xs[i + 1], ys[j], v1);
+                        case 1: return crossing(`v${j},${i + 1}`, xs[i + 1], ys[j], v1, xs[i + 1], ys[j + 1], v2);
+                        case 2: return crossing(`h${j + 1},${i}`, xs[i], ys[j + 1], v3, xs[i + 1], ys[j + 1], v2);
+                        default: return crossing(`v${j},${i}`, xs[i], ys[j], v0, xs[i], ys[j + 1], v3);
+                    }
+                };
+                pairs.forEach(([a, b]) => segments.push([edge(a), edge(b)]));
+            }
+        }
+
+        // 交点を共有する線分をつなぐ（各交点は最大2本の線分に属する）
+        const byPoint = new Map();
+        segments.forEach((segment, index) => {
+            segment.forEach(key => {
+                if (!byPoint.has(key)) byPoint.set(key, []);
+                byPoint.get(key).push(index);
+            });
+        });
+        const used = new Uint8Array(segments.length);
+        const next = (key) => (byPoint.get(key) || []).find(index => !used[index]);
+        const lines = [];
+        segments.forEach((segment, start) => {
+            if (used[start]) return;
+            used[start] = 1;
+            const keys = segment.slice();
+            [true, false].forEach(forward => {
+                for (;;) {
+                    const key = forward ? keys[keys.length - 1] : keys[0];
+                    const index = next(key);
+                    if (index === undefined) break;
+                    used[index] = 1;
+                    const other = segments[index][0] === key ? segments[index][1] : segments[index][0];
+                    if (forward) keys.push(other);
+                    else keys.unshift(other);
+                }
+            });
+            lines.push(keys.map(key => points.get(key)));
+        });
+        return lines;
+    }
+
+    /**
+     * 結果に含まれる型付き配列のバッファを収集（Workerからの転送用）
+     * @param {*} value - 解析結果
+     * @param {Set} [buffers=new Set()] - 収集先
+     * @returns {Array} ArrayBufferの配列
+     */
+    static collectTransferables(value, buffers = new Set()) {
+        if (ArrayBuffer.isView(value)) {
+            buffers.add(value.buffer);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => AnalysisCore.collectTransferables(item, buffers));
+        }
+        return Array.from(buffers);
+    }
+}
+
+// 輝度式（重み付けなしはRGBの最大値）
+AnalysisCore.LUMA_FORMULAS = {
+    bt601: { label: 'BT.601', weights: [0.299, 0.587, 0.114] },
+    bt709: { label: 'BT.709', weights: [0.2126, 0.7152, 0.0722] },
+    bt2020: { label: 'BT.2020', weights: [0.2627, 0.6780, 0.0593] },
+    average: { label: '単純平均', weights: [1 / 3, 1 / 3, 1 / 3] },
+    max: { label: '最大値', weights: null },
+    green: { label: 'Gのみ', weights: [0, 1, 0] }
+};
+
+// 線形化に使う伝達特性（decodeは0〜1に正規化した符号値→線形値）
+AnalysisCore.TRANSFER_CURVES = {
+    none: { label: 'なし', decode: null },
+    srgb: {
+        label: 'sRGB',
+        decode: (v) => (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4))
+    },
+    bt709: {
+        label: 'BT.709',
+        decode: (v) => (v < 0.081 ? v / 4.5 : Math.pow((v + 0.099) / 1.099, 1 / 0.45))
+    },
+    gamma: {
+        label: 'ガンマ',
+        decode: (v, gamma) => Math.pow(v, gamma > 0 ? gamma : 2.2)
+    }
+};
+
+// 既定の輝度設定（従来どおりBT.601、線形化なし）
+AnalysisCore.DEFAULT_BRIGHTNESS_SETTINGS = { luma: 'bt601', transfer: 'none', gamma: 2.2 };
+
+// ROI統計でSN比を求めるチャンネル（先頭が輝度）
+AnalysisCore.NOISE_CHANNELS = ['brightness', 'red', 'green', 'blue'];
+
+// 順位の値の探索（selectRanks）で1回の走査に使うビン数と走査回数の上限
+AnalysisCore.SELECT_BINS = 4096;
+AnalysisCore.SELECT_MAX_PASSES = 8;
+
+// 雑音の定義（標準偏差・MADによるσ・平面除去後の標準偏差）
+AnalysisCore.NOISE_DEFINITIONS = {
+    stdDev: '標準偏差',
+    mad: 'MAD（1.4826×MAD）',
+    plane: '平面除去後の標準偏差'
+};
+
+// ピント指標（calculateFocusMetricsの結果のキーと表示名）
+AnalysisCore.FOCUS_METRICS = {
+    laplacianVariance: 'ラプラシアン分散',
+    tenengrad: 'Tenengrad',
+    normalizedGradient: '正規化勾配'
+};
+
+// 傾斜エッジ法のESFのオーバーサンプリング倍率
+AnalysisCore.MTF_OVERSAMPLING = 4;
+
+// シェーディングの減光モデル
+AnalysisCore.SHADING_MODELS = {
+    radial: '放射状（ρ²・ρ⁴・ρ⁶）',
+    polynomial: '2次元多項式（4次）'
+};
+
+// シェーディング解析のブロック数（長辺）・半径方向のプロファイルの区間数・光学中心の当てはめ直しの回数・等高線の値
+AnalysisCore.SHADING_BLOCKS = 64;
+AnalysisCore.SHADING_PROFILE_BINS = 24;
+AnalysisCore.SHADING_CENTER_ITERATIONS = 3;
+AnalysisCore.SHADING_CONTOUR_LEVELS = [0.95, 0.9, 0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.2, 0.1];
+
+// 相対照度を求める位置（画像の幅・高さに対する比）
+AnalysisCore.SHADING_POINTS = {
+    topLeft: { label: '左上', fx: 0, fy: 0 },
+    top: { label: '上', fx: 0.5, fy: 0 },
+    topRight: { label: '右上', fx: 1, fy: 0 },
+    left: { label: '左', fx: 0, fy: 0.5 },
+    right: { label: '右', fx: 1, fy: 0.5 },
+    bottomLeft: { label: '左下', fx: 0, fy: 1 },
+    bottom: { label: '下', fx: 0.5, fy: 1 },
+    bottomRight: { label: '右下', fx: 1, fy: 1 }
+};
+
+// 倍率色収差: 補間したプロファイルのサンプル間隔（画素）・放射方向とみなすラインと画像中心方向のなす角（度）・
+// マップの放射状のラインの本数・像高の区間数
+AnalysisCore.CA_SAMPLE_STEP = 0.25;
+AnalysisCore.CA_RADIAL_TOLERANCE = 10;
+AnalysisCore.CA_MAP_LINES = 16;
+AnalysisCore.CA_PROFILE_BINS = 10;
+
+// Workerから呼び出せる解析タスク
+AnalysisCore.TASKS = ['analyzePixels', 'analyzeGrid', 'analyzeFramePair', 'analyzeFixedPattern', 'analyzeSlantedEdge', 'analyzeShading', 'analyzeChromaticAberrationMap'];
+
+// Node.js（CommonJS）から利用する場合のエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisCore;
+}
@@ -0,0 +1,36 @@
+/**
+ * AnalysisCore - ES Module版
+ * CommonJS版（analysis-core.js）を読み込んで再エクスポートする（Node.js用）
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const AnalysisCore = require('./analysis-core.js');
+
+export default AnalysisCore;
+
+export const {
+    calculateBrightness,
+    calculateRegion,
+    clampRegion,
+    analyzePixels,
+    analyzeRegion,
+    analyzeGrid,
+    calculateGridUniformity,
+    analyzeFramePair,
+    fitPhotonTransfer,
+    averageFrames,
+    calibrateImage,
+    analyzeFixedPattern,
+    analyzeSlantedEdge,
+    analyzeShading,
+    calculateHistogramStatistics,
+    sampleLine,
+    sampleLineInterpolated,
+    findPeaks,
+    analyzeEdgeProfile,
+    findColorEdges,
+    analyzeChromaticAberration,
+    analyzeChromaticAberrationMap
+} = AnalysisCore;
@@ -0,0 +1,242 @@
+/**
+ * AnalysisWorkerPool - 解析Workerプール
+ * 解析タスクをWeb Workerに振り分け、進捗通知とキャンセルを提供する
+ * Workerを利用できない環境（file://など）ではメインスレッドで実行する
+ */
+
+class AnalysisWorkerPool {
+    /**
+     * @param {string} scriptUrl - WorkerスクリプトのURL
+     * @param {number} [size] - 最大Worker数
+     */
+    constructor(scriptUrl, size = AnalysisWorkerPool.getDefaultSize()) {
+        this.scriptUrl = scriptUrl;
+        this.size = size;
+        this.workers = [];
+        this.queue = [];
+        this.jobs = new Map();
+        this.nextJobId = 1;
+        this.workersAvailable = typeof Worker !== 'undefined';
+    }
+
+    /**
+     * 標準のWorker数（メインスレッド用に1コア残す）
+     * @returns {number} Worker数
+     */
+    static getDefaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
+
+    /**
+     * 解析タスクの実行
+     * @param {string} task - AnalysisCoreのタスク名
+     * @param {Object} payload - タスクの入力（画素データ等）
+     * @param {Object} [options] - {transfer: 転送するArrayBuffer, onProgress: 進捗コールバック, args: 追加引数}
+     * @returns {Object} {jobId, promise, cancel}
+     */
+    run(task, payload, options = {}) {
+        const job = {
+            id: this.nextJobId++,
+            task,
+            payload,
+            transfer: options.transfer || [],
+            onProgress: options.onProgress || null,
+            args: options.args || [],
+            entry: null,
+            state: 'queued'
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.dispatch();
+
+        return { jobId: job.id, promise: job.promise, cancel: () => this.cancel(job.id) };
+    }
+
+    /**
+     * 待機中のタスクを空いているWorkerに割り当てる
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            if (!this.workersAvailable) {
+                this.runInline(this.queue.shift());
+                continue;
+            }
+
+            const entry = this.workers.find(w => w.ready && !w.job);
+            if (!entry) {
+                // 起動中のWorkerがなければ追加で起動する（readyの通知で再度割り当て）
+                const hasStarting = this.workers.some(w => !w.ready);
+                if (!hasStarting && this.workers.length < this.size) {
+                    this.spawn();
+                }
+                if (!this.workersAvailable) continue;
+                return;
+            }
+
+            const job = this.queue.shift();
+            job.state = 'running';
+            job.entry = entry;
+            entry.job = job;
+            entry.worker.postMessage({ jobId: job.id, task: job.task, payload: job.payload, args: job.args }, job.transfer);
+        }
+    }
+
+    /**
+     * Workerの起動
+     */
+    spawn() {
+        let worker;
+        try {
+            worker = new Worker(this.scriptUrl);
+        } catch (error) {
+            console.warn('Worker unavailable, falling back to main thread:', error.message);
+            this.disableWorkers();
+            return;
+        }
+
+        const entry = { worker, ready: false, job: null };
+        worker.onmessage = (e) => this.handleMessage(entry, e.data);
+        worker.onerror = (e) => this.handleError(entry, e);
+        this.workers.push(entry);
+    }
+
+    /**
+     * Workerからのメッセージ処理
+     * @param {Object} entry - Worker情報
+     * @param {Object} data - メッセージ
+     */
+    handleMessage(entry, data) {
+        if (data.type === 'ready') {
+            entry.ready = true;
+            this.dispatch();
+            return;
+        }
+
+        const job = entry.job;
+        if (!job || job.id !== data.jobId) return;
+
+        switch (data.type) {
+            case 'progress':
+                if (job.onProgress) job.onProgress(data.progress);
+                break;
+            case 'result':
+                this.finishJob(entry, job);
+                job.resolve(data.result);
+                break;
+            case 'error':
+                this.finishJob(entry, job);
+                job.reject(new Error(data.message));
+                break;
+        }
+    }
+
+    /**
+     * Workerのエラー処理
+     * 起動前のエラー（スクリプト読み込み失敗）はWorkerを無効化してメインスレッドで実行する
+     * @param {Object} entry - Worker情報
+     * @param {ErrorEvent} e - エラーイベント
+     */
+    handleError(entry, e) {
+        e.preventDefault();
+        if (!entry.ready) {
+            console.warn('Worker failed to start, falling back to main thread:', e.message);
+            this.disableWorkers();
+            this.dispatch();
+            return;
+        }
+
+        console.error('Worker error:', e.message);
+        const job = entry.job;
+        this.removeWorker(entry);
+        if (job) {
+            this.jobs.delete(job.id);
+            job.reject(new Error(e.message || 'Workerでエラーが発生しました'));
+        }
+        this.dispatch();
+    }
+
+    /**
+     * メインスレッドでのタスク実行
+     * @param {Object} job - タスク
+     */
+    runInline(job) {
+        job.state = 'inline';
+        setTimeout(() => {
+            if (!this.jobs.has(job.id)) return;
+            this.jobs.delete(job.id);
+            try {
+                if (!AnalysisCore.TASKS.includes(job.task)) {
+                    throw new Error(`未対応の解析タスクです: ${job.task}`);
+                }
+                job.resolve(AnalysisCore[job.task](job.payload, job.onProgress, ...job.args));
+            } catch (error) {
+                job.reject(error);
+            }
+        }, 0);
+    }
+
+    /**
+     * タスクのキャンセル
+     * 実行中のWorkerは停止して新しいWorkerに置き換える
+     * @param {number} jobId - タスクID
+     */
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+        this.jobs.delete(jobId);
+
+        if (job.state === 'queued') {
+            this.queue = this.queue.filter(j => j !== job);
+        } else if (job.state === 'running' && job.entry) {
+            this.removeWorker(job.entry);
+            this.spawn();
+        }
+
+        const error = new Error('解析をキャンセルしました');
+        error.cancelled = true;
+        job.reject(error);
+        this.dispatch();
+    }
+
+    /**
+     * 完了したタスクの後処理
+     * @param {Object} entry - Worker情報
+     * @param {Object} job - タスク
+     */
+    finishJob(entry, job) {
+        entry.job = null;
+        this.jobs.delete(job.id);
+        this.dispatch();
+    }
+
+    /**
+     * Workerの停止と除去
+     * @param {Object} entry - Worker情報
+     */
+    removeWorker(entry) {
+        entry.worker.terminate();
+        this.workers = this.workers.filter(w => w !== entry);
+    }
+
+    /**
+     * Workerを無効化（以降はメインスレッドで実行）
+     */
+    disableWorkers() {
+        this.workersAvailable = false;
+        this.workers.forEach(entry => {
+            entry.worker.terminate();
+            // 転送済みの画素データは再利用できないため実行中のタスクは失敗とする
+            if (entry.job) {
+                this.jobs.delete(entry.job.id);
+                entry.job.reject(new Error('Workerが停止しました'));
+            }
+        });
+        this.workers = [];
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * 解析Worker
+ * AnalysisCoreの解析タスクをメインスレッド外で実行する
+ *
+ * 受信: {jobId, task, payload, args}（argsは進捗コールバックの後に渡す追加引数）
+ * 送信: {type: 'ready'} / {jobId, type: 'progress', progress} / {jobId, type: 'result', result} / {jobId, type: 'error', message}
+ */
+
+importScripts('analysis-core.js');
+
+self.onmessage = (e) => {
+    const { jobId, task, payload, args = [] } = e.data;
+
+    try {
+        if (!AnalysisCore.TASKS.includes(task)) {
+            throw new Error(`未対応の解析タスクです: ${task}`);
+        }
+
+        const result = AnalysisCore[task](payload, (progress) => {
+            self.postMessage({ jobId, type: 'progress', progress });
+        }, ...args);
+        self.postMessage({ jobId, type: 'result', result }, AnalysisCore.collectTransferables(result));
+    } catch (error) {
+        self.postMessage({ jobId, type: 'error', message: error.message });
+    }
+};
+
+// 読み込み完了を通知（プール側はこれを受けてから画素データを転送する）
+self.postMessage({ type: 'ready' });
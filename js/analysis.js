@@ -7,134 +7,234 @@ Object.assign(ImageAnalyzer.prototype, {
     
     /**
      * メイン解析実行（エントリーポイント）
+     * @param {Object} [roi] - 解析するROI（省略時は選択中のROI）
      */
-    performImageAnalysis() {
-        // 無限再帰防止
-        if (this.isAnalyzing) {
-            console.warn('Analysis already in progress, skipping');
+    performImageAnalysis(roi = this.getSelectedRoi()) {
+        if (!roi || !this.currentImage) {
+            console.error('Missing ROI or currentImage');
             return;
         }
-        
-        this.isAnalyzing = true;
-        
+
+        // 同じROIの実行中の解析は新しい解析で置き換える
+        this.cancelAnalysis(roi.id);
+
+        console.log('=== Starting Image Analysis ===', roi.name);
+
         try {
-            if (!this.currentRect || !this.currentImage) {
-                console.error('Missing currentRect or currentImage');
-                return;
-            }
+            const analysisRegion = roi.region;
 
-            console.log('=== Starting Image Analysis ===');
-            
-            // 元画像座標系での解析領域を計算
-            const analysisRegion = this.calculateAnalysisRegion();
-            if (!analysisRegion) {
-                this.setStatusMessage('解析領域が無効です');
-                return;
-            }
-            
-            // 元画像データの抽出
-            const imageData = this.extractImageData(analysisRegion);
+            // 元画像データの抽出（矩形以外は形状マスク付き）
+            const imageData = this.extractImageData(analysisRegion, roi);
             if (!imageData) {
                 this.setStatusMessage('画像データの取得に失敗');
                 return;
             }
-            
-            // ピクセルデータの解析
-            const analysisResults = this.analyzePixelData(imageData);
-            if (!analysisResults) {
-                this.setStatusMessage('ピクセル解析に失敗');
-                return;
-            }
-            
-            // 解析結果の保存と表示更新
-            this.saveAnalysisResults(analysisResults);
-            this.updateAnalysisDisplay(analysisResults, analysisRegion);
-            
-            this.setStatusMessage(`解析完了: ${analysisRegion.width} × ${analysisRegion.height} px`);
+
+            // ピクセルデータの解析（Workerへ画素バッファを転送）
+            // ピント指標は選択中のROIとピント合わせモードでのみ求める
+            const focus = this.focusAssist.enabled || roi.id === this.selectedRoiId;
+            const job = this.getAnalysisPool().run('analyzePixels', imageData, {
+                transfer: AnalysisCore.collectTransferables(imageData),
+                args: [this.brightnessSettings, focus],
+                onProgress: (progress) => {
+                    const entry = this.analysisJobs.get(roi.id);
+                    if (entry && entry.job === job) {
+                        entry.progress = progress;
+                        this.updateAnalyzingState();
+                    }
+                }
+            });
+            // 2枚目の画像があれば時間ノイズ・空間ノイズの分離、エッジMTF ROIであればMTFも同時に求める
+            const pairJob = this.runFramePairAnalysis(roi);
+            const mtfJob = this.runEdgeMtfAnalysis(roi);
+            // rerun: 解析中にROIが編集された（完了後に最新の領域で解析し直す、scheduleRoiAnalysis参照）
+            const entry = { job, pairJob, mtfJob, progress: 0, rerun: false };
+            this.analysisJobs.set(roi.id, entry);
+            this.updateAnalyzingState();
+            this.updateRoiTable();
+
+            const isCurrent = () => this.analysisJobs.get(roi.id) === entry;
+
+            Promise.all([job.promise, pairJob ? pairJob.promise : null, mtfJob ? mtfJob.promise : null])
+                .then(([analysisResults, frameNoise, mtf]) => {
+                    if (!isCurrent()) return;
+                    this.finishAnalysis(roi.id);
+
+                    if (!analysisResults) {
+                        this.updateRoiTable();
+                        this.recordFocusSample(roi);
+                        this.setStatusMessage('ピクセル解析に失敗');
+                        return;
+                    }
+
+                    // 解析結果の保存と表示更新（表示は選択中のROIのみ）
+                    analysisResults.frameNoise = frameNoise;
+                    analysisResults.mtf = mtf;
+                    this.saveAnalysisResults(analysisResults, roi);
+                    if (roi.id === this.selectedRoiId) {
+                        this.updateAnalysisDisplay(analysisResults, analysisRegion);
+                    }
+                    this.updateRoiTable();
+                    this.recordFocusSample(roi);
+
+                    this.setStatusMessage(`解析完了: ${roi.name} (${analysisRegion.width} × ${analysisRegion.height} px)`);
+                    console.log('=== Image Analysis Complete ===', roi.name);
+                })
+                .catch(error => {
+                    if (error.cancelled || !isCurrent()) return;
+                    // 失敗したタスク以外（SN比・2フレーム・MTF）の実行中のタスクも止める
+                    [job, pairJob, mtfJob].forEach(item => item && item.cancel());
+                    this.finishAnalysis(roi.id);
+                    this.updateRoiTable();
+                    this.recordFocusSample(roi);
+                    console.error('Error in image analysis:', error);
+                    this.setStatusMessage('解析エラー: ' + error.message);
+                })
+                .then(() => {
+                    if (entry.rerun && this.getRoi(roi.id) === roi) {
+                        this.performImageAnalysis(roi);
+                    }
+                });
             
         } catch (error) {
             console.error('Error in image analysis:', error);
             this.setStatusMessage('解析エラー: ' + error.message);
-        } finally {
-            this.isAnalyzing = false;
+            this.finishAnalysis(roi.id);
+        }
+    },
+
+    /**
+     * 解析Workerプールの取得（初回に生成）
+     * @returns {AnalysisWorkerPool} Workerプール
+     */
+    getAnalysisPool() {
+        if (!this.analysisPool) {
+            this.analysisPool = new AnalysisWorkerPool('js/analysis-worker.js');
+        }
+        return this.analysisPool;
+    },
+
+    /**
+     * 実行中の解析のキャンセル
+     * @param {number} [roiId] - 対象のROI ID（省略時は全ROI）
+     */
+    cancelAnalysis(roiId = null) {
+        const ids = roiId === null ? Array.from(this.analysisJobs.keys()) : [roiId];
+        ids.forEach(id => {
+            const entry = this.analysisJobs.get(id);
+            if (!entry) return;
+            entry.rerun = false;
+            entry.job.cancel();
+            if (entry.pairJob) entry.pairJob.cancel();
+            if (entry.mtfJob) entry.mtfJob.cancel();
+            this.analysisJobs.delete(id);
+            console.log('Analysis cancelled:', id);
+        });
+        this.updateAnalyzingState();
+    },
+
+    /**
+     * 解析状態の終了処理
+     * @param {number} roiId - 対象のROI ID
+     */
+    finishAnalysis(roiId) {
+        this.analysisJobs.delete(roiId);
+        this.updateAnalyzingState();
+    },
+
+    /**
+     * 解析中フラグと進捗表示の更新
+     * 解析中フラグは選択中のROIの解析を待っている間だけ立てる（ヒストグラム更新の抑止用）
+     */
+    updateAnalyzingState() {
+        this.isAnalyzing = this.analysisJobs.has(this.selectedRoiId);
+
+        if (this.analysisJobs.size === 0) {
+            this.hideAnalysisProgress();
+            return;
+        }
+
+        // 進捗は実行中の全ROIの平均
+        let total = 0;
+        this.analysisJobs.forEach(entry => {
+            total += entry.progress;
+        });
+        this.showAnalysisProgress(total / this.analysisJobs.size);
+    },
+
+    /**
+     * 解析進捗の表示
+     * @param {number} progress - 進捗（0〜1）
+     */
+    showAnalysisProgress(progress) {
+        const container = document.getElementById('analysisProgress');
+        const fill = document.getElementById('analysisProgressFill');
+        const text = document.getElementById('analysisProgressText');
+        if (!container) return;
+
+        const percent = Math.round(progress * 100);
+        const count = this.analysisJobs.size > 1 ? ` (${this.analysisJobs.size}件)` : '';
+        container.classList.remove('hidden');
+        if (fill) fill.style.width = `${percent}%`;
+        if (text) text.textContent = `解析中${count}... ${percent}%`;
+    },
+
+    /**
+     * 解析進捗の非表示
+     */
+    hideAnalysisProgress() {
+        const container = document.getElementById('analysisProgress');
+        if (container) container.classList.add('hidden');
+    },
+
+    /**
+     * 解析中止ボタンの初期化
+     */
+    initAnalysisControls() {
+        const cancelButton = document.getElementById('cancelAnalysis');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => {
+                if (this.analysisJobs.size === 0) return;
+                this.cancelAnalysis();
+                this.updateRoiTable();
+                this.setStatusMessage('解析を中止しました');
+            });
         }
-        
-        console.log('=== Image Analysis Complete ===');
     },
 
     /**
      * 解析領域の計算（表示座標→元画像座標）
+     * @param {Object} rect - 表示座標の矩形 {x, y, width, height}
      * @returns {Object|null} 解析領域情報
      */
-    calculateAnalysisRegion() {
-        const scaleX = this.currentImage.width / this.displayedWidth;
-        const scaleY = this.currentImage.height / this.displayedHeight;
-        
-        // 矩形座標を元画像基準に変換
-        const rectStartX = Math.round((this.currentRect.x - this.imageOffsetX) * scaleX);
-        const rectStartY = Math.round((this.currentRect.y - this.imageOffsetY) * scaleY);
-        const rectWidth = Math.round(this.currentRect.width * scaleX);
-        const rectHeight = Math.round(this.currentRect.height * scaleY);
-        
-        // 元画像の範囲内に制限
-        const clampedStartX = Math.max(0, Math.min(this.currentImage.width - 1, rectStartX));
-        const clampedStartY = Math.max(0, Math.min(this.currentImage.height - 1, rectStartY));
-        const clampedEndX = Math.max(0, Math.min(this.currentImage.width, rectStartX + rectWidth));
-        const clampedEndY = Math.max(0, Math.min(this.currentImage.height, rectStartY + rectHeight));
-        
-        const finalWidth = clampedEndX - clampedStartX;
-        const finalHeight = clampedEndY - clampedStartY;
-        
-        console.log('Analysis region calculated:', {
-            original: { x: rectStartX, y: rectStartY, w: rectWidth, h: rectHeight },
-            clamped: { x: clampedStartX, y: clampedStartY, w: finalWidth, h: finalHeight }
+    calculateAnalysisRegion(rect) {
+        const region = AnalysisCore.calculateRegion(rect, {
+            imageWidth: this.currentImage.width,
+            imageHeight: this.currentImage.height,
+            displayedWidth: this.displayedWidth,
+            displayedHeight: this.displayedHeight,
+            offsetX: this.imageOffsetX,
+            offsetY: this.imageOffsetY
         });
-        
-        if (finalWidth <= 0 || finalHeight <= 0) {
-            console.error('Invalid analysis region dimensions:', finalWidth, 'x', finalHeight);
-            return null;
-        }
-        
-        return {
-            x: clampedStartX,
-            y: clampedStartY,
-            width: finalWidth,
-            height: finalHeight
-        };
+
+        console.log('Analysis region calculated:', region);
+        return region;
     },
 
     /**
      * 元画像データの抽出
      * @param {Object} region - 解析領域 {x, y, width, height}
-     * @returns {ImageData|null} 画像データ
+     * @param {Object} [roi=null] - ROI（矩形以外の形状は内側の画素のみ解析するマスクを付ける）
+     * @returns {ImageModel|null} 領域の画像データ（ネイティブビット深度）
      */
-    extractImageData(region) {
+    extractImageData(region, roi = null) {
+        if (!this.imageModel) return null;
+
         try {
-            // 解析用の隠しCanvas作成
-            const analysisCanvas = document.createElement('canvas');
-            const analysisCtx = analysisCanvas.getContext('2d');
-            
-            analysisCanvas.width = region.width;
-            analysisCanvas.height = region.height;
-            
-            // 元画像の指定領域を描画
-            analysisCtx.drawImage(
-                this.currentImage,
-                region.x, region.y, region.width, region.height,
-                0, 0, region.width, region.height
-            );
-            
-            // ピクセルデータを取得
-            const imageData = analysisCtx.getImageData(0, 0, region.width, region.height);
-            
-            console.log('Image data extracted:', imageData.data.length, 'bytes');
-            
-            // メモリクリーンアップ
-            analysisCanvas.width = 0;
-            analysisCanvas.height = 0;
-            
-            return imageData;
-            
+            const regionModel = this.imageModel.extractRegion(region);
+            regionModel.mask = roi ? this.createRoiMask(roi) : null;
+            console.log('Image data extracted:', regionModel.pixelCount, 'pixels,', regionModel.bitDepth, 'bit');
+            return regionModel;
         } catch (error) {
             console.error('Error extracting image data:', error);
             return null;
@@ -142,99 +242,52 @@ Object.assign(ImageAnalyzer.prototype, {
     },
 
     /**
-     * ピクセルデータの解析
-     * @param {ImageData} imageData - 画像データ
-     * @returns {Object|null} 解析結果
+     * ピクセルデータの解析（メインスレッドで同期実行）
+     * @param {ImageModel} imageData - 領域の画像データ（maskがあれば内側の画素のみ）
+     * @returns {Object|null} 解析結果（値はネイティブビット深度のDN）
      */
     analyzePixelData(imageData) {
-        const pixels = imageData.data;
-        
-        if (pixels.length === 0) {
-            console.error('No pixel data to analyze');
-            return null;
-        }
-        
-        const brightnesses = [];
-        const statistics = {
-            brightnessHistogram: new Array(256).fill(0),
-            redHistogram: new Array(256).fill(0),
-            greenHistogram: new Array(256).fill(0),
-            blueHistogram: new Array(256).fill(0),
-            validPixelCount: 0
-        };
-
-        // 各ピクセルを解析
-        for (let i = 0; i < pixels.length; i += 4) {
-            const r = pixels[i];
-            const g = pixels[i + 1];
-            const b = pixels[i + 2];
-            const a = pixels[i + 3];
-            
-            // 透明でないピクセルのみ処理
-            if (a > 0) {
-                // 輝度値計算（ITU-R BT.709標準）
-                const brightness = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
-                brightnesses.push(brightness);
-                
-                // ヒストグラム更新
-                if (brightness >= 0 && brightness <= 255) statistics.brightnessHistogram[brightness]++;
-                if (r >= 0 && r <= 255) statistics.redHistogram[r]++;
-                if (g >= 0 && g <= 255) statistics.greenHistogram[g]++;
-                if (b >= 0 && b <= 255) statistics.blueHistogram[b]++;
-                
-                statistics.validPixelCount++;
-            }
-        }
-
-        if (brightnesses.length === 0) {
-            console.error('No valid brightness data');
-            return null;
-        }
-
-        // 統計値計算
-        const mean = brightnesses.reduce((sum, val) => sum + val, 0) / brightnesses.length;
-        const variance = brightnesses.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / brightnesses.length;
-        const stdDev = Math.sqrt(variance);
-        const snRatio = stdDev > 0 ? mean / stdDev : Infinity;
-
-        console.log('Pixel analysis completed:', {
-            totalPixels: brightnesses.length,
-            mean: mean.toFixed(2),
-            stdDev: stdDev.toFixed(2),
-            snRatio: snRatio === Infinity ? '∞' : snRatio.toFixed(2)
-        });
-
-        return {
-            brightnesses,
-            statistics,
-            snData: { mean, stdDev, snRatio, pixelCount: brightnesses.length }
-        };
+        return AnalysisCore.analyzePixels(imageData, null, this.brightnessSettings);
     },
 
     /**
      * 解析結果の保存
      * @param {Object} results - 解析結果
+     * @param {Object} roi - 解析したROI
      */
-    saveAnalysisResults(results) {
-        // ヒストグラムデータを保存
-        this.currentHistogramData = {
-            brightness: results.statistics.brightnessHistogram,
-            red: results.statistics.redHistogram,
-            green: results.statistics.greenHistogram,
-            blue: results.statistics.blueHistogram
+    saveAnalysisResults(results, roi) {
+        // ヒストグラムデータをROIごとに保存
+        // Workerから転送された型付き配列は通常の配列に変換して保持
+        roi.snData = results.snData;
+        roi.frameNoise = results.frameNoise || null;
+        roi.mtf = results.mtf || null;
+        roi.focus = results.focus || null;
+        roi.histograms = {
+            brightness: Array.from(results.statistics.brightnessHistogram),
+            red: Array.from(results.statistics.redHistogram),
+            green: Array.from(results.statistics.greenHistogram),
+            blue: Array.from(results.statistics.blueHistogram),
+            offset: results.statistics.histogramOffset || 0
         };
-        
-        console.log('Analysis results saved to currentHistogramData');
+
+        // 選択中のROIであれば表示中のヒストグラムとする
+        if (roi.id === this.selectedRoiId) {
+            this.currentHistogramData = roi.histograms;
+        }
+        console.log('Analysis results saved:', roi.name);
     },
 
     /**
      * 解析結果の表示更新
-     * @param {Object} results - 解析結果
+     * @param {Object} results - 解析結果（またはROI） {snData, focus, frameNoise, mtf}
      * @param {Object} region - 解析領域
      */
     updateAnalysisDisplay(results, region) {
         // SN比表示の更新
         this.updateSNRatioDisplay(results.snData);
+        this.updateFocusDisplay(results.focus || null);
+        this.updateFrameNoiseDisplay(results.frameNoise || null);
+        this.updateEdgeMtfDisplay(results.mtf || null);
         
         // ヒストグラム表示の更新（非同期で安全に）
         setTimeout(() => {
@@ -245,8 +298,29 @@ Object.assign(ImageAnalyzer.prototype, {
     },
 
     /**
-     * SN比表示の更新
-     * @param {Object} snData - SN比データ {mean, stdDev, snRatio, pixelCount}
+     * SN比・ヒストグラム表示のクリア
+     */
+    clearAnalysisDisplay() {
+        this.currentHistogramData = null;
+
+        const elements = ['snRatio', 'signalValue', 'noiseValue', 'pixelCount', 'avgBrightness'];
+        elements.forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = '--';
+        });
+        this.updateFrameNoiseDisplay(null);
+        this.updateChannelSnDisplay(null);
+        this.updateFocusDisplay(null);
+        this.updateEdgeMtfDisplay(null);
+
+        if (this.drawEmptyHistogram) {
+            this.drawEmptyHistogram();
+        }
+    },
+
+    /**
+     * SN比表示の更新（雑音は選択中の定義）
+     * @param {Object} snData - SN比データ {mean, stdDev, snRatio, pixelCount, channels}
      */
     updateSNRatioDisplay(snData) {
         try {
@@ -257,15 +331,16 @@ Object.assign(ImageAnalyzer.prototype, {
                 pixels: document.getElementById('pixelCount'),
                 brightness: document.getElementById('avgBrightness')
             };
+            const measure = this.getNoiseMeasure(snData);
 
             if (elements.snRatio) {
-                elements.snRatio.textContent = snData.snRatio === Infinity ? '∞' : snData.snRatio.toFixed(2);
+                elements.snRatio.textContent = this.formatSnRatio(measure);
             }
             if (elements.signal) {
                 elements.signal.textContent = snData.mean.toFixed(1);
             }
             if (elements.noise) {
-                elements.noise.textContent = snData.stdDev.toFixed(2);
+                elements.noise.textContent = this.formatRoiStat(measure.noise, 2) || '--';
             }
             if (elements.pixels) {
                 elements.pixels.textContent = snData.pixelCount.toLocaleString();
@@ -274,6 +349,8 @@ Object.assign(ImageAnalyzer.prototype, {
                 elements.brightness.textContent = snData.mean.toFixed(1);
             }
 
+            this.updateChannelSnDisplay(snData);
+
             console.log('SN Ratio display updated successfully');
             
         } catch (error) {
@@ -281,65 +358,94 @@ Object.assign(ImageAnalyzer.prototype, {
         }
     },
 
+    /**
+     * 選択中の雑音の定義によるチャンネルの雑音とSN比
+     * @param {Object|null} snData - SN比データ
+     * @param {string} [channel='brightness'] - 'brightness' / 'red' / 'green' / 'blue'
+     * @returns {Object} {noise, snRatio, snRatioDb}（値がない場合はnull）
+     */
+    getNoiseMeasure(snData, channel = 'brightness') {
+        const measures = snData && snData.channels && snData.channels[channel];
+        if (!measures) {
+            // チャンネル別の統計がない結果（旧形式）は輝度の標準偏差のみ
+            const available = snData && channel === 'brightness';
+            return {
+                noise: available ? snData.stdDev : null,
+                snRatio: available ? snData.snRatio : null,
+                snRatioDb: available ? AnalysisCore.toDecibels(snData.snRatio) : null
+            };
+        }
+        const definition = this.noiseDefinition;
+        return {
+            noise: measures.noise[definition],
+            snRatio: measures.snRatios[definition],
+            snRatioDb: measures.snRatiosDb[definition]
+        };
+    },
+
+    /**
+     * SN比とデシベルの表示文字列
+     * @param {Object} measure - getNoiseMeasureの結果
+     * @returns {string} 例: '42.10 (32.5 dB)'
+     */
+    formatSnRatio(measure) {
+        if (measure.snRatio === null || measure.snRatio === undefined) return '--';
+        const ratio = this.formatRoiStat(measure.snRatio, 2);
+        return measure.snRatioDb === null ? ratio : `${ratio} (${this.formatRoiStat(measure.snRatioDb, 1)} dB)`;
+    },
+
+    /**
+     * チャンネル別（R・G・B・輝度）のSN比表の更新
+     * @param {Object|null} snData - SN比データ（nullで表示をクリア）
+     */
+    updateChannelSnDisplay(snData) {
+        const body = document.getElementById('channelSnBody');
+        if (!body) return;
+
+        body.innerHTML = '';
+        ImageAnalyzer.SN_CHANNELS.forEach(({ key, label }) => {
+            const measure = this.getNoiseMeasure(snData, key);
+            const row = document.createElement('tr');
+            [
+                label,
+                this.formatRoiStat(measure.snRatio, 2) || '--',
+                this.formatRoiStat(measure.snRatioDb, 1) || '--',
+                this.formatRoiStat(measure.noise, 2) || '--'
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    },
+
+    /**
+     * 雑音の定義の切り替え（解析済みの結果から表示・一覧を作り直す）
+     * @param {string} definition - AnalysisCore.NOISE_DEFINITIONSのキー
+     */
+    setNoiseDefinition(definition) {
+        this.noiseDefinition = AnalysisCore.NOISE_DEFINITIONS[definition] ? definition : 'stdDev';
+
+        const label = document.getElementById('noiseLabel');
+        if (label) label.textContent = `雑音 (${AnalysisCore.NOISE_DEFINITIONS[this.noiseDefinition]})`;
+
+        const roi = this.getSelectedRoi();
+        if (roi && roi.snData) {
+            this.updateSNRatioDisplay(roi.snData);
+            this.updateHistogramInfo();
+        }
+        this.updateRoiTable();
+        this.setStatusMessage(`雑音の定義: ${AnalysisCore.NOISE_DEFINITIONS[this.noiseDefinition]}`);
+    },
+
     /**
      * ヒストグラム統計の計算
      * @param {Array} histogram - ヒストグラムデータ
      * @returns {Object} 統計情報
      */
     calculateHistogramStatistics(histogram) {
-        const totalPixels = histogram.reduce((sum, val) => sum + val, 0);
-        if (totalPixels === 0) return null;
-        
-        // 平均値計算
-        let sum = 0;
-        for (let i = 0; i < histogram.length; i++) {
-            sum += i * histogram[i];
-        }
-        const mean = sum / totalPixels;
-        
-        // 中央値計算
-        let median = 0;
-        let cumSum = 0;
-        for (let i = 0; i < histogram.length; i++) {
-            cumSum += histogram[i];
-            if (cumSum >= totalPixels / 2) {
-                median = i;
-                break;
-            }
-        }
-        
-        // 最頻値（モード）
-        const maxValue = Math.max(...histogram);
-        const mode = histogram.indexOf(maxValue);
-        
-        // 標準偏差計算
-        let variance = 0;
-        for (let i = 0; i < histogram.length; i++) {
-            const count = histogram[i];
-            variance += count * Math.pow(i - mean, 2);
-        }
-        const stdDev = Math.sqrt(variance / totalPixels);
-        
-        // 値の範囲
-        let minValue = -1, maxValueIndex = -1;
-        for (let i = 0; i < histogram.length; i++) {
-            if (histogram[i] > 0) {
-                if (minValue === -1) minValue = i;
-                maxValueIndex = i;
-            }
-        }
-        
-        return {
-            totalPixels,
-            mean,
-            median,
-            mode,
-            stdDev,
-            maxValue,
-            minValue: minValue !== -1 ? minValue : 0,
-            maxValueIndex: maxValueIndex !== -1 ? maxValueIndex : 0,
-            range: maxValueIndex !== -1 ? maxValueIndex - minValue : 0
-        };
+        return AnalysisCore.calculateHistogramStatistics(histogram, this.getHistogramOffset());
     },
 
     /**
@@ -373,4 +479,12 @@ Object.assign(ImageAnalyzer.prototype, {
         // 新しい解析システムでは不要（互換性のために残す）
         console.log('Legacy calculateSNRatio called - using new analysis system');
     }
-});
\ No newline at end of file
+});
+
+// チャンネル別SN比表の行（表示順）
+ImageAnalyzer.SN_CHANNELS = [
+    { key: 'red', label: 'R' },
+    { key: 'green', label: 'G' },
+    { key: 'blue', label: 'B' },
+    { key: 'brightness', label: '輝度' }
+];
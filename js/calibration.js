@@ -0,0 +1,229 @@
+/**
+ * ImageAnalyzer - ダーク減算・フラット補正モジュール
+ * 複数の暗画像・明画像（均一光源）を平均したマスターダーク・マスターフラットを登録し、
+ * 読み込んだ画像を (raw − dark) / 正規化(flat − dark) で補正してから解析する
+ * 補正後の画像がROI統計・ヒストグラム・ラインプロファイルの対象となり、補正前の表示にも切り替えられる
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * 補正操作の初期化
+     */
+    initCalibration() {
+        ['dark', 'flat'].forEach(kind => {
+            const suffix = kind === 'dark' ? 'Dark' : 'Flat';
+            const button = document.getElementById(`calibration${suffix}Button`);
+            const input = document.getElementById(`calibration${suffix}Input`);
+            if (!button || !input) return;
+
+            button.addEventListener('click', () => input.click());
+            input.addEventListener('change', (e) => {
+                const files = Array.from(e.target.files);
+                e.target.value = '';
+                if (files.length > 0) this.loadCalibrationFrames(kind, files);
+            });
+        });
+
+        const clearBtn = document.getElementById('clearCalibration');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.calibration.dark = null;
+                this.calibration.flat = null;
+                this.updateCalibration();
+                this.setStatusMessage('ダーク・フラット補正を解除しました');
+            });
+        }
+
+        const viewSelect = document.getElementById('calibrationView');
+        if (viewSelect) {
+            viewSelect.addEventListener('change', () => {
+                this.calibration.showCorrected = viewSelect.value !== 'raw';
+                this.showCalibrationView();
+            });
+        }
+
+        this.updateCalibrationInfo();
+    },
+
+    /**
+     * マスターフレームの作成（選択したファイルの平均）
+     * @param {string} kind - 'dark' / 'flat'
+     * @param {Array<File>} files - 画像ファイル
+     */
+    async loadCalibrationFrames(kind, files) {
+        const label = kind === 'dark' ? 'ダーク' : 'フラット';
+        try {
+            const frames = [];
+            for (const file of files) {
+                this.setStatusMessage(`${label}フレームを読み込み中... ${frames.length + 1} / ${files.length}（${file.name}）`);
+                const { model } = await this.decodeFrameFile(file);
+                frames.push(model);
+            }
+
+            const master = AnalysisCore.averageFrames(frames);
+            this.calibration[kind] = { names: files.map(file => file.name), master };
+            this.updateCalibration();
+            this.setStatusMessage(`マスター${label}を登録しました（${files.length}枚の平均、${master.width} × ${master.height} px）`);
+        } catch (error) {
+            this.showError(`マスター${label}の作成に失敗しました: ${error.message}`, error);
+        }
+    },
+
+    /**
+     * 補正フレームが登録されているかどうか
+     * @returns {boolean} ダーク・フラットのいずれかがあればtrue
+     */
+    hasCalibration() {
+        return !!(this.calibration.dark || this.calibration.flat);
+    },
+
+    /**
+     * 画像モデルの補正
+     * @param {ImageModel} model - 補正前の画像モデル
+     * @returns {ImageModel|null} 補正後の画像モデル（補正フレームがない・サイズが異なる場合はnull）
+     */
+    calibrateModel(model) {
+        if (!this.hasCalibration()) return null;
+        const dark = this.calibration.dark && this.calibration.dark.master;
+        const flat = this.calibration.flat && this.calibration.flat.master;
+        const mismatch = [dark, flat].some(master => master && (master.width !== model.width || master.height !== model.height));
+        if (mismatch) return null;
+
+        const channels = AnalysisCore.calibrateImage(model, dark, flat);
+        return new ImageModel(model.width, model.height, model.bitDepth, channels, model.alpha, model.containerBits);
+    },
+
+    /**
+     * 読み込んだ画像の補正（補正前後の画像モデルを保持し、表示する方を解析対象とする）
+     * @param {HTMLImageElement|HTMLCanvasElement} source - 補正前の描画可能な画像ソース
+     * @returns {HTMLImageElement|HTMLCanvasElement} 表示する画像ソース
+     */
+    prepareCalibratedImage(source) {
+        this.uncorrectedModel = this.imageModel;
+        this.correctedModel = null;
+        this.uncorrectedSource = source;
+
+        if (this.imageModel && this.hasCalibration()) {
+            try {
+                this.correctedModel = this.calibrateModel(this.imageModel);
+            } catch (error) {
+                console.error('Calibration error:', error);
+            }
+        }
+
+        let displaySource = source;
+        if (this.correctedModel && this.calibration.showCorrected) {
+            this.imageModel = this.correctedModel;
+            displaySource = this.createCanvasFromRGBA(this.correctedModel.width, this.correctedModel.height, this.correctedModel.toRGBA8());
+        }
+        this.updateCalibrationInfo();
+        return displaySource;
+    },
+
+    /**
+     * 補正フレームの変更を表示中の画像に反映（ROIは保持して再解析）
+     */
+    updateCalibration() {
+        if (this.secondFrame) this.secondFrame.correctedModel = null;
+
+        if (!this.uncorrectedModel) {
+            this.updateCalibrationInfo();
+            return;
+        }
+
+        try {
+            this.correctedModel = this.calibrateModel(this.uncorrectedModel);
+        } catch (error) {
+            this.correctedModel = null;
+            this.showError('補正に失敗しました', error);
+        }
+        this.updateCalibrationInfo();
+        this.showCalibrationView(true);
+    },
+
+    /**
+     * 補正前・補正後の表示の切り替え（解析対象も切り替えて再解析）
+     * @param {boolean} [force=false] - 同じ表示でも画像を差し替える（補正内容の変更時）
+     */
+    showCalibrationView(force = false) {
+        if (!this.uncorrectedModel) return;
+
+        const corrected = this.calibration.showCorrected && this.correctedModel;
+        const target = corrected ? this.correctedModel : this.uncorrectedModel;
+        if (target === this.imageModel && !force) return;
+
+        this.imageModel = target;
+        this.currentImage = corrected
+            ? this.createCanvasFromRGBA(target.width, target.height, target.toRGBA8())
+            : this.uncorrectedSource;
+        this.redrawCanvas();
+        this.refreshAnalyses();
+        this.updateCalibrationInfo();
+    },
+
+    /**
+     * 2枚目の画像（2フレーム解析）の補正後の画像モデル
+     * 表示中の画像が補正後であれば2枚目も同じ補正をかける
+     * @returns {ImageModel|null} 解析に使う2枚目の画像モデル
+     */
+    getSecondFrameModel() {
+        if (!this.secondFrame) return null;
+        if (!this.correctedModel || this.imageModel !== this.correctedModel) {
+            return this.secondFrame.model;
+        }
+        if (!this.secondFrame.correctedModel) {
+            this.secondFrame.correctedModel = this.calibrateModel(this.secondFrame.model);
+        }
+        return this.secondFrame.correctedModel;
+    },
+
+    /**
+     * 補正内容の説明（CSV出力用）
+     * @returns {string} 例: 'ダーク3枚・フラット5枚'（補正していない場合は空文字）
+     */
+    describeCalibration() {
+        if (!this.correctedModel || this.imageModel !== this.correctedModel) return '';
+        const parts = [];
+        if (this.calibration.dark) parts.push(`ダーク${this.calibration.dark.names.length}枚`);
+        if (this.calibration.flat) parts.push(`フラット${this.calibration.flat.names.length}枚`);
+        return parts.join('・');
+    },
+
+    /**
+     * 補正フレームと適用状態の表示更新
+     */
+    updateCalibrationInfo() {
+        const labels = { dark: 'calibrationDarkName', flat: 'calibrationFlatName' };
+        Object.entries(labels).forEach(([kind, id]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            const entry = this.calibration[kind];
+            element.textContent = entry
+                ? `${entry.names.length}枚の平均（${entry.master.width} × ${entry.master.height}）`
+                : '未登録';
+            element.title = entry ? entry.names.join('\n') : '';
+        });
+
+        const clearBtn = document.getElementById('clearCalibration');
+        if (clearBtn) clearBtn.disabled = !this.hasCalibration();
+
+        const viewSelect = document.getElementById('calibrationView');
+        if (viewSelect) {
+            viewSelect.value = this.calibration.showCorrected ? 'corrected' : 'raw';
+            viewSelect.disabled = !this.correctedModel;
+        }
+
+        const info = document.getElementById('calibrationInfo');
+        if (!info) return;
+        if (!this.hasCalibration()) {
+            info.textContent = '補正なし';
+        } else if (!this.uncorrectedModel) {
+            info.textContent = '画像を読み込むと補正して解析します';
+        } else if (!this.correctedModel) {
+            info.textContent = `補正フレームのサイズが画像（${this.uncorrectedModel.width} × ${this.uncorrectedModel.height}）と異なるため補正していません`;
+        } else {
+            info.textContent = this.imageModel === this.correctedModel ? '補正後の画像を解析中' : '補正前の画像を解析中';
+        }
+    }
+});
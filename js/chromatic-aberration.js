@@ -0,0 +1,357 @@
+/**
+ * ImageAnalyzer - 倍率色収差マップモジュール
+ * チャート画像（ドット・グリッドなど）を画像中心から放射状のラインで測定するか、ラインプロファイルで測定したエッジを追加して、
+ * 像高ごとのR-G・B-Gのずれ（外向きが正）をグラフに、画像中心からの距離に対するずれの比と隅でのずれを表示する
+ * 測定点はずれの大きさで色分けしたマーカーとしてキャンバスに重ねる
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * 倍率色収差マップの操作の初期化
+     */
+    initChromaticAberration() {
+        const runBtn = document.getElementById('runCaMap');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.performChromaticAberrationMap());
+        }
+
+        const addBtn = document.getElementById('addCaLine');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addLineChromaticAberration());
+        }
+
+        const clearBtn = document.getElementById('clearCaMap');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearChromaticAberrationMap();
+                this.redrawCanvas();
+            });
+        }
+
+        this.updateChromaticAberrationSummary();
+        this.drawChromaticAberrationMap();
+    },
+
+    /**
+     * 表示中の画像全体を放射状のラインで測定してマップを作り直す
+     */
+    performChromaticAberrationMap() {
+        if (!this.currentImage || !this.imageModel) {
+            this.setStatusMessage('まず画像を読み込んでください');
+            return;
+        }
+
+        this.cancelChromaticAberrationMap();
+        const region = { x: 0, y: 0, width: this.currentImage.width, height: this.currentImage.height };
+        const imageData = this.extractImageData(region);
+        if (!imageData) {
+            this.setStatusMessage('画像データの取得に失敗');
+            return;
+        }
+
+        const lines = parseInt(this.getInputValue('caMapLines'), 10) || AnalysisCore.CA_MAP_LINES;
+        const job = this.getAnalysisPool().run('analyzeChromaticAberrationMap', imageData, {
+            transfer: AnalysisCore.collectTransferables(imageData),
+            args: [this.brightnessSettings, { lines }],
+            onProgress: (progress) => {
+                if (this.chromaticAberrationJob === job) {
+                    this.setStatusMessage(`倍率色収差の測定中... ${Math.round(progress * 100)}%`);
+                }
+            }
+        });
+        this.chromaticAberrationJob = job;
+        this.setStatusMessage('倍率色収差の測定中...');
+
+        job.promise
+            .then(result => {
+                if (this.chromaticAberrationJob !== job) return;
+                this.chromaticAberrationJob = null;
+
+                this.chromaticAberrationMap = result;
+                this.updateChromaticAberrationOverlay();
+                this.updateChromaticAberrationSummary();
+                this.drawChromaticAberrationMap();
+                this.setStatusMessage(result.samples.length > 0
+                    ? `倍率色収差の測定完了: ${result.samples.length}点（${result.lines}本のライン）`
+                    : '倍率色収差: エッジが見つかりませんでした');
+            })
+            .catch(error => {
+                if (error.cancelled || this.chromaticAberrationJob !== job) return;
+                this.chromaticAberrationJob = null;
+                console.error('Error in chromatic aberration analysis:', error);
+                this.setStatusMessage('倍率色収差の測定エラー: ' + error.message);
+            });
+    },
+
+    /**
+     * 実行中のマップ作成のキャンセル
+     */
+    cancelChromaticAberrationMap() {
+        if (!this.chromaticAberrationJob) return;
+        this.chromaticAberrationJob.cancel();
+        this.chromaticAberrationJob = null;
+    },
+
+    /**
+     * ラインプロファイルで測定したエッジをマップに追加（放射方向のラインのみ）
+     */
+    addLineChromaticAberration() {
+        const edge = this.lineAnalyzer && this.lineAnalyzer.lastColorEdge;
+        if (!edge) {
+            this.setStatusMessage('ラインプロファイルでエッジを横切るラインを引いてください');
+            return;
+        }
+        if (!edge.radial) {
+            this.setStatusMessage(`ラインが画像中心からの放射方向ではありません（${edge.angle.toFixed(1)}°）`);
+            return;
+        }
+
+        if (!this.chromaticAberrationMap) {
+            const { width, height } = this.currentImage;
+            const center = { x: (width - 1) / 2, y: (height - 1) / 2 };
+            this.chromaticAberrationMap = {
+                width,
+                height,
+                center,
+                radius: Math.max(
+                    ...[[0, 0], [width - 1, 0], [0, height - 1], [width - 1, height - 1]].map(([x, y]) => Math.hypot(x - center.x, y - center.y))
+                ),
+                lines: 0,
+                samples: [],
+                summary: null
+            };
+        }
+
+        const map = this.chromaticAberrationMap;
+        map.samples.push({
+            x: edge.point.x,
+            y: edge.point.y,
+            distance: edge.distance,
+            height: edge.distance / map.radius,
+            direction: edge.direction,
+            redOffset: edge.radialRedOffset,
+            blueOffset: edge.radialBlueOffset,
+            redPercent: edge.redPercent,
+            bluePercent: edge.bluePercent
+        });
+        map.summary = AnalysisCore.summarizeChromaticAberration(map.samples);
+
+        this.updateChromaticAberrationOverlay();
+        this.updateChromaticAberrationSummary();
+        this.drawChromaticAberrationMap();
+        this.setStatusMessage(`倍率色収差マップに追加しました（${map.samples.length}点）`);
+    },
+
+    /**
+     * マップと測定点のマーカーの破棄（キャンバスの再描画は呼び出し側で行う）
+     */
+    clearChromaticAberrationMap() {
+        this.cancelChromaticAberrationMap();
+        this.chromaticAberrationMap = null;
+        this.removeOverlays('chromaticAberration');
+        this.updateChromaticAberrationSummary();
+        this.drawChromaticAberrationMap();
+    },
+
+    /**
+     * 測定点のマーカーの更新（R-G・B-Gの大きい方のずれで色分け）
+     */
+    updateChromaticAberrationOverlay() {
+        this.removeOverlays('chromaticAberration');
+        const map = this.chromaticAberrationMap;
+        if (!map) return;
+
+        map.samples.forEach(sample => {
+            this.addOverlay({
+                type: 'marker',
+                group: 'chromaticAberration',
+                color: this.getCaMarkerColor(Math.max(Math.abs(sample.redOffset), Math.abs(sample.blueOffset))),
+                point: { x: sample.x, y: sample.y }
+            });
+        });
+        this.redrawCanvas();
+    },
+
+    /**
+     * ずれの大きさに応じたマーカーの色（0 px: 緑 → CA_MARKER_RANGE以上: 赤）
+     * @param {number} offset - ずれの絶対値（画素）
+     * @returns {string} 色
+     */
+    getCaMarkerColor(offset) {
+        const hue = Math.round(120 * (1 - Math.min(1, offset / ImageAnalyzer.CA_MARKER_RANGE)));
+        return `hsl(${hue}, 85%, 45%)`;
+    },
+
+    /**
+     * 符号付きのずれの表示
+     * @param {number|null} value - 値
+     * @param {number} digits - 小数点以下の桁数
+     * @returns {string} 例: '+0.42'（値がない場合は'--'）
+     */
+    formatCaOffset(value, digits) {
+        if (value === null || value === undefined || isNaN(value)) return '--';
+        return `${value < 0 ? '−' : '+'}${Math.abs(value).toFixed(digits)}`;
+    },
+
+    /**
+     * 隅（最も遠い隅）でのずれ（距離に対する比から換算）
+     * @param {number|null} percent - 画像中心からの距離に対するずれ（%）
+     * @returns {number|null} ずれ（画素）
+     */
+    getCaCornerOffset(percent) {
+        const map = this.chromaticAberrationMap;
+        return map && percent !== null ? percent / 100 * map.radius : null;
+    },
+
+    /**
+     * 測定点数・倍率色収差の表示更新
+     */
+    updateChromaticAberrationSummary() {
+        const summary = document.getElementById('caMapSummary');
+        if (!summary) return;
+
+        const map = this.chromaticAberrationMap;
+        if (!map || map.samples.length === 0) {
+            summary.textContent = '--';
+            return;
+        }
+
+        const { redPercent, bluePercent } = map.summary;
+        summary.textContent = [
+            `測定点: ${map.samples.length}（画像中心 (${map.center.x.toFixed(1)}, ${map.center.y.toFixed(1)})）`,
+            `R-G ${this.formatCaOffset(redPercent, 3)}% / B-G ${this.formatCaOffset(bluePercent, 3)}%（画像中心からの距離に対する比）`,
+            `隅（${Math.round(map.radius)} px）: R-G ${this.formatCaOffset(this.getCaCornerOffset(redPercent), 2)} px / B-G ${this.formatCaOffset(this.getCaCornerOffset(bluePercent), 2)} px`,
+            `マーカー: 緑 0 px → 赤 ${ImageAnalyzer.CA_MARKER_RANGE} px以上`
+        ].join('\n');
+    },
+
+    /**
+     * 像高に対するずれのグラフ（点は測定点、実線は区間ごとの中央値、破線は距離に対する比、外向きが正）
+     */
+    drawChromaticAberrationMap() {
+        const canvas = document.getElementById('caMapChart');
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+
+        const map = this.chromaticAberrationMap;
+        if (!map || map.samples.length === 0) {
+            ctx.fillStyle = '#6c757d';
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('チャート画像を測定すると像高ごとの色ずれを表示します', width / 2, height / 2);
+            return;
+        }
+
+        const series = ImageAnalyzer.CA_SERIES;
+        const offsets = map.samples.flatMap(sample => series.map(item => Math.abs(sample[item.key])));
+        const range = Math.max(0.5, Math.ceil(Math.max(...offsets) * 4) / 4);
+
+        const margin = { left: 40, right: 10, top: 10, bottom: 24 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const toX = (value) => margin.left + Math.min(1, value) * plotWidth;
+        const toY = (value) => margin.top + (range - value) / (2 * range) * plotHeight;
+
+        // 枠と0・±範囲の目盛
+        ctx.strokeStyle = '#dee2e6';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+        ctx.beginPath();
+        ctx.moveTo(margin.left, toY(0));
+        ctx.lineTo(margin.left + plotWidth, toY(0));
+        ctx.stroke();
+        ctx.fillStyle = '#495057';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(`+${range.toFixed(2)}`, margin.left - 4, toY(range) + 8);
+        ctx.fillText('0', margin.left - 4, toY(0) + 3);
+        ctx.fillText(`−${range.toFixed(2)}`, margin.left - 4, toY(-range));
+        ctx.textAlign = 'center';
+        ctx.fillText('中心', toX(0), height - 8);
+        ctx.fillText(`隅 (${Math.round(map.radius)} px)`, toX(1) - 20, height - 8);
+
+        series.forEach(item => {
+            // 測定点
+            ctx.fillStyle = item.color;
+            ctx.globalAlpha = 0.5;
+            map.samples.forEach(sample => {
+                ctx.beginPath();
+                ctx.arc(toX(sample.height), toY(sample[item.key]), 2, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.globalAlpha = 1;
+
+            // 区間ごとの中央値
+            ctx.strokeStyle = item.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            map.summary.bins.forEach((bin, i) => {
+                const x = toX((bin.from + bin.to) / 2);
+                const y = toY(bin[item.key]);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+
+            // 距離に対する比（原点を通る直線）
+            const corner = this.getCaCornerOffset(map.summary[item.percentKey]);
+            ctx.setLineDash([4, 3]);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(toX(0), toY(0));
+            ctx.lineTo(toX(1), toY(Math.max(-range, Math.min(range, corner))));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
+
+        // 凡例（左上）
+        ctx.textAlign = 'left';
+        series.forEach((item, index) => {
+            const x = margin.left + 6 + index * 40;
+            ctx.fillStyle = item.color;
+            ctx.fillRect(x, margin.top + 6, 8, 3);
+            ctx.fillText(item.label, x + 11, margin.top + 11);
+        });
+    },
+
+    /**
+     * パラメータ出力のCSVに含める倍率色収差の値
+     * @returns {Array} 出力値（測定していない場合は空文字、CA_CSV_HEADERSと同じ順）
+     */
+    getChromaticAberrationCsvValues() {
+        const map = this.chromaticAberrationMap;
+        if (!map || map.samples.length === 0) return new Array(ImageAnalyzer.CA_CSV_HEADERS.length).fill('');
+
+        const { redPercent, bluePercent } = map.summary;
+        return [
+            map.samples.length,
+            redPercent.toFixed(4),
+            bluePercent.toFixed(4),
+            this.getCaCornerOffset(redPercent).toFixed(3),
+            this.getCaCornerOffset(bluePercent).toFixed(3)
+        ];
+    }
+});
+
+// 像高に対するずれのグラフに描く系列
+ImageAnalyzer.CA_SERIES = [
+    { key: 'redOffset', percentKey: 'redPercent', label: 'R-G', color: '#e03131' },
+    { key: 'blueOffset', percentKey: 'bluePercent', label: 'B-G', color: '#1971c2' }
+];
+
+// 測定点のマーカーが最も赤くなるずれ（画素）
+ImageAnalyzer.CA_MARKER_RANGE = 1;
+
+// パラメータ出力のCSVの列（getChromaticAberrationCsvValuesと同じ順）
+ImageAnalyzer.CA_CSV_HEADERS = [
+    'CA測定点数',
+    '倍率色収差R-G(%)',
+    '倍率色収差B-G(%)',
+    '倍率色収差R-G隅(px)',
+    '倍率色収差B-G隅(px)'
+];
@@ -55,16 +55,98 @@ class ImageAnalyzer {
         this.panStartY = 0;
         this.viewWidth = 0;
         this.viewHeight = 0;
+
+        // TIFF（複数ページ）関連
+        this.tiffDecoder = null;
+        this.currentPageIndex = 0;
+
+        // PNGのデコード結果（有効ビット深度の切り替え時にモデルを作り直す）
+        this.pngImage = null;
+
+        // 全解像度の画素バッファ（ネイティブビット深度、画素参照・解析はすべてここを参照）
+        this.imageModel = null;
+        this.bitDepthOverride = null;
+
+        // ダーク減算・フラット補正（マスターフレームと補正前後の画像モデル、imageModelは表示中の方を指す）
+        this.calibration = { dark: null, flat: null, showCorrected: true };
+        this.uncorrectedModel = null;
+        this.correctedModel = null;
+        this.uncorrectedSource = null;
+
+        // RAWセンサーダンプ関連
+        this.rawFrame = null;
+        this.rawView = 'rgb';
+        this.pendingRawFile = null;
         
         // 描画関連
         this.isDrawing = false;
         this.startX = 0;
         this.startY = 0;
-        this.currentRect = null;
         this.drawMode = 'rect';
+        this.drawingPoints = []; // 描画中の多角形・自由形状の頂点（元画像座標）
+
+        // ROI（領域は元画像座標で保持）
+        this.rois = [];
+        this.selectedRoiId = null;
+        this.nextRoiId = 1;
+        this.roiSort = { key: 'id', ascending: true };
+        this.roiTableDirty = false;
+        this.roiEdit = null; // ドラッグ中のROIの移動・変形
+        this.roiAnalysisTimers = new Map(); // 編集中の解析の間引き
+        this.roiPropertyMode = 'corner'; // 座標入力の形式（'corner' / 'center'）
+        this.roiPropertySnap = 1; // 座標入力のスナップ単位（画素）
+
+        // グリッド解析
+        this.gridAnalysis = null; // 結果 {columns, rows, tiles, uniformity, options, region, targetName}
+        this.gridJob = null;
+        this.gridMetric = 'snRatio'; // ヒートマップに表示する指標
+
+        // SN比の雑音の定義（AnalysisCore.NOISE_DEFINITIONSのキー）
+        this.noiseDefinition = 'stdDev';
+
+        // エッジMTF（選択中のエッジMTF ROIの結果）
+        this.currentEdgeMtf = null;
+
+        // ピント合わせ（有効かどうか、グラフの指標、フレームごとの履歴、記録待ちのフレーム）
+        this.focusAssist = { enabled: false, metric: 'laplacianVariance', history: [], pending: null };
+        this.focusSequence = null; // 実行中の連続読み込み
+        this.currentFileName = ''; // 表示中の画像のファイル名
+
+        // シェーディング解析（結果、実行中の解析）
+        this.shadingResult = null;
+        this.shadingJob = null;
+
+        // 倍率色収差マップ（測定点と像高ごとの中央値、実行中の測定）
+        this.chromaticAberrationMap = null;
+        this.chromaticAberrationJob = null;
+
+        // 2フレーム解析（同じ条件で撮影した2枚目の画像 {name, model}）
+        this.secondFrame = null;
+
+        // 固定パターンノイズ解析（暗画像・明画像のファイル、結果、実行中の解析）
+        this.fpnFiles = { dark: [], flat: [] };
+        this.fpnResult = null;
+        this.fpnRun = null;
+
+        // PTC測定（明画像・暗画像のファイル、結果、実行中の測定）
+        this.ptcFiles = { flat: [], dark: [] };
+        this.ptcResult = null;
+        this.ptcRun = null;
+
+        // オーバーレイ（ライン・ラベル・マーカー、元画像座標で保持）
+        this.overlayItems = [];
+        this.nextOverlayId = 1;
+        this.overlaysVisible = true;
 
         // 解析関連
-        this.isAnalyzing = false; // 無限再帰防止フラグ
+        this.isAnalyzing = false; // 選択中のROIを解析中かどうか
+        this.analysisJobs = new Map(); // ROIごとの実行中の解析ジョブ
+        this.analysisPool = null;
+
+        // 輝度の定義（輝度式・線形化）
+        this.brightnessSettings = Object.assign({}, AnalysisCore.DEFAULT_BRIGHTNESS_SETTINGS);
+        this.brightnessConverter = null;
+        this.brightnessConverterKey = null;
         this.currentHistogramData = null;
         this.currentHistogramMode = 'brightness';
         
@@ -92,10 +174,27 @@ class ImageAnalyzer {
             this.initHistogramChart();
             this.initHistogramModal();
             this.initHistogramControls();
+            this.initAnalysisControls();
+            this.initRoiTable();
+            this.initOverlayControls();
+            this.initRoiProperties();
+            this.initRoiTemplates();
+            this.initGridAnalysis();
+            this.initCalibration();
+            this.initFrameNoise();
+            this.initFpnAnalysis();
+            this.initPtcAnalysis();
+            this.initEdgeMtf();
+            this.initFocusAssist();
+            this.initShadingAnalysis();
+            this.initChromaticAberration();
 
             // UI制御の初期化
             this.initUIControls();
 
+            // RAW読み込み機能
+            this.initRawLoader();
+
             // ラインプロファイル機能
             this.lineAnalyzer = new LineAnalyzer(this);
 
@@ -144,7 +243,8 @@ class ImageAnalyzer {
             isAnalyzing: this.isAnalyzing,
             hasAnalysisData: !!this.currentHistogramData,
             histogramMode: this.currentHistogramMode,
-            rectSelected: !!this.currentRect
+            rectSelected: this.selectedRoiId !== null,
+            roiCount: this.rois.length
         };
     }
 
@@ -157,16 +257,29 @@ class ImageAnalyzer {
             this.currentImage = null;
             this.displayedWidth = 0;
             this.displayedHeight = 0;
+            if (this.resetSourceState) {
+                this.resetSourceState();
+            }
+            if (this.applyExifMetadata) {
+                this.applyExifMetadata(null);
+            }
             
             // 描画状態のリセット
             this.isDrawing = false;
-            this.currentRect = null;
+            this.drawingPoints = [];
+            this.roiEdit = null;
             this.drawMode = 'rect';
             if (this.updateModeButtons) {
                 this.updateModeButtons('rect');
             }
             
-            // 解析データのリセット
+            // ROI・解析データのリセット
+            if (this.clearRois) {
+                this.clearRois();
+            }
+            if (this.clearOverlays) {
+                this.clearOverlays();
+            }
             this.isAnalyzing = false;
             this.currentHistogramData = null;
 
@@ -180,6 +293,11 @@ class ImageAnalyzer {
                     this.lineAnalyzer.peakInfo.textContent = 'ピークなし';
                 }
                 this.lineAnalyzer.lastValues = null;
+                this.lineAnalyzer.lastLine = null;
+                this.lineAnalyzer.lastEdge = null;
+                this.lineAnalyzer.lastColorEdge = null;
+                this.lineAnalyzer.graph.setEdge(null);
+                this.lineAnalyzer.graph.setColorEdge(null);
                 this.lineAnalyzer.closeModal && this.lineAnalyzer.closeModal();
             }
 
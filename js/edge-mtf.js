@@ -0,0 +1,310 @@
+/**
+ * ImageAnalyzer - エッジMTF（傾斜エッジ法、ISO 12233）モジュール
+ * 「エッジMTF」形状のROIで囲んだ傾斜エッジから、ESF・LSFを経てMTFを求める
+ * 選択中のエッジMTF ROIのMTF50・MTF10（cycles/pixel）を表示し、グラフはクリックで拡大表示する
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * エッジMTF表示の初期化
+     */
+    initEdgeMtf() {
+        const chart = document.getElementById('edgeMtfChart');
+        if (chart) {
+            chart.addEventListener('click', () => this.openEdgeMtfModal());
+        }
+        this.updateEdgeMtfDisplay(null);
+    },
+
+    /**
+     * エッジMTF ROIのMTF解析の開始
+     * エッジを検出できない等の解析エラーは結果 {error} として返し、ROIの統計の解析は続ける
+     * @param {Object} roi - 解析するROI
+     * @returns {Object|null} 解析ジョブ {promise, cancel}（エッジMTF ROIでない場合はnull）
+     */
+    runEdgeMtfAnalysis(roi) {
+        if (roi.shape !== 'edge' || !this.imageModel) return null;
+
+        const payload = this.imageModel.extractRegion(roi.region);
+        const job = this.getAnalysisPool().run('analyzeSlantedEdge', payload, {
+            transfer: AnalysisCore.collectTransferables(payload),
+            args: [this.brightnessSettings]
+        });
+        return {
+            promise: job.promise.catch(error => {
+                if (error.cancelled) throw error;
+                return { error: error.message };
+            }),
+            cancel: job.cancel
+        };
+    },
+
+    /**
+     * エッジMTFの表示更新
+     * @param {Object|null} mtf - analyzeSlantedEdgeの結果（{error}、未解析はnull）
+     */
+    updateEdgeMtfDisplay(mtf) {
+        this.currentEdgeMtf = mtf && !mtf.error ? mtf : null;
+
+        const summary = document.getElementById('edgeMtfSummary');
+        if (summary) {
+            if (!mtf) {
+                summary.textContent = 'エッジMTFのROIで傾斜エッジ（縦・横から数度傾けた明暗の境界）を囲むと表示します';
+            } else if (mtf.error) {
+                summary.textContent = mtf.error;
+            } else {
+                summary.textContent = this.describeEdgeMtf(mtf).join('\n');
+            }
+        }
+
+        const chart = document.getElementById('edgeMtfChart');
+        if (chart) this.drawEdgeMtfChart(chart, this.currentEdgeMtf);
+
+        const modal = document.getElementById('edgeMtfModal');
+        if (modal && modal.style.display === 'flex') {
+            if (this.currentEdgeMtf) this.drawEdgeMtfModal();
+            else this.closeEdgeMtfModal();
+        }
+    },
+
+    /**
+     * エッジMTFの結果の説明
+     * @param {Object} mtf - analyzeSlantedEdgeの結果
+     * @returns {Array<string>} 表示する行
+     */
+    describeEdgeMtf(mtf) {
+        const format = (value) => (value === null ? '--' : value.toFixed(3));
+        const lines = [
+            `MTF50: ${format(mtf.mtf50)} cycles/pixel`,
+            `MTF10: ${format(mtf.mtf10)} cycles/pixel`,
+            `エッジ: ${mtf.orientation === 'vertical' ? '縦' : '横'}、傾き ${mtf.angle.toFixed(2)}°（${mtf.rows}行を使用）`
+        ];
+        if (mtf.phaseCycles < 1) {
+            lines.push('⚠ エッジの傾きが小さすぎます（ROI内でエッジが1画素以上ずれるように数度傾けてください）');
+        }
+        return lines;
+    },
+
+    /**
+     * MTF曲線の描画（横軸 0〜1 cycles/pixel、ナイキスト周波数とMTF50・MTF10を表示）
+     * @param {HTMLCanvasElement} canvas - 描画先
+     * @param {Object|null} mtf - analyzeSlantedEdgeの結果
+     */
+    drawEdgeMtfChart(canvas, mtf) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const large = width > 400;
+        const fontSize = large ? 12 : 10;
+        const margin = large
+            ? { left: 50, right: 20, top: 20, bottom: 40 }
+            : { left: 32, right: 8, top: 8, bottom: 24 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+
+        if (!mtf) {
+            ctx.fillStyle = '#6c757d';
+            ctx.font = `${fontSize}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.fillText('エッジMTFのROIを選択してください', width / 2, height / 2);
+            return;
+        }
+
+        const yMax = Math.max(1.1, Math.ceil(Math.max(...mtf.mtf) * 5) / 5);
+        const toX = (f) => margin.left + Math.min(1, f) * plotWidth;
+        const toY = (v) => margin.top + plotHeight - Math.max(0, v) / yMax * plotHeight;
+
+        // 目盛り
+        ctx.strokeStyle = '#e9ecef';
+        ctx.fillStyle = '#495057';
+        ctx.font = `${fontSize}px Arial`;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'center';
+        for (let i = 0; i <= 10; i++) {
+            const x = toX(i / 10);
+            ctx.beginPath();
+            ctx.moveTo(x, margin.top);
+            ctx.lineTo(x, margin.top + plotHeight);
+            ctx.stroke();
+            if (large || i % 2 === 0) ctx.fillText((i / 10).toFixed(1), x, margin.top + plotHeight + fontSize + 3);
+        }
+        ctx.textAlign = 'right';
+        for (let v = 0; v <= yMax + 1e-9; v += 0.2) {
+            const y = toY(v);
+            ctx.beginPath();
+            ctx.moveTo(margin.left, y);
+            ctx.lineTo(margin.left + plotWidth, y);
+            ctx.stroke();
+            ctx.fillText(v.toFixed(1), margin.left - 4, y + fontSize / 3);
+        }
+        if (large) {
+            ctx.textAlign = 'center';
+            ctx.fillText('空間周波数 (cycles/pixel)', margin.left + plotWidth / 2, height - 6);
+            ctx.save();
+            ctx.translate(14, margin.top + plotHeight / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.fillText('MTF', 0, 0);
+            ctx.restore();
+        }
+
+        // ナイキスト周波数
+        ctx.strokeStyle = '#adb5bd';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(toX(0.5), margin.top);
+        ctx.lineTo(toX(0.5), margin.top + plotHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // MTF曲線
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(margin.left, margin.top, plotWidth, plotHeight);
+        ctx.clip();
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = large ? 2 : 1.5;
+        ctx.beginPath();
+        mtf.frequencies.forEach((f, i) => {
+            if (i === 0) ctx.moveTo(toX(f), toY(mtf.mtf[i]));
+            else ctx.lineTo(toX(f), toY(mtf.mtf[i]));
+        });
+        ctx.stroke();
+        ctx.restore();
+
+        // MTF50・MTF10
+        [[0.5, mtf.mtf50, 'MTF50'], [0.1, mtf.mtf10, 'MTF10']].forEach(([level, frequency, label]) => {
+            if (frequency === null) return;
+            const x = toX(frequency);
+            const y = toY(level);
+            ctx.strokeStyle = '#ff6b6b';
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(margin.left, y);
+            ctx.lineTo(x, y);
+            ctx.lineTo(x, margin.top + plotHeight);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#ff6b6b';
+            ctx.beginPath();
+            ctx.arc(x, y, 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.textAlign = 'left';
+            ctx.fillText(`${label} ${frequency.toFixed(3)}`, x + 5, y - 4);
+        });
+    },
+
+    /**
+     * ESF・LSFの描画（横軸はエッジからの距離（画素）、縦軸は最小〜最大で正規化）
+     * @param {HTMLCanvasElement} canvas - 描画先
+     * @param {Object} mtf - analyzeSlantedEdgeの結果
+     */
+    drawEdgeSpreadChart(canvas, mtf) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const margin = { left: 50, right: 20, top: 20, bottom: 35 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+
+        const count = mtf.esf.length;
+        const halfRange = count / 2 / mtf.oversampling;
+        const toX = (i) => margin.left + i / (count - 1) * plotWidth;
+        const toY = (v) => margin.top + plotHeight - v * plotHeight;
+
+        // 目盛り（エッジ位置を0とした画素）
+        ctx.strokeStyle = '#e9ecef';
+        ctx.fillStyle = '#495057';
+        ctx.font = '12px Arial';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'center';
+        const step = Math.max(1, Math.ceil(halfRange / 5));
+        for (let d = -Math.floor(halfRange / step) * step; d <= halfRange; d += step) {
+            const x = toX((d * mtf.oversampling + count / 2));
+            ctx.beginPath();
+            ctx.moveTo(x, margin.top);
+            ctx.lineTo(x, margin.top + plotHeight);
+            ctx.stroke();
+            ctx.fillText(String(d), x, margin.top + plotHeight + 15);
+        }
+        ctx.fillText('エッジからの距離 (画素)', margin.left + plotWidth / 2, height - 4);
+
+        const minValue = Math.min(...mtf.esf);
+        const range = Math.max(...mtf.esf) - minValue || 1;
+        const lsfPeak = Math.max(...mtf.lsf.map(Math.abs)) || 1;
+        const curves = [
+            { label: 'ESF', color: '#667eea', value: (i) => (mtf.esf[i] - minValue) / range },
+            { label: 'LSF', color: '#ff6b6b', value: (i) => mtf.lsf[i] / lsfPeak }
+        ];
+        curves.forEach((curve, index) => {
+            ctx.strokeStyle = curve.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            for (let i = 0; i < count; i++) {
+                if (i === 0) ctx.moveTo(toX(i), toY(curve.value(i)));
+                else ctx.lineTo(toX(i), toY(curve.value(i)));
+            }
+            ctx.stroke();
+            ctx.fillStyle = curve.color;
+            ctx.textAlign = 'left';
+            ctx.fillText(curve.label, margin.left + 8 + index * 50, margin.top + 14);
+        });
+    },
+
+    /**
+     * エッジMTF詳細ダイアログを開く
+     */
+    openEdgeMtfModal() {
+        const modal = document.getElementById('edgeMtfModal');
+        if (!modal || !this.currentEdgeMtf) return;
+        modal.style.display = 'flex';
+        this.drawEdgeMtfModal();
+    },
+
+    /**
+     * エッジMTF詳細ダイアログを閉じる
+     */
+    closeEdgeMtfModal() {
+        const modal = document.getElementById('edgeMtfModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    },
+
+    /**
+     * 詳細ダイアログの描画
+     */
+    drawEdgeMtfModal() {
+        const mtf = this.currentEdgeMtf;
+        const roi = this.getSelectedRoi();
+        const info = document.getElementById('edgeMtfModalInfo');
+        if (info) {
+            info.textContent = [roi ? roi.name : '', ...this.describeEdgeMtf(mtf)].filter(Boolean).join('\n');
+        }
+        const mtfCanvas = document.getElementById('edgeMtfChartLarge');
+        if (mtfCanvas) this.drawEdgeMtfChart(mtfCanvas, mtf);
+        const spreadCanvas = document.getElementById('edgeSpreadChart');
+        if (spreadCanvas) this.drawEdgeSpreadChart(spreadCanvas, mtf);
+    },
+
+    /**
+     * ROIのCSV出力値（エッジMTF）
+     * @param {Object} roi - ROI
+     * @returns {Array} [MTF50, MTF10, エッジ角度]（エッジMTF ROIでない・解析できない場合は空文字）
+     */
+    getEdgeMtfCsvValues(roi) {
+        const mtf = roi.mtf;
+        if (!mtf || mtf.error) return ['', '', ''];
+        return [
+            this.formatRoiStat(mtf.mtf50, 4),
+            this.formatRoiStat(mtf.mtf10, 4),
+            this.formatRoiStat(mtf.angle, 2)
+        ];
+    }
+});
@@ -28,6 +28,9 @@ Object.assign(ImageAnalyzer.prototype, {
         // 描画モード切り替えボタン
         this.initModeButtons();
 
+        // TIFFページ選択
+        this.initPageSelector();
+
         // ウィンドウイベント
         this.initWindowEvents();
         
@@ -114,46 +117,65 @@ Object.assign(ImageAnalyzer.prototype, {
      * 描画モード切り替えボタンの初期化
      */
     initModeButtons() {
-        const roiBtn = document.getElementById('roiModeBtn');
         const lineBtn = document.getElementById('lineModeBtn');
-        if (!roiBtn || !lineBtn) return;
-
-        roiBtn.addEventListener('click', () => {
-            this.drawMode = 'rect';
-            this.updateModeButtons('rect');
-            this.setStatusMessage('矩形モード');
-            if (this.currentRect) {
-                this.redrawCanvas();
-                const r = this.currentRect;
-                this.drawSelectionRectangle(r.x, r.y, r.x + r.width, r.y + r.height);
-            }
-            if (this.currentHistogramData) {
-                setTimeout(() => this.safeUpdateHistogram(), 10);
-            }
+
+        // ROI形状（矩形・楕円・多角形・自由形状）
+        document.querySelectorAll('.draw-mode-selector .mode-btn[data-draw-mode]').forEach(btn => {
+            const mode = btn.dataset.drawMode;
+            if (mode === 'line') return;
+
+            btn.addEventListener('click', () => {
+                this.cancelShapeDrawing();
+                this.drawMode = mode;
+                this.updateModeButtons(mode);
+                this.setStatusMessage(`${ImageAnalyzer.ROI_SHAPES[mode]}モード`);
+                if (this.currentHistogramData) {
+                    setTimeout(() => this.safeUpdateHistogram(), 10);
+                }
+            });
         });
 
-        lineBtn.addEventListener('click', () => {
-            if (!this.lineAnalyzer) return;
-            this.lineAnalyzer.activate();
-            this.updateModeButtons('line');
+        if (lineBtn) {
+            lineBtn.addEventListener('click', () => {
+                if (!this.lineAnalyzer) return;
+                this.cancelShapeDrawing();
+                this.lineAnalyzer.activate();
+                this.updateModeButtons('line');
+            });
+        }
+    },
+
+    /**
+     * TIFFページ・ビット深度選択の初期化
+     */
+    initPageSelector() {
+        const pageSelect = document.getElementById('pageSelect');
+        if (!pageSelect) return;
+
+        pageSelect.addEventListener('change', (e) => {
+            const pageIndex = parseInt(e.target.value);
+            if (!isNaN(pageIndex) && pageIndex !== this.currentPageIndex) {
+                this.showTiffPage(pageIndex);
+            }
         });
+
+        const bitDepthSelect = document.getElementById('bitDepthSelect');
+        if (bitDepthSelect) {
+            bitDepthSelect.addEventListener('change', (e) => {
+                const bitDepth = parseInt(e.target.value);
+                this.applyBitDepth(isNaN(bitDepth) ? null : bitDepth);
+            });
+        }
     },
 
     /**
      * 描画モードボタンの状態更新
+     * @param {string} mode - 描画モード（rect / ellipse / polygon / freehand / line）
      */
     updateModeButtons(mode) {
-        const roiBtn = document.getElementById('roiModeBtn');
-        const lineBtn = document.getElementById('lineModeBtn');
-        if (!roiBtn || !lineBtn) return;
-
-        if (mode === 'line') {
-            lineBtn.classList.add('active');
-            roiBtn.classList.remove('active');
-        } else {
-            roiBtn.classList.add('active');
-            lineBtn.classList.remove('active');
-        }
+        document.querySelectorAll('.draw-mode-selector .mode-btn[data-draw-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.drawMode === mode);
+        });
     },
 
     /**
@@ -164,8 +186,11 @@ Object.assign(ImageAnalyzer.prototype, {
 
         // マウスダウン
         this.canvas.addEventListener('mousedown', (e) => {
-            if (this.drawMode === 'rect' && e.button === 0) {
-                this.startDrawing(e);
+            if (this.isRoiMode() && e.button === 0) {
+                // 既存ROIの上なら移動・変形、それ以外は新規描画
+                if (!this.startRoiEdit(e)) {
+                    this.startDrawing(e);
+                }
             } else if (this.drawMode === 'line' && this.lineAnalyzer && e.button === 0) {
                 this.lineAnalyzer.start(e);
             }
@@ -183,9 +208,14 @@ Object.assign(ImageAnalyzer.prototype, {
                 e.preventDefault();
                 this.panImage(e);
             } 
+            else if (this.roiEdit) {
+                this.updateRoiEdit(e);
+                this.updateCursorInfo(e);
+            }
             else{
-                if (this.drawMode === 'rect') {
-                    this.drawRectangle(e);
+                if (this.isRoiMode()) {
+                    this.updateDrawing(e);
+                    this.updateRoiCursor(e);
                 } else if (this.drawMode === 'line' && this.lineAnalyzer) {
                     this.lineAnalyzer.draw(e);
                 }
@@ -199,9 +229,12 @@ Object.assign(ImageAnalyzer.prototype, {
             if (this.isPanning) {
                 this.endPan();
             } 
+            else if (this.roiEdit) {
+                this.endRoiEdit();
+            }
             else
             {
-                if (this.drawMode === 'rect') {
+                if (this.isRoiMode()) {
                     this.endDrawing(e);
                 } else if (this.drawMode === 'line' && this.lineAnalyzer) {
                     this.lineAnalyzer.end(e);
@@ -209,14 +242,25 @@ Object.assign(ImageAnalyzer.prototype, {
             }
         });
 
+        // ダブルクリック - 多角形の確定
+        this.canvas.addEventListener('dblclick', (e) => {
+            if (this.drawMode === 'polygon') {
+                e.preventDefault();
+                this.finishPolygon();
+            }
+        });
+
         // マウスリーブ - 操作中止・カーソル情報クリア
         this.canvas.addEventListener('mouseleave', (e) => {
 
              if (this.isPanning) {
                 this.endPan();
              }
+             else if (this.roiEdit) {
+                this.endRoiEdit();
+             }
              else if (this.isDrawing) {
-                if (this.drawMode === 'rect') {
+                if (this.isRoiMode()) {
                     this.endDrawing(e);
                 } else if (this.drawMode === 'line' && this.lineAnalyzer && this.lineAnalyzer.drawer.isDrawing) {
                     this.lineAnalyzer.end(e);
@@ -260,6 +304,21 @@ Object.assign(ImageAnalyzer.prototype, {
         // キーボードイベント（ESCキーでモーダル閉じる）
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
+                const rawModal = document.getElementById('rawLoaderModal');
+                if (rawModal && rawModal.style.display === 'flex') {
+                    this.closeRawLoaderModal();
+                    return;
+                }
+                const ptcModal = document.getElementById('ptcModal');
+                if (ptcModal && ptcModal.style.display === 'flex') {
+                    this.closePtcModal();
+                    return;
+                }
+                const mtfModal = document.getElementById('edgeMtfModal');
+                if (mtfModal && mtfModal.style.display === 'flex') {
+                    this.closeEdgeMtfModal();
+                    return;
+                }
                 const lineModal = document.getElementById('lineProfileModal');
                 if (lineModal && lineModal.style.display === 'flex') {
                     if (this.lineAnalyzer) this.lineAnalyzer.closeModal();
@@ -268,7 +327,36 @@ Object.assign(ImageAnalyzer.prototype, {
                 const modal = document.getElementById('histogramModal');
                 if (modal && modal.style.display === 'flex') {
                     this.closeHistogramModal();
+                    return;
+                }
+            }
+
+            // 入力欄・モーダル表示中の操作は除く
+            if (e.target.closest && e.target.closest('input, select, textarea')) return;
+            const modalOpen = Array.from(document.querySelectorAll('.histogram-modal'))
+                .some(m => m.style.display === 'flex');
+            if (modalOpen) return;
+
+            // 矢印キーで選択中のROIを1画素（Shiftで10画素）移動
+            const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+            if (arrows[e.key] && !this.isDrawing && this.drawingPoints.length === 0) {
+                const step = e.shiftKey ? 10 : 1;
+                if (this.nudgeSelectedRoi(arrows[e.key][0] * step, arrows[e.key][1] * step)) {
+                    e.preventDefault();
                 }
+                return;
+            }
+
+            // 描画中の多角形の操作
+            if (this.drawMode !== 'polygon' || this.drawingPoints.length === 0) return;
+            if (e.key === 'Escape') {
+                this.cancelShapeDrawing();
+                this.setStatusMessage('多角形の描画を中止しました');
+            } else if (e.key === 'Enter') {
+                this.finishPolygon();
+            } else if (e.key === 'Backspace') {
+                e.preventDefault();
+                this.removeLastPolygonVertex();
             }
         });
 
@@ -289,6 +377,30 @@ Object.assign(ImageAnalyzer.prototype, {
                 }
             });
         }
+        const rawModal = document.getElementById('rawLoaderModal');
+        if (rawModal) {
+            rawModal.addEventListener('click', (e) => {
+                if (e.target.id === 'rawLoaderModal') {
+                    this.closeRawLoaderModal();
+                }
+            });
+        }
+        const ptcModal = document.getElementById('ptcModal');
+        if (ptcModal) {
+            ptcModal.addEventListener('click', (e) => {
+                if (e.target.id === 'ptcModal') {
+                    this.closePtcModal();
+                }
+            });
+        }
+        const mtfModal = document.getElementById('edgeMtfModal');
+        if (mtfModal) {
+            mtfModal.addEventListener('click', (e) => {
+                if (e.target.id === 'edgeMtfModal') {
+                    this.closeEdgeMtfModal();
+                }
+            });
+        }
     },
 
     /**
@@ -0,0 +1,171 @@
+/**
+ * ExifParser - EXIFメタデータ解析モジュール
+ * JPEG(APP1)/TIFFから撮影パラメータ（露出時間、F値、ISO感度、ホワイトバランス、撮影日時、機種）を取り出す
+ */
+
+class ExifParser {
+    /**
+     * ファイル先頭のバイナリからEXIFを解析
+     * @param {ArrayBuffer} buffer - JPEGまたはTIFFのバイナリ（JPEGは先頭部分のみで可）
+     * @returns {Object|null} メタデータ（EXIFがない場合はnull）
+     */
+    static parse(buffer) {
+        try {
+            if (TiffDecoder.isTiff(buffer)) {
+                return ExifParser.fromTiffDecoder(new TiffDecoder(buffer));
+            }
+
+            const tiffBuffer = ExifParser.findJpegExif(buffer);
+            if (!tiffBuffer) return null;
+            return ExifParser.fromTiffDecoder(new TiffDecoder(tiffBuffer));
+        } catch (error) {
+            console.warn('EXIF parse error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * JPEGのAPP1セグメントからEXIF(TIFF構造)部分を切り出す
+     * @param {ArrayBuffer} buffer - JPEGのバイナリ
+     * @returns {ArrayBuffer|null} TIFF構造のバイナリ
+     */
+    static findJpegExif(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= bytes.length) {
+            if (bytes[offset] !== 0xff) return null;
+            const marker = bytes[offset + 1];
+
+            // SOS以降は画像データのためメタデータは存在しない
+            if (marker === 0xda || marker === 0xd9) return null;
+            if (marker === 0xff) {
+                offset++;
+                continue;
+            }
+
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            const start = offset + 4;
+            const isExifHeader = marker === 0xe1 && start + 6 <= bytes.length &&
+                String.fromCharCode(...bytes.subarray(start, start + 4)) === 'Exif' &&
+                bytes[start + 4] === 0 && bytes[start + 5] === 0;
+
+            if (isExifHeader) {
+                const end = Math.min(offset + 2 + length, bytes.length);
+                return buffer.slice(start + 6, end);
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    /**
+     * 解析済みTIFF構造からEXIFメタデータを取り出す
+     * @param {TiffDecoder} decoder - TIFFデコーダ
+     * @returns {Object|null} メタデータ
+     */
+    static fromTiffDecoder(decoder) {
+        const ifd0 = decoder.ifds[0];
+        if (!ifd0) return null;
+
+        let exif = {};
+        const exifOffset = TiffDecoder.getTagValue(ifd0, ExifParser.TAGS.EXIF_IFD);
+        if (exifOffset) {
+            try {
+                exif = decoder.readIfd(exifOffset).tags;
+            } catch (error) {
+                console.warn('EXIF IFD read error:', error);
+            }
+        }
+
+        const getText = (tags, tag) => {
+            const value = tags[tag];
+            return typeof value === 'string' ? value.trim() : '';
+        };
+        const getNumber = (tags, tag) => {
+            const value = TiffDecoder.getTagValue(tags, tag);
+            return typeof value === 'number' ? value : null;
+        };
+
+        const metadata = {
+            make: getText(ifd0, ExifParser.TAGS.MAKE),
+            model: getText(ifd0, ExifParser.TAGS.MODEL),
+            exposureTime: getNumber(exif, ExifParser.TAGS.EXPOSURE_TIME),
+            fNumber: getNumber(exif, ExifParser.TAGS.F_NUMBER),
+            iso: getNumber(exif, ExifParser.TAGS.ISO),
+            whiteBalance: getNumber(exif, ExifParser.TAGS.WHITE_BALANCE),
+            dateTimeOriginal: ExifParser.parseDateTime(
+                getText(exif, ExifParser.TAGS.DATE_TIME_ORIGINAL) || getText(ifd0, ExifParser.TAGS.DATE_TIME)
+            )
+        };
+
+        const hasValue = Object.values(metadata).some(value => value !== null && value !== '');
+        return hasValue ? metadata : null;
+    }
+
+    /**
+     * EXIF日時文字列の解析
+     * @param {string} text - 'YYYY:MM:DD HH:MM:SS'形式の文字列
+     * @returns {Date|null} 日時（ローカル時刻として解釈）
+     */
+    static parseDateTime(text) {
+        const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute, second] = match.map(Number);
+        if (year === 0) return null;
+        return new Date(year, month - 1, day, hour, minute, second);
+    }
+
+    /**
+     * 露出時間の表示形式への変換
+     * @param {number} seconds - 露出時間（秒）
+     * @returns {string} '1/100'や'2'の形式
+     */
+    static formatExposureTime(seconds) {
+        if (!(seconds > 0)) return '';
+        if (seconds >= 1) {
+            return String(Math.round(seconds * 10) / 10);
+        }
+        return `1/${Math.round(1 / seconds)}`;
+    }
+
+    /**
+     * F値の表示形式への変換
+     * @param {number} fNumber - F値
+     * @returns {string} 'f/2.8'の形式
+     */
+    static formatFNumber(fNumber) {
+        if (!(fNumber > 0)) return '';
+        return `f/${Math.round(fNumber * 10) / 10}`;
+    }
+
+    /**
+     * ホワイトバランスの表示形式への変換
+     * @param {number} value - EXIFのWhiteBalance値（0:自動, 1:マニュアル）
+     * @returns {string} 'Auto'または'Manual'
+     */
+    static formatWhiteBalance(value) {
+        if (value === 0) return 'Auto';
+        if (value === 1) return 'Manual';
+        return '';
+    }
+}
+
+// EXIFを探すために読み込むファイル先頭のバイト数
+// APP1（EXIF）は1セグメント最大64KBだが、前にAPP0（JFIF）などが入る場合があるため余裕をもたせる
+ExifParser.READ_LENGTH = 128 * 1024;
+
+// 使用するEXIFタグ番号
+ExifParser.TAGS = {
+    MAKE: 0x010f,
+    MODEL: 0x0110,
+    DATE_TIME: 0x0132,
+    EXIF_IFD: 0x8769,
+    EXPOSURE_TIME: 0x829a,
+    F_NUMBER: 0x829d,
+    ISO: 0x8827,
+    DATE_TIME_ORIGINAL: 0x9003,
+    WHITE_BALANCE: 0xa403
+};
@@ -0,0 +1,384 @@
+/**
+ * ImageAnalyzer - ピント指標・ピント合わせモジュール
+ * ROIのラプラシアン分散・Tenengrad・正規化勾配をSN比と並べて表示する
+ * ピント合わせモードでは新しいフレームを読み込むたびにROIを引き継いで再計算し、
+ * 選択した指標の推移をグラフに描いてピークのフレームを示す
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * ピント合わせの操作の初期化
+     */
+    initFocusAssist() {
+        const toggle = document.getElementById('focusAssistEnabled');
+        if (toggle) {
+            toggle.addEventListener('change', () => this.setFocusAssistEnabled(toggle.checked));
+        }
+
+        const metricSelect = document.getElementById('focusMetric');
+        if (metricSelect) {
+            metricSelect.addEventListener('change', () => {
+                this.focusAssist.metric = AnalysisCore.FOCUS_METRICS[metricSelect.value] ? metricSelect.value : 'laplacianVariance';
+                this.updateFocusHistory();
+            });
+        }
+
+        const frameBtn = document.getElementById('focusFrameButton');
+        const frameInput = document.getElementById('focusFrameInput');
+        if (frameBtn && frameInput) {
+            frameBtn.addEventListener('click', () => frameInput.click());
+            frameInput.addEventListener('change', (e) => {
+                const files = Array.from(e.target.files);
+                e.target.value = '';
+                if (files.length > 0) this.loadFocusSequence(files);
+            });
+        }
+
+        const clearBtn = document.getElementById('clearFocusHistory');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.focusAssist.history = [];
+                this.updateFocusHistory();
+                this.setStatusMessage('ピント指標の履歴をクリアしました');
+            });
+        }
+
+        this.updateFocusDisplay(null);
+        this.updateFocusHistory();
+    },
+
+    /**
+     * ピント指標の表示更新
+     * @param {Object|null} focus - AnalysisCore.calculateFocusMetricsの結果
+     */
+    updateFocusDisplay(focus) {
+        const ids = {
+            laplacianVariance: 'laplacianVarianceValue',
+            tenengrad: 'tenengradValue',
+            normalizedGradient: 'normalizedGradientValue'
+        };
+        Object.entries(ids).forEach(([metric, id]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = this.formatFocusValue(focus, metric) || '--';
+        });
+    },
+
+    /**
+     * ピント指標の表示文字列
+     * @param {Object|null} focus - ピント指標
+     * @param {string} metric - AnalysisCore.FOCUS_METRICSのキー
+     * @returns {string} 表示値（値がない場合は空文字）
+     */
+    formatFocusValue(focus, metric) {
+        return focus ? this.formatRoiStat(focus[metric], ImageAnalyzer.FOCUS_METRIC_DIGITS[metric]) : '';
+    },
+
+    /**
+     * ピント合わせモードの切り替え
+     * 有効にした時点で選択中のROIに結果があれば最初のフレームとして記録する
+     * @param {boolean} enabled - 有効にする場合はtrue
+     */
+    setFocusAssistEnabled(enabled) {
+        this.focusAssist.enabled = enabled;
+        const toggle = document.getElementById('focusAssistEnabled');
+        if (toggle) toggle.checked = enabled;
+
+        if (!enabled) {
+            this.cancelFocusSequence();
+            this.setStatusMessage('ピント合わせモードを終了しました');
+            return;
+        }
+
+        const roi = this.getSelectedRoi();
+        if (roi && roi.focus && this.focusAssist.history.length === 0) {
+            this.addFocusSample(roi, this.getFrameLabel());
+        }
+        this.setStatusMessage(roi
+            ? `ピント合わせモード: 新しいフレームを読み込むたびに ${roi.name} のピント指標を記録します`
+            : 'ピント合わせモード: ピントを評価するROIを指定してください');
+    },
+
+    /**
+     * 表示中のフレームの名前（履歴の横軸のラベル）
+     * @returns {string} ファイル名（複数ページのTIFFはページ番号付き）
+     */
+    getFrameLabel() {
+        const name = this.currentFileName || `フレーム ${this.focusAssist.history.length + 1}`;
+        if (this.tiffDecoder && this.tiffDecoder.getPageCount() > 1) {
+            return `${name} p${this.currentPageIndex + 1}`;
+        }
+        return name;
+    },
+
+    /**
+     * 新しいフレームを読み込む前のROIの保存（ピント合わせモードのみ）
+     * @returns {Object|null} {template, selectedIndex, width, height}（引き継ぐROIがない場合はnull）
+     */
+    captureFocusFrame() {
+        if (!this.focusAssist.enabled || !this.currentImage || this.rois.length === 0) return null;
+        return {
+            template: this.createRoiTemplate(false),
+            selectedIndex: Math.max(0, this.rois.indexOf(this.getSelectedRoi())),
+            width: this.currentImage.width,
+            height: this.currentImage.height
+        };
+    },
+
+    /**
+     * 読み込んだフレームへのROIの復元と、選択中のROIの解析結果を記録する待ち状態の設定
+     * @param {Object|null} frame - captureFocusFrameの結果
+     */
+    restoreFocusFrame(frame) {
+        if (!frame) return;
+        const { width, height } = this.currentImage;
+        if (width !== frame.width || height !== frame.height) {
+            this.setStatusMessage(`フレームのサイズ（${width} × ${height}）が前のフレーム（${frame.width} × ${frame.height}）と異なるためROIを引き継げません`);
+            return;
+        }
+
+        const resolved = this.resolveRoiTemplate(frame.template, width, height);
+        resolved.rois.forEach(item => {
+            this.addRoi(item.region, {
+                name: item.name,
+                color: item.color,
+                shape: item.shape,
+                points: item.points
+            });
+        });
+        const target = this.rois[Math.min(frame.selectedIndex, this.rois.length - 1)];
+        if (!target) return;
+        this.selectRoi(target.id);
+
+        if (this.lineAnalyzer && resolved.lines.length > 0) {
+            this.lineAnalyzer.lastLine = resolved.lines[0];
+            this.lineAnalyzer.refresh();
+        }
+
+        // 前のフレームの待ち状態が残っていれば記録せずに終える
+        this.resolveFocusPending(null);
+        let resolve;
+        const promise = new Promise(done => {
+            resolve = done;
+        });
+        this.focusAssist.pending = { roiId: target.id, label: this.getFrameLabel(), promise, resolve };
+    },
+
+    /**
+     * ROIの解析完了時の処理（読み込んだフレームの選択中のROIであれば履歴に記録）
+     * 解析に失敗した場合も待ち状態は終える
+     * @param {Object} roi - 解析したROI
+     */
+    recordFocusSample(roi) {
+        const pending = this.focusAssist.pending;
+        if (!pending || pending.roiId !== roi.id) return;
+        this.resolveFocusPending(roi.focus ? this.addFocusSample(roi, pending.label) : null);
+    },
+
+    /**
+     * 記録待ちの終了
+     * @param {Object|null} sample - 記録した値（記録しなかった場合はnull）
+     */
+    resolveFocusPending(sample) {
+        const pending = this.focusAssist.pending;
+        if (!pending) return;
+        this.focusAssist.pending = null;
+        pending.resolve(sample);
+    },
+
+    /**
+     * 履歴への追加
+     * @param {Object} roi - 解析したROI
+     * @param {string} label - フレームの名前
+     * @returns {Object} 追加した値 {label, roiName, focus}
+     */
+    addFocusSample(roi, label) {
+        const sample = { label, roiName: roi.name, focus: roi.focus };
+        this.focusAssist.history.push(sample);
+        this.updateFocusHistory();
+        return sample;
+    },
+
+    /**
+     * 複数のフレームを名前順に読み込んで順にピント指標を記録
+     * @param {Array<File>} files - 画像ファイル
+     */
+    async loadFocusSequence(files) {
+        if (!this.currentImage || !this.getSelectedRoi()) {
+            this.setStatusMessage('まず画像を読み込み、ピントを評価するROIを指定してください');
+            return;
+        }
+        if (!this.focusAssist.enabled) this.setFocusAssistEnabled(true);
+
+        this.cancelFocusSequence();
+        const run = {};
+        this.focusSequence = run;
+
+        const sorted = files.slice().sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        try {
+            for (let index = 0; index < sorted.length; index++) {
+                this.setStatusMessage(`ピント合わせ: 読み込み中... ${index + 1} / ${sorted.length}（${sorted[index].name}）`);
+                const { name, model, exif } = await this.decodeFrameFile(sorted[index]);
+                if (this.focusSequence !== run) return;
+
+                this.resetSourceState();
+                this.currentFileName = name;
+                this.applyExifMetadata(exif || null);
+                this.setImageModel(model);
+
+                const pending = this.focusAssist.pending;
+                if (!pending) {
+                    throw new Error(`${name} にROIを引き継げませんでした`);
+                }
+                await pending.promise;
+                if (this.focusSequence !== run) return;
+            }
+            this.focusSequence = null;
+            this.setStatusMessage(`ピント合わせ: ${sorted.length}フレームを記録しました`);
+        } catch (error) {
+            if (this.focusSequence !== run) return;
+            this.focusSequence = null;
+            this.showError('フレームの読み込みに失敗しました: ' + error.message, error);
+        }
+    },
+
+    /**
+     * 実行中の連続読み込みの中止
+     */
+    cancelFocusSequence() {
+        this.focusSequence = null;
+        this.resolveFocusPending(null);
+    },
+
+    /**
+     * 履歴のグラフと現在値・ピークの表示更新
+     */
+    updateFocusHistory() {
+        const metric = this.focusAssist.metric;
+        const history = this.focusAssist.history;
+        const values = history.map(sample => sample.focus[metric]);
+
+        // ピーク（値のないフレームは除く）
+        let peakIndex = -1;
+        values.forEach((value, index) => {
+            if (value !== null && (peakIndex < 0 || value > values[peakIndex])) peakIndex = index;
+        });
+
+        const summary = document.getElementById('focusSummary');
+        if (summary) {
+            const last = history.length - 1;
+            if (peakIndex < 0) {
+                summary.textContent = `${AnalysisCore.FOCUS_METRICS[metric]}: --`;
+            } else {
+                const current = values[last];
+                const ratio = current !== null && values[peakIndex] > 0 ? (current / values[peakIndex] * 100).toFixed(1) : '--';
+                summary.textContent = [
+                    `${AnalysisCore.FOCUS_METRICS[metric]}（${history[last].roiName}）`,
+                    `現在: ${this.formatFocusValue(history[last].focus, metric) || '--'}（${history[last].label}）`,
+                    `ピーク: ${this.formatFocusValue(history[peakIndex].focus, metric)}（${peakIndex + 1}フレーム目: ${history[peakIndex].label}）`,
+                    `ピーク比: ${ratio} %`
+                ].join('\n');
+            }
+        }
+
+        this.drawFocusHistory(values, peakIndex);
+    },
+
+    /**
+     * 履歴のグラフの描画（横軸はフレーム番号、ピークと最新のフレームに印を付ける）
+     * @param {Array<number|null>} values - 選択中の指標の値
+     * @param {number} peakIndex - ピークのフレーム（ない場合は-1）
+     */
+    drawFocusHistory(values, peakIndex) {
+        const canvas = document.getElementById('focusHistoryChart');
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+
+        if (peakIndex < 0) {
+            ctx.fillStyle = '#6c757d';
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('ピント合わせモードでフレームを読み込むと推移を表示します', width / 2, height / 2);
+            return;
+        }
+
+        const margin = { left: 50, right: 10, top: 10, bottom: 22 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const maxValue = values[peakIndex] > 0 ? values[peakIndex] * 1.1 : 1;
+        const count = values.length;
+        const toX = (index) => margin.left + (count > 1 ? index / (count - 1) : 0.5) * plotWidth;
+        const toY = (value) => margin.top + plotHeight - value / maxValue * plotHeight;
+
+        ctx.strokeStyle = '#dee2e6';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+
+        ctx.fillStyle = '#495057';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(this.formatRoiStat(maxValue, ImageAnalyzer.FOCUS_METRIC_DIGITS[this.focusAssist.metric]), margin.left - 4, margin.top + 8);
+        ctx.fillText('0', margin.left - 4, margin.top + plotHeight);
+        ctx.textAlign = 'center';
+        ctx.fillText('1', toX(0), height - 6);
+        if (count > 1) ctx.fillText(String(count), toX(count - 1), height - 6);
+
+        // 推移（値のないフレームで線を切る）
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let started = false;
+        values.forEach((value, index) => {
+            if (value === null) {
+                started = false;
+                return;
+            }
+            if (started) {
+                ctx.lineTo(toX(index), toY(value));
+            } else {
+                ctx.moveTo(toX(index), toY(value));
+                started = true;
+            }
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#667eea';
+        values.forEach((value, index) => {
+            if (value === null) return;
+            ctx.beginPath();
+            ctx.arc(toX(index), toY(value), 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // ピーク（赤）と最新のフレーム（緑）
+        const markers = [[peakIndex, '#ff6b6b']];
+        if (values[count - 1] !== null && count - 1 !== peakIndex) markers.push([count - 1, '#28a745']);
+        markers.forEach(([index, color]) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(toX(index), toY(values[index]), 5, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    },
+
+    /**
+     * CSVに出力するピント指標
+     * @param {Object} roi - ROI
+     * @returns {Array} [ラプラシアン分散, Tenengrad, 正規化勾配]（求めていない場合は空文字）
+     */
+    getFocusCsvValues(roi) {
+        return Object.keys(AnalysisCore.FOCUS_METRICS).map(metric => this.formatFocusValue(roi.focus, metric));
+    }
+});
+
+// ピント指標の表示桁数
+ImageAnalyzer.FOCUS_METRIC_DIGITS = {
+    laplacianVariance: 1,
+    tenengrad: 0,
+    normalizedGradient: 4
+};
@@ -0,0 +1,266 @@
+/**
+ * ImageAnalyzer - 固定パターンノイズ（FPN）解析モジュール
+ * 暗画像・明画像のスタックから、選択中のROI（なければ画像全体）のDSNU・PRNUと、
+ * 行方向・列方向・画素ごとの固定パターンノイズを求める
+ * 行・列の平均プロファイルをグラフに表示し、結果はパラメータ出力のCSVに含める
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * FPN解析の操作の初期化
+     */
+    initFpnAnalysis() {
+        ['dark', 'flat'].forEach(kind => {
+            const suffix = kind === 'dark' ? 'Dark' : 'Flat';
+            const button = document.getElementById(`fpn${suffix}Button`);
+            const input = document.getElementById(`fpn${suffix}Input`);
+            if (!button || !input) return;
+
+            button.addEventListener('click', () => input.click());
+            input.addEventListener('change', (e) => {
+                this.fpnFiles[kind] = Array.from(e.target.files);
+                e.target.value = '';
+                this.updateFpnFileInfo();
+            });
+        });
+
+        const runBtn = document.getElementById('runFpnAnalysis');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.performFpnAnalysis());
+        }
+
+        const stackSelect = document.getElementById('fpnProfileStack');
+        if (stackSelect) {
+            stackSelect.addEventListener('change', () => this.drawFpnProfiles());
+        }
+
+        this.updateFpnFileInfo();
+        this.updateFpnSummary();
+    },
+
+    /**
+     * 選択中のファイル数の表示更新
+     */
+    updateFpnFileInfo() {
+        const labels = { dark: 'fpnDarkFiles', flat: 'fpnFlatFiles' };
+        Object.entries(labels).forEach(([kind, id]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            const files = this.fpnFiles[kind];
+            element.textContent = files.length > 0 ? `${files.length}枚` : '未選択';
+            element.title = files.map(file => file.name).join('\n');
+        });
+    },
+
+    /**
+     * FPN解析の実行
+     * フレームを1枚ずつ読み込んで解析範囲だけを残し、まとめてWorkerで解析する
+     */
+    async performFpnAnalysis() {
+        const { dark, flat } = this.fpnFiles;
+        if (dark.length === 0 && flat.length === 0) {
+            this.setStatusMessage('暗画像または明画像を選択してください');
+            return;
+        }
+
+        this.cancelFpnAnalysis();
+        const run = {};
+        this.fpnRun = run;
+
+        try {
+            const total = dark.length + flat.length;
+            let loaded = 0;
+            const loadStack = async (files) => {
+                const frames = [];
+                for (const file of files) {
+                    this.setStatusMessage(`FPN解析: 読み込み中... ${++loaded} / ${total}（${file.name}）`);
+                    frames.push(await this.decodeFrameRegion(file));
+                    if (this.fpnRun !== run) return null;
+                }
+                return frames;
+            };
+
+            const darkFrames = await loadStack(dark);
+            const flatFrames = darkFrames && await loadStack(flat);
+            if (!darkFrames || !flatFrames) return;
+            this.unifyFrameBitDepth([...darkFrames, ...flatFrames]);
+
+            const first = darkFrames[0] || flatFrames[0];
+            const payload = {
+                dark: darkFrames.map(frame => frame.model),
+                flat: flatFrames.map(frame => frame.model),
+                mask: first.mask
+            };
+            const job = this.getAnalysisPool().run('analyzeFixedPattern', payload, {
+                transfer: AnalysisCore.collectTransferables(payload),
+                args: [this.brightnessSettings],
+                onProgress: (progress) => {
+                    if (this.fpnRun === run) {
+                        this.setStatusMessage(`FPN解析中 (${first.regionName})... ${Math.round(progress * 100)}%`);
+                    }
+                }
+            });
+            run.job = job;
+
+            const result = await job.promise;
+            if (this.fpnRun !== run) return;
+            this.fpnRun = null;
+
+            this.fpnResult = Object.assign(result, { regionName: first.regionName });
+            this.updateFpnSummary();
+            this.drawFpnProfiles();
+            this.setStatusMessage(`FPN解析完了: ${first.regionName}（暗画像 ${dark.length}枚、明画像 ${flat.length}枚）`);
+        } catch (error) {
+            if (error.cancelled || this.fpnRun !== run) return;
+            this.fpnRun = null;
+            console.error('Error in FPN analysis:', error);
+            this.setStatusMessage('FPN解析エラー: ' + error.message);
+        }
+    },
+
+    /**
+     * 実行中のFPN解析のキャンセル
+     */
+    cancelFpnAnalysis() {
+        if (!this.fpnRun) return;
+        if (this.fpnRun.job) this.fpnRun.job.cancel();
+        this.fpnRun = null;
+    },
+
+    /**
+     * 解析結果の表示更新
+     */
+    updateFpnSummary() {
+        const summary = document.getElementById('fpnSummary');
+        if (!summary) return;
+
+        const result = this.fpnResult;
+        if (!result) {
+            summary.textContent = '--';
+            return;
+        }
+
+        const format = (value, digits) => (value === null ? '--' : value.toFixed(digits));
+        const describeStack = (label, stack) => (stack
+            ? `${label}（${stack.frameCount}枚、平均 ${stack.mean.toFixed(1)}）: 行 ${format(stack.rowNoise, 2)} / 列 ${format(stack.columnNoise, 2)} / 画素 ${format(stack.pixelNoise, 2)}`
+            : `${label}: --`);
+        summary.textContent = [
+            result.regionName,
+            `DSNU: ${format(result.dsnu, 2)} DN`,
+            `PRNU: ${result.prnu === null ? '--' : (result.prnu * 100).toFixed(2)} %`,
+            describeStack('暗画像', result.dark),
+            describeStack('明画像', result.flat)
+        ].join('\n');
+    },
+
+    /**
+     * 行・列の平均プロファイルのグラフ（全体平均からの差）
+     */
+    drawFpnProfiles() {
+        const canvas = document.getElementById('fpnProfileChart');
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+
+        const result = this.fpnResult;
+        const kind = this.getInputValue('fpnProfileStack') === 'flat' ? 'flat' : 'dark';
+        const stack = result && (result[kind] || result.dark || result.flat);
+        if (!stack) {
+            ctx.fillStyle = '#6c757d';
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('FPN解析を実行するとプロファイルを表示します', width / 2, height / 2);
+            return;
+        }
+
+        // 行・列を上下に並べて描画（縦軸は両方で共通の範囲）
+        const profiles = [
+            { label: '行平均', values: stack.rowProfile, color: '#667eea' },
+            { label: '列平均', values: stack.columnProfile, color: '#ff6b6b' }
+        ];
+        const deviations = profiles.flatMap(p => p.values.filter(v => v !== null).map(v => Math.abs(v - stack.mean)));
+        const range = Math.max(1e-6, ...deviations);
+        const margin = { left: 45, right: 8, top: 8 };
+        const plotHeight = (height - margin.top - 20) / 2 - 8;
+        const plotWidth = width - margin.left - margin.right;
+
+        profiles.forEach((profile, index) => {
+            const top = margin.top + index * (plotHeight + 16);
+            const centerY = top + plotHeight / 2;
+
+            ctx.strokeStyle = '#dee2e6';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(margin.left, top, plotWidth, plotHeight);
+            ctx.beginPath();
+            ctx.moveTo(margin.left, centerY);
+            ctx.lineTo(margin.left + plotWidth, centerY);
+            ctx.stroke();
+
+            ctx.fillStyle = '#495057';
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'right';
+            ctx.fillText(`+${range.toFixed(1)}`, margin.left - 4, top + 8);
+            ctx.fillText(`−${range.toFixed(1)}`, margin.left - 4, top + plotHeight);
+            ctx.textAlign = 'left';
+            ctx.fillText(profile.label, margin.left + 4, top + 10);
+
+            ctx.strokeStyle = profile.color;
+            ctx.beginPath();
+            let started = false;
+            const count = profile.values.length;
+            profile.values.forEach((value, i) => {
+                if (value === null) {
+                    started = false;
+                    return;
+                }
+                const x = margin.left + (count > 1 ? i / (count - 1) : 0.5) * plotWidth;
+                const y = centerY - (value - stack.mean) / range * (plotHeight / 2);
+                if (started) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    started = true;
+                }
+            });
+            ctx.stroke();
+        });
+    },
+
+    /**
+     * パラメータ出力のCSVに含めるFPNの値
+     * @returns {Array} 出力値（解析していない場合は空文字）
+     */
+    getFpnCsvValues() {
+        const result = this.fpnResult;
+        const format = (value, digits) => (value === null || value === undefined ? '' : value.toFixed(digits));
+        if (!result) return new Array(ImageAnalyzer.FPN_CSV_HEADERS.length).fill('');
+
+        const stackValues = (stack) => (stack
+            ? [format(stack.rowNoise, 3), format(stack.columnNoise, 3), format(stack.pixelNoise, 3)]
+            : ['', '', '']);
+        return [
+            result.regionName,
+            format(result.dsnu, 3),
+            result.prnu === null ? '' : (result.prnu * 100).toFixed(3),
+            ...stackValues(result.dark),
+            ...stackValues(result.flat)
+        ];
+    }
+});
+
+// パラメータ出力のCSVの列（getFpnCsvValuesと同じ順）
+ImageAnalyzer.FPN_CSV_HEADERS = [
+    'FPN解析範囲',
+    'DSNU',
+    'PRNU(%)',
+    '行FPN(暗画像)',
+    '列FPN(暗画像)',
+    '画素FPN(暗画像)',
+    '行FPN(明画像)',
+    '列FPN(明画像)',
+    '画素FPN(明画像)'
+];
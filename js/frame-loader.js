@@ -0,0 +1,146 @@
+/**
+ * ImageAnalyzer - 追加フレーム読み込みモジュール
+ * 表示中の画像とは別に、測定用の画像ファイル（明画像・暗画像など）を画像モデルとして読み込む
+ * 形式ごとの扱いは表示中の画像と揃える（TIFF・PNGは選択中のビット深度、RAWは読み込みダイアログの設定と表示中のプレーン）
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * 画像ファイルを画像モデルとして読み込む（表示はしない）
+     * @param {File} file - 画像ファイル
+     * @returns {Promise<Object>} {name, model, exif}
+     */
+    decodeFrameFile(file) {
+        if (this.isRawFile(file)) {
+            return this.decodeRawFrame(file);
+        }
+        if (this.isTiffFile(file)) {
+            return file.arrayBuffer().then(buffer => {
+                if (!TiffDecoder.isTiff(buffer)) {
+                    throw new Error(`${file.name}: TIFFシグネチャが見つかりません`);
+                }
+                const decoder = new TiffDecoder(buffer);
+                return {
+                    name: file.name,
+                    model: ImageModel.fromTiffPage(decoder.decodePage(0), this.bitDepthOverride),
+                    exif: ExifParser.fromTiffDecoder(decoder)
+                };
+            });
+        }
+        if (this.isPngFile(file)) {
+            return file.arrayBuffer().then(buffer => ({
+                name: file.name,
+                model: ImageModel.fromPng(PngDecoder.decode(buffer), this.bitDepthOverride),
+                exif: null
+            }));
+        }
+        if (!file.type.match(/^image\//i)) {
+            return Promise.reject(new Error(`${file.name}: 対応していないファイル形式です`));
+        }
+
+        // ブラウザでデコードできる形式（8bit）
+        const exifPromise = /^image\/jpe?g$/i.test(file.type)
+            ? file.slice(0, ExifParser.READ_LENGTH).arrayBuffer().then(buffer => ExifParser.parse(buffer)).catch(() => null)
+            : Promise.resolve(null);
+        const imagePromise = new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`${file.name}: 画像をデコードできません`));
+            };
+            img.src = url;
+        });
+
+        return Promise.all([imagePromise, exifPromise]).then(([img, exif]) => ({
+            name: file.name,
+            model: this.rasterizeImage(img),
+            exif
+        }));
+    },
+
+    /**
+     * 画像ファイルを読み込み、選択中のROI（なければ画像全体）の範囲だけを切り出す（全画素は保持しない）
+     * 複数枚のフレームを使う測定（PTC・FPN）で同じROIを全フレームに適用する
+     * @param {File} file - 画像ファイル
+     * @returns {Promise<Object>} {name, model, width, height, bitDepth, mask, exposure, iso, regionName}
+     */
+    async decodeFrameRegion(file) {
+        const { name, model, exif } = await this.decodeFrameFile(file);
+
+        let region = { x: 0, y: 0, width: model.width, height: model.height };
+        let mask = null;
+        let regionName = '画像全体';
+        const roi = this.getSelectedRoi();
+        if (roi) {
+            if (!this.currentImage || model.width !== this.currentImage.width || model.height !== this.currentImage.height) {
+                throw new Error(`${name} のサイズ（${model.width} × ${model.height}）が表示中の画像と異なるためROIを適用できません`);
+            }
+            region = roi.region;
+            mask = this.createRoiMask(roi);
+            regionName = roi.name;
+        }
+
+        const regionModel = model.extractRegion(region);
+        return {
+            name,
+            model: regionModel,
+            width: regionModel.width,
+            height: regionModel.height,
+            bitDepth: regionModel.bitDepth,
+            mask,
+            exposure: exif && exif.exposureTime > 0 ? exif.exposureTime : null,
+            iso: exif && exif.iso ? exif.iso : null,
+            regionName
+        };
+    },
+
+    /**
+     * 複数枚のフレームのビット深度を揃える（decodeFrameRegionの戻り値を書き換える）
+     * TIFF・PNGの有効ビット深度はフレームごとに最大値から判定するため、暗画像と明画像で10bit・12bitのように分かれることがある
+     * 組全体の最大値で判定した結果（各フレームの判定値の最大）を全フレームに適用する
+     * @param {Array} frames - decodeFrameRegionの戻り値の配列
+     * @returns {number|null} 適用したビット深度（フレームがなければnull）
+     */
+    unifyFrameBitDepth(frames) {
+        if (frames.length === 0) return null;
+        const bitDepth = Math.max(...frames.map(frame => frame.bitDepth));
+        frames.forEach(frame => {
+            if (frame.bitDepth === bitDepth) return;
+            frame.model = frame.model.withBitDepth(bitDepth);
+            frame.bitDepth = bitDepth;
+        });
+        return bitDepth;
+    },
+
+    /**
+     * RAWファイルを読み込みダイアログの設定で画像モデルに変換
+     * 表示中のRAWがCFAプレーンであれば同じプレーンを取り出す
+     * @param {File} file - RAWファイル
+     * @returns {Promise<Object>} {name, model, exif: null}
+     */
+    decodeRawFrame(file) {
+        const settings = this.readRawLoaderSettings();
+        return file.arrayBuffer().then(buffer => {
+            const mosaic = RawDecoder.unpack(buffer, settings);
+            RawDecoder.subtractBlackLevel(mosaic, settings.blackLevel);
+
+            const view = this.rawFrame ? this.rawView : 'rgb';
+            let model;
+            if (view && view !== 'rgb') {
+                const plane = RawDecoder.extractPlane(mosaic, settings.width, settings.height, settings.pattern, view);
+                model = new ImageModel(plane.width, plane.height, settings.bitDepth,
+                    { r: plane.data, g: plane.data, b: plane.data }, null, 16);
+            } else {
+                const rgb = RawDecoder.demosaicBilinear(mosaic, settings.width, settings.height, settings.pattern);
+                model = new ImageModel(settings.width, settings.height, settings.bitDepth, rgb, null, 16);
+            }
+            return { name: file.name, model, exif: null };
+        });
+    }
+});
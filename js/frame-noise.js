@@ -0,0 +1,131 @@
+/**
+ * ImageAnalyzer - 2フレームノイズ分離モジュール
+ * 同じ条件で撮影した2枚目の画像を読み込み、ROIごとに時間ノイズ（差分画像のσ/√2）と
+ * 空間ノイズ（平均画像の固定パターンノイズ）を分けて求める
+ * 通常の標準偏差は両方を含むため、SN比を時間ノイズ基準・空間ノイズ基準の両方で表示する
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * 2フレーム解析の操作の初期化
+     */
+    initFrameNoise() {
+        const loadBtn = document.getElementById('secondFrameButton');
+        const fileInput = document.getElementById('secondFrameInput');
+        if (loadBtn && fileInput) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.loadSecondFrame(file);
+                fileInput.value = '';
+            });
+        }
+
+        const clearBtn = document.getElementById('clearSecondFrame');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearSecondFrame();
+                this.setStatusMessage('2枚目の画像を解除しました');
+            });
+        }
+
+        this.updateSecondFrameInfo();
+    },
+
+    /**
+     * 2枚目の画像の読み込み（表示中の画像と同じサイズのみ）
+     * @param {File} file - 画像ファイル
+     */
+    loadSecondFrame(file) {
+        if (!this.imageModel) {
+            this.setStatusMessage('まず画像を読み込んでください');
+            return;
+        }
+
+        this.setStatusMessage(`2枚目の画像を読み込み中: ${file.name}`);
+        this.decodeFrameFile(file)
+            .then(({ name, model }) => {
+                if (model.width !== this.imageModel.width || model.height !== this.imageModel.height) {
+                    throw new Error(`${name} のサイズ（${model.width} × ${model.height}）が表示中の画像（${this.imageModel.width} × ${this.imageModel.height}）と異なります`);
+                }
+
+                this.secondFrame = { name, model, correctedModel: null };
+                this.updateSecondFrameInfo();
+                if (this.rois.length > 0) {
+                    this.analyzeAllRois();
+                }
+                this.setStatusMessage(`2枚目の画像: ${name}（時間ノイズと空間ノイズを分けて解析します）`);
+            })
+            .catch(error => {
+                this.showError('2枚目の画像の読み込みに失敗しました: ' + error.message, error);
+            });
+    },
+
+    /**
+     * 2枚目の画像と分離結果の破棄
+     */
+    clearSecondFrame() {
+        this.secondFrame = null;
+        this.rois.forEach(roi => {
+            roi.frameNoise = null;
+        });
+        this.updateSecondFrameInfo();
+        this.updateFrameNoiseDisplay(null);
+    },
+
+    /**
+     * 2枚目の画像の表示更新
+     */
+    updateSecondFrameInfo() {
+        const label = document.getElementById('secondFrameName');
+        if (label) {
+            label.textContent = this.secondFrame ? this.secondFrame.name : '未読込';
+        }
+        const clearBtn = document.getElementById('clearSecondFrame');
+        if (clearBtn) clearBtn.disabled = !this.secondFrame;
+
+        const details = document.getElementById('frameNoiseDetails');
+        if (details) details.classList.toggle('hidden', !this.secondFrame);
+    },
+
+    /**
+     * ROIの2フレーム解析の開始
+     * @param {Object} roi - 解析するROI
+     * @returns {Object|null} 解析ジョブ {promise, cancel}（2枚目の画像がない・サイズが異なる場合はnull）
+     */
+    runFramePairAnalysis(roi) {
+        // 表示中の画像がダーク・フラット補正後であれば2枚目も補正して使う
+        const second = this.getSecondFrameModel();
+        if (!second || !this.imageModel) return null;
+        // RAWのプレーン切り替え等で表示中の画像のサイズが変わった場合は対象外
+        if (second.width !== this.imageModel.width || second.height !== this.imageModel.height) return null;
+
+        const payload = {
+            first: this.imageModel.extractRegion(roi.region),
+            second: second.extractRegion(roi.region),
+            mask: this.createRoiMask(roi)
+        };
+        return this.getAnalysisPool().run('analyzeFramePair', payload, {
+            transfer: AnalysisCore.collectTransferables(payload),
+            args: [this.brightnessSettings]
+        });
+    },
+
+    /**
+     * 時間ノイズ・空間ノイズの表示更新
+     * @param {Object|null} frameNoise - analyzeFramePairの結果
+     */
+    updateFrameNoiseDisplay(frameNoise) {
+        const values = {
+            temporalNoiseValue: frameNoise ? this.formatRoiStat(frameNoise.temporalNoise, 2) : '--',
+            spatialNoiseValue: frameNoise ? this.formatRoiStat(frameNoise.spatialNoise, 2) : '--',
+            temporalSnRatio: frameNoise ? this.formatRoiStat(frameNoise.temporalSnRatio, 2) : '--',
+            spatialSnRatio: frameNoise ? this.formatRoiStat(frameNoise.spatialSnRatio, 2) : '--'
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = value;
+        });
+    }
+});
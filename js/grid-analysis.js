@@ -0,0 +1,277 @@
+/**
+ * ImageAnalyzer - グリッド解析モジュール
+ * 画像全体または選択中のROIをN×Mのタイルに分割し、タイルごとの平均・標準偏差・SN比を計算する
+ * 結果はヒートマップとしてオーバーレイに表示し、均一性の指標（最大/最小比、四隅の中心比）とタイルごとのCSVを出力する
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * グリッド解析の操作の初期化
+     */
+    initGridAnalysis() {
+        const runBtn = document.getElementById('runGridAnalysis');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.performGridAnalysis());
+        }
+
+        const metricSelect = document.getElementById('gridMetric');
+        if (metricSelect) {
+            metricSelect.addEventListener('change', () => {
+                this.gridMetric = metricSelect.value;
+                this.updateGridOverlay();
+            });
+        }
+
+        const exportBtn = document.getElementById('exportGridCsv');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportGridCsv());
+        }
+
+        const clearBtn = document.getElementById('clearGridAnalysis');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearGridAnalysis();
+                this.redrawCanvas();
+            });
+        }
+
+        this.updateGridSummary();
+    },
+
+    /**
+     * 入力欄からグリッド解析の条件を読み取る
+     * @returns {Object} {columns, rows, target: 'image' | 'roi'}
+     */
+    readGridOptions() {
+        const max = ImageAnalyzer.GRID_MAX_DIVISIONS;
+        const clampDivisions = (value) => Math.max(1, Math.min(max, parseInt(value) || 1));
+        return {
+            columns: clampDivisions(this.getInputValue('gridColumns')),
+            rows: clampDivisions(this.getInputValue('gridRows')),
+            target: this.getInputValue('gridTarget') === 'roi' ? 'roi' : 'image'
+        };
+    },
+
+    /**
+     * グリッド解析の実行
+     * @param {Object} [options] - {columns, rows, target}（省略時は入力欄の値）
+     */
+    performGridAnalysis(options = this.readGridOptions()) {
+        if (!this.currentImage || !this.imageModel) {
+            this.setStatusMessage('まず画像を読み込んでください');
+            return;
+        }
+
+        const roi = options.target === 'roi' ? this.getSelectedRoi() : null;
+        if (options.target === 'roi' && !roi) {
+            this.setStatusMessage('グリッド解析するROIを選択してください');
+            return;
+        }
+
+        const region = roi
+            ? roi.region
+            : { x: 0, y: 0, width: this.currentImage.width, height: this.currentImage.height };
+        if (options.columns > region.width || options.rows > region.height) {
+            this.setStatusMessage(`分割数が解析領域（${region.width} × ${region.height} px）の画素数を超えています`);
+            return;
+        }
+
+        this.cancelGridAnalysis();
+        const imageData = this.extractImageData(region, roi);
+        if (!imageData) {
+            this.setStatusMessage('画像データの取得に失敗');
+            return;
+        }
+
+        const targetName = roi ? roi.name : '画像全体';
+        const job = this.getAnalysisPool().run('analyzeGrid', imageData, {
+            transfer: AnalysisCore.collectTransferables(imageData),
+            args: [this.brightnessSettings, { columns: options.columns, rows: options.rows }],
+            onProgress: (progress) => {
+                if (this.gridJob === job) {
+                    this.setStatusMessage(`グリッド解析中 (${targetName})... ${Math.round(progress * 100)}%`);
+                }
+            }
+        });
+        this.gridJob = job;
+        this.setStatusMessage(`グリッド解析中 (${targetName})...`);
+
+        job.promise
+            .then(result => {
+                if (this.gridJob !== job) return;
+                this.gridJob = null;
+
+                // タイルの座標を元画像座標に変換
+                result.tiles.forEach(tile => {
+                    tile.x += region.x;
+                    tile.y += region.y;
+                });
+                this.gridAnalysis = Object.assign(result, {
+                    options,
+                    region: Object.assign({}, region),
+                    targetName
+                });
+                this.updateGridOverlay();
+                this.updateGridSummary();
+                this.setStatusMessage(`グリッド解析完了: ${targetName} (${result.columns} × ${result.rows} タイル)`);
+            })
+            .catch(error => {
+                if (error.cancelled || this.gridJob !== job) return;
+                this.gridJob = null;
+                console.error('Error in grid analysis:', error);
+                this.setStatusMessage('グリッド解析エラー: ' + error.message);
+            });
+    },
+
+    /**
+     * 実行中のグリッド解析のキャンセル
+     */
+    cancelGridAnalysis() {
+        if (!this.gridJob) return;
+        this.gridJob.cancel();
+        this.gridJob = null;
+    },
+
+    /**
+     * グリッド解析結果の破棄（キャンバスの再描画は呼び出し側で行う）
+     */
+    clearGridAnalysis() {
+        this.cancelGridAnalysis();
+        this.gridAnalysis = null;
+        this.removeOverlays('grid');
+        this.updateGridSummary();
+    },
+
+    /**
+     * ヒートマップのオーバーレイ要素の更新
+     * 表示する指標の最小値を青、最大値を赤として色分けし、タイルに値を表示する
+     */
+    updateGridOverlay() {
+        this.removeOverlays('grid');
+        const result = this.gridAnalysis;
+        if (!result) return;
+
+        const metric = ImageAnalyzer.GRID_METRICS[this.gridMetric] ? this.gridMetric : 'snRatio';
+        const values = result.tiles.map(tile => tile[metric]).filter(Number.isFinite);
+        const min = values.length > 0 ? Math.min(...values) : 0;
+        const max = values.length > 0 ? Math.max(...values) : 0;
+        const digits = ImageAnalyzer.GRID_METRICS[metric].digits;
+
+        result.tiles.forEach(tile => {
+            const value = tile[metric];
+            const item = {
+                type: 'rect',
+                group: 'grid',
+                color: 'rgba(255, 255, 255, 0.6)',
+                region: { x: tile.x, y: tile.y, width: tile.width, height: tile.height },
+                text: this.formatRoiStat(value, digits)
+            };
+            if (value === Infinity) {
+                item.fill = this.getHeatmapColor(1);
+            } else if (Number.isFinite(value)) {
+                item.fill = this.getHeatmapColor(max > min ? (value - min) / (max - min) : 0.5);
+            }
+            this.addOverlay(item);
+        });
+        this.redrawCanvas();
+    },
+
+    /**
+     * ヒートマップの色（0: 青 → 0.5: 緑 → 1: 赤）
+     * @param {number} t - 正規化した値（0〜1）
+     * @returns {string} 半透明の色
+     */
+    getHeatmapColor(t) {
+        const hue = Math.round(240 * (1 - Math.max(0, Math.min(1, t))));
+        return `hsla(${hue}, 90%, 50%, 0.45)`;
+    },
+
+    /**
+     * 均一性の指標の表示更新
+     */
+    updateGridSummary() {
+        const summary = document.getElementById('gridSummary');
+        if (!summary) return;
+
+        const result = this.gridAnalysis;
+        const uniformity = result && result.uniformity;
+        const exportBtn = document.getElementById('exportGridCsv');
+        if (exportBtn) exportBtn.disabled = !result;
+
+        if (!uniformity) {
+            summary.textContent = result ? '有効な画素を含むタイルがありません' : '--';
+            return;
+        }
+
+        const percent = (value) => (value === null ? '--' : `${(value * 100).toFixed(1)}%`);
+        summary.textContent = [
+            `${result.targetName} ${result.columns} × ${result.rows}`,
+            `最大/最小比: ${this.formatRoiStat(uniformity.maxMinRatio, 3)}（${uniformity.maxMean.toFixed(1)} / ${uniformity.minMean.toFixed(1)}）`,
+            `四隅/中心: 平均 ${percent(uniformity.cornerFalloff)}、最小 ${percent(uniformity.minCornerFalloff)}`
+        ].join('\n');
+    },
+
+    /**
+     * タイルごとの結果のCSV出力
+     */
+    exportGridCsv() {
+        const result = this.gridAnalysis;
+        if (!result) {
+            this.setStatusMessage('グリッド解析の結果がありません');
+            return;
+        }
+
+        try {
+            const headers = ['対象', '輝度式', '線形化', '列', '行', 'X', 'Y', '幅', '高さ', '画素数', '平均', '標準偏差', 'SN比', '中心比'];
+            const labels = AnalysisCore.describeBrightnessSettings(this.brightnessSettings);
+            const centerMean = result.uniformity && result.uniformity.centerMean;
+            const rows = result.tiles.map(tile => [
+                result.targetName,
+                labels.luma,
+                labels.transfer,
+                tile.column + 1,
+                tile.row + 1,
+                tile.x,
+                tile.y,
+                tile.width,
+                tile.height,
+                tile.pixelCount,
+                tile.mean === null ? '' : tile.mean.toFixed(3),
+                tile.stdDev === null ? '' : tile.stdDev.toFixed(3),
+                tile.snRatio === null ? '' : (tile.snRatio === Infinity ? '∞' : tile.snRatio.toFixed(3)),
+                tile.mean !== null && centerMean ? (tile.mean / centerMean).toFixed(4) : ''
+            ]);
+
+            const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+            const csvContent = [
+                headers.map(escape).join(','),
+                ...rows.map(row => row.map(escape).join(','))
+            ].join('\n');
+
+            const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `grid_analysis_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            this.setStatusMessage(`グリッド解析のCSV（${result.tiles.length}タイル）を保存しました`);
+        } catch (error) {
+            this.showError('グリッド解析のCSV保存に失敗しました', error);
+        }
+    }
+});
+
+// 分割数の上限（列・行それぞれ）
+ImageAnalyzer.GRID_MAX_DIVISIONS = 64;
+
+// ヒートマップに表示する指標（表示桁数）
+ImageAnalyzer.GRID_METRICS = {
+    mean: { label: '平均', digits: 1 },
+    stdDev: { label: '標準偏差', digits: 2 },
+    snRatio: { label: 'SN比', digits: 1 }
+};
@@ -36,8 +36,9 @@ Object.assign(ImageAnalyzer.prototype, {
     /**
      * 空のヒストグラム描画
      * @param {string} channel - チャンネル名
+     * @param {number} [binCount] - ビン数（省略時は現在の画像のビット深度から決定）
      */
-    drawEmptyHistogram(channel = 'brightness') {
+    drawEmptyHistogram(channel = 'brightness', binCount = this.getHistogramBinCount()) {
         const ctx = this.histogramCtx;
         const canvas = this.histogramCanvas;
         
@@ -67,8 +68,58 @@ Object.assign(ImageAnalyzer.prototype, {
             'rgb-overlay': 'RGB値'
         };
         
-        this.drawHistogramLabels(ctx, channelNames[channel]);
-        this.drawHistogramScale(ctx);
+        const offset = this.getHistogramOffset();
+        this.drawHistogramLabels(ctx, channelNames[channel], offset + binCount - 1, offset);
+        this.drawHistogramScale(ctx, false, binCount, offset);
+    },
+
+    /**
+     * ヒストグラムのビン数の取得
+     * @returns {number} ビン数（8bitは256、16bitは65536）
+     */
+    getHistogramBinCount() {
+        if (this.currentHistogramData) {
+            return this.currentHistogramData.brightness.length;
+        }
+        return this.getImageMaxValue() + 1;
+    },
+
+    /**
+     * ヒストグラムのビン0の値の取得
+     * @returns {number} 補正後の画像で負値を含む場合は負の値、それ以外は0
+     */
+    getHistogramOffset() {
+        return this.currentHistogramData ? this.currentHistogramData.offset || 0 : 0;
+    },
+
+    /**
+     * 表示用にビンをまとめたヒストグラムの生成
+     * @param {Array} histogram - ヒストグラムデータ
+     * @param {number} groupSize - 1本のバーにまとめるビン数
+     * @returns {Array} まとめたヒストグラム
+     */
+    groupHistogramBins(histogram, groupSize) {
+        if (groupSize <= 1) return histogram;
+
+        const bars = new Array(Math.ceil(histogram.length / groupSize)).fill(0);
+        for (let i = 0; i < histogram.length; i++) {
+            bars[Math.floor(i / groupSize)] += histogram[i] || 0;
+        }
+        return bars;
+    },
+
+    /**
+     * ヒストグラムの最大度数の取得
+     * 65536ビンではスプレッド演算子が使えないためループで求める
+     * @param {Array} histogram - ヒストグラムデータ
+     * @returns {number} 最大度数
+     */
+    getHistogramPeak(histogram) {
+        let peak = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            if (histogram[i] > peak) peak = histogram[i];
+        }
+        return peak;
     },
 
         /**
@@ -127,7 +178,8 @@ Object.assign(ImageAnalyzer.prototype, {
             }
             
             const numValue = parseInt(value);
-            if (!isNaN(numValue) && numValue >= 0 && numValue <= 255) {
+            const offset = this.getHistogramOffset();
+            if (!isNaN(numValue) && numValue >= offset && numValue < offset + this.getHistogramBinCount()) {
                 this.checkSpecificValue(numValue);
             } else {
                 resultElement.textContent = '--';
@@ -163,6 +215,15 @@ Object.assign(ImageAnalyzer.prototype, {
         const modal = document.getElementById('histogramModal');
         if (modal && this.currentHistogramData) {
             modal.style.display = 'flex';
+
+            // ビット深度に応じて見出しを更新
+            const binCount = this.getHistogramBinCount();
+            const params = this.getHistogramParams(true, binCount);
+            const title = document.getElementById('histogramModalTitle');
+            const help = document.getElementById('histogramModalHelp');
+            if (title) title.textContent = `📈 ヒストグラム詳細表示（${params.groupSize}刻み）`;
+            const offset = this.getHistogramOffset();
+            if (help) help.textContent = `💡 横スクロールで${offset}-${offset + binCount - 1}の全範囲を確認できます`;
             
             if (this.currentHistogramMode === 'rgb-overlay') {
                 this.drawRGBOverlayHistogram(
@@ -229,6 +290,14 @@ Object.assign(ImageAnalyzer.prototype, {
             const stats = this.calculateHistogramStatistics(histogram);
             channelStats[channel] = stats;
         });
+
+        // SN比は選択中のROIの解析結果（選択中の雑音の定義）
+        const roi = this.getSelectedRoi();
+        const snData = roi && roi.snData;
+        const snRatios = {};
+        channels.forEach(channel => {
+            snRatios[channel] = this.formatSnRatio(this.getNoiseMeasure(snData, channel));
+        });
         
         return `
             <div class="info-item">
@@ -267,6 +336,18 @@ Object.assign(ImageAnalyzer.prototype, {
                 <div class="info-value" style="color: #339af0;">${channelStats.blue.mode}</div>
                 <div class="info-label">B最頻値</div>
             </div>
+            <div class="info-item">
+                <div class="info-value" style="color: #ff6b6b;">${snRatios.red}</div>
+                <div class="info-label">R SN比</div>
+            </div>
+            <div class="info-item">
+                <div class="info-value" style="color: #51cf66;">${snRatios.green}</div>
+                <div class="info-label">G SN比</div>
+            </div>
+            <div class="info-item">
+                <div class="info-value" style="color: #339af0;">${snRatios.blue}</div>
+                <div class="info-label">B SN比</div>
+            </div>
         `;
     },
 
@@ -290,17 +371,22 @@ Object.assign(ImageAnalyzer.prototype, {
         // 四分位数の計算
         const q1Target = stats.totalPixels * 0.25;
         const q3Target = stats.totalPixels * 0.75;
-        let q1 = 0, q3 = 0;
+        const offset = this.getHistogramOffset();
+        let q1 = null, q3 = 0;
         let cumSum = 0;
         
         for (let i = 0; i < histogram.length; i++) {
             cumSum += histogram[i];
-            if (q1 === 0 && cumSum >= q1Target) q1 = i;
+            if (q1 === null && cumSum >= q1Target) q1 = i + offset;
             if (cumSum >= q3Target) {
-                q3 = i;
+                q3 = i + offset;
                 break;
             }
         }
+
+        // SN比は選択中のROIの解析結果（選択中の雑音の定義）
+        const roi = this.getSelectedRoi();
+        const snRatio = this.formatSnRatio(this.getNoiseMeasure(roi && roi.snData, this.currentHistogramMode));
         
         return `
             <div class="info-item">
@@ -328,11 +414,11 @@ Object.assign(ImageAnalyzer.prototype, {
                 <div class="info-label">標準偏差</div>
             </div>
             <div class="info-item">
-                <div class="info-value">${stats.minValue !== -1 ? stats.minValue : '--'}</div>
+                <div class="info-value">${stats.minValue}</div>
                 <div class="info-label">最小値</div>
             </div>
             <div class="info-item">
-                <div class="info-value">${stats.maxValueIndex !== -1 ? stats.maxValueIndex : '--'}</div>
+                <div class="info-value">${stats.maxValueIndex}</div>
                 <div class="info-label">最大値</div>
             </div>
             <div class="info-item">
@@ -348,9 +434,13 @@ Object.assign(ImageAnalyzer.prototype, {
                 <div class="info-label">四分位範囲</div>
             </div>
             <div class="info-item">
-                <div class="info-value">${stats.maxValueIndex !== -1 ? stats.maxValueIndex - stats.minValue : '--'}</div>
+                <div class="info-value">${stats.range}</div>
                 <div class="info-label">値の範囲</div>
             </div>
+            <div class="info-item">
+                <div class="info-value">${snRatio}</div>
+                <div class="info-label">SN比</div>
+            </div>
         `;
     },
 
@@ -358,13 +448,15 @@ Object.assign(ImageAnalyzer.prototype, {
      * ヒストグラムのラベル描画
      * @param {CanvasRenderingContext2D} ctx - Canvas コンテキスト
      * @param {string} channelName - チャンネル名
+     * @param {number} [maxValue=255] - 画素値の最大値
+     * @param {number} [minValue=0] - 画素値の最小値（ビン0の値）
      */
-    drawHistogramLabels(ctx, channelName) {
+    drawHistogramLabels(ctx, channelName, maxValue = 255, minValue = 0) {
         // X軸ラベル
         ctx.fillStyle = '#495057';
         ctx.font = '10px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText(`${channelName} (0-255)`, 165, 195);
+        ctx.fillText(`${channelName} (${minValue}-${maxValue})`, 165, 195);
         
         // Y軸ラベル
         ctx.save();
@@ -381,17 +473,23 @@ Object.assign(ImageAnalyzer.prototype, {
      * ヒストグラムのスケール描画
      * @param {CanvasRenderingContext2D} ctx - Canvas コンテキスト
      * @param {boolean} [isLarge=false] - 大きな表示かどうか
+     * @param {number} [binCount=256] - ビン数
+     * @param {number} [offset=0] - ビン0の値
      */
-    drawHistogramScale(ctx, isLarge = false) {
-        const params = this.getHistogramParams(isLarge);
+    drawHistogramScale(ctx, isLarge = false, binCount = 256, offset = 0) {
+        const params = this.getHistogramParams(isLarge, binCount);
+        const maxValue = binCount - 1;
+        const steps = this.getHistogramTickSteps(maxValue);
 
         ctx.fillStyle = '#6c757d';
         ctx.font = isLarge ? '9px Arial' : '6px Arial';
         ctx.textAlign = 'center';
 
-        for (let value = 0; value <= 255; value += 5) {
-            const x = params.leftMargin + (value / 255) * params.chartWidth;
-            const isMajor = value % 50 === 0;
+        // 目盛りは切りの良い値に置く（負値を含む場合も0を基準にする）
+        const first = Math.ceil(offset / steps.minor) * steps.minor;
+        for (let value = first; value <= offset + maxValue; value += steps.minor) {
+            const x = params.leftMargin + ((value - offset) / maxValue) * params.chartWidth;
+            const isMajor = value % steps.major === 0;
 
             // 目盛り線
             ctx.strokeStyle = '#dee2e6';
@@ -414,6 +512,23 @@ Object.assign(ImageAnalyzer.prototype, {
         }
     },
 
+    /**
+     * 目盛り間隔の取得
+     * 8bitは5刻み（50毎に主目盛り）、高ビット深度は約50本になる切りの良い間隔
+     * @param {number} maxValue - 画素値の最大値
+     * @returns {Object} {minor, major}
+     */
+    getHistogramTickSteps(maxValue) {
+        if (maxValue <= 255) {
+            return { minor: 5, major: 50 };
+        }
+
+        const rough = maxValue / 50;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const minor = [1, 2, 5, 10].map(m => m * magnitude).find(step => step >= rough);
+        return { minor, major: minor * 10 };
+    },
+
     /**
      * 安全なヒストグラム更新
      */
@@ -453,27 +568,29 @@ Object.assign(ImageAnalyzer.prototype, {
      * @param {string} channel - チャンネル名
      */
     drawHistogram(ctx, canvas, histogram, isLarge = false, channel = 'brightness') {
+        const binCount = histogram && histogram.length > 0 ? histogram.length : 256;
         if (isLarge) {
-            this.drawEmptyHistogramLarge(ctx, canvas, channel);
+            this.drawEmptyHistogramLarge(ctx, canvas, channel, binCount);
         } else {
-            this.drawEmptyHistogram(channel);
+            this.drawEmptyHistogram(channel, binCount);
         }
         
         if (!histogram || histogram.length === 0) return;
         
-        const maxValue = Math.max(...histogram);
-        if (maxValue === 0) return;
-        
         const colors = this.getChannelColors(channel);
-        const params = this.getHistogramParams(isLarge);
+        const params = this.getHistogramParams(isLarge, binCount);
+        const bars = this.groupHistogramBins(histogram, params.groupSize);
+
+        const maxValue = this.getHistogramPeak(bars);
+        if (maxValue === 0) return;
         
         // ヒストグラムバーを描画
         ctx.fillStyle = colors.fill;
         ctx.strokeStyle = colors.stroke;
         ctx.lineWidth = isLarge ? 0.5 : 0.3;
         
-        for (let i = 0; i < 256; i++) {
-            const value = histogram[i] || 0;
+        for (let i = 0; i < bars.length; i++) {
+            const value = bars[i] || 0;
             if (value > 0) {
                 const barHeight = (value / maxValue) * params.chartHeight;
                 const x = params.leftMargin + (i * params.barWidth);
@@ -500,31 +617,29 @@ Object.assign(ImageAnalyzer.prototype, {
      * @param {boolean} isLarge - 大きな表示かどうか
      */
     drawRGBOverlayHistogram(ctx, canvas, histogramData, isLarge = false) {
+        const binCount = histogramData.red.length;
         if (isLarge) {
-            this.drawEmptyHistogramLarge(ctx, canvas, 'rgb-overlay');
+            this.drawEmptyHistogramLarge(ctx, canvas, 'rgb-overlay', binCount);
         } else {
-            this.drawEmptyHistogram('rgb-overlay');
+            this.drawEmptyHistogram('rgb-overlay', binCount);
         }
         
-        const maxR = Math.max(...histogramData.red);
-        const maxG = Math.max(...histogramData.green);
-        const maxB = Math.max(...histogramData.blue);
-        const maxValue = Math.max(maxR, maxG, maxB);
-        
-        if (maxValue === 0) return;
-        
-        const params = this.getHistogramParams(isLarge);
+        const params = this.getHistogramParams(isLarge, binCount);
         
         const channels = [
-            { data: histogramData.red, color: 'rgba(255, 107, 107, 0.6)' },
-            { data: histogramData.green, color: 'rgba(81, 207, 102, 0.6)' },
-            { data: histogramData.blue, color: 'rgba(51, 154, 240, 0.6)' }
+            { data: this.groupHistogramBins(histogramData.red, params.groupSize), color: 'rgba(255, 107, 107, 0.6)' },
+            { data: this.groupHistogramBins(histogramData.green, params.groupSize), color: 'rgba(81, 207, 102, 0.6)' },
+            { data: this.groupHistogramBins(histogramData.blue, params.groupSize), color: 'rgba(51, 154, 240, 0.6)' }
         ];
+
+        const maxValue = Math.max(...channels.map(channel => this.getHistogramPeak(channel.data)));
+        
+        if (maxValue === 0) return;
         
         channels.forEach(channel => {
             ctx.fillStyle = channel.color;
             
-            for (let i = 0; i < 256; i++) {
+            for (let i = 0; i < channel.data.length; i++) {
                 const value = channel.data[i] || 0;
                 if (value > 0) {
                     const barHeight = (value / maxValue) * params.chartHeight;
@@ -556,24 +671,39 @@ Object.assign(ImageAnalyzer.prototype, {
 
     /**
      * ヒストグラムパラメータの取得
+     * 高ビット深度では表示できる本数に収まるよう複数ビンを1本のバーにまとめる
      * @param {boolean} isLarge - 大きな表示かどうか
+     * @param {number} [binCount=256] - ビン数
      * @returns {Object} パラメータ
      */
-    getHistogramParams(isLarge) {
-        return isLarge ? {
-            leftMargin: 80,
-            topMargin: 30,
-            chartWidth: 1880,
-            chartHeight: 320,
-            bottomY: 350,
-            barWidth: 1880 / 256
-        } : {
+    getHistogramParams(isLarge, binCount = 256) {
+        const groupSize = Math.max(1, Math.ceil(binCount / (isLarge ? 4096 : 256)));
+        const barCount = Math.ceil(binCount / groupSize);
+
+        if (isLarge) {
+            // 大きな表示は1本2px以上を確保し、横スクロールで全範囲を見せる
+            const chartWidth = Math.max(1880, barCount * 2);
+            return {
+                leftMargin: 80,
+                topMargin: 30,
+                chartWidth,
+                chartHeight: 320,
+                bottomY: 350,
+                barWidth: chartWidth / barCount,
+                groupSize,
+                barCount
+            };
+        }
+
+        return {
             leftMargin: 50,
             topMargin: 15,
             chartWidth: 230,
             chartHeight: 145,
             bottomY: 160,
-            barWidth: 230 / 256
+            barWidth: 230 / barCount,
+            groupSize,
+            barCount
         };
     },
 
@@ -613,8 +743,15 @@ Object.assign(ImageAnalyzer.prototype, {
      * @param {CanvasRenderingContext2D} ctx - Canvas コンテキスト
      * @param {HTMLCanvasElement} canvas - Canvas 要素
      * @param {string} channel - チャンネル名
+     * @param {number} [binCount=256] - ビン数
      */
-    drawEmptyHistogramLarge(ctx, canvas, channel = 'brightness') {
+    drawEmptyHistogramLarge(ctx, canvas, channel = 'brightness', binCount = 256) {
+        const params = this.getHistogramParams(true, binCount);
+        const canvasWidth = params.leftMargin + params.chartWidth + 80;
+        if (canvas.width !== canvasWidth) {
+            canvas.width = canvasWidth;
+        }
+
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
         ctx.fillStyle = '#f8f9fa';
@@ -623,9 +760,9 @@ Object.assign(ImageAnalyzer.prototype, {
         ctx.strokeStyle = '#333';
         ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.moveTo(80, 30);
-        ctx.lineTo(80, 350);
-        ctx.lineTo(1960, 350);
+        ctx.moveTo(params.leftMargin, params.topMargin);
+        ctx.lineTo(params.leftMargin, params.bottomY);
+        ctx.lineTo(params.leftMargin + params.chartWidth, params.bottomY);
         ctx.stroke();
         
         const channelNames = {
@@ -639,9 +776,11 @@ Object.assign(ImageAnalyzer.prototype, {
         ctx.fillStyle = '#495057';
         ctx.font = '14px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText(`${channelNames[channel]} (0-255) 全256段階表示`, 1020, 385);
+        const rangeText = params.groupSize === 1 ? `全${binCount}段階表示` : `${params.groupSize}刻み表示`;
+        const offset = this.getHistogramOffset();
+        ctx.fillText(`${channelNames[channel]} (${offset}-${offset + binCount - 1}) ${rangeText}`, params.leftMargin + params.chartWidth / 2, 385);
 
-        this.drawHistogramScale(ctx, true);
+        this.drawHistogramScale(ctx, true, binCount, offset);
     },
 
     /**
@@ -655,23 +794,37 @@ Object.assign(ImageAnalyzer.prototype, {
         const x = e.clientX - rect.left;
         const canvasX = (x / rect.width) * this.histogramCanvas.width;
         
-        const chartStartX = 50;
-        const chartWidth = 230;
-        const value = Math.round(((canvasX - chartStartX) / chartWidth) * 255);
+        const binCount = this.getHistogramBinCount();
+        const params = this.getHistogramParams(false, binCount);
+        const chartStartX = params.leftMargin;
+        const chartWidth = params.chartWidth;
+        const maxValue = binCount - 1;
+        const value = Math.round(((canvasX - chartStartX) / chartWidth) * maxValue);
         
-        if (value >= 0 && value <= 255) {
+        if (value >= 0 && value <= maxValue) {
             const tooltip = document.getElementById('histogramTooltip');
             if (!tooltip) return;
+
+            // 複数ビンを1本にまとめている場合はバーの範囲を合計して表示
+            const start = params.groupSize > 1 ? Math.floor(value / params.groupSize) * params.groupSize : value;
+            const end = Math.min(maxValue, start + params.groupSize - 1);
+            const sumRange = (histogram) => {
+                let sum = 0;
+                for (let i = start; i <= end; i++) sum += histogram[i] || 0;
+                return sum;
+            };
+            const offset = this.getHistogramOffset();
+            const valueText = start === end ? `${start + offset}` : `${start + offset}-${end + offset}`;
             
             let tooltipContent = '';
             if (this.currentHistogramMode === 'rgb-overlay') {
-                const r = this.currentHistogramData.red[value] || 0;
-                const g = this.currentHistogramData.green[value] || 0;
-                const b = this.currentHistogramData.blue[value] || 0;
-                tooltipContent = `値: ${value}<br>R: ${r}, G: ${g}, B: ${b}`;
+                const r = sumRange(this.currentHistogramData.red);
+                const g = sumRange(this.currentHistogramData.green);
+                const b = sumRange(this.currentHistogramData.blue);
+                tooltipContent = `値: ${valueText}<br>R: ${r}, G: ${g}, B: ${b}`;
             } else {
-                const count = this.currentHistogramData[this.currentHistogramMode][value] || 0;
-                tooltipContent = `値: ${value}<br>画素数: ${count}`;
+                const count = sumRange(this.currentHistogramData[this.currentHistogramMode]);
+                tooltipContent = `値: ${valueText}<br>画素数: ${count}`;
             }
             
             tooltip.innerHTML = tooltipContent;
@@ -698,8 +851,10 @@ Object.assign(ImageAnalyzer.prototype, {
      * @param {number} value - 確認する値
      */
     checkSpecificValue(value) {
+        // 画素値をビン番号に変換（補正後の画像はビン0が負値）
+        const index = value - this.getHistogramOffset();
         if (!this.currentHistogramData || value === null || value === undefined || 
-            isNaN(value) || value < 0 || value > 255) {
+            isNaN(value) || index < 0 || index >= this.getHistogramBinCount()) {
             const result = document.getElementById('specificResult');
             if (result) result.textContent = '--';
             return;
@@ -707,12 +862,12 @@ Object.assign(ImageAnalyzer.prototype, {
         
         let result = '';
         if (this.currentHistogramMode === 'rgb-overlay') {
-            const r = this.currentHistogramData.red[value] || 0;
-            const g = this.currentHistogramData.green[value] || 0;
-            const b = this.currentHistogramData.blue[value] || 0;
+            const r = this.currentHistogramData.red[index] || 0;
+            const g = this.currentHistogramData.green[index] || 0;
+            const b = this.currentHistogramData.blue[index] || 0;
             result = `R:${r}, G:${g}, B:${b}`;
         } else {
-            const count = this.currentHistogramData[this.currentHistogramMode][value] || 0;
+            const count = this.currentHistogramData[this.currentHistogramMode][index] || 0;
             result = `${count}画素`;
         }
         
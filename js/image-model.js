@@ -0,0 +1,249 @@
+/**
+ * ImageModel - 画像データモデル
+ * 画素値をネイティブビット深度のままチャンネル別の型付き配列で保持する
+ */
+
+class ImageModel {
+    /**
+     * @param {number} width - 幅
+     * @param {number} height - 高さ
+     * @param {number} bitDepth - 有効ビット深度（8〜16）
+     * @param {Object} channels - チャンネル別の画素値 {r, g, b}（グレーは同一配列を共有、補正後の画像はFloat32Array）
+     * @param {Uint8Array|null} [alpha=null] - 8bitアルファ値（nullは不透明）
+     * @param {number} [containerBits=8] - 格納コンテナのビット数
+     */
+    constructor(width, height, bitDepth, channels, alpha = null, containerBits = 8) {
+        this.width = width;
+        this.height = height;
+        this.bitDepth = bitDepth;
+        this.r = channels.r;
+        this.g = channels.g;
+        this.b = channels.b;
+        this.alpha = alpha;
+        this.containerBits = containerBits;
+        this.isGray = channels.r === channels.g && channels.g === channels.b;
+    }
+
+    /**
+     * 画素値の最大値
+     * @returns {number} 2^bitDepth - 1
+     */
+    get maxValue() {
+        return Math.pow(2, this.bitDepth) - 1;
+    }
+
+    /**
+     * ヒストグラムのビン数
+     * @returns {number} 2^bitDepth
+     */
+    get histogramBins() {
+        return this.maxValue + 1;
+    }
+
+    /**
+     * 画素数
+     * @returns {number} 幅 × 高さ
+     */
+    get pixelCount() {
+        return this.width * this.height;
+    }
+
+    /**
+     * 1画素の取得
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {Object|null} {r, g, b, a}
+     */
+    getPixel(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return null;
+        const index = y * this.width + x;
+        return {
+            r: this.r[index],
+            g: this.g[index],
+            b: this.b[index],
+            a: this.alpha ? this.alpha[index] : 255
+        };
+    }
+
+    /**
+     * 矩形領域の切り出し
+     * @param {Object} region - 領域 {x, y, width, height}
+     * @returns {ImageModel} 切り出した画像
+     */
+    extractRegion(region) {
+        const { x, y, width, height } = region;
+        const copyChannel = (source) => {
+            const target = new source.constructor(width * height);
+            for (let row = 0; row < height; row++) {
+                const start = (y + row) * this.width + x;
+                target.set(source.subarray(start, start + width), row * width);
+            }
+            return target;
+        };
+
+        const r = copyChannel(this.r);
+        const channels = this.isGray
+            ? { r, g: r, b: r }
+            : { r, g: copyChannel(this.g), b: copyChannel(this.b) };
+        const alpha = this.alpha ? copyChannel(this.alpha) : null;
+
+        return new ImageModel(width, height, this.bitDepth, channels, alpha, this.containerBits);
+    }
+
+    /**
+     * ビット深度を変更したモデルの生成（画素値は共有）
+     * @param {number} bitDepth - 新しいビット深度
+     * @returns {ImageModel} 新しいモデル
+     */
+    withBitDepth(bitDepth) {
+        return new ImageModel(
+            this.width,
+            this.height,
+            bitDepth,
+            { r: this.r, g: this.g, b: this.b },
+            this.alpha,
+            this.containerBits
+        );
+    }
+
+    /**
+     * 表示用の8bit RGBAデータを生成
+     * @returns {Uint8ClampedArray} RGBAデータ
+     */
+    toRGBA8() {
+        const maxValue = this.maxValue;
+        const count = this.pixelCount;
+        const rgba = new Uint8ClampedArray(count * 4);
+
+        // 小数・負値を含む画素値（補正後の画像）はLUTを引けないため、0〜255への丸めはUint8ClampedArrayに任せる
+        if (this.r instanceof Float32Array) {
+            const scale = 255 / maxValue;
+            for (let i = 0; i < count; i++) {
+                rgba[i * 4] = this.r[i] * scale;
+                rgba[i * 4 + 1] = this.g[i] * scale;
+                rgba[i * 4 + 2] = this.b[i] * scale;
+                rgba[i * 4 + 3] = this.alpha ? this.alpha[i] : 255;
+            }
+            return rgba;
+        }
+
+        const lutSize = Math.pow(2, this.containerBits);
+        const lut = new Uint8Array(lutSize);
+        for (let v = 0; v < lutSize; v++) {
+            lut[v] = Math.min(255, Math.round(v * 255 / maxValue));
+        }
+
+        for (let i = 0; i < count; i++) {
+            rgba[i * 4] = lut[this.r[i]];
+            rgba[i * 4 + 1] = lut[this.g[i]];
+            rgba[i * 4 + 2] = lut[this.b[i]];
+            rgba[i * 4 + 3] = this.alpha ? this.alpha[i] : 255;
+        }
+        return rgba;
+    }
+
+    /**
+     * Canvas ImageDataからモデルを生成（8bit）
+     * @param {ImageData} imageData - 画像データ
+     * @returns {ImageModel} 生成したモデル
+     */
+    static fromImageData(imageData) {
+        const { width, height, data } = imageData;
+        const count = width * height;
+        const r = new Uint8Array(count);
+        const g = new Uint8Array(count);
+        const b = new Uint8Array(count);
+        const alpha = new Uint8Array(count);
+        let isOpaque = true;
+
+        for (let i = 0; i < count; i++) {
+            r[i] = data[i * 4];
+            g[i] = data[i * 4 + 1];
+            b[i] = data[i * 4 + 2];
+            alpha[i] = data[i * 4 + 3];
+            if (alpha[i] !== 255) isOpaque = false;
+        }
+
+        // 不透明画像はアルファを保持しない（全解像度バッファのメモリ節約）
+        return new ImageModel(width, height, 8, { r, g, b }, isOpaque ? null : alpha, 8);
+    }
+
+    /**
+     * TIFFページからモデルを生成
+     * @param {Object} page - TiffDecoder.decodePageの戻り値
+     * @param {number|null} [bitDepth=null] - 有効ビット深度（nullは自動判定）
+     * @returns {ImageModel} 生成したモデル
+     */
+    static fromTiffPage(page, bitDepth = null) {
+        const channels = TiffDecoder.getChannels(page);
+        const effectiveBits = bitDepth ||
+            ImageModel.detectBitDepth(channels, channels.bitsPerSample, page.maxSampleValue);
+
+        return new ImageModel(
+            page.width,
+            page.height,
+            effectiveBits,
+            { r: channels.r, g: channels.g, b: channels.b },
+            channels.alpha,
+            channels.bitsPerSample
+        );
+    }
+
+    /**
+     * PNGのデコード結果からモデルを生成
+     * @param {Object} png - PngDecoder.decodeの戻り値
+     * @param {number|null} [bitDepth=null] - 有効ビット深度（nullはsBITチャンク、なければ最大値から自動判定）
+     * @returns {ImageModel} 生成したモデル
+     */
+    static fromPng(png, bitDepth = null) {
+        const effectiveBits = bitDepth ||
+            (png.significantBits ? png.bitDepth : ImageModel.detectBitDepth(png, png.containerBits));
+
+        return new ImageModel(
+            png.width,
+            png.height,
+            effectiveBits,
+            { r: png.r, g: png.g, b: png.b },
+            png.alpha,
+            png.containerBits
+        );
+    }
+
+    /**
+     * 有効ビット深度の自動判定
+     * 16bitコンテナに格納された10/12/14bitセンサーデータを最大値から推定する
+     * @param {Object} channels - チャンネル別の画素値 {r, g, b}
+     * @param {number} containerBits - コンテナのビット数
+     * @param {number} [maxSampleValue] - TIFFのMaxSampleValueタグ値
+     * @returns {number} ビット深度
+     */
+    static detectBitDepth(channels, containerBits, maxSampleValue) {
+        if (containerBits <= 8) return 8;
+
+        let maxSample = 0;
+        if (maxSampleValue && maxSampleValue < Math.pow(2, containerBits) - 1) {
+            maxSample = maxSampleValue;
+        } else {
+            const arrays = channels.r === channels.g ? [channels.r] : [channels.r, channels.g, channels.b];
+            arrays.forEach(array => {
+                for (let i = 0; i < array.length; i++) {
+                    if (array[i] > maxSample) maxSample = array[i];
+                }
+            });
+        }
+
+        const candidates = ImageModel.SUPPORTED_BIT_DEPTHS.filter(bits => bits > 8 && bits <= containerBits);
+        for (const bits of candidates) {
+            if (maxSample <= Math.pow(2, bits) - 1) return bits;
+        }
+        return containerBits;
+    }
+}
+
+// ビット深度の選択肢
+ImageModel.SUPPORTED_BIT_DEPTHS = [8, 10, 12, 14, 16];
+
+// Node.js（CommonJS）から利用する場合のエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageModel;
+}
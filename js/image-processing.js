@@ -11,9 +11,18 @@ Object.assign(ImageAnalyzer.prototype, {
      */
     loadImage(file) {
         console.log('Loading image:', file.name, file.type, file.size);
+        this.currentFileName = file.name;
         
-        // ファイル形式チェック
-        if (!file.type.match(/^image\/(jpeg|jpg|png|bmp|tiff|tif|webp|gif)$/i)) {
+        // ヘッダなしRAWは幅・高さ等の指定が必要なため読み込みダイアログを開く
+        if (this.isRawFile(file)) {
+            this.openRawLoaderModal(file);
+            return;
+        }
+
+        // ファイル形式チェック（TIFF・PNGはMIMEタイプが空の場合があるため拡張子でも判定）
+        const isTiff = this.isTiffFile(file);
+        const isPng = this.isPngFile(file);
+        if (!isTiff && !isPng && !file.type.match(/^image\/(jpeg|jpg|png|bmp|tiff|tif|webp|gif)$/i)) {
             alert('画像ファイルを選択してください。（JPEG、PNG、BMP、TIFF、WebP、GIF対応）');
             return;
         }
@@ -26,6 +35,25 @@ Object.assign(ImageAnalyzer.prototype, {
 
         this.setStatusMessage('画像を読み込み中...');
 
+        // TIFFはブラウザでデコードできないため内蔵デコーダを使用
+        if (isTiff) {
+            this.loadTiffImage(file);
+            return;
+        }
+
+        // PNGはブラウザのデコードだと8bitに丸められるため内蔵デコーダで16bitのまま読み込む（CLIと同じ経路）
+        if (isPng) {
+            this.loadPngImage(file);
+            return;
+        }
+
+        // JPEGはEXIFから撮影パラメータを自動入力
+        if (/^image\/jpe?g$/i.test(file.type)) {
+            this.loadExifMetadata(file);
+        } else {
+            this.applyExifMetadata(null);
+        }
+
         const reader = new FileReader();
         
         reader.onload = (e) => {
@@ -34,14 +62,18 @@ Object.assign(ImageAnalyzer.prototype, {
             
             img.onload = () => {
                 console.log('Image loaded:', img.width, 'x', img.height);
-                this.currentImage = img;
-                this.showImageCanvas();
-                this.resetAnalysisData();
-                
-                // DOM更新を待ってから画像表示
-                setTimeout(() => {
-                    this.displayImage();
-                }, 50);
+                this.resetSourceState();
+
+                // 画素参照のたびにCanvasから読み出さないよう、読み込み時に一度だけラスタライズする
+                try {
+                    this.imageModel = this.rasterizeImage(img);
+                } catch (error) {
+                    console.error('Rasterize error:', error);
+                    alert('画像の画素データを取得できませんでした。');
+                    this.setStatusMessage('画像の読み込みに失敗しました');
+                    return;
+                }
+                this.setDecodedImage(img);
             };
             
             img.onerror = (error) => {
@@ -62,6 +94,277 @@ Object.assign(ImageAnalyzer.prototype, {
         reader.readAsDataURL(file);
     },
 
+    /**
+     * 読み込み元（TIFF/RAW）の状態をリセット
+     */
+    resetSourceState() {
+        this.tiffDecoder = null;
+        this.pngImage = null;
+        this.currentPageIndex = 0;
+        this.imageModel = null;
+        this.uncorrectedModel = null;
+        this.correctedModel = null;
+        this.uncorrectedSource = null;
+        this.bitDepthOverride = null;
+        this.rawFrame = null;
+        this.updatePageSelector(0);
+        this.updateBitDepthSelector();
+        this.updateRawViewSelector();
+    },
+
+    /**
+     * TIFFファイルかどうかの判定
+     * @param {File} file - 判定するファイル
+     * @returns {boolean} TIFFであればtrue
+     */
+    isTiffFile(file) {
+        return /^image\/tiff?$/i.test(file.type) || /\.tiff?$/i.test(file.name);
+    },
+
+    /**
+     * PNGファイルかどうかの判定
+     * @param {File} file - 判定するファイル
+     * @returns {boolean} PNGであればtrue
+     */
+    isPngFile(file) {
+        return /^image\/png$/i.test(file.type) || /\.png$/i.test(file.name);
+    },
+
+    /**
+     * PNGファイルの読み込み
+     * @param {File} file - 読み込むPNGファイル
+     */
+    loadPngImage(file) {
+        file.arrayBuffer()
+            .then(buffer => {
+                const png = PngDecoder.decode(buffer);
+                console.log('PNG decoded:', png.width, 'x', png.height, png.bitDepth, 'bit');
+                this.resetSourceState();
+                this.pngImage = png;
+                this.applyExifMetadata(null);
+                this.setImageModel(ImageModel.fromPng(png));
+            })
+            .catch(error => {
+                console.error('PNG load error:', error);
+                alert(`PNGファイルの読み込みに失敗しました。\n${error.message}`);
+                this.setStatusMessage('PNGファイルの読み込みに失敗しました');
+            });
+    },
+
+    /**
+     * TIFFファイルの読み込み
+     * @param {File} file - 読み込むTIFFファイル
+     */
+    loadTiffImage(file) {
+        file.arrayBuffer()
+            .then(buffer => {
+                if (!TiffDecoder.isTiff(buffer)) {
+                    throw new Error('TIFFシグネチャが見つかりません');
+                }
+
+                const decoder = new TiffDecoder(buffer);
+                console.log('TIFF parsed:', decoder.getPageCount(), 'page(s)');
+                this.resetSourceState();
+                this.tiffDecoder = decoder;
+                this.applyExifMetadata(ExifParser.fromTiffDecoder(decoder));
+                this.updatePageSelector(decoder.getPageCount());
+                this.showTiffPage(0);
+            })
+            .catch(error => {
+                console.error('TIFF load error:', error);
+                alert(`TIFFファイルの読み込みに失敗しました。\n${error.message}`);
+                this.setStatusMessage('TIFFファイルの読み込みに失敗しました');
+            });
+    },
+
+    /**
+     * TIFFの指定ページを表示
+     * @param {number} pageIndex - ページ番号（0始まり）
+     */
+    showTiffPage(pageIndex) {
+        if (!this.tiffDecoder) return;
+
+        try {
+            const page = this.tiffDecoder.decodePage(pageIndex);
+            console.log('TIFF page decoded:', pageIndex, page.width, 'x', page.height, page.bitsPerSample + 'bit');
+
+            const model = ImageModel.fromTiffPage(page, this.bitDepthOverride);
+            this.currentPageIndex = pageIndex;
+
+            const pageSelect = document.getElementById('pageSelect');
+            if (pageSelect) pageSelect.value = String(pageIndex);
+
+            this.setImageModel(model);
+
+            if (this.tiffDecoder.getPageCount() > 1) {
+                this.setStatusMessage(`ページ ${pageIndex + 1} / ${this.tiffDecoder.getPageCount()} を表示 (${model.bitDepth}bit)`);
+            }
+        } catch (error) {
+            console.error('TIFF page decode error:', error);
+            alert(`TIFFページのデコードに失敗しました。\n${error.message}`);
+            this.setStatusMessage('TIFFページのデコードに失敗しました');
+        }
+    },
+
+    /**
+     * ページ選択UIの更新
+     * @param {number} pageCount - ページ数（1以下の場合は非表示）
+     */
+    updatePageSelector(pageCount) {
+        const selector = document.getElementById('pageSelector');
+        const pageSelect = document.getElementById('pageSelect');
+        if (!selector || !pageSelect) return;
+
+        pageSelect.innerHTML = '';
+        if (pageCount <= 1 || !this.tiffDecoder) {
+            selector.classList.add('hidden');
+            return;
+        }
+
+        for (let i = 0; i < pageCount; i++) {
+            const info = this.tiffDecoder.getPageInfo(i);
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = `${i + 1} / ${pageCount} (${info.width} × ${info.height})`;
+            pageSelect.appendChild(option);
+        }
+        selector.classList.remove('hidden');
+    },
+
+    /**
+     * ビット深度選択UIの更新
+     * 16bitコンテナのTIFF・PNGのみ有効ビット深度を切り替えられる（RAWは読み込みダイアログで指定）
+     */
+    updateBitDepthSelector() {
+        const selector = document.getElementById('bitDepthSelector');
+        const bitDepthSelect = document.getElementById('bitDepthSelect');
+        if (!selector || !bitDepthSelect) return;
+
+        if (!(this.tiffDecoder || this.pngImage) || !this.imageModel || this.imageModel.containerBits <= 8) {
+            selector.classList.add('hidden');
+            return;
+        }
+
+        const autoOption = bitDepthSelect.querySelector('option[value="auto"]');
+        if (autoOption && !this.bitDepthOverride) {
+            autoOption.textContent = `自動 (${this.imageModel.bitDepth}bit)`;
+        }
+        bitDepthSelect.value = this.bitDepthOverride ? String(this.bitDepthOverride) : 'auto';
+        selector.classList.remove('hidden');
+    },
+
+    /**
+     * 有効ビット深度の変更
+     * @param {number|null} bitDepth - ビット深度（nullは自動判定）
+     */
+    applyBitDepth(bitDepth) {
+        this.bitDepthOverride = bitDepth;
+        if (this.tiffDecoder) {
+            this.showTiffPage(this.currentPageIndex);
+        } else if (this.pngImage) {
+            this.setImageModel(ImageModel.fromPng(this.pngImage, bitDepth));
+        }
+    },
+
+    /**
+     * 画像モデルを解析対象として設定
+     * @param {ImageModel} model - 画像モデル
+     */
+    setImageModel(model) {
+        this.imageModel = model;
+        this.updateBitDepthSelector();
+        this.setDecodedImage(this.createCanvasFromRGBA(model.width, model.height, model.toRGBA8()));
+    },
+
+    /**
+     * 画素値の最大値（ヒストグラム・グラフのスケール）
+     * @returns {number} 最大値
+     */
+    getImageMaxValue() {
+        return this.imageModel ? this.imageModel.maxValue : 255;
+    },
+
+    /**
+     * 輝度値の計算（輝度式・線形化の設定を適用）
+     * @param {number} r - R値
+     * @param {number} g - G値
+     * @param {number} b - B値
+     * @returns {number} 輝度値
+     */
+    calculateBrightness(r, g, b) {
+        return this.getBrightnessConverter().brightness(r, g, b);
+    },
+
+    /**
+     * 現在の輝度設定とビット深度に対応する変換の取得（設定が変わるまで再利用）
+     * @returns {Object} AnalysisCore.createConverterの戻り値
+     */
+    getBrightnessConverter() {
+        const maxValue = this.getImageMaxValue();
+        const key = `${JSON.stringify(this.brightnessSettings)}:${maxValue}`;
+        if (!this.brightnessConverter || this.brightnessConverterKey !== key) {
+            this.brightnessConverter = AnalysisCore.createConverter(this.brightnessSettings, maxValue);
+            this.brightnessConverterKey = key;
+        }
+        return this.brightnessConverter;
+    },
+
+    /**
+     * ブラウザでデコードした画像を全解像度でラスタライズ
+     * @param {HTMLImageElement} img - 読み込み済みの画像
+     * @returns {ImageModel} 8bitの画像モデル
+     */
+    rasterizeImage(img) {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        const model = ImageModel.fromImageData(ctx.getImageData(0, 0, img.width, img.height));
+
+        // メモリ解放
+        canvas.width = 0;
+        canvas.height = 0;
+
+        return model;
+    },
+
+    /**
+     * RGBAデータからCanvasを生成
+     * @param {number} width - 幅
+     * @param {number} height - 高さ
+     * @param {Uint8ClampedArray} rgba - RGBAデータ
+     * @returns {HTMLCanvasElement} 生成したCanvas
+     */
+    createCanvasFromRGBA(width, height, rgba) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(rgba, width, height), 0, 0);
+        return canvas;
+    },
+
+    /**
+     * デコード済み画像を解析対象として設定
+     * @param {HTMLImageElement|HTMLCanvasElement} source - 描画可能な画像ソース
+     */
+    setDecodedImage(source) {
+        // ピント合わせモードでは前のフレームのROIを引き継ぐ
+        const focusFrame = this.captureFocusFrame();
+
+        // ダーク・フラットが登録されていれば補正後の画像を解析対象とする
+        this.currentImage = this.prepareCalibratedImage(source);
+        this.showImageCanvas();
+        this.resetAnalysisData();
+        this.restoreFocusFrame(focusFrame);
+
+        // DOM更新を待ってから画像表示
+        setTimeout(() => {
+            this.displayImage();
+        }, 50);
+    },
+
     /**
      * UI要素の表示切り替え（ドロップゾーン→キャンバス）
      */
@@ -76,15 +379,17 @@ Object.assign(ImageAnalyzer.prototype, {
      * 解析データのリセット
      */
     resetAnalysisData() {
-        this.currentRect = null;
-        this.currentHistogramData = null;
-        
-        // SN比表示をリセット
-        const elements = ['snRatio', 'signalValue', 'noiseValue', 'pixelCount', 'avgBrightness'];
-        elements.forEach(id => {
-            const element = document.getElementById(id);
-            if (element) element.textContent = '--';
-        });
+        // ROIと解析結果（SN比・ヒストグラム表示）をリセット
+        this.clearRois();
+        this.clearGridAnalysis();
+        this.clearShadingAnalysis();
+        this.clearChromaticAberrationMap();
+        this.clearSecondFrame();
+        this.clearOverlays();
+        this.isDrawing = false;
+        this.drawingPoints = [];
+        this.roiEdit = null;
+        if (this.lineAnalyzer) this.lineAnalyzer.lastLine = null;
         
         // カーソル情報をクリア
         this.clearCursorInfo();
@@ -92,16 +397,19 @@ Object.assign(ImageAnalyzer.prototype, {
         // 特定値入力をクリア
         const specificInput = document.getElementById('specificValue');
         const specificResult = document.getElementById('specificResult');
-        if (specificInput) specificInput.value = '';
-        if (specificResult) specificResult.textContent = '--';
-
-        // ヒストグラムをリセット
-        if (this.drawEmptyHistogram) {
-            this.drawEmptyHistogram();
+        if (specificInput) {
+            specificInput.value = '';
+            specificInput.max = this.getImageMaxValue();
+            specificInput.placeholder = `0-${this.getImageMaxValue()}`;
         }
+        if (specificResult) specificResult.textContent = '--';
 
         // ラインプロファイルをリセット
         if (this.lineAnalyzer) {
+            this.lineAnalyzer.lastEdge = null;
+            this.lineAnalyzer.lastColorEdge = null;
+            this.lineAnalyzer.graph.setEdge(null);
+            this.lineAnalyzer.graph.setColorEdge(null);
             this.lineAnalyzer.graph.draw({ r: [], g: [], b: [], brightness: [] });
             if (this.lineAnalyzer.peakInfo) {
                 this.lineAnalyzer.peakInfo.textContent = 'ピークなし';
@@ -198,59 +506,25 @@ Object.assign(ImageAnalyzer.prototype, {
             this.displayedWidth + 1,
             this.displayedHeight + 1
         );
+
+        // ROI・ライン等のオーバーレイ
+        this.drawOverlays();
     },
 
     /**
      * 元画像から1ピクセルの純粋なデータを取得
      * @param {number} originalX - 元画像のX座標
      * @param {number} originalY - 元画像のY座標
-     * @returns {Object|null} ピクセルデータ {r, g, b, a, brightness}
+     * @returns {Object|null} ピクセルデータ {r, g, b, a, brightness}（ネイティブビット深度）
      */
     getOriginalPixelData(originalX, originalY) {
-        if (!this.currentImage) return null;
-        
-        // 境界チェック
-        if (originalX < 0 || originalX >= this.currentImage.width || 
-            originalY < 0 || originalY >= this.currentImage.height) {
-            return null;
-        }
+        if (!this.imageModel) return null;
 
-        try {
-            // 1ピクセル用の隠しCanvas
-            const pixelCanvas = document.createElement('canvas');
-            const pixelCtx = pixelCanvas.getContext('2d');
-            pixelCanvas.width = 1;
-            pixelCanvas.height = 1;
-            
-            // 元画像から1ピクセルを描画
-            pixelCtx.drawImage(
-                this.currentImage,
-                originalX, originalY, 1, 1,
-                0, 0, 1, 1
-            );
-            
-            // ピクセルデータを取得
-            const imageData = pixelCtx.getImageData(0, 0, 1, 1);
-            const pixel = imageData.data;
-            
-            const result = {
-                r: pixel[0],
-                g: pixel[1],
-                b: pixel[2],
-                a: pixel[3],
-                brightness: Math.round(0.299 * pixel[0] + 0.587 * pixel[1] + 0.114 * pixel[2])
-            };
-            
-            // メモリ解放
-            pixelCanvas.width = 0;
-            pixelCanvas.height = 0;
-            
-            return result;
-            
-        } catch (error) {
-            console.warn('Failed to get pixel data:', error);
-            return null;
-        }
+        const pixel = this.imageModel.getPixel(originalX, originalY);
+        if (!pixel) return null;
+
+        pixel.brightness = this.calculateBrightness(pixel.r, pixel.g, pixel.b);
+        return pixel;
     },
 
     /**
@@ -316,6 +590,34 @@ Object.assign(ImageAnalyzer.prototype, {
         return { x: displayX, y: displayY };
     },
 
+    /**
+     * 座標変換: 表示座標 → 元画像座標（小数のまま、画像範囲内に制限）
+     * 形状の頂点など画素単位に丸めない座標に使用する
+     * @param {number} displayX - 表示X座標
+     * @param {number} displayY - 表示Y座標
+     * @returns {Object} 元画像座標 {x, y}
+     */
+    displayToImagePoint(displayX, displayY) {
+        const x = (displayX - this.imageOffsetX) / this.displayedWidth * this.currentImage.width;
+        const y = (displayY - this.imageOffsetY) / this.displayedHeight * this.currentImage.height;
+        return {
+            x: Math.max(0, Math.min(this.currentImage.width, x)),
+            y: Math.max(0, Math.min(this.currentImage.height, y))
+        };
+    },
+
+    /**
+     * 座標変換: 元画像座標（小数可） → 表示座標（範囲外も変換する）
+     * @param {Object} point - 元画像座標 {x, y}
+     * @returns {Object} 表示座標 {x, y}
+     */
+    imageToDisplayPoint(point) {
+        return {
+            x: this.imageOffsetX + point.x / this.currentImage.width * this.displayedWidth,
+            y: this.imageOffsetY + point.y / this.currentImage.height * this.displayedHeight
+        };
+    },
+
     /**
      * 画像のスケール情報を取得
      * @returns {Object} スケール情報
@@ -0,0 +1,301 @@
+/**
+ * Inflate - Deflate伸長モジュール
+ * RFC1951(Deflate)およびRFC1950(zlib)形式の圧縮データを展開する
+ */
+
+class Inflate {
+    /**
+     * zlibヘッダの有無を判定して展開
+     * @param {Uint8Array} data - 圧縮データ
+     * @returns {Uint8Array} 展開後のデータ
+     */
+    static inflate(data) {
+        let offset = 0;
+        if (data.length >= 2 && (data[0] & 0x0f) === 8 && ((data[0] << 8) | data[1]) % 31 === 0) {
+            if (data[1] & 0x20) {
+                throw new Error('プリセット辞書付きのzlibストリームには対応していません');
+            }
+            offset = 2;
+        }
+        return Inflate.inflateRaw(data, offset);
+    }
+
+    /**
+     * Deflateストリームの展開
+     * @param {Uint8Array} data - 圧縮データ
+     * @param {number} [offset=0] - 開始位置
+     * @returns {Uint8Array} 展開後のデータ
+     */
+    static inflateRaw(data, offset = 0) {
+        const state = {
+            data,
+            pos: offset,
+            bitBuf: 0,
+            bitCnt: 0,
+            out: new Uint8Array(Math.max(1024, data.length * 4)),
+            outPos: 0
+        };
+
+        let isFinal = 0;
+        do {
+            isFinal = Inflate.readBits(state, 1);
+            const type = Inflate.readBits(state, 2);
+
+            if (type === 0) {
+                Inflate.inflateStored(state);
+            } else if (type === 1) {
+                const fixed = Inflate.getFixedTables();
+                Inflate.inflateBlock(state, fixed.lengths, fixed.distances);
+            } else if (type === 2) {
+                const dynamic = Inflate.readDynamicTables(state);
+                Inflate.inflateBlock(state, dynamic.lengths, dynamic.distances);
+            } else {
+                throw new Error('不正なDeflateブロック種別です');
+            }
+        } while (!isFinal);
+
+        return state.out.subarray(0, state.outPos);
+    }
+
+    /**
+     * LSBファーストでビット列を読み出す
+     * @param {Object} state - 展開状態
+     * @param {number} count - ビット数（最大16）
+     * @returns {number} 読み出した値
+     */
+    static readBits(state, count) {
+        while (state.bitCnt < count) {
+            if (state.pos >= state.data.length) {
+                throw new Error('Deflateデータが途中で終了しています');
+            }
+            state.bitBuf |= state.data[state.pos++] << state.bitCnt;
+            state.bitCnt += 8;
+        }
+        const value = state.bitBuf & ((1 << count) - 1);
+        state.bitBuf >>>= count;
+        state.bitCnt -= count;
+        return value;
+    }
+
+    /**
+     * 出力バッファの容量確保
+     * @param {Object} state - 展開状態
+     * @param {number} size - 追加で書き込むバイト数
+     */
+    static ensureCapacity(state, size) {
+        if (state.outPos + size <= state.out.length) return;
+        let newLength = state.out.length * 2;
+        while (newLength < state.outPos + size) newLength *= 2;
+        const grown = new Uint8Array(newLength);
+        grown.set(state.out.subarray(0, state.outPos));
+        state.out = grown;
+    }
+
+    /**
+     * 非圧縮ブロックの展開
+     * @param {Object} state - 展開状態
+     */
+    static inflateStored(state) {
+        // バイト境界に揃える
+        state.bitBuf = 0;
+        state.bitCnt = 0;
+
+        const { data } = state;
+        if (state.pos + 4 > data.length) {
+            throw new Error('Deflateデータが途中で終了しています');
+        }
+        const length = data[state.pos] | (data[state.pos + 1] << 8);
+        const inverted = data[state.pos + 2] | (data[state.pos + 3] << 8);
+        state.pos += 4;
+
+        if (length !== (~inverted & 0xffff)) {
+            throw new Error('非圧縮ブロックの長さが不正です');
+        }
+        if (state.pos + length > data.length) {
+            throw new Error('Deflateデータが途中で終了しています');
+        }
+
+        Inflate.ensureCapacity(state, length);
+        state.out.set(data.subarray(state.pos, state.pos + length), state.outPos);
+        state.outPos += length;
+        state.pos += length;
+    }
+
+    /**
+     * 符号長配列からハフマン復号表を構築
+     * @param {Array|Uint8Array} codeLengths - 各シンボルの符号長
+     * @returns {Object} 復号表 {counts, symbols}
+     */
+    static buildHuffman(codeLengths) {
+        const counts = new Uint16Array(16);
+        const symbols = new Uint16Array(codeLengths.length);
+        const offsets = new Uint16Array(16);
+
+        for (let i = 0; i < codeLengths.length; i++) {
+            counts[codeLengths[i]]++;
+        }
+        counts[0] = 0;
+
+        for (let len = 1; len < 15; len++) {
+            offsets[len + 1] = offsets[len] + counts[len];
+        }
+        for (let i = 0; i < codeLengths.length; i++) {
+            if (codeLengths[i] !== 0) {
+                symbols[offsets[codeLengths[i]]++] = i;
+            }
+        }
+
+        return { counts, symbols };
+    }
+
+    /**
+     * ハフマン符号を1シンボル復号
+     * @param {Object} state - 展開状態
+     * @param {Object} table - 復号表
+     * @returns {number} シンボル
+     */
+    static decodeSymbol(state, table) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let len = 1; len < 16; len++) {
+            code |= Inflate.readBits(state, 1);
+            const count = table.counts[len];
+            if (code - count < first) {
+                return table.symbols[index + (code - first)];
+            }
+            index += count;
+            first += count;
+            first <<= 1;
+            code <<= 1;
+        }
+        throw new Error('不正なハフマン符号です');
+    }
+
+    /**
+     * 固定ハフマン表の取得（初回のみ構築）
+     * @returns {Object} {lengths, distances}
+     */
+    static getFixedTables() {
+        if (!Inflate.fixedTables) {
+            const litLengths = new Uint8Array(288);
+            litLengths.fill(8, 0, 144);
+            litLengths.fill(9, 144, 256);
+            litLengths.fill(7, 256, 280);
+            litLengths.fill(8, 280, 288);
+            const distLengths = new Uint8Array(30).fill(5);
+
+            Inflate.fixedTables = {
+                lengths: Inflate.buildHuffman(litLengths),
+                distances: Inflate.buildHuffman(distLengths)
+            };
+        }
+        return Inflate.fixedTables;
+    }
+
+    /**
+     * 動的ハフマン表の読み出し
+     * @param {Object} state - 展開状態
+     * @returns {Object} {lengths, distances}
+     */
+    static readDynamicTables(state) {
+        const order = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+        const literalCount = Inflate.readBits(state, 5) + 257;
+        const distanceCount = Inflate.readBits(state, 5) + 1;
+        const codeLengthCount = Inflate.readBits(state, 4) + 4;
+
+        const codeLengthLengths = new Uint8Array(19);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengthLengths[order[i]] = Inflate.readBits(state, 3);
+        }
+        const codeLengthTable = Inflate.buildHuffman(codeLengthLengths);
+
+        const lengths = new Uint8Array(literalCount + distanceCount);
+        let index = 0;
+        while (index < lengths.length) {
+            const symbol = Inflate.decodeSymbol(state, codeLengthTable);
+            if (symbol < 16) {
+                lengths[index++] = symbol;
+                continue;
+            }
+
+            let repeatValue = 0;
+            let repeatCount = 0;
+            if (symbol === 16) {
+                if (index === 0) throw new Error('不正な符号長の繰り返しです');
+                repeatValue = lengths[index - 1];
+                repeatCount = 3 + Inflate.readBits(state, 2);
+            } else if (symbol === 17) {
+                repeatCount = 3 + Inflate.readBits(state, 3);
+            } else {
+                repeatCount = 11 + Inflate.readBits(state, 7);
+            }
+            if (index + repeatCount > lengths.length) {
+                throw new Error('不正な符号長の繰り返しです');
+            }
+            lengths.fill(repeatValue, index, index + repeatCount);
+            index += repeatCount;
+        }
+
+        return {
+            lengths: Inflate.buildHuffman(lengths.subarray(0, literalCount)),
+            distances: Inflate.buildHuffman(lengths.subarray(literalCount))
+        };
+    }
+
+    /**
+     * 圧縮ブロックの展開
+     * @param {Object} state - 展開状態
+     * @param {Object} lengthTable - リテラル/長さの復号表
+     * @param {Object} distanceTable - 距離の復号表
+     */
+    static inflateBlock(state, lengthTable, distanceTable) {
+        const lengthBase = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+            35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+        const lengthExtra = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+            3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+        const distanceBase = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+            257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+        const distanceExtra = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+            7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+        while (true) {
+            const symbol = Inflate.decodeSymbol(state, lengthTable);
+            if (symbol < 256) {
+                Inflate.ensureCapacity(state, 1);
+                state.out[state.outPos++] = symbol;
+                continue;
+            }
+            if (symbol === 256) return;
+
+            const lengthIndex = symbol - 257;
+            if (lengthIndex >= lengthBase.length) {
+                throw new Error('不正な長さ符号です');
+            }
+            const length = lengthBase[lengthIndex] + Inflate.readBits(state, lengthExtra[lengthIndex]);
+
+            const distanceIndex = Inflate.decodeSymbol(state, distanceTable);
+            if (distanceIndex >= distanceBase.length) {
+                throw new Error('不正な距離符号です');
+            }
+            const distance = distanceBase[distanceIndex] + Inflate.readBits(state, distanceExtra[distanceIndex]);
+            if (distance > state.outPos) {
+                throw new Error('参照距離がデータ範囲外です');
+            }
+
+            Inflate.ensureCapacity(state, length);
+            const out = state.out;
+            let from = state.outPos - distance;
+            for (let i = 0; i < length; i++) {
+                out[state.outPos++] = out[from++];
+            }
+        }
+    }
+}
+
+Inflate.fixedTables = null;
+
+// Node.js（CommonJS）から利用する場合のエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Inflate;
+}
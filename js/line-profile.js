@@ -1,6 +1,7 @@
 /**
  * Line profile analysis module
- * Provides line drawing, pixel sampling, graphing and peak detection.
+ * Provides line drawing, pixel sampling, graphing, peak detection, edge-rise analysis
+ * and lateral chromatic aberration (R/G/B edge positions).
  */
 
 class LineDrawer {
@@ -68,53 +69,61 @@ class LineDrawer {
 class PixelSampler {
     static sample(analyzer, start, end) {
         const img = analyzer.currentImage;
-        if (!img) return null;
+        if (!img || !analyzer.imageModel) return null;
+        return PixelSampler.sampleOriginal(
+            analyzer,
+            PixelSampler.toOriginal(analyzer, start),
+            PixelSampler.toOriginal(analyzer, end)
+        );
+    }
 
+    // Convert a display-space point to original-image coordinates
+    static toOriginal(analyzer, point) {
+        const img = analyzer.currentImage;
         const scaleX = img.width / analyzer.displayedWidth;
         const scaleY = img.height / analyzer.displayedHeight;
+        return {
+            x: Math.round((point.x - analyzer.imageOffsetX) * scaleX),
+            y: Math.round((point.y - analyzer.imageOffsetY) * scaleY)
+        };
+    }
 
-        const x0 = Math.round((start.x - analyzer.imageOffsetX) * scaleX);
-        const y0 = Math.round((start.y - analyzer.imageOffsetY) * scaleY);
-        const x1 = Math.round((end.x - analyzer.imageOffsetX) * scaleX);
-        const y1 = Math.round((end.y - analyzer.imageOffsetY) * scaleY);
-
-        const dx = Math.abs(x1 - x0);
-        const sx = x0 < x1 ? 1 : -1;
-        const dy = -Math.abs(y1 - y0);
-        const sy = y0 < y1 ? 1 : -1;
-        let err = dx + dy;
-        let x = x0;
-        let y = y0;
-
-        const values = { r: [], g: [], b: [], brightness: [] };
-        while (true) {
-            const pixel = analyzer.getOriginalPixelData(x, y);
-            if (pixel) {
-                values.r.push(pixel.r);
-                values.g.push(pixel.g);
-                values.b.push(pixel.b);
-                values.brightness.push(pixel.brightness);
-            }
-            if (x === x1 && y === y1) break;
-            const e2 = 2 * err;
-            if (e2 >= dy) { err += dy; x += sx; }
-            if (e2 <= dx) { err += dx; y += sy; }
-        }
-        return values;
+    // Sample the cached full-resolution buffer with the analyzer's brightness settings
+    static sampleOriginal(analyzer, start, end) {
+        if (!analyzer.imageModel) return null;
+        return AnalysisCore.sampleLine(analyzer.imageModel, start, end, analyzer.brightnessSettings);
     }
 }
 
 class PeakDetector {
     static findPeaks(values, threshold = 5) {
-        const peaks = [];
-        for (let i = 1; i < values.length - 1; i++) {
-            if (values[i] > values[i - 1] && values[i] > values[i + 1]) {
-                if ((values[i] - values[i - 1] > threshold) && (values[i] - values[i + 1] > threshold)) {
-                    peaks.push({ index: i, value: values[i] });
-                }
-            }
-        }
-        return peaks;
+        return AnalysisCore.findPeaks(values, threshold);
+    }
+}
+
+class EdgeDetector {
+    // Rise distances, overshoot and LSF of an edge crossed by the line.
+    // Steps smaller than 2% of full scale are not treated as an edge.
+    static analyze(values, line) {
+        const length = values.brightness.length;
+        const spacing = length > 1
+            ? Math.hypot(line.end.x - line.start.x, line.end.y - line.start.y) / (length - 1)
+            : 1;
+        return AnalysisCore.analyzeEdgeProfile(values.brightness, spacing, (values.maxValue || 255) * 0.02);
+    }
+
+    // Subpixel R/G/B positions of the strongest colour edge, measured on an evenly
+    // interpolated profile of the full-resolution image (same 2% contrast threshold)
+    static analyzeColor(analyzer, values, line) {
+        if (!analyzer.imageModel) return null;
+        return AnalysisCore.analyzeChromaticAberration(
+            analyzer.imageModel, line, analyzer.brightnessSettings, (values.maxValue || 255) * 0.02
+        );
+    }
+
+    // Signed offset such as '+0.42' / '−0.31' (U+2212 for the minus sign)
+    static formatOffset(value, digits = 2) {
+        return `${value < 0 ? '−' : '+'}${Math.abs(value).toFixed(digits)}`;
     }
 }
 
@@ -127,6 +136,8 @@ class LineGraph {
         this.largeCtx = this.largeCanvas?.getContext('2d');
         this.largeZoom = 1;
         this.currentValues = null;
+        this.currentEdge = null;
+        this.currentColorEdge = null;
         this.initPanZoom();
     }
 
@@ -134,6 +145,17 @@ class LineGraph {
         this.mode = mode;
     }
 
+    // Edge analysis result drawn as markers on the large profile (null to hide)
+    setEdge(edge) {
+        this.currentEdge = edge;
+    }
+
+    // Chromatic aberration result and the line length in pixels, used to place
+    // the per-channel edge positions on the sample axis (null to hide)
+    setColorEdge(colorEdge, lineLength = 0) {
+        this.currentColorEdge = colorEdge ? { edge: colorEdge, lineLength } : null;
+    }
+
     draw(values) {
         if (!this.ctx || !values) return;
         this.currentValues = values;
@@ -147,7 +169,7 @@ class LineGraph {
         if (len <= 1) {
             return;
         }
-        const maxVal = 255;
+        const maxVal = values.maxValue || 255;
 
         const drawChannel = (data, color) => {
             ctx.beginPath();
@@ -190,7 +212,7 @@ class LineGraph {
         const plotWidth = width - padding.left - padding.right;
         const plotHeight = height - padding.top - padding.bottom;
         this.largeCtx.clearRect(0, 0, width, height);
-        const maxVal = 255;
+        const maxVal = values.maxValue || 255;
         const step = Math.max(1, Math.floor(5 / this.largeZoom));
 
         // 軸
@@ -263,6 +285,121 @@ class LineGraph {
         (channels[this.mode] || channels.brightness).forEach(ch =>
             drawChannel(values[ch.key], ch.color)
         );
+
+        const plot = {
+            toX: (i) => padding.left + (i / (len - 1)) * plotWidth,
+            toY: (v) => padding.top + (1 - v / maxVal) * plotHeight,
+            top: padding.top,
+            bottom: height - padding.bottom,
+            left: padding.left,
+            right: width - padding.right
+        };
+        if (this.currentEdge) {
+            this.drawEdgeMarkers(this.currentEdge, plot);
+        }
+        // Channel positions only make sense next to the channel curves
+        if (this.currentColorEdge && this.mode !== 'brightness') {
+            this.drawColorEdgeMarkers(this.currentColorEdge, plot, len);
+        }
+    }
+
+    // Edge levels, 10-90% / 20-80% crossings and the LSF with its FWHM on the large profile
+    drawEdgeMarkers(edge, plot) {
+        const ctx = this.largeCtx;
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+
+        // Start and end levels of the edge
+        ctx.strokeStyle = '#adb5bd';
+        ctx.setLineDash([6, 4]);
+        [edge.startLevel, edge.endLevel].forEach(level => {
+            const y = plot.toY(level);
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.right, y);
+            ctx.stroke();
+        });
+
+        // Crossing positions
+        const spans = [
+            { span: edge.rise1090, color: '#667eea', label: '10-90%' },
+            { span: edge.rise2080, color: '#2ed573', label: '20-80%' }
+        ];
+        spans.forEach(({ span, color, label }, index) => {
+            if (!span) return;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.setLineDash([3, 3]);
+            [span.from, span.to].forEach(position => {
+                const x = plot.toX(position);
+                ctx.beginPath();
+                ctx.moveTo(x, plot.top);
+                ctx.lineTo(x, plot.bottom);
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+            ctx.textAlign = 'left';
+            ctx.fillText(`${label}: ${span.distance.toFixed(2)} px`, plot.toX(span.to) + 4, plot.top + 12 + index * 14);
+        });
+
+        // LSF scaled so that its peak reaches 40% of the plot height above the bottom axis
+        const peak = edge.lsfPeak.value;
+        if (peak > 0) {
+            const scale = (plot.bottom - plot.top) * 0.4 / peak;
+            const toLsfY = (v) => plot.bottom - Math.max(0, v) * scale;
+            ctx.strokeStyle = '#ffa502';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            edge.lsf.forEach((v, i) => {
+                if (i === 0) ctx.moveTo(plot.toX(i), toLsfY(v));
+                else ctx.lineTo(plot.toX(i), toLsfY(v));
+            });
+            ctx.stroke();
+
+            if (edge.fwhm) {
+                const y = toLsfY(peak / 2);
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(plot.toX(edge.fwhm.from), y);
+                ctx.lineTo(plot.toX(edge.fwhm.to), y);
+                ctx.stroke();
+                ctx.fillStyle = '#ffa502';
+                ctx.textAlign = 'left';
+                ctx.fillText(`LSF FWHM: ${edge.fwhm.distance.toFixed(2)} px`, plot.toX(edge.fwhm.to) + 4, y + 4);
+            }
+        }
+        ctx.restore();
+    }
+
+    // R/G/B edge positions as solid lines in the channel colours, with the R-G / B-G offsets
+    drawColorEdgeMarkers({ edge, lineLength }, plot, len) {
+        if (!(lineLength > 0)) return;
+        const ctx = this.largeCtx;
+        const toIndex = (distance) => distance / lineLength * (len - 1);
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        const channels = [
+            { key: 'red', color: 'red', label: 'R-G', offset: edge.redOffset },
+            { key: 'green', color: 'green', label: null, offset: 0 },
+            { key: 'blue', color: 'blue', label: 'B-G', offset: edge.blueOffset }
+        ];
+        // Labels go below the rise-distance labels of drawEdgeMarkers
+        let row = 2;
+        channels.forEach(({ key, color, label, offset }) => {
+            const x = plot.toX(toIndex(edge.distances[key]));
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.bottom);
+            ctx.stroke();
+            if (!label) return;
+            ctx.fillStyle = color;
+            ctx.fillText(`${label}: ${EdgeDetector.formatOffset(offset)} px`, plot.toX(toIndex(edge.distances.green)) + 4, plot.top + 12 + row++ * 14);
+        });
+        ctx.restore();
     }
 
     resetView() {
@@ -313,6 +450,9 @@ class LineAnalyzer {
         this.graph = new LineGraph(document.getElementById('lineProfileChart'));
         this.peakInfo = document.getElementById('peakInfo');
         this.lastValues = null;
+        this.lastLine = null;
+        this.lastEdge = null;
+        this.lastColorEdge = null;
 
         const chart = document.getElementById('lineProfileChart');
         if (chart) {
@@ -350,6 +490,8 @@ class LineAnalyzer {
     }
 
     start(e) {
+        // The previous line stays on the overlay until a new one is started
+        this.imageAnalyzer.removeOverlays('lineProfile');
         this.drawer.start(e);
     }
 
@@ -359,24 +501,90 @@ class LineAnalyzer {
 
     end(e) {
         const line = this.drawer.end(e);
-        if (!line) return;
-        const values = PixelSampler.sample(this.imageAnalyzer, line.start, line.end);
+        if (!line || !this.imageAnalyzer.currentImage) return;
+        this.lastLine = {
+            start: PixelSampler.toOriginal(this.imageAnalyzer, line.start),
+            end: PixelSampler.toOriginal(this.imageAnalyzer, line.end)
+        };
+        this.refresh();
+    }
+
+    // Re-sample the last line, e.g. after the brightness settings changed
+    refresh() {
+        if (!this.lastLine) return;
+        const values = PixelSampler.sampleOriginal(this.imageAnalyzer, this.lastLine.start, this.lastLine.end);
         if (values) {
             this.lastValues = values;
+            this.lastEdge = EdgeDetector.analyze(values, this.lastLine);
+            this.lastColorEdge = EdgeDetector.analyzeColor(this.imageAnalyzer, values, this.lastLine);
+            this.graph.setEdge(this.lastEdge);
+            this.graph.setColorEdge(this.lastColorEdge, Math.hypot(
+                this.lastLine.end.x - this.lastLine.start.x, this.lastLine.end.y - this.lastLine.start.y
+            ));
             this.graph.draw(values);
             const peaks = PeakDetector.findPeaks(values.brightness);
             this.displayPeaks(peaks);
+            this.updateOverlay(peaks);
+
+            const modal = document.getElementById('lineProfileModal');
+            if (modal && modal.style.display === 'flex') {
+                this.graph.drawLarge(values);
+            }
         }
     }
 
+    // Register the line and its peaks on the overlay layer so they survive zoom, pan and redraw
+    updateOverlay(peaks) {
+        const analyzer = this.imageAnalyzer;
+        const { start, end } = this.lastLine;
+        const length = this.lastValues.brightness.length;
+
+        analyzer.removeOverlays('lineProfile');
+        analyzer.addOverlay({
+            type: 'line',
+            group: 'lineProfile',
+            points: [start, end],
+            text: `${Math.round(Math.hypot(end.x - start.x, end.y - start.y))} px`
+        });
+        peaks.forEach(peak => {
+            const t = length > 1 ? peak.index / (length - 1) : 0;
+            analyzer.addOverlay({
+                type: 'marker',
+                group: 'lineProfile',
+                color: '#ffa502',
+                point: {
+                    x: Math.round(start.x + (end.x - start.x) * t),
+                    y: Math.round(start.y + (end.y - start.y) * t)
+                }
+            });
+        });
+        analyzer.redrawCanvas();
+    }
+
     displayPeaks(peaks) {
         if (!this.peakInfo) return;
-        if (!peaks || peaks.length === 0) {
-            this.peakInfo.textContent = 'ピークなし';
-            return;
+        const lines = [
+            peaks && peaks.length > 0
+                ? `ピーク: ${peaks.map(p => `(${p.index}, ${Number.isInteger(p.value) ? p.value : p.value.toFixed(1)})`).join(', ')}`
+                : 'ピークなし'
+        ];
+        const edge = this.lastEdge;
+        if (edge) {
+            const distance = (span) => (span ? `${span.distance.toFixed(2)} px` : '--');
+            lines.push(
+                `エッジ（${edge.direction === 'rising' ? '立ち上がり' : '立ち下がり'}）: 10–90% ${distance(edge.rise1090)} / 20–80% ${distance(edge.rise2080)}`,
+                `オーバーシュート ${edge.overshoot.toFixed(1)}% / アンダーシュート ${edge.undershoot.toFixed(1)}% / LSF半値幅 ${distance(edge.fwhm)}`
+            );
+        }
+        const color = this.lastColorEdge;
+        if (color) {
+            // Radial lines report outward-positive offsets and the share of the distance from the image centre
+            const format = EdgeDetector.formatOffset;
+            lines.push(color.radial
+                ? `倍率色収差（放射方向・外向きが正）: R-G ${format(color.radialRedOffset)} px（${format(color.redPercent, 3)}%）/ B-G ${format(color.radialBlueOffset)} px（${format(color.bluePercent, 3)}%）`
+                : `色ずれ（ライン方向・終点側が正）: R-G ${format(color.redOffset)} px / B-G ${format(color.blueOffset)} px`);
         }
-        const text = peaks.map(p => `(${p.index}, ${p.value})`).join(', ');
-        this.peakInfo.textContent = `ピーク: ${text}`;
+        this.peakInfo.textContent = lines.join('\n');
     }
 
     openModal() {
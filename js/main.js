@@ -39,6 +39,48 @@ function closeLineProfileModal() {
     }
 }
 
+/**
+ * RAW読み込みモーダルを閉じる（グローバル関数）
+ */
+function closeRawLoaderModal() {
+    if (imageAnalyzerInstance) {
+        imageAnalyzerInstance.closeRawLoaderModal();
+    } else {
+        const modal = document.getElementById('rawLoaderModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+}
+
+/**
+ * PTC測定モーダルを閉じる（グローバル関数）
+ */
+function closePtcModal() {
+    if (imageAnalyzerInstance) {
+        imageAnalyzerInstance.closePtcModal();
+    } else {
+        const modal = document.getElementById('ptcModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+}
+
+/**
+ * エッジMTFモーダルを閉じる（グローバル関数）
+ */
+function closeEdgeMtfModal() {
+    if (imageAnalyzerInstance) {
+        imageAnalyzerInstance.closeEdgeMtfModal();
+    } else {
+        const modal = document.getElementById('edgeMtfModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+}
+
 /**
  * アプリケーションの初期化
  */
@@ -1,27 +1,105 @@
 /**
  * ImageAnalyzer - マウス操作モジュール
- * マウスによる矩形描画、カーソル情報表示等の機能
+ * マウスによるROI（矩形・楕円・多角形・自由形状）描画、カーソル情報表示等の機能
  */
 
 Object.assign(ImageAnalyzer.prototype, {
     
     /**
-     * 矩形描画開始
+     * ROI描画モードかどうか
+     * @returns {boolean} ROI描画モードであればtrue
+     */
+    isRoiMode() {
+        return Object.prototype.hasOwnProperty.call(ImageAnalyzer.ROI_SHAPES, this.drawMode);
+    },
+
+    /**
+     * ROI描画開始（多角形はクリックごとに頂点を追加）
      * @param {MouseEvent} e - マウスイベント
      */
     startDrawing(e) {
         if (!this.currentImage) return;
 
+        const point = this.getCanvasCoordinates(e);
+        if (this.drawMode === 'polygon') {
+            this.addPolygonVertex(point);
+            return;
+        }
+
         this.isDrawing = true;
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        
-        this.startX = (e.clientX - rect.left) * scaleX;
-        this.startY = (e.clientY - rect.top) * scaleY;
+        this.startX = point.x;
+        this.startY = point.y;
+        this.drawingPoints = this.drawMode === 'freehand'
+            ? [this.displayToImagePoint(point.x, point.y)]
+            : [];
         
         this.canvas.classList.add('drawing');
-        this.setStatusMessage('矩形を描画中...');
+        this.setStatusMessage(`${ImageAnalyzer.ROI_SHAPES[this.drawMode]}を描画中...`);
+    },
+
+    /**
+     * 多角形の頂点の追加（始点付近のクリックで確定）
+     * @param {Object} point - Canvas座標 {x, y}
+     */
+    addPolygonVertex(point) {
+        const points = this.drawingPoints;
+        if (points.length > 0) {
+            const last = this.imageToDisplayPoint(points[points.length - 1]);
+            // ダブルクリックによる重複頂点は無視
+            if (Math.hypot(point.x - last.x, point.y - last.y) < 3) return;
+
+            const first = this.imageToDisplayPoint(points[0]);
+            if (points.length >= 3 && Math.hypot(point.x - first.x, point.y - first.y) < 8) {
+                this.finishPolygon();
+                return;
+            }
+        }
+
+        points.push(this.displayToImagePoint(point.x, point.y));
+        this.canvas.classList.add('drawing');
+        this.redrawCanvas();
+        this.drawSelectionPath(points, point);
+        this.setStatusMessage('多角形: クリックで頂点を追加、ダブルクリック・Enterで確定、Escで中止');
+    },
+
+    /**
+     * 描画中の多角形の確定
+     */
+    finishPolygon() {
+        if (this.drawMode !== 'polygon' || this.drawingPoints.length === 0) return;
+
+        const points = this.drawingPoints;
+        this.cancelShapeDrawing();
+        const roi = this.addShapeRoi(points, 'polygon');
+        if (roi) {
+            this.setStatusMessage(`${roi.name} を追加しました`);
+        } else {
+            this.setStatusMessage('多角形には3つ以上の頂点が必要です');
+        }
+    },
+
+    /**
+     * 描画中の形状の破棄
+     */
+    cancelShapeDrawing() {
+        this.isDrawing = false;
+        this.drawingPoints = [];
+        this.canvas.classList.remove('drawing');
+        if (this.currentImage) this.redrawCanvas();
+    },
+
+    /**
+     * 描画中の多角形の最後の頂点を削除
+     */
+    removeLastPolygonVertex() {
+        if (this.drawMode !== 'polygon' || this.drawingPoints.length === 0) return;
+        this.drawingPoints.pop();
+        this.redrawCanvas();
+        if (this.drawingPoints.length > 0) {
+            this.drawSelectionPath(this.drawingPoints, null);
+        } else {
+            this.canvas.classList.remove('drawing');
+        }
     },
 
     /**
@@ -99,24 +177,125 @@ Object.assign(ImageAnalyzer.prototype, {
     },
 
     /**
-     * 矩形描画中
+     * ROI描画中（形状ごとのプレビュー）
      * @param {MouseEvent} e - マウスイベント
      */
-    drawRectangle(e) {
-        if (!this.isDrawing || !this.currentImage) return;
+    updateDrawing(e) {
+        if (!this.currentImage) return;
 
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        
-        const currentX = (e.clientX - rect.left) * scaleX;
-        const currentY = (e.clientY - rect.top) * scaleY;
+        const current = this.getCanvasCoordinates(e);
+        if (this.drawMode === 'polygon') {
+            if (this.drawingPoints.length === 0) return;
+            this.redrawCanvas();
+            this.drawSelectionPath(this.drawingPoints, current);
+            return;
+        }
+        if (!this.isDrawing) return;
 
         // 画像を再描画
         this.redrawCanvas();
-        
-        // 矩形の描画
-        this.drawSelectionRectangle(this.startX, this.startY, currentX, currentY);
+
+        if (this.drawMode === 'freehand') {
+            const last = this.imageToDisplayPoint(this.drawingPoints[this.drawingPoints.length - 1]);
+            if (Math.hypot(current.x - last.x, current.y - last.y) >= 2) {
+                this.drawingPoints.push(this.displayToImagePoint(current.x, current.y));
+            }
+            this.drawSelectionPath(this.drawingPoints, null);
+        } else if (this.drawMode === 'ellipse') {
+            const end = this.constrainToCircle(current, e.shiftKey);
+            this.drawSelectionEllipse(this.startX, this.startY, end.x, end.y);
+        } else {
+            this.drawSelectionRectangle(this.startX, this.startY, current.x, current.y);
+        }
+    },
+
+    /**
+     * Shiftキー押下時は楕円を円に制限した終点を返す
+     * @param {Object} point - Canvas座標 {x, y}
+     * @param {boolean} constrain - 円に制限するかどうか
+     * @returns {Object} 終点 {x, y}
+     */
+    constrainToCircle(point, constrain) {
+        if (!constrain) return point;
+        const size = Math.min(Math.abs(point.x - this.startX), Math.abs(point.y - this.startY));
+        return {
+            x: this.startX + Math.sign(point.x - this.startX) * size,
+            y: this.startY + Math.sign(point.y - this.startY) * size
+        };
+    },
+
+    /**
+     * 描画中の楕円の描画
+     * @param {number} startX - 開始X座標
+     * @param {number} startY - 開始Y座標
+     * @param {number} currentX - 現在X座標
+     * @param {number} currentY - 現在Y座標
+     */
+    drawSelectionEllipse(startX, startY, currentX, currentY) {
+        const rect = this.calculateClampedRectangle(startX, startY, currentX, currentY);
+        if (rect.width <= 0 || rect.height <= 0) return;
+
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.ellipse(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width / 2, rect.height / 2, 0, 0, Math.PI * 2);
+        this.ctx.fillStyle = 'rgba(255, 71, 87, 0.2)';
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#ff4757';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+
+        // 外接矩形（補助線）
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        this.ctx.restore();
+
+        if (rect.width > 20 && rect.height > 20) {
+            this.showRectangleSize(rect.x, rect.y, rect.width, rect.height);
+        }
+    },
+
+    /**
+     * 描画中の多角形・自由形状の描画
+     * @param {Array} points - 頂点 [{x, y}]（元画像座標）
+     * @param {Object|null} cursor - 次の頂点候補のCanvas座標（多角形のみ）
+     */
+    drawSelectionPath(points, cursor) {
+        if (points.length === 0) return;
+
+        const displayPoints = points.map(point => this.imageToDisplayPoint(point));
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ff4757';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        displayPoints.forEach((p, i) => {
+            if (i === 0) this.ctx.moveTo(p.x, p.y);
+            else this.ctx.lineTo(p.x, p.y);
+        });
+        if (cursor) this.ctx.lineTo(cursor.x, cursor.y);
+        this.ctx.stroke();
+
+        // 閉じる辺（補助線）
+        if (displayPoints.length > 1) {
+            const first = displayPoints[0];
+            const last = cursor || displayPoints[displayPoints.length - 1];
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(last.x, last.y);
+            this.ctx.lineTo(first.x, first.y);
+            this.ctx.stroke();
+        }
+
+        // 多角形の頂点
+        if (this.drawMode === 'polygon') {
+            const gripSize = 6;
+            this.ctx.fillStyle = '#ff4757';
+            displayPoints.forEach(p => {
+                this.ctx.fillRect(p.x - gripSize / 2, p.y - gripSize / 2, gripSize, gripSize);
+            });
+        }
+        this.ctx.restore();
     },
 
     /**
@@ -194,7 +373,7 @@ Object.assign(ImageAnalyzer.prototype, {
     },
 
     /**
-     * 矩形描画終了
+     * ROI描画終了（矩形・楕円・自由形状）
      * @param {MouseEvent} e - マウスイベント
      */
     endDrawing(e) {
@@ -202,28 +381,40 @@ Object.assign(ImageAnalyzer.prototype, {
         
         this.isDrawing = false;
         this.canvas.classList.remove('drawing');
+
+        if (this.drawMode === 'freehand') {
+            const points = this.drawingPoints;
+            this.drawingPoints = [];
+            const bounds = points.length >= 3
+                ? AnalysisCore.getShapeBounds(points, this.currentImage.width, this.currentImage.height)
+                : null;
+            const roi = bounds && bounds.width > 3 && bounds.height > 3
+                ? this.addShapeRoi(points, 'freehand')
+                : null;
+            if (roi) {
+                this.setStatusMessage(`${roi.name} を追加しました`);
+            } else {
+                this.setStatusMessage('形状が小さすぎます - より大きな領域を囲んでください');
+                this.redrawCanvas();
+            }
+            return;
+        }
         
         // 最終座標を計算
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        
-        const endX = (e.clientX - rect.left) * scaleX;
-        const endY = (e.clientY - rect.top) * scaleY;
+        const current = this.getCanvasCoordinates(e);
+        const end = this.drawMode === 'ellipse' ? this.constrainToCircle(current, e.shiftKey) : current;
 
-        // 矩形を画像範囲内に制限
-        const rectData = this.calculateClampedRectangle(this.startX, this.startY, endX, endY);
+        // 矩形（楕円は外接矩形）を画像範囲内に制限
+        const rectData = this.calculateClampedRectangle(this.startX, this.startY, end.x, end.y);
         
-        if (rectData.width > 3 && rectData.height > 3) {
-            this.currentRect = rectData;
-            
-            // 解析実行（非同期で安全に）
-            setTimeout(() => {
-                if (this.performImageAnalysis) {
-                    this.performImageAnalysis();
-                }
-            }, 10);
-            
+        const region = rectData.width > 3 && rectData.height > 3
+            ? this.calculateAnalysisRegion(rectData)
+            : null;
+
+        if (region) {
+            // ROIとして追加し解析を開始
+            const roi = this.addRoi(region, { shape: this.drawMode });
+            this.setStatusMessage(`${roi.name} を追加しました`);
         } else {
             this.setStatusMessage('矩形が小さすぎます - より大きな領域を選択してください');
             this.redrawCanvas(); // 矩形を消去
@@ -316,20 +507,22 @@ Object.assign(ImageAnalyzer.prototype, {
             pixelBrightness: document.getElementById('pixelBrightness')
         };
         
+        // 補正後の画像・線形化した輝度は小数になるため1桁で表示
+        const format = (value) => (Number.isInteger(value) ? value : value.toFixed(1));
         if (elements.pixelR) {
-            elements.pixelR.textContent = `R: ${pixelData.r}`;
+            elements.pixelR.textContent = `R: ${format(pixelData.r)}`;
             elements.pixelR.style.color = '#ff6b6b';
         }
         if (elements.pixelG) {
-            elements.pixelG.textContent = `G: ${pixelData.g}`;
+            elements.pixelG.textContent = `G: ${format(pixelData.g)}`;
             elements.pixelG.style.color = '#51cf66';
         }
         if (elements.pixelB) {
-            elements.pixelB.textContent = `B: ${pixelData.b}`;
+            elements.pixelB.textContent = `B: ${format(pixelData.b)}`;
             elements.pixelB.style.color = '#339af0';
         }
         if (elements.pixelBrightness) {
-            elements.pixelBrightness.textContent = pixelData.brightness;
+            elements.pixelBrightness.textContent = format(pixelData.brightness);
         }
     },
 
@@ -376,23 +569,15 @@ Object.assign(ImageAnalyzer.prototype, {
      * @returns {Object|null} 矩形情報（元画像座標系）
      */
     getCurrentRectangleInfo() {
-        if (!this.currentRect || !this.currentImage) return null;
-        
-        const scaleInfo = this.getScaleInfo();
-        if (!scaleInfo) return null;
-        
-        // 表示座標から元画像座標に変換
-        const originalX = Math.round((this.currentRect.x - this.imageOffsetX) * scaleInfo.scaleX);
-        const originalY = Math.round((this.currentRect.y - this.imageOffsetY) * scaleInfo.scaleY);
-        const originalWidth = Math.round(this.currentRect.width * scaleInfo.scaleX);
-        const originalHeight = Math.round(this.currentRect.height * scaleInfo.scaleY);
+        const roi = this.getSelectedRoi();
+        if (!roi || !this.currentImage) return null;
         
         return {
-            x: originalX,
-            y: originalY,
-            width: originalWidth,
-            height: originalHeight,
-            displayRect: this.currentRect
+            x: roi.region.x,
+            y: roi.region.y,
+            width: roi.region.width,
+            height: roi.region.height,
+            displayRect: this.getRoiDisplayRect(roi)
         };
     }
 });
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * ImageAnalyzer - オーバーレイモジュール
+ * ROI・ライン・ラベル・マーカーを元画像座標で保持し、再描画のたびに表示座標へ投影して描画する
+ * （ズーム・パン・ウィンドウのリサイズ後も表示が残る）
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * オーバーレイ表示切り替えの初期化
+     */
+    initOverlayControls() {
+        const toggleBtn = document.getElementById('overlayToggleBtn');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => {
+                this.setOverlaysVisible(!this.overlaysVisible);
+            });
+        }
+        this.updateOverlayToggle();
+    },
+
+    /**
+     * オーバーレイの表示・非表示
+     * @param {boolean} visible - 表示する場合はtrue
+     */
+    setOverlaysVisible(visible) {
+        this.overlaysVisible = visible;
+        this.updateOverlayToggle();
+        if (this.currentImage) this.redrawCanvas();
+        this.setStatusMessage(visible ? 'オーバーレイを表示' : 'オーバーレイを非表示（ROIの編集は無効）');
+    },
+
+    /**
+     * 表示切り替えボタンの状態更新
+     */
+    updateOverlayToggle() {
+        const toggleBtn = document.getElementById('overlayToggleBtn');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', this.overlaysVisible);
+        }
+    },
+
+    /**
+     * オーバーレイ要素の追加
+     * @param {Object} item - 要素
+     *   {type: 'rect', region: {x, y, width, height}, fill} / {type: 'line', points: [{x, y}, ...]} /
+     *   {type: 'marker', point} / {type: 'label', point, text}
+     *   共通: group（まとめて削除する単位）、color、text（矩形・ライン・マーカーの注記）
+     *   ライン: lineWidth（既定 2）、endpoints（falseで始点・終点の印を描かない）
+     * @returns {number} 要素ID
+     */
+    addOverlay(item) {
+        const overlay = Object.assign({ color: '#ff4757', group: null, text: '' }, item, { id: this.nextOverlayId++ });
+        this.overlayItems.push(overlay);
+        return overlay.id;
+    },
+
+    /**
+     * グループ単位でのオーバーレイ要素の削除
+     * @param {string} group - グループ名
+     */
+    removeOverlays(group) {
+        this.overlayItems = this.overlayItems.filter(item => item.group !== group);
+    },
+
+    /**
+     * 全オーバーレイ要素の削除（ROIは除く）
+     */
+    clearOverlays() {
+        this.overlayItems = [];
+    },
+
+    /**
+     * 元画像の画素座標を表示座標に投影（画素中心）
+     * @param {Object} point - 元画像座標 {x, y}
+     * @returns {Object|null} 表示座標 {x, y}（画像外はnull）
+     */
+    projectOverlayPoint(point) {
+        return this.originalToDisplayCoords(point.x + 0.5, point.y + 0.5);
+    },
+
+    /**
+     * オーバーレイの描画（矩形 → ROI → ライン → マーカー → ラベルの順）
+     */
+    drawOverlays() {
+        if (!this.currentImage || !this.overlaysVisible) return;
+
+        // 塗りつぶしの矩形（ヒートマップ等）はROIの下に描く
+        this.overlayItems
+            .filter(item => item.type === 'rect')
+            .forEach(item => this.drawOverlayRect(item));
+
+        this.drawRois();
+
+        const order = { line: 0, marker: 1, label: 2 };
+        this.overlayItems
+            .filter(item => item.type !== 'rect')
+            .sort((a, b) => order[a.type] - order[b.type])
+            .forEach(item => {
+                switch (item.type) {
+                    case 'line':
+                        this.drawOverlayLine(item);
+                        break;
+                    case 'marker':
+                        this.drawOverlayMarker(item);
+                        break;
+                    case 'label': {
+                        const p = this.projectOverlayPoint(item.point);
+                        if (p) this.drawOverlayLabel(item.text, p.x, p.y, item.color);
+                        break;
+                    }
+                }
+            });
+    },
+
+    /**
+     * 矩形の描画（元画像の画素の境界に合わせる、注記は収まる場合のみ中央に表示）
+     * @param {Object} item - 矩形要素 {region, color, fill, text}
+     */
+    drawOverlayRect(item) {
+        const { x, y, width, height } = item.region;
+        const topLeft = this.imageToDisplayPoint({ x, y });
+        const bottomRight = this.imageToDisplayPoint({ x: x + width, y: y + height });
+
+        const ctx = this.ctx;
+        const w = bottomRight.x - topLeft.x;
+        const h = bottomRight.y - topLeft.y;
+        ctx.save();
+        if (item.fill) {
+            ctx.fillStyle = item.fill;
+            ctx.fillRect(topLeft.x, topLeft.y, w, h);
+        }
+        ctx.strokeStyle = item.color;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(topLeft.x, topLeft.y, w, h);
+
+        if (item.text) {
+            ctx.font = '11px Arial';
+            if (ctx.measureText(item.text).width + 4 <= w && h >= 14) {
+                ctx.fillStyle = 'white';
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+                ctx.lineWidth = 3;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.strokeText(item.text, topLeft.x + w / 2, topLeft.y + h / 2);
+                ctx.fillText(item.text, topLeft.x + w / 2, topLeft.y + h / 2);
+            }
+        }
+        ctx.restore();
+    },
+
+    /**
+     * ラインの描画
+     * @param {Object} item - ライン要素 {points, color, text, lineWidth, endpoints}
+     */
+    drawOverlayLine(item) {
+        const points = item.points.map(point => this.projectOverlayPoint(point));
+        if (points.some(p => !p)) return;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = item.color;
+        ctx.lineWidth = item.lineWidth || 2;
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+
+        // 始点・終点
+        if (item.endpoints !== false) {
+            ctx.fillStyle = item.color;
+            [points[0], points[points.length - 1]].forEach(p => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+        ctx.restore();
+
+        if (item.text) {
+            this.drawOverlayLabel(item.text, points[0].x + 6, points[0].y - 6, item.color);
+        }
+    },
+
+    /**
+     * マーカー（下向きの三角形）の描画
+     * @param {Object} item - マーカー要素 {point, color, text}
+     */
+    drawOverlayMarker(item) {
+        const p = this.projectOverlayPoint(item.point);
+        if (!p) return;
+
+        const ctx = this.ctx;
+        const size = 5;
+        ctx.save();
+        ctx.fillStyle = item.color;
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(p.x - size, p.y - size * 1.6);
+        ctx.lineTo(p.x + size, p.y - size * 1.6);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+
+        if (item.text) {
+            this.drawOverlayLabel(item.text, p.x + size + 2, p.y - size * 1.6, item.color);
+        }
+    },
+
+    /**
+     * ラベルの描画（背景付きの文字列、左下を基準位置とする）
+     * @param {string} text - 文字列
+     * @param {number} x - 表示X座標
+     * @param {number} y - 表示Y座標
+     * @param {string} color - 背景色
+     */
+    drawOverlayLabel(text, x, y, color) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '12px Arial';
+        const width = ctx.measureText(text).width + 8;
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y - 16, width, 18);
+        ctx.fillStyle = 'white';
+        ctx.fillText(text, x + 4, y - 3);
+        ctx.restore();
+    }
+});
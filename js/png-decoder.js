@@ -0,0 +1,293 @@
+/**
+ * PngDecoder - PNGデコーダモジュール
+ * 全カラータイプ・1〜16bit・インターレース（Adam7）に対応し、16bitの画素値をそのまま保持する
+ */
+
+class PngDecoder {
+    /**
+     * PNGシグネチャの判定
+     * @param {ArrayBuffer} buffer - 判定するバイナリ
+     * @returns {boolean} PNGであればtrue
+     */
+    static isPng(buffer) {
+        if (!buffer || buffer.byteLength < 8) return false;
+        const bytes = new Uint8Array(buffer, 0, 8);
+        return PngDecoder.SIGNATURE.every((value, i) => bytes[i] === value);
+    }
+
+    /**
+     * PNGのデコード
+     * @param {ArrayBuffer} buffer - PNGファイルのバイナリ
+     * @returns {Object} {width, height, bitDepth, containerBits, significantBits, r, g, b, alpha}（グレーはr/g/bが同一配列、significantBitsはsBITがなければnull）
+     */
+    static decode(buffer) {
+        if (!PngDecoder.isPng(buffer)) {
+            throw new Error('PNGシグネチャが見つかりません');
+        }
+
+        const png = PngDecoder.readChunks(buffer);
+        const raw = Inflate.inflate(png.data);
+        const samples = PngDecoder.unfilterImage(raw, png);
+        return PngDecoder.toChannels(samples, png);
+    }
+
+    /**
+     * チャンクの読み出し
+     * @param {ArrayBuffer} buffer - PNGファイルのバイナリ
+     * @returns {Object} ヘッダ情報と連結したIDATデータ
+     */
+    static readChunks(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const png = { palette: null, transparency: null, significantBits: null };
+        const idat = [];
+        let idatLength = 0;
+        let offset = 8;
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const start = offset + 8;
+            if (start + length > bytes.length) {
+                throw new Error(`PNGチャンクが途中で切れています: ${type}`);
+            }
+            const chunk = bytes.subarray(start, start + length);
+
+            switch (type) {
+                case 'IHDR':
+                    png.width = view.getUint32(start);
+                    png.height = view.getUint32(start + 4);
+                    png.bitDepth = chunk[8];
+                    png.colorType = chunk[9];
+                    png.interlace = chunk[12];
+                    break;
+                case 'PLTE':
+                    png.palette = chunk;
+                    break;
+                case 'tRNS':
+                    png.transparency = chunk;
+                    break;
+                case 'sBIT':
+                    png.significantBits = Math.max(...chunk);
+                    break;
+                case 'IDAT':
+                    idat.push(chunk);
+                    idatLength += length;
+                    break;
+            }
+
+            offset = start + length + 4;
+            if (type === 'IEND') break;
+        }
+
+        if (!png.width || !png.height) {
+            throw new Error('PNGのIHDRチャンクが不正です');
+        }
+        png.channels = PngDecoder.CHANNELS[png.colorType];
+        if (!png.channels) {
+            throw new Error(`未対応のPNGカラータイプです: ${png.colorType}`);
+        }
+        if (png.colorType === 3 && !png.palette) {
+            throw new Error('PNGのパレットがありません');
+        }
+
+        png.data = new Uint8Array(idatLength);
+        let position = 0;
+        idat.forEach(chunk => {
+            png.data.set(chunk, position);
+            position += chunk.length;
+        });
+        return png;
+    }
+
+    /**
+     * フィルタ解除とサンプル値への展開（インターレースはパスごとに配置）
+     * @param {Uint8Array} raw - 展開済みのIDATデータ
+     * @param {Object} png - ヘッダ情報
+     * @returns {Uint16Array} インターリーブされたサンプル値（width × height × channels）
+     */
+    static unfilterImage(raw, png) {
+        const { width, height, channels } = png;
+        const samples = new Uint16Array(width * height * channels);
+        const passes = png.interlace === 1
+            ? PngDecoder.ADAM7
+            : [{ x: 0, y: 0, dx: 1, dy: 1 }];
+
+        let offset = 0;
+        passes.forEach(pass => {
+            const passWidth = Math.ceil((width - pass.x) / pass.dx);
+            const passHeight = Math.ceil((height - pass.y) / pass.dy);
+            if (passWidth <= 0 || passHeight <= 0) return;
+
+            const rowBytes = Math.ceil(passWidth * channels * png.bitDepth / 8);
+            const bpp = Math.max(1, (channels * png.bitDepth) >> 3);
+            let previous = new Uint8Array(rowBytes);
+
+            for (let y = 0; y < passHeight; y++) {
+                if (offset + 1 + rowBytes > raw.length) {
+                    throw new Error('PNGの画像データが不足しています');
+                }
+                const filter = raw[offset];
+                const row = raw.slice(offset + 1, offset + 1 + rowBytes);
+                PngDecoder.unfilterRow(filter, row, previous, bpp);
+                offset += 1 + rowBytes;
+
+                const imageY = pass.y + y * pass.dy;
+                for (let x = 0; x < passWidth; x++) {
+                    const target = ((imageY * width) + pass.x + x * pass.dx) * channels;
+                    for (let c = 0; c < channels; c++) {
+                        samples[target + c] = PngDecoder.readSample(row, x * channels + c, png.bitDepth);
+                    }
+                }
+                previous = row;
+            }
+        });
+
+        return samples;
+    }
+
+    /**
+     * 1行のフィルタ解除
+     * @param {number} filter - フィルタ種別（0:None, 1:Sub, 2:Up, 3:Average, 4:Paeth）
+     * @param {Uint8Array} row - 対象行（その場で書き換える）
+     * @param {Uint8Array} previous - 前の行（フィルタ解除済み）
+     * @param {number} bpp - 1画素あたりのバイト数
+     */
+    static unfilterRow(filter, row, previous, bpp) {
+        for (let i = 0; i < row.length; i++) {
+            const left = i >= bpp ? row[i - bpp] : 0;
+            const up = previous[i];
+            const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+            switch (filter) {
+                case 0:
+                    break;
+                case 1:
+                    row[i] = (row[i] + left) & 0xff;
+                    break;
+                case 2:
+                    row[i] = (row[i] + up) & 0xff;
+                    break;
+                case 3:
+                    row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+                    break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    const predictor = (pa <= pb && pa <= pc) ? left : (pb <= pc ? up : upLeft);
+                    row[i] = (row[i] + predictor) & 0xff;
+                    break;
+                }
+                default:
+                    throw new Error(`未対応のPNGフィルタです: ${filter}`);
+            }
+        }
+    }
+
+    /**
+     * 行データからサンプル値を読み出す
+     * @param {Uint8Array} row - フィルタ解除済みの行
+     * @param {number} index - 行内のサンプル番号
+     * @param {number} bitDepth - ビット深度
+     * @returns {number} サンプル値
+     */
+    static readSample(row, index, bitDepth) {
+        if (bitDepth === 8) return row[index];
+        if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+
+        const bitOffset = index * bitDepth;
+        const shift = 8 - bitDepth - (bitOffset & 7);
+        return (row[bitOffset >> 3] >> shift) & ((1 << bitDepth) - 1);
+    }
+
+    /**
+     * サンプル値をチャンネル別の配列に分解
+     * 8bit未満のグレーは8bitに拡張し、パレットはRGBに展開する
+     * @param {Uint16Array} samples - インターリーブされたサンプル値
+     * @param {Object} png - ヘッダ情報
+     * @returns {Object} {width, height, bitDepth, containerBits, significantBits, r, g, b, alpha}
+     */
+    static toChannels(samples, png) {
+        const { width, height, channels, colorType } = png;
+        const count = width * height;
+        const is16 = png.bitDepth === 16;
+        const ArrayType = is16 ? Uint16Array : Uint8Array;
+        const maxSample = (1 << png.bitDepth) - 1;
+        const scale = (!is16 && colorType !== 3 && png.bitDepth < 8) ? 255 / maxSample : 1;
+
+        const isGray = colorType === 0 || colorType === 4;
+        const r = new ArrayType(count);
+        const g = isGray ? r : new ArrayType(count);
+        const b = isGray ? r : new ArrayType(count);
+        const hasAlpha = colorType === 4 || colorType === 6 || png.transparency !== null;
+        const alpha = hasAlpha ? new Uint8Array(count) : null;
+        const trns = png.transparency;
+        const trnsKey = (trns && colorType !== 3)
+            ? Array.from({ length: trns.length / 2 }, (_, i) => (trns[i * 2] << 8) | trns[i * 2 + 1])
+            : null;
+
+        for (let i = 0; i < count; i++) {
+            const s = i * channels;
+
+            if (colorType === 3) {
+                const index = samples[s];
+                r[i] = png.palette[index * 3] || 0;
+                g[i] = png.palette[index * 3 + 1] || 0;
+                b[i] = png.palette[index * 3 + 2] || 0;
+                if (alpha) alpha[i] = index < trns.length ? trns[index] : 255;
+                continue;
+            }
+
+            if (isGray) {
+                r[i] = Math.round(samples[s] * scale);
+            } else {
+                r[i] = samples[s];
+                g[i] = samples[s + 1];
+                b[i] = samples[s + 2];
+            }
+
+            if (!alpha) continue;
+            if (colorType === 4 || colorType === 6) {
+                const value = samples[s + channels - 1];
+                alpha[i] = is16 ? value >> 8 : value;
+            } else {
+                // tRNSの透過色と一致する画素のみ透明
+                const matches = isGray
+                    ? samples[s] === trnsKey[0]
+                    : samples[s] === trnsKey[0] && samples[s + 1] === trnsKey[1] && samples[s + 2] === trnsKey[2];
+                alpha[i] = matches ? 0 : 255;
+            }
+        }
+
+        const containerBits = is16 ? 16 : 8;
+        const bitDepth = is16 && png.significantBits && png.significantBits < 16 && png.significantBits >= 8
+            ? png.significantBits
+            : containerBits;
+
+        return { width, height, bitDepth, containerBits, significantBits: png.significantBits, r, g, b, alpha };
+    }
+}
+
+// PNGシグネチャ
+PngDecoder.SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// カラータイプごとのチャンネル数
+PngDecoder.CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7インターレースのパス（開始位置と間隔）
+PngDecoder.ADAM7 = [
+    { x: 0, y: 0, dx: 8, dy: 8 },
+    { x: 4, y: 0, dx: 8, dy: 8 },
+    { x: 0, y: 4, dx: 4, dy: 8 },
+    { x: 2, y: 0, dx: 4, dy: 4 },
+    { x: 0, y: 2, dx: 2, dy: 4 },
+    { x: 1, y: 0, dx: 2, dy: 2 },
+    { x: 0, y: 1, dx: 1, dy: 2 }
+];
+
+// Node.js（CommonJS）から利用する場合のエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PngDecoder;
+}
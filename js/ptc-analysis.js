@@ -0,0 +1,521 @@
+/**
+ * ImageAnalyzer - フォトントランスファー曲線（PTC）測定モジュール
+ * 露光量を変えて撮影した明画像のペアと暗画像から、EMVA 1288の手法で
+ * 変換係数（e-/DN）、読み出しノイズ、フルウェル、ダイナミックレンジを求める
+ *
+ * - 解析範囲は選択中のROI（形状マスク付き、なければ画像全体）を全フレームに適用する
+ * - 同じ露光のフレームはEXIFの露出時間でまとめる（ない場合はファイル名順に2枚ずつ）
+ * - 各ペアの平均と差分画像から求めた時間ノイズを対数グラフに表示する
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * PTC測定の初期化
+     */
+    initPtcAnalysis() {
+        const openButton = document.getElementById('ptcBtn');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.openPtcModal());
+        }
+
+        ['flat', 'dark'].forEach(kind => {
+            const suffix = kind === 'flat' ? 'Flat' : 'Dark';
+            const button = document.getElementById(`ptc${suffix}Button`);
+            const input = document.getElementById(`ptc${suffix}Input`);
+            if (!button || !input) return;
+
+            button.addEventListener('click', () => input.click());
+            input.addEventListener('change', (e) => {
+                this.ptcFiles[kind] = Array.from(e.target.files);
+                e.target.value = '';
+                this.updatePtcFileInfo();
+            });
+        });
+
+        const runButton = document.getElementById('ptcRunButton');
+        if (runButton) {
+            runButton.addEventListener('click', () => this.runPtcAnalysis());
+        }
+
+        const exportButton = document.getElementById('ptcExportButton');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportPtcCsv());
+        }
+
+        this.updatePtcFileInfo();
+    },
+
+    /**
+     * PTC測定ダイアログを開く
+     */
+    openPtcModal() {
+        const modal = document.getElementById('ptcModal');
+        if (!modal) return;
+
+        const roi = this.getSelectedRoi();
+        this.setPtcInfo(roi
+            ? `解析範囲: ${roi.name}（${roi.region.width} × ${roi.region.height} px）`
+            : '解析範囲: 画像全体（ROIを選択すると同じROIを全フレームに適用します）');
+        modal.style.display = 'flex';
+        if (this.ptcResult) this.drawPtcChart(this.ptcResult);
+    },
+
+    /**
+     * PTC測定ダイアログを閉じる
+     */
+    closePtcModal() {
+        const modal = document.getElementById('ptcModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    },
+
+    /**
+     * ダイアログの状態表示
+     * @param {string} message - 表示する文字列
+     */
+    setPtcInfo(message) {
+        const info = document.getElementById('ptcInfo');
+        if (info) info.textContent = message;
+    },
+
+    /**
+     * 選択中のファイル数の表示更新
+     */
+    updatePtcFileInfo() {
+        const labels = { flat: 'ptcFlatFiles', dark: 'ptcDarkFiles' };
+        Object.entries(labels).forEach(([kind, id]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            const files = this.ptcFiles[kind];
+            element.textContent = files.length > 0 ? `${files.length}枚` : '未選択';
+            element.title = files.map(file => file.name).join('\n');
+        });
+    },
+
+    /**
+     * PTC測定の実行
+     * フレームを1枚ずつ読み込んで解析範囲だけを残し、ペアごとの平均と時間ノイズを求めてから当てはめる
+     */
+    async runPtcAnalysis() {
+        const flats = this.ptcFiles.flat;
+        const darks = this.ptcFiles.dark;
+        if (flats.length < 4) {
+            this.setPtcInfo('明画像は2段階以上の露光について2枚ずつ（計4枚以上）選択してください');
+            return;
+        }
+
+        const run = {};
+        this.ptcRun = run;
+        const runButton = document.getElementById('ptcRunButton');
+        if (runButton) runButton.disabled = true;
+
+        try {
+            const total = flats.length + darks.length;
+            let loaded = 0;
+            const loadFrames = async (files) => {
+                const frames = [];
+                for (const file of files) {
+                    this.setPtcInfo(`読み込み中... ${++loaded} / ${total}（${file.name}）`);
+                    frames.push(await this.decodeFrameRegion(file));
+                    if (this.ptcRun !== run) return null;
+                }
+                return frames;
+            };
+
+            const flatFrames = await loadFrames(flats);
+            const darkFrames = flatFrames && await loadFrames(darks);
+            if (!flatFrames || !darkFrames) return;
+            this.unifyFrameBitDepth([...flatFrames, ...darkFrames]);
+
+            const sizes = new Set([...flatFrames, ...darkFrames].map(frame => `${frame.width}×${frame.height}`));
+            if (sizes.size > 1) {
+                throw new Error(`フレームのサイズ（解析範囲）が一致しません: ${Array.from(sizes).join(', ')}`);
+            }
+
+            const flatGroups = this.groupPtcFrames(flatFrames);
+            const darkGroups = this.groupPtcFrames(darkFrames, false);
+            // 1枚だけのグループは解析しないため数えない
+            const pairCount = flatGroups
+                .filter(group => group.frames.length >= 2)
+                .reduce((sum, group) => sum + group.frames.length - 1, 0);
+            let analyzed = 0;
+            const onPair = () => this.setPtcInfo(`時間ノイズを計算中... ${++analyzed} / ${pairCount}`);
+
+            const levels = [];
+            for (const group of flatGroups) {
+                if (group.frames.length < 2) {
+                    console.warn('PTC: single frame skipped', group.label);
+                    continue;
+                }
+                const stats = await this.analyzePtcGroup(group, onPair);
+                if (this.ptcRun !== run) return;
+                if (stats) levels.push(Object.assign(stats, { label: group.label, exposure: group.exposure }));
+            }
+
+            // 暗画像は同じ露光のものがあればその露光に、なければ最初のグループを全体に使う
+            const darkStats = [];
+            for (const group of darkGroups) {
+                const stats = await this.analyzePtcGroup(group, null);
+                if (this.ptcRun !== run) return;
+                if (stats) darkStats.push(Object.assign(stats, { exposure: group.exposure }));
+            }
+            levels.forEach(level => {
+                const matched = level.exposure !== null && darkStats.find(dark => dark.exposure === level.exposure);
+                if (matched) level.dark = matched;
+            });
+
+            const fitLimit = parseFloat(this.getInputValue('ptcFitLimit')) / 100;
+            const result = AnalysisCore.fitPhotonTransfer(levels, darkStats[0] || null, {
+                fitLimit: fitLimit > 0 && fitLimit <= 1 ? fitLimit : 0.7
+            });
+            result.iso = this.getPtcIso([...flatFrames, ...darkFrames]);
+            result.bitDepth = flatFrames[0].bitDepth;
+            result.regionName = flatFrames[0].regionName;
+            result.hasDark = darkStats.length > 0;
+            result.unknownExposureCount = flatFrames.filter(frame => frame.exposure === null).length;
+            this.ptcResult = result;
+
+            this.showPtcResults(result);
+            this.drawPtcChart(result);
+            this.setPtcInfo(this.describePtcResult(result, darks.length));
+        } catch (error) {
+            console.error('PTC analysis error:', error);
+            this.setPtcInfo('PTC測定エラー: ' + error.message);
+        } finally {
+            if (this.ptcRun === run) {
+                this.ptcRun = null;
+                if (runButton) runButton.disabled = false;
+            }
+        }
+    },
+
+    /**
+     * 同じ露光のフレームのグループ化
+     * 全フレームにEXIFの露出時間があれば露出時間ごと、なければファイル名順に2枚ずつまとめる
+     * 後者は露出時間を不明（exposure: null）とし、結果の概要文で知らせる
+     * @param {Array} frames - フレーム
+     * @param {boolean} [pairByName=true] - 露出時間が不明な場合に2枚ずつ分ける（falseは全枚数を1グループ、暗画像用）
+     * @returns {Array} [{label, exposure, frames}]（露出時間の短い順）
+     */
+    groupPtcFrames(frames, pairByName = true) {
+        const sorted = frames.slice().sort((a, b) => a.name.localeCompare(b.name, 'ja', { numeric: true }));
+
+        if (sorted.length > 0 && sorted.every(frame => frame.exposure !== null)) {
+            const groups = new Map();
+            sorted.forEach(frame => {
+                if (!groups.has(frame.exposure)) {
+                    groups.set(frame.exposure, {
+                        label: `${ExifParser.formatExposureTime(frame.exposure)} s`,
+                        exposure: frame.exposure,
+                        frames: []
+                    });
+                }
+                groups.get(frame.exposure).frames.push(frame);
+            });
+            return Array.from(groups.values()).sort((a, b) => a.exposure - b.exposure);
+        }
+
+        if (!pairByName) {
+            return sorted.length > 0 ? [{ label: '露出時間不明', exposure: null, frames: sorted }] : [];
+        }
+
+        const groups = [];
+        for (let i = 0; i < sorted.length; i += 2) {
+            const pair = sorted.slice(i, i + 2);
+            groups.push({ label: `${pair.map(frame => frame.name).join(' / ')}（露出時間不明）`, exposure: null, frames: pair });
+        }
+        return groups;
+    },
+
+    /**
+     * グループ内の連続する2枚ずつの平均と時間ノイズ（複数ペアは平均）
+     * 1枚だけのグループは平均のみ（時間ノイズはnull）
+     * @param {Object} group - {frames}
+     * @param {Function|null} onPair - ペアごとの完了通知
+     * @returns {Promise<Object|null>} {mean, temporalVariance, pixelCount, pairCount}
+     */
+    async analyzePtcGroup(group, onPair) {
+        const frames = group.frames;
+        const pairs = frames.length === 1
+            ? [[frames[0], frames[0]]]
+            : frames.slice(1).map((frame, i) => [frames[i], frame]);
+
+        const results = [];
+        for (const [first, second] of pairs) {
+            // 隣り合うペアで同じフレームを使うため、転送せずに複製して渡す
+            const payload = { first: first.model, second: second.model, mask: first.mask };
+            const job = this.getAnalysisPool().run('analyzeFramePair', payload, {
+                args: [this.brightnessSettings]
+            });
+            const result = await job.promise;
+            if (onPair) onPair();
+            if (result) results.push(result);
+        }
+        if (results.length === 0) return null;
+
+        const average = (key) => results.reduce((sum, r) => sum + r[key], 0) / results.length;
+        return {
+            mean: average('mean'),
+            temporalVariance: frames.length === 1 ? null : average('temporalVariance'),
+            pixelCount: results[0].pixelCount,
+            pairCount: frames.length === 1 ? 0 : results.length
+        };
+    },
+
+    /**
+     * ISO感度（EXIF、なければ撮影パラメータの入力値）
+     * @param {Array} frames - フレーム
+     * @returns {string} ISO感度の表示（混在する場合は列挙）
+     */
+    getPtcIso(frames) {
+        const values = Array.from(new Set(frames.map(frame => frame.iso).filter(Boolean)));
+        if (values.length === 0) return this.getInputValue('iso');
+        return values.join(' / ');
+    },
+
+    /**
+     * 結果の概要文
+     * @param {Object} result - fitPhotonTransferの結果
+     * @param {number} darkCount - 暗画像の枚数
+     * @returns {string} 概要
+     */
+    describePtcResult(result, darkCount) {
+        const exposureNote = result.unknownExposureCount > 0
+            ? `（EXIFの露出時間がない明画像が${result.unknownExposureCount}枚: ファイル名順の2枚ずつを同じ露光とみなしました）`
+            : '';
+        if (result.gain === null) {
+            return `当てはめに使える点が不足しています（${result.fitPointCount}点）。露光段階を増やしてください${exposureNote}`;
+        }
+        let message = `${result.regionName}: ${result.points.length}段階、当てはめ ${result.fitPointCount}点${exposureNote}`;
+        if (darkCount === 0) {
+            message += '（暗画像なし: 読み出しノイズは切片から推定）';
+        } else if (result.darkVariance === null) {
+            message += '（暗画像1枚: 読み出しノイズは切片から推定）';
+        }
+        if (String(result.iso).includes('/')) {
+            message += `（ISO感度が混在: ${result.iso}）`;
+        }
+        return message;
+    },
+
+    /**
+     * 測定結果の表示
+     * @param {Object} result - fitPhotonTransferの結果
+     */
+    showPtcResults(result) {
+        const format = (value, digits) => (value === null || !Number.isFinite(value) ? '--' : value.toFixed(digits));
+        const values = {
+            ptcConversionGain: format(result.conversionGain, 3),
+            ptcGain: format(result.gain, 4),
+            ptcReadNoise: result.readNoiseElectrons === null
+                ? '--'
+                : `${format(result.readNoiseElectrons, 2)} (${format(result.readNoiseDN, 2)} DN)`,
+            ptcFullWell: result.fullWell === null ? '--' : Math.round(result.fullWell).toLocaleString(),
+            ptcDynamicRange: result.dynamicRangeDb === null
+                ? '--'
+                : `${format(result.dynamicRangeDb, 1)} dB (${format(Math.log2(result.dynamicRange), 1)} EV)`,
+            ptcIso: result.iso || '--'
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = value;
+        });
+
+        const body = document.getElementById('ptcTableBody');
+        if (body) {
+            body.innerHTML = '';
+            result.points.forEach(point => {
+                const row = document.createElement('tr');
+                row.classList.toggle('unused', !point.used);
+                [point.label, format(point.mean, 1), format(point.signal, 1), format(point.noise, 3), point.used ? '✔' : '']
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                body.appendChild(row);
+            });
+        }
+
+        const exportButton = document.getElementById('ptcExportButton');
+        if (exportButton) exportButton.disabled = false;
+    },
+
+    /**
+     * 時間ノイズ対信号の両対数グラフ
+     * 測定点（当てはめに使った点は塗りつぶし）、当てはめた全ノイズ、ショットノイズ、読み出しノイズ、飽和点を描く
+     * @param {Object} result - fitPhotonTransferの結果
+     */
+    drawPtcChart(result) {
+        const canvas = document.getElementById('ptcChart');
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const margin = { left: 60, right: 20, top: 20, bottom: 45 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+
+        const points = result.points.filter(p => p.signal > 0 && p.noise > 0);
+        if (points.length === 0) {
+            ctx.fillStyle = '#6c757d';
+            ctx.font = '14px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('表示できる測定点がありません', width / 2, height / 2);
+            return;
+        }
+
+        // 軸の範囲（10のべき乗に揃える）
+        const readNoise = result.readNoiseDN > 0 ? result.readNoiseDN : null;
+        const xs = points.map(p => p.signal);
+        const ys = points.map(p => p.noise).concat(readNoise ? [readNoise] : []);
+        const xMin = Math.floor(Math.log10(Math.min(...xs)));
+        const xMax = Math.ceil(Math.log10(Math.max(...xs)));
+        const yMin = Math.floor(Math.log10(Math.min(...ys)));
+        const yMax = Math.ceil(Math.log10(Math.max(...ys)));
+        const toX = (v) => margin.left + (Math.log10(v) - xMin) / Math.max(1, xMax - xMin) * plotWidth;
+        const toY = (v) => margin.top + plotHeight - (Math.log10(v) - yMin) / Math.max(1, yMax - yMin) * plotHeight;
+
+        // 目盛り
+        ctx.strokeStyle = '#e9ecef';
+        ctx.fillStyle = '#495057';
+        ctx.font = '11px Arial';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'center';
+        for (let e = xMin; e <= Math.max(xMax, xMin + 1); e++) {
+            const x = toX(Math.pow(10, e));
+            ctx.beginPath();
+            ctx.moveTo(x, margin.top);
+            ctx.lineTo(x, margin.top + plotHeight);
+            ctx.stroke();
+            ctx.fillText(`1e${e}`, x, margin.top + plotHeight + 15);
+        }
+        ctx.textAlign = 'right';
+        for (let e = yMin; e <= Math.max(yMax, yMin + 1); e++) {
+            const y = toY(Math.pow(10, e));
+            ctx.beginPath();
+            ctx.moveTo(margin.left, y);
+            ctx.lineTo(margin.left + plotWidth, y);
+            ctx.stroke();
+            ctx.fillText(`1e${e}`, margin.left - 5, y + 4);
+        }
+        ctx.textAlign = 'center';
+        ctx.fillText('信号 μy − μdark (DN)', margin.left + plotWidth / 2, height - 8);
+        ctx.save();
+        ctx.translate(14, margin.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('時間ノイズ σ (DN)', 0, 0);
+        ctx.restore();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(margin.left, margin.top, plotWidth, plotHeight);
+        ctx.clip();
+
+        // 当てはめ曲線
+        if (result.gain !== null) {
+            const xStart = Math.pow(10, xMin);
+            const xEnd = Math.pow(10, Math.max(xMax, xMin + 1));
+            const curve = (noiseAt, color, dash) => {
+                ctx.strokeStyle = color;
+                ctx.setLineDash(dash);
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                for (let i = 0; i <= 100; i++) {
+                    const x = xStart * Math.pow(xEnd / xStart, i / 100);
+                    const noise = noiseAt(x);
+                    if (!(noise > 0)) continue;
+                    if (i === 0) ctx.moveTo(toX(x), toY(noise));
+                    else ctx.lineTo(toX(x), toY(noise));
+                }
+                ctx.stroke();
+            };
+            const readVariance = readNoise ? readNoise * readNoise : 0;
+            curve(x => Math.sqrt(readVariance + result.gain * x), '#667eea', []);
+            curve(x => Math.sqrt(result.gain * x), '#2ed573', [6, 4]);
+            if (readNoise) curve(() => readNoise, '#ffa502', [6, 4]);
+        }
+
+        // 飽和点
+        if (result.saturationSignal > 0) {
+            const x = toX(result.saturationSignal);
+            ctx.strokeStyle = '#ff4757';
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, margin.top);
+            ctx.lineTo(x, margin.top + plotHeight);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        // 測定点
+        points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(toX(point.signal), toY(point.noise), 4, 0, Math.PI * 2);
+            ctx.strokeStyle = '#343a40';
+            ctx.lineWidth = 1.5;
+            ctx.fillStyle = '#343a40';
+            if (point.used) ctx.fill();
+            else ctx.stroke();
+        });
+        ctx.restore();
+
+        ctx.strokeStyle = '#adb5bd';
+        ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+    },
+
+    /**
+     * 測定点と結果のCSV出力
+     */
+    exportPtcCsv() {
+        const result = this.ptcResult;
+        if (!result) return;
+
+        try {
+            const labels = AnalysisCore.describeBrightnessSettings(this.brightnessSettings);
+            const headers = ['解析範囲', 'ISO感度', '輝度式', '線形化', '露光', '平均(DN)', '暗画像平均(DN)', '信号(DN)',
+                '時間ノイズ(DN)', '分散(DN²)', '当てはめ', '変換係数(e-/DN)', '読み出しノイズ(e-)', 'フルウェル(e-)', 'ダイナミックレンジ(dB)'];
+            const number = (value, digits) => (value === null || !Number.isFinite(value) ? '' : value.toFixed(digits));
+            const rows = result.points.map(point => [
+                result.regionName,
+                result.iso,
+                labels.luma,
+                labels.transfer,
+                point.label,
+                number(point.mean, 3),
+                number(point.darkMean, 3),
+                number(point.signal, 3),
+                number(point.noise, 4),
+                number(point.variance, 4),
+                point.used ? '1' : '0',
+                number(result.conversionGain, 4),
+                number(result.readNoiseElectrons, 3),
+                number(result.fullWell, 0),
+                number(result.dynamicRangeDb, 2)
+            ]);
+
+            const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+            const csvContent = [
+                headers.map(escape).join(','),
+                ...rows.map(row => row.map(escape).join(','))
+            ].join('\n');
+
+            const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `ptc_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            this.showError('PTCのCSV保存に失敗しました', error);
+        }
+    }
+});
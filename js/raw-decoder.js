@@ -0,0 +1,235 @@
+/**
+ * RawDecoder - RAWセンサーデータデコーダモジュール
+ * ヘッダなしのBayer RAWダンプの展開、黒レベル補正、デモザイク、CFAプレーン分離
+ */
+
+class RawDecoder {
+    /**
+     * 1行あたりの最小バイト数
+     * @param {string} packing - パッキング形式
+     * @param {number} width - 幅
+     * @returns {number} バイト数
+     */
+    static getRowBytes(packing, width) {
+        switch (packing) {
+            case 'u8':
+                return width;
+            case 'u16le':
+            case 'u16be':
+                return width * 2;
+            case 'raw10':
+                return Math.ceil(width / 4) * 5;
+            case 'raw12':
+                return Math.ceil(width / 2) * 3;
+            default:
+                throw new Error(`未対応のパッキング形式です: ${packing}`);
+        }
+    }
+
+    /**
+     * パッキング形式ごとの標準ビット深度
+     * @param {string} packing - パッキング形式
+     * @returns {number} ビット深度
+     */
+    static getDefaultBitDepth(packing) {
+        return { u8: 8, raw10: 10, raw12: 12 }[packing] || 16;
+    }
+
+    /**
+     * RAWデータの展開
+     * @param {ArrayBuffer} buffer - ファイルのバイナリ
+     * @param {Object} options - {width, height, packing, stride}（stride=0は自動）
+     * @returns {Uint16Array} モザイク画像（width × height）
+     */
+    static unpack(buffer, options) {
+        const { width, height, packing } = options;
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error('幅と高さを指定してください');
+        }
+
+        const bytes = new Uint8Array(buffer);
+        const rowBytes = RawDecoder.getRowBytes(packing, width);
+        const stride = options.stride > 0 ? options.stride : rowBytes;
+        if (stride < rowBytes) {
+            throw new Error(`行ストライドが小さすぎます（最小 ${rowBytes} バイト）`);
+        }
+
+        const required = stride * (height - 1) + rowBytes;
+        if (bytes.length < required) {
+            throw new Error(`ファイルサイズが不足しています（必要: ${required.toLocaleString()} バイト / 実際: ${bytes.length.toLocaleString()} バイト）`);
+        }
+
+        const mosaic = new Uint16Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * stride;
+            const out = y * width;
+
+            switch (packing) {
+                case 'u8':
+                    for (let x = 0; x < width; x++) {
+                        mosaic[out + x] = bytes[rowStart + x];
+                    }
+                    break;
+                case 'u16le':
+                    for (let x = 0; x < width; x++) {
+                        mosaic[out + x] = bytes[rowStart + x * 2] | (bytes[rowStart + x * 2 + 1] << 8);
+                    }
+                    break;
+                case 'u16be':
+                    for (let x = 0; x < width; x++) {
+                        mosaic[out + x] = (bytes[rowStart + x * 2] << 8) | bytes[rowStart + x * 2 + 1];
+                    }
+                    break;
+                case 'raw10':
+                    // MIPI RAW10: 4画素を5バイトに格納（上位8bit×4 + 下位2bit×4）
+                    for (let x = 0; x < width; x++) {
+                        const group = rowStart + (x >> 2) * 5;
+                        const k = x & 3;
+                        mosaic[out + x] = (bytes[group + k] << 2) | ((bytes[group + 4] >> (k * 2)) & 0x03);
+                    }
+                    break;
+                case 'raw12':
+                    // MIPI RAW12: 2画素を3バイトに格納（上位8bit×2 + 下位4bit×2）
+                    for (let x = 0; x < width; x++) {
+                        const group = rowStart + (x >> 1) * 3;
+                        const k = x & 1;
+                        mosaic[out + x] = (bytes[group + k] << 4) | ((bytes[group + 2] >> (k * 4)) & 0x0f);
+                    }
+                    break;
+            }
+        }
+
+        return mosaic;
+    }
+
+    /**
+     * 黒レベルの減算（0未満は0にクリップ）
+     * @param {Uint16Array} mosaic - モザイク画像（その場で書き換える）
+     * @param {number} blackLevel - 黒レベル（DN）
+     */
+    static subtractBlackLevel(mosaic, blackLevel) {
+        if (!(blackLevel > 0)) return;
+        for (let i = 0; i < mosaic.length; i++) {
+            mosaic[i] = mosaic[i] > blackLevel ? mosaic[i] - blackLevel : 0;
+        }
+    }
+
+    /**
+     * CFA配列の色インデックス表を取得
+     * @param {string} pattern - CFAパターン（RGGB/BGGR/GRBG/GBRG）
+     * @returns {Array} 2×2の色インデックス [(0,0), (1,0), (0,1), (1,1)]（0:R, 1:G, 2:B）
+     */
+    static getCfaColors(pattern) {
+        if (!RawDecoder.CFA_PATTERNS.includes(pattern)) {
+            throw new Error(`未対応のCFAパターンです: ${pattern}`);
+        }
+        return pattern.split('').map(c => ({ R: 0, G: 1, B: 2 })[c]);
+    }
+
+    /**
+     * バイリニア補間によるデモザイク
+     * 各画素で不足する色を3×3近傍の同色画素の平均で補う
+     * @param {Uint16Array} mosaic - モザイク画像
+     * @param {number} width - 幅
+     * @param {number} height - 高さ
+     * @param {string} pattern - CFAパターン
+     * @returns {Object} {r, g, b} 各チャンネルのUint16Array
+     */
+    static demosaicBilinear(mosaic, width, height, pattern) {
+        const colors = RawDecoder.getCfaColors(pattern);
+        const channels = [
+            new Uint16Array(width * height),
+            new Uint16Array(width * height),
+            new Uint16Array(width * height)
+        ];
+        const sums = [0, 0, 0];
+        const counts = [0, 0, 0];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                sums[0] = sums[1] = sums[2] = 0;
+                counts[0] = counts[1] = counts[2] = 0;
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        if (nx < 0 || nx >= width) continue;
+                        const color = colors[(nx & 1) + ((ny & 1) << 1)];
+                        sums[color] += mosaic[ny * width + nx];
+                        counts[color]++;
+                    }
+                }
+
+                const index = y * width + x;
+                const own = colors[(x & 1) + ((y & 1) << 1)];
+                for (let c = 0; c < 3; c++) {
+                    channels[c][index] = c === own
+                        ? mosaic[index]
+                        : (counts[c] > 0 ? Math.round(sums[c] / counts[c]) : 0);
+                }
+            }
+        }
+
+        return { r: channels[0], g: channels[1], b: channels[2] };
+    }
+
+    /**
+     * CFAプレーンの取り出し（縦横1/2解像度）
+     * @param {Uint16Array} mosaic - モザイク画像
+     * @param {number} width - 幅
+     * @param {number} height - 高さ
+     * @param {string} pattern - CFAパターン
+     * @param {string} plane - プレーン名（R/Gr/Gb/B）
+     * @returns {Object} {data, width, height}
+     */
+    static extractPlane(mosaic, width, height, pattern, plane) {
+        const offset = RawDecoder.getPlaneOffset(pattern, plane);
+        const planeWidth = Math.floor((width - offset.x + 1) / 2);
+        const planeHeight = Math.floor((height - offset.y + 1) / 2);
+        const data = new Uint16Array(planeWidth * planeHeight);
+
+        for (let y = 0; y < planeHeight; y++) {
+            const src = (y * 2 + offset.y) * width + offset.x;
+            for (let x = 0; x < planeWidth; x++) {
+                data[y * planeWidth + x] = mosaic[src + x * 2];
+            }
+        }
+
+        return { data, width: planeWidth, height: planeHeight };
+    }
+
+    /**
+     * 2×2ブロック内でのプレーン位置
+     * GrはRと同じ行のG、GbはBと同じ行のG
+     * @param {string} pattern - CFAパターン
+     * @param {string} plane - プレーン名（R/Gr/Gb/B）
+     * @returns {Object} {x, y}
+     */
+    static getPlaneOffset(pattern, plane) {
+        const colors = RawDecoder.getCfaColors(pattern);
+        const positions = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }];
+        const redRow = positions[colors.indexOf(0)].y;
+
+        const index = positions.findIndex((pos, i) => {
+            switch (plane) {
+                case 'R': return colors[i] === 0;
+                case 'B': return colors[i] === 2;
+                case 'Gr': return colors[i] === 1 && pos.y === redRow;
+                case 'Gb': return colors[i] === 1 && pos.y !== redRow;
+                default: return false;
+            }
+        });
+        if (index === -1) {
+            throw new Error(`未対応のプレーンです: ${plane}`);
+        }
+        return positions[index];
+    }
+}
+
+// 対応するCFAパターン
+RawDecoder.CFA_PATTERNS = ['RGGB', 'BGGR', 'GRBG', 'GBRG'];
+
+// CFAプレーン名
+RawDecoder.PLANES = ['R', 'Gr', 'Gb', 'B'];
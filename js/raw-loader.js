@@ -0,0 +1,247 @@
+/**
+ * ImageAnalyzer - RAW読み込みモジュール
+ * ヘッダなしRAWセンサーダンプの読み込みダイアログと表示（デモザイク/CFAプレーン）の切り替え
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * RAW読み込み機能の初期化
+     */
+    initRawLoader() {
+        const openButton = document.getElementById('rawLoaderBtn');
+        const fileButton = document.getElementById('rawFileButton');
+        const fileInput = document.getElementById('rawFileInput');
+        const loadButton = document.getElementById('rawLoadButton');
+
+        if (!openButton || !fileButton || !fileInput || !loadButton) {
+            console.warn('RAW loader elements not found');
+            return;
+        }
+
+        openButton.addEventListener('click', () => this.openRawLoaderModal());
+        fileButton.addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.setRawLoaderFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        // パッキング形式に合わせて標準ビット深度を設定
+        const packingSelect = document.getElementById('rawPacking');
+        const bitDepthInput = document.getElementById('rawBitDepth');
+        if (packingSelect && bitDepthInput) {
+            packingSelect.addEventListener('change', () => {
+                bitDepthInput.value = RawDecoder.getDefaultBitDepth(packingSelect.value);
+                this.updateRawLoaderInfo();
+            });
+        }
+
+        ['rawWidth', 'rawHeight', 'rawStride'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.updateRawLoaderInfo());
+            }
+        });
+
+        loadButton.addEventListener('click', () => this.loadRawFile());
+
+        const viewSelect = document.getElementById('rawViewSelect');
+        if (viewSelect) {
+            viewSelect.addEventListener('change', (e) => {
+                this.showRawView(e.target.value);
+            });
+        }
+    },
+
+    /**
+     * RAWファイルかどうかの判定
+     * @param {File} file - 判定するファイル
+     * @returns {boolean} RAWダンプであればtrue
+     */
+    isRawFile(file) {
+        return /\.(raw|bin)$/i.test(file.name);
+    },
+
+    /**
+     * RAW読み込みダイアログを開く
+     * @param {File} [file=null] - あらかじめ選択しておくファイル
+     */
+    openRawLoaderModal(file = null) {
+        const modal = document.getElementById('rawLoaderModal');
+        if (!modal) return;
+
+        if (file) {
+            this.setRawLoaderFile(file);
+        } else {
+            this.updateRawLoaderInfo();
+        }
+        modal.style.display = 'flex';
+    },
+
+    /**
+     * RAW読み込みダイアログを閉じる
+     */
+    closeRawLoaderModal() {
+        const modal = document.getElementById('rawLoaderModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    },
+
+    /**
+     * 読み込むRAWファイルの設定
+     * @param {File} file - RAWファイル
+     */
+    setRawLoaderFile(file) {
+        this.pendingRawFile = file;
+
+        const nameElement = document.getElementById('rawFileName');
+        if (nameElement) {
+            nameElement.textContent = `${file.name} (${file.size.toLocaleString()} バイト)`;
+        }
+        this.updateRawLoaderInfo();
+    },
+
+    /**
+     * ダイアログの設定値の取得
+     * @returns {Object} {width, height, bitDepth, packing, pattern, blackLevel, stride}
+     */
+    readRawLoaderSettings() {
+        const getNumber = (id) => parseInt(this.getInputValue(id)) || 0;
+        return {
+            width: getNumber('rawWidth'),
+            height: getNumber('rawHeight'),
+            bitDepth: getNumber('rawBitDepth'),
+            packing: this.getInputValue('rawPacking') || 'u16le',
+            pattern: this.getInputValue('rawCfaPattern') || 'RGGB',
+            blackLevel: getNumber('rawBlackLevel'),
+            stride: getNumber('rawStride')
+        };
+    },
+
+    /**
+     * 必要なファイルサイズの表示更新
+     */
+    updateRawLoaderInfo() {
+        const info = document.getElementById('rawLoaderInfo');
+        if (!info) return;
+
+        const settings = this.readRawLoaderSettings();
+        if (settings.width <= 0 || settings.height <= 0) {
+            info.textContent = '幅と高さを入力してください';
+            return;
+        }
+
+        const rowBytes = RawDecoder.getRowBytes(settings.packing, settings.width);
+        const stride = settings.stride > 0 ? settings.stride : rowBytes;
+        const required = stride * (settings.height - 1) + rowBytes;
+        let text = `必要サイズ: ${required.toLocaleString()} バイト`;
+
+        if (this.pendingRawFile) {
+            const actual = this.pendingRawFile.size;
+            text += ` / ファイル: ${actual.toLocaleString()} バイト`;
+            if (actual < required) {
+                text += ' ⚠️ 不足';
+            } else if (actual > required) {
+                text += ` (余り ${(actual - required).toLocaleString()} バイト)`;
+            }
+        }
+        info.textContent = text;
+    },
+
+    /**
+     * RAWファイルの読み込み
+     */
+    loadRawFile() {
+        const file = this.pendingRawFile;
+        if (!file) {
+            alert('RAWファイルを選択してください。');
+            return;
+        }
+
+        const settings = this.readRawLoaderSettings();
+        if (!(settings.bitDepth >= 8 && settings.bitDepth <= 16)) {
+            alert('ビット深度は8〜16の範囲で指定してください。');
+            return;
+        }
+
+        this.setStatusMessage('RAWデータを読み込み中...');
+
+        file.arrayBuffer()
+            .then(buffer => {
+                const mosaic = RawDecoder.unpack(buffer, settings);
+                RawDecoder.subtractBlackLevel(mosaic, settings.blackLevel);
+                console.log('RAW unpacked:', settings.width, 'x', settings.height, settings.packing, settings.pattern);
+
+                this.resetSourceState();
+                this.applyExifMetadata(null);
+                this.rawFrame = {
+                    name: file.name,
+                    mosaic,
+                    width: settings.width,
+                    height: settings.height,
+                    bitDepth: settings.bitDepth,
+                    pattern: settings.pattern,
+                    blackLevel: settings.blackLevel,
+                    rgb: null
+                };
+
+                this.closeRawLoaderModal();
+                this.updateRawViewSelector();
+                this.showRawView('rgb');
+            })
+            .catch(error => {
+                console.error('RAW load error:', error);
+                alert(`RAWファイルの読み込みに失敗しました。\n${error.message}`);
+                this.setStatusMessage('RAWファイルの読み込みに失敗しました');
+            });
+    },
+
+    /**
+     * RAWの表示切り替え
+     * @param {string} view - 'rgb'（デモザイク）またはCFAプレーン名（R/Gr/Gb/B）
+     */
+    showRawView(view) {
+        const frame = this.rawFrame;
+        if (!frame) return;
+
+        try {
+            let model;
+            if (view === 'rgb') {
+                // デモザイク結果は切り替えのたびに再計算しないよう保持する
+                if (!frame.rgb) {
+                    frame.rgb = RawDecoder.demosaicBilinear(frame.mosaic, frame.width, frame.height, frame.pattern);
+                }
+                model = new ImageModel(frame.width, frame.height, frame.bitDepth, frame.rgb, null, 16);
+            } else {
+                const plane = RawDecoder.extractPlane(frame.mosaic, frame.width, frame.height, frame.pattern, view);
+                model = new ImageModel(plane.width, plane.height, frame.bitDepth,
+                    { r: plane.data, g: plane.data, b: plane.data }, null, 16);
+            }
+
+            this.rawView = view;
+            const viewSelect = document.getElementById('rawViewSelect');
+            if (viewSelect) viewSelect.value = view;
+
+            this.setImageModel(model);
+
+            const viewName = view === 'rgb' ? 'RGB (デモザイク)' : `${view}プレーン`;
+            this.setStatusMessage(`RAW表示: ${viewName} ${model.width} × ${model.height} px (${frame.bitDepth}bit)`);
+        } catch (error) {
+            console.error('RAW view error:', error);
+            this.setStatusMessage('RAW表示の切り替えに失敗しました: ' + error.message);
+        }
+    },
+
+    /**
+     * RAW表示選択UIの更新
+     */
+    updateRawViewSelector() {
+        const selector = document.getElementById('rawViewSelector');
+        if (!selector) return;
+        selector.classList.toggle('hidden', !this.rawFrame);
+    }
+});
@@ -0,0 +1,323 @@
+/**
+ * ImageAnalyzer - ROI編集モジュール
+ * ROIのドラッグ移動、グリップ・辺による変形、多角形の頂点移動、矢印キーでの微調整
+ * 編集中は解析を間引いて再実行する
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * ROIの当たり判定
+     * 選択中のROIのグリップ・辺を優先し、次に手前に描画されたROIの内側を判定する
+     * @param {Object} point - Canvas座標 {x, y}
+     * @returns {Object|null} {roi, handle}（handleは 'move'、方向（'nw'など）、または {vertex: 番号}）
+     */
+    hitTestRoi(point) {
+        // オーバーレイ非表示中は見えないROIを編集しない
+        if (!this.currentImage || !this.overlaysVisible || this.rois.length === 0) return null;
+
+        const selected = this.getSelectedRoi();
+        if (selected) {
+            const handle = this.hitTestRoiHandle(selected, point);
+            if (handle) return { roi: selected, handle };
+        }
+
+        const imagePoint = this.displayToImagePoint(point.x, point.y);
+        const candidates = selected ? [selected, ...this.rois.slice().reverse()] : this.rois.slice().reverse();
+        const roi = candidates.find(r => this.isPointInRoi(r, imagePoint));
+        return roi ? { roi, handle: 'move' } : null;
+    },
+
+    /**
+     * 選択中のROIのグリップ・辺の判定
+     * @param {Object} roi - ROI
+     * @param {Object} point - Canvas座標 {x, y}
+     * @returns {string|Object|null} 方向（'nw'など）、{vertex: 番号}、または null
+     */
+    hitTestRoiHandle(roi, point) {
+        const tolerance = ImageAnalyzer.ROI_HANDLE_TOLERANCE;
+
+        // 多角形は頂点を個別に動かす
+        if (roi.shape === 'polygon') {
+            const vertex = roi.points.findIndex(p => {
+                const d = this.imageToDisplayPoint(p);
+                return Math.abs(point.x - d.x) <= tolerance && Math.abs(point.y - d.y) <= tolerance;
+            });
+            return vertex >= 0 ? { vertex } : null;
+        }
+
+        // 外接矩形の角と辺
+        const rect = this.getRoiDisplayRect(roi);
+        const left = Math.abs(point.x - rect.x) <= tolerance;
+        const right = Math.abs(point.x - (rect.x + rect.width)) <= tolerance;
+        const top = Math.abs(point.y - rect.y) <= tolerance;
+        const bottom = Math.abs(point.y - (rect.y + rect.height)) <= tolerance;
+        const withinX = point.x >= rect.x - tolerance && point.x <= rect.x + rect.width + tolerance;
+        const withinY = point.y >= rect.y - tolerance && point.y <= rect.y + rect.height + tolerance;
+        if (!withinX || !withinY) return null;
+
+        const vertical = top ? 'n' : (bottom ? 's' : '');
+        const horizontal = left ? 'w' : (right ? 'e' : '');
+        return (vertical + horizontal) || null;
+    },
+
+    /**
+     * 点がROIの内側にあるかどうか
+     * @param {Object} roi - ROI
+     * @param {Object} point - 元画像座標 {x, y}（小数可）
+     * @returns {boolean} 内側であればtrue
+     */
+    isPointInRoi(roi, point) {
+        const { x, y, width, height } = roi.region;
+        if (point.x < x || point.x > x + width || point.y < y || point.y > y + height) return false;
+
+        if (roi.shape === 'ellipse') {
+            const dx = (point.x - x - width / 2) / (width / 2);
+            const dy = (point.y - y - height / 2) / (height / 2);
+            return dx * dx + dy * dy <= 1;
+        }
+
+        if (roi.points) {
+            // 偶奇規則
+            let inside = false;
+            const points = roi.points;
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const p1 = points[i];
+                const p2 = points[j];
+                if ((p1.y > point.y) !== (p2.y > point.y) &&
+                    point.x < p1.x + (point.y - p1.y) * (p2.x - p1.x) / (p2.y - p1.y)) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        }
+
+        return true;
+    },
+
+    /**
+     * ROI編集の開始（ROI上でなければfalseを返し、呼び出し側で新規描画する）
+     * @param {MouseEvent} e - マウスイベント
+     * @returns {boolean} 編集を開始した場合はtrue
+     */
+    startRoiEdit(e) {
+        // 多角形の描画中はクリックを頂点の追加として扱う
+        if (this.drawMode === 'polygon' && this.drawingPoints.length > 0) return false;
+
+        const point = this.getCanvasCoordinates(e);
+        const hit = this.hitTestRoi(point);
+        if (!hit) return false;
+
+        if (hit.roi.id !== this.selectedRoiId) {
+            this.selectRoi(hit.roi.id);
+        }
+
+        this.roiEdit = {
+            roi: hit.roi,
+            handle: hit.handle,
+            startPoint: this.displayToImagePoint(point.x, point.y),
+            startRegion: Object.assign({}, hit.roi.region),
+            startPoints: hit.roi.points ? hit.roi.points.map(p => Object.assign({}, p)) : null,
+            changed: false
+        };
+        return true;
+    },
+
+    /**
+     * ROI編集中（移動・変形）
+     * @param {MouseEvent} e - マウスイベント
+     */
+    updateRoiEdit(e) {
+        const edit = this.roiEdit;
+        if (!edit) return;
+
+        const point = this.getCanvasCoordinates(e);
+        const current = this.displayToImagePoint(point.x, point.y);
+        const dx = Math.round(current.x - edit.startPoint.x);
+        const dy = Math.round(current.y - edit.startPoint.y);
+
+        if (edit.handle === 'move') {
+            this.moveRoi(edit.roi, edit.startRegion, edit.startPoints, dx, dy);
+        } else if (typeof edit.handle === 'object') {
+            this.moveRoiVertex(edit.roi, edit.handle.vertex, current);
+        } else {
+            this.resizeRoi(edit.roi, edit.startRegion, edit.startPoints, edit.handle, dx, dy);
+        }
+
+        edit.changed = true;
+        this.redrawCanvas();
+        this.updateRoiProperties();
+        this.scheduleRoiAnalysis(edit.roi);
+    },
+
+    /**
+     * ROI編集の終了
+     */
+    endRoiEdit() {
+        const edit = this.roiEdit;
+        if (!edit) return;
+
+        this.roiEdit = null;
+        if (edit.changed) {
+            const { width, height } = edit.roi.region;
+            this.setStatusMessage(`${edit.roi.name}: ${width} × ${height} px`);
+        }
+    },
+
+    /**
+     * ROIの移動（画像内に収まるように移動量を制限）
+     * @param {Object} roi - ROI
+     * @param {Object} startRegion - 移動前の外接矩形
+     * @param {Array|null} startPoints - 移動前の頂点
+     * @param {number} dx - X方向の移動量（元画像の画素）
+     * @param {number} dy - Y方向の移動量（元画像の画素）
+     */
+    moveRoi(roi, startRegion, startPoints, dx, dy) {
+        const maxX = this.currentImage.width - startRegion.width;
+        const maxY = this.currentImage.height - startRegion.height;
+        const x = Math.max(0, Math.min(maxX, startRegion.x + dx));
+        const y = Math.max(0, Math.min(maxY, startRegion.y + dy));
+
+        roi.region = { x, y, width: startRegion.width, height: startRegion.height };
+        if (startPoints) {
+            const offsetX = x - startRegion.x;
+            const offsetY = y - startRegion.y;
+            roi.points = startPoints.map(p => ({ x: p.x + offsetX, y: p.y + offsetY }));
+        }
+    },
+
+    /**
+     * 角・辺のドラッグによるROIの変形（頂点を持つ形状は外接矩形に合わせて拡大縮小）
+     * @param {Object} roi - ROI
+     * @param {Object} startRegion - 変形前の外接矩形
+     * @param {Array|null} startPoints - 変形前の頂点
+     * @param {string} handle - 方向（'n' / 'ne' / 'e' / 'se' / 's' / 'sw' / 'w' / 'nw'）
+     * @param {number} dx - X方向の移動量（元画像の画素）
+     * @param {number} dy - Y方向の移動量（元画像の画素）
+     */
+    resizeRoi(roi, startRegion, startPoints, handle, dx, dy) {
+        const minSize = ImageAnalyzer.ROI_MIN_SIZE;
+        let left = startRegion.x;
+        let top = startRegion.y;
+        let right = startRegion.x + startRegion.width;
+        let bottom = startRegion.y + startRegion.height;
+
+        if (handle.includes('w')) left = Math.max(0, Math.min(right - minSize, left + dx));
+        if (handle.includes('e')) right = Math.min(this.currentImage.width, Math.max(left + minSize, right + dx));
+        if (handle.includes('n')) top = Math.max(0, Math.min(bottom - minSize, top + dy));
+        if (handle.includes('s')) bottom = Math.min(this.currentImage.height, Math.max(top + minSize, bottom + dy));
+
+        this.fitRoiToRegion(roi, startRegion, startPoints, { x: left, y: top, width: right - left, height: bottom - top });
+    },
+
+    /**
+     * ROIを指定した外接矩形に合わせる（頂点を持つ形状は拡大縮小）
+     * @param {Object} roi - ROI
+     * @param {Object} startRegion - 変形前の外接矩形
+     * @param {Array|null} startPoints - 変形前の頂点
+     * @param {Object} region - 変形後の外接矩形 {x, y, width, height}
+     */
+    fitRoiToRegion(roi, startRegion, startPoints, region) {
+        if (!startPoints) {
+            roi.region = region;
+            return;
+        }
+
+        const scaleX = region.width / startRegion.width;
+        const scaleY = region.height / startRegion.height;
+        roi.points = startPoints.map(p => ({
+            x: region.x + (p.x - startRegion.x) * scaleX,
+            y: region.y + (p.y - startRegion.y) * scaleY
+        }));
+        roi.region = AnalysisCore.getShapeBounds(roi.points, this.currentImage.width, this.currentImage.height) || region;
+    },
+
+    /**
+     * 多角形の頂点の移動
+     * @param {Object} roi - ROI
+     * @param {number} index - 頂点番号
+     * @param {Object} point - 移動先の元画像座標 {x, y}
+     */
+    moveRoiVertex(roi, index, point) {
+        const points = roi.points.slice();
+        points[index] = point;
+        const region = AnalysisCore.getShapeBounds(points, this.currentImage.width, this.currentImage.height);
+        if (!region) return;
+        roi.points = points;
+        roi.region = region;
+    },
+
+    /**
+     * 選択中のROIを矢印キーで移動
+     * @param {number} dx - X方向の移動量（元画像の画素）
+     * @param {number} dy - Y方向の移動量（元画像の画素）
+     * @returns {boolean} 移動した場合はtrue
+     */
+    nudgeSelectedRoi(dx, dy) {
+        const roi = this.getSelectedRoi();
+        if (!roi || !this.currentImage) return false;
+
+        this.moveRoi(roi, Object.assign({}, roi.region), roi.points, dx, dy);
+        this.redrawCanvas();
+        this.updateRoiProperties();
+        this.scheduleRoiAnalysis(roi);
+        return true;
+    },
+
+    /**
+     * 編集中のROIの解析（一定間隔に間引き、最後の変更は必ず解析する）
+     * 解析中の場合は中止せず（Workerの停止・再起動を繰り返さないように）、完了後に最新の領域で解析し直す
+     * @param {Object} roi - ROI
+     */
+    scheduleRoiAnalysis(roi) {
+        const pending = this.roiAnalysisTimers.get(roi.id);
+        if (pending) {
+            pending.dirty = true;
+            return;
+        }
+
+        const running = this.analysisJobs.get(roi.id);
+        if (running) {
+            running.rerun = true;
+            return;
+        }
+
+        this.performImageAnalysis(roi);
+        const entry = { dirty: false };
+        entry.timer = setTimeout(() => {
+            this.roiAnalysisTimers.delete(roi.id);
+            if (entry.dirty && this.getRoi(roi.id) === roi) {
+                this.scheduleRoiAnalysis(roi);
+            }
+        }, ImageAnalyzer.ROI_ANALYSIS_INTERVAL);
+        this.roiAnalysisTimers.set(roi.id, entry);
+    },
+
+    /**
+     * ROI上のカーソル形状の更新
+     * @param {MouseEvent} e - マウスイベント
+     */
+    updateRoiCursor(e) {
+        if (this.roiEdit || this.isDrawing || this.drawingPoints.length > 0) return;
+
+        const hit = this.isRoiMode() ? this.hitTestRoi(this.getCanvasCoordinates(e)) : null;
+        let cursor = '';
+        if (hit) {
+            if (hit.handle === 'move' || typeof hit.handle === 'object') {
+                cursor = 'move';
+            } else {
+                cursor = `${hit.handle}-resize`;
+            }
+        }
+        this.canvas.style.cursor = cursor;
+    }
+});
+
+// 編集中の解析の実行間隔（ms）
+ImageAnalyzer.ROI_ANALYSIS_INTERVAL = 150;
+
+// グリップ・辺の当たり判定の許容幅（表示座標のpx）
+ImageAnalyzer.ROI_HANDLE_TOLERANCE = 6;
+
+// 変形時のROIの最小サイズ（元画像の画素）
+ImageAnalyzer.ROI_MIN_SIZE = 2;
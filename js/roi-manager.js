@@ -0,0 +1,471 @@
+/**
+ * ImageAnalyzer - ROI管理モジュール
+ * 複数の名前付きROI（元画像座標）の管理、結果一覧の表示、キャンバスへのラベル付き描画
+ * ROIの形状は矩形・楕円・多角形・自由形状（楕円は外接矩形、多角形・自由形状は頂点で保持）
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * ROI一覧の初期化
+     */
+    initRoiTable() {
+        const table = document.getElementById('roiTable');
+        if (table) {
+            table.querySelectorAll('th[data-sort]').forEach(th => {
+                th.addEventListener('click', () => this.sortRois(th.dataset.sort));
+            });
+        }
+
+        const body = document.getElementById('roiTableBody');
+        if (body) {
+            // 行の選択・削除（行は再生成されるため委譲で処理）
+            body.addEventListener('click', (e) => {
+                const row = e.target.closest('tr[data-roi-id]');
+                if (!row) return;
+                const id = parseInt(row.dataset.roiId);
+                if (e.target.closest('.roi-delete')) {
+                    this.removeRoi(id);
+                } else if (id !== this.selectedRoiId) {
+                    this.selectRoi(id);
+                }
+            });
+
+            // 名前・色の変更
+            body.addEventListener('change', (e) => {
+                const row = e.target.closest('tr[data-roi-id]');
+                const roi = row && this.getRoi(parseInt(row.dataset.roiId));
+                if (!roi) return;
+                if (e.target.classList.contains('roi-name')) {
+                    roi.name = e.target.value.trim() || `ROI ${roi.id}`;
+                } else if (e.target.classList.contains('roi-color')) {
+                    roi.color = e.target.value;
+                }
+                this.updateRoiTable();
+                this.updateRoiProperties();
+                this.redrawCanvas();
+            });
+
+            // 名前の編集中に届いた解析結果は編集終了後に反映
+            body.addEventListener('focusout', () => {
+                if (this.roiTableDirty) {
+                    setTimeout(() => this.updateRoiTable(), 0);
+                }
+            });
+        }
+
+        const clearBtn = document.getElementById('clearRois');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                if (this.rois.length === 0) return;
+                this.clearRois();
+                this.redrawCanvas();
+                this.setStatusMessage('全てのROIを削除しました');
+            });
+        }
+
+        this.updateRoiTable();
+    },
+
+    /**
+     * ROIの追加（追加したROIを選択して解析を開始）
+     * @param {Object} region - 元画像座標の外接矩形 {x, y, width, height}
+     * @param {Object} [options] - {name, color, shape, points}
+     * @returns {Object} 追加したROI
+     */
+    addRoi(region, options = {}) {
+        const id = this.nextRoiId++;
+        const colors = ImageAnalyzer.ROI_COLORS;
+        const roi = {
+            id,
+            name: options.name || `ROI ${id}`,
+            color: options.color || colors[(id - 1) % colors.length],
+            shape: options.shape || 'rect',
+            region,
+            points: options.points || null,
+            snData: null,
+            frameNoise: null,
+            mtf: null,
+            focus: null,
+            histograms: null
+        };
+
+        this.rois.push(roi);
+        this.selectRoi(id);
+        this.performImageAnalysis(roi);
+        return roi;
+    },
+
+    /**
+     * 頂点で指定した形状（多角形・自由形状）のROIの追加
+     * @param {Array} points - 頂点 [{x, y}]（元画像座標）
+     * @param {string} shape - 形状（polygon / freehand）
+     * @returns {Object|null} 追加したROI（面積がない場合はnull）
+     */
+    addShapeRoi(points, shape) {
+        if (points.length < 3) return null;
+        const region = AnalysisCore.getShapeBounds(points, this.currentImage.width, this.currentImage.height);
+        if (!region) return null;
+        return this.addRoi(region, { shape, points });
+    },
+
+    /**
+     * ROIの形状マスクの生成
+     * @param {Object} roi - ROI
+     * @returns {Uint8Array|null} 外接矩形サイズのマスク（矩形はnull）
+     */
+    createRoiMask(roi) {
+        return AnalysisCore.createShapeMask(roi.shape, roi.region, roi.points);
+    },
+
+    /**
+     * IDによるROIの取得
+     * @param {number} id - ROI ID
+     * @returns {Object|null} ROI
+     */
+    getRoi(id) {
+        return this.rois.find(roi => roi.id === id) || null;
+    },
+
+    /**
+     * 選択中のROIの取得
+     * @returns {Object|null} ROI
+     */
+    getSelectedRoi() {
+        return this.getRoi(this.selectedRoiId);
+    },
+
+    /**
+     * ROIの選択（SN比表示・ヒストグラムを選択したROIの結果に切り替える）
+     * @param {number|null} id - ROI ID
+     */
+    selectRoi(id) {
+        this.selectedRoiId = id;
+        this.updateAnalyzingState();
+
+        const roi = this.getSelectedRoi();
+        if (roi && roi.snData) {
+            this.currentHistogramData = roi.histograms;
+            this.updateAnalysisDisplay(roi, roi.region);
+            // 選択していない間に解析したROIはピント指標を求め直す
+            if (!roi.focus && !this.analysisJobs.has(roi.id)) this.performImageAnalysis(roi);
+        } else {
+            this.clearAnalysisDisplay();
+        }
+
+        this.updateRoiSelection();
+        this.updateRoiProperties();
+        this.redrawCanvas();
+    },
+
+    /**
+     * ROIの削除
+     * @param {number} id - ROI ID
+     */
+    removeRoi(id) {
+        const roi = this.getRoi(id);
+        if (!roi) return;
+
+        this.cancelAnalysis(id);
+        this.rois = this.rois.filter(r => r !== roi);
+        this.updateRoiTable();
+
+        if (this.selectedRoiId === id) {
+            const last = this.rois[this.rois.length - 1];
+            this.selectRoi(last ? last.id : null);
+        } else {
+            this.redrawCanvas();
+        }
+        this.setStatusMessage(`${roi.name} を削除しました`);
+    },
+
+    /**
+     * 全ROIの削除（キャンバスの再描画は呼び出し側で行う）
+     */
+    clearRois() {
+        this.cancelAnalysis();
+        this.rois = [];
+        this.selectedRoiId = null;
+        this.clearAnalysisDisplay();
+        this.updateRoiTable();
+        this.updateRoiProperties();
+    },
+
+    /**
+     * 全ROIの再解析
+     */
+    analyzeAllRois() {
+        this.rois.forEach(roi => this.performImageAnalysis(roi));
+    },
+
+    /**
+     * 並べ替え列の切り替え（同じ列なら昇順・降順を反転）
+     * @param {string} key - 並べ替えキー
+     */
+    sortRois(key) {
+        if (!ImageAnalyzer.ROI_SORT_KEYS[key]) return;
+        if (this.roiSort.key === key) {
+            this.roiSort.ascending = !this.roiSort.ascending;
+        } else {
+            this.roiSort = { key, ascending: true };
+        }
+        this.updateRoiTable();
+    },
+
+    /**
+     * 並べ替え済みのROI一覧（値のないROIは末尾）
+     * @returns {Array} ROI
+     */
+    getSortedRois() {
+        const getValue = ImageAnalyzer.ROI_SORT_KEYS[this.roiSort.key];
+        const direction = this.roiSort.ascending ? 1 : -1;
+
+        return this.rois.slice().sort((a, b) => {
+            const va = getValue(a, this);
+            const vb = getValue(b, this);
+            if (va === null || va === undefined) return (vb === null || vb === undefined) ? 0 : 1;
+            if (vb === null || vb === undefined) return -1;
+            if (typeof va === 'string') return va.localeCompare(vb, 'ja') * direction;
+            if (va === vb) return 0;
+            return (va < vb ? -1 : 1) * direction;
+        });
+    },
+
+    /**
+     * ROI一覧の再生成
+     */
+    updateRoiTable() {
+        const body = document.getElementById('roiTableBody');
+        if (!body) return;
+
+        // 名前の編集中は再生成しない（フォーカスを失うため）
+        const active = document.activeElement;
+        if (active && active.classList.contains('roi-name') && body.contains(active)) {
+            this.roiTableDirty = true;
+            return;
+        }
+        this.roiTableDirty = false;
+
+        body.innerHTML = '';
+        this.getSortedRois().forEach(roi => {
+            body.appendChild(this.createRoiRow(roi));
+        });
+        this.updateRoiSelection();
+
+        // 並べ替え状態の表示
+        document.querySelectorAll('#roiTable th[data-sort]').forEach(th => {
+            const sorted = th.dataset.sort === this.roiSort.key;
+            th.classList.toggle('sort-asc', sorted && this.roiSort.ascending);
+            th.classList.toggle('sort-desc', sorted && !this.roiSort.ascending);
+        });
+
+        const empty = document.getElementById('roiEmpty');
+        if (empty) empty.classList.toggle('hidden', this.rois.length > 0);
+    },
+
+    /**
+     * ROI一覧の行の生成
+     * @param {Object} roi - ROI
+     * @returns {HTMLTableRowElement} 行
+     */
+    createRoiRow(roi) {
+        const row = document.createElement('tr');
+        row.dataset.roiId = String(roi.id);
+        row.title = `${ImageAnalyzer.ROI_SHAPES[roi.shape]}: ${roi.region.width} × ${roi.region.height} px`;
+
+        // 名前と色
+        const nameCell = document.createElement('td');
+        nameCell.className = 'roi-name-cell';
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.className = 'roi-color';
+        colorInput.value = roi.color;
+        colorInput.title = '表示色';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'roi-name';
+        nameInput.value = roi.name;
+        nameInput.setAttribute('aria-label', 'ROI名');
+        nameCell.append(colorInput, nameInput);
+        row.appendChild(nameCell);
+
+        // 解析結果（SN比・雑音は選択中の雑音の定義）
+        const snData = roi.snData;
+        const pending = this.analysisJobs.has(roi.id);
+        const measure = this.getNoiseMeasure(snData);
+        const values = snData ? [
+            this.formatRoiStat(measure.snRatio, 2),
+            this.formatRoiStat(snData.mean, 1),
+            this.formatRoiStat(measure.noise, 2),
+            snData.pixelCount.toLocaleString(),
+            this.formatRoiStat(snData.channelMeans.red, 1),
+            this.formatRoiStat(snData.channelMeans.green, 1),
+            this.formatRoiStat(snData.channelMeans.blue, 1)
+        ] : new Array(7).fill(pending ? '…' : '--');
+
+        values.forEach(value => {
+            const cell = document.createElement('td');
+            cell.className = 'roi-value';
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+
+        // 削除ボタン
+        const deleteCell = document.createElement('td');
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'roi-delete';
+        deleteButton.textContent = '×';
+        deleteButton.title = '削除';
+        deleteCell.appendChild(deleteButton);
+        row.appendChild(deleteCell);
+
+        return row;
+    },
+
+    /**
+     * 選択行の表示更新
+     */
+    updateRoiSelection() {
+        document.querySelectorAll('#roiTableBody tr[data-roi-id]').forEach(row => {
+            row.classList.toggle('selected', parseInt(row.dataset.roiId) === this.selectedRoiId);
+        });
+    },
+
+    /**
+     * 統計値の表示用文字列（無限大は∞、値なしは空文字）
+     * @param {number|null} value - 値
+     * @param {number} digits - 小数点以下の桁数
+     * @returns {string} 表示文字列
+     */
+    formatRoiStat(value, digits) {
+        if (value === null || value === undefined || Number.isNaN(value)) return '';
+        if (value === Infinity) return '∞';
+        return value.toFixed(digits);
+    },
+
+    /**
+     * ROIの表示座標の矩形
+     * @param {Object} roi - ROI
+     * @returns {Object} 表示座標の矩形 {x, y, width, height}
+     */
+    getRoiDisplayRect(roi) {
+        const scaleX = this.displayedWidth / this.currentImage.width;
+        const scaleY = this.displayedHeight / this.currentImage.height;
+        return {
+            x: this.imageOffsetX + roi.region.x * scaleX,
+            y: this.imageOffsetY + roi.region.y * scaleY,
+            width: roi.region.width * scaleX,
+            height: roi.region.height * scaleY
+        };
+    },
+
+    /**
+     * ROIの輪郭のパスを作成
+     * @param {Object} roi - ROI
+     * @param {Object} rect - 外接矩形の表示座標
+     */
+    traceRoiPath(roi, rect) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        if (roi.shape === 'ellipse') {
+            ctx.ellipse(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width / 2, rect.height / 2, 0, 0, Math.PI * 2);
+        } else if (roi.points) {
+            roi.points.forEach((point, i) => {
+                const p = this.imageToDisplayPoint(point);
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.closePath();
+        } else {
+            ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        }
+    },
+
+    /**
+     * 全ROIの描画（名前ラベル付き、選択中のROIは塗りつぶしとグリップ付き）
+     */
+    drawRois() {
+        if (!this.currentImage || this.rois.length === 0) return;
+
+        const ctx = this.ctx;
+        this.rois.forEach(roi => {
+            const rect = this.getRoiDisplayRect(roi);
+            const selected = roi.id === this.selectedRoiId;
+
+            ctx.save();
+            this.traceRoiPath(roi, rect);
+            if (selected) {
+                ctx.globalAlpha = 0.15;
+                ctx.fillStyle = roi.color;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+            }
+
+            ctx.strokeStyle = roi.color;
+            ctx.lineWidth = selected ? 2 : 1.5;
+            ctx.setLineDash(selected ? [] : [6, 3]);
+            ctx.stroke();
+
+            // 楕円・自由形状は変形の目安となる外接矩形を表示
+            if (selected && (roi.shape === 'ellipse' || roi.shape === 'freehand')) {
+                ctx.save();
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 4]);
+                ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+                ctx.restore();
+            }
+
+            // グリップ（多角形は頂点、それ以外は外接矩形の角）
+            if (selected) {
+                const gripSize = 6;
+                const grips = roi.shape === 'polygon'
+                    ? roi.points.map(point => this.imageToDisplayPoint(point))
+                    : [
+                        { x: rect.x, y: rect.y },
+                        { x: rect.x + rect.width, y: rect.y },
+                        { x: rect.x, y: rect.y + rect.height },
+                        { x: rect.x + rect.width, y: rect.y + rect.height }
+                    ];
+                ctx.fillStyle = roi.color;
+                grips.forEach(({ x, y }) => {
+                    ctx.fillRect(x - gripSize / 2, y - gripSize / 2, gripSize, gripSize);
+                });
+            }
+
+            // 名前ラベル（上端に収まらない場合は矩形の内側）
+            ctx.font = '12px Arial';
+            const labelWidth = ctx.measureText(roi.name).width + 8;
+            const labelY = rect.y >= 18 ? rect.y - 18 : rect.y;
+            ctx.fillStyle = roi.color;
+            ctx.fillRect(rect.x, labelY, labelWidth, 18);
+            ctx.fillStyle = 'white';
+            ctx.fillText(roi.name, rect.x + 4, labelY + 13);
+            ctx.restore();
+        });
+    }
+});
+
+// ROIの表示色（追加順に割り当て）
+ImageAnalyzer.ROI_COLORS = ['#ff4757', '#1e90ff', '#2ed573', '#ffa502', '#a55eea', '#17c0eb', '#ff6b81', '#7bed9f'];
+
+// ROIの形状の表示名
+ImageAnalyzer.ROI_SHAPES = {
+    rect: '矩形',
+    ellipse: '楕円',
+    polygon: '多角形',
+    freehand: '自由形状',
+    edge: 'エッジMTF'
+};
+
+// ROI一覧の並べ替えキー（SN比・雑音は選択中の雑音の定義）
+ImageAnalyzer.ROI_SORT_KEYS = {
+    id: roi => roi.id,
+    name: roi => roi.name,
+    snRatio: (roi, analyzer) => roi.snData && analyzer.getNoiseMeasure(roi.snData).snRatio,
+    mean: roi => roi.snData && roi.snData.mean,
+    stdDev: (roi, analyzer) => roi.snData && analyzer.getNoiseMeasure(roi.snData).noise,
+    pixelCount: roi => roi.snData && roi.snData.pixelCount,
+    red: roi => roi.snData && roi.snData.channelMeans.red,
+    green: roi => roi.snData && roi.snData.channelMeans.green,
+    blue: roi => roi.snData && roi.snData.channelMeans.blue
+};
@@ -0,0 +1,201 @@
+/**
+ * ImageAnalyzer - ROI座標入力モジュール
+ * 選択中のROIの位置・サイズを元画像の画素単位で表示・入力する（マウスでの描画・編集と双方向に同期）
+ * 左上指定・中心指定の切り替えと、1画素単位・2画素単位（ベイヤー配列に揃える）のスナップに対応
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * ROI座標入力の初期化
+     */
+    initRoiProperties() {
+        const modeSelect = document.getElementById('roiPropMode');
+        if (modeSelect) {
+            modeSelect.addEventListener('change', () => {
+                // 入力中の値を保ったまま表示形式だけを切り替える
+                const region = this.readRoiPropertyRegion(this.roiPropertyMode);
+                this.roiPropertyMode = modeSelect.value;
+                this.updateRoiPropertyLabels();
+                if (region) this.showRoiPropertyRegion(region);
+            });
+        }
+
+        const snapSelect = document.getElementById('roiPropSnap');
+        if (snapSelect) {
+            snapSelect.addEventListener('change', () => {
+                this.roiPropertySnap = parseInt(snapSelect.value) || 1;
+            });
+        }
+
+        ImageAnalyzer.ROI_PROPERTY_FIELDS.forEach(id => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            // 選択中のROIがあれば確定（Enter・フォーカス移動）のたびに反映
+            input.addEventListener('change', () => {
+                if (this.getSelectedRoi()) this.applyRoiProperties();
+            });
+        });
+
+        const applyBtn = document.getElementById('applyRoiProps');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.applyRoiProperties());
+        }
+
+        const addBtn = document.getElementById('addRoiFromProps');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addRoiFromProperties());
+        }
+
+        this.updateRoiPropertyLabels();
+        this.updateRoiProperties();
+    },
+
+    /**
+     * 入力欄のラベルの更新（左上指定: X/Y、中心指定: 中心X/中心Y）
+     */
+    updateRoiPropertyLabels() {
+        const center = this.roiPropertyMode === 'center';
+        const xLabel = document.getElementById('roiPropXLabel');
+        const yLabel = document.getElementById('roiPropYLabel');
+        if (xLabel) xLabel.textContent = center ? '中心X' : 'X（左端）';
+        if (yLabel) yLabel.textContent = center ? '中心Y' : 'Y（上端）';
+    },
+
+    /**
+     * 選択中のROIの座標を入力欄に反映
+     */
+    updateRoiProperties() {
+        const roi = this.getSelectedRoi();
+
+        const target = document.getElementById('roiPropTarget');
+        if (target) {
+            target.textContent = roi
+                ? `${roi.name}（${ImageAnalyzer.ROI_SHAPES[roi.shape]}）`
+                : '未選択（入力値から新規ROIを追加できます）';
+        }
+
+        const applyBtn = document.getElementById('applyRoiProps');
+        if (applyBtn) applyBtn.disabled = !roi;
+
+        if (!roi) return;
+
+        // 入力中の欄は上書きしない
+        const active = document.activeElement;
+        if (active && ImageAnalyzer.ROI_PROPERTY_FIELDS.includes(active.id)) return;
+
+        this.showRoiPropertyRegion(roi.region);
+    },
+
+    /**
+     * 外接矩形を入力欄に表示
+     * @param {Object} region - 元画像座標の外接矩形 {x, y, width, height}
+     */
+    showRoiPropertyRegion(region) {
+        const center = this.roiPropertyMode === 'center';
+        const values = {
+            roiPropX: center ? region.x + region.width / 2 : region.x,
+            roiPropY: center ? region.y + region.height / 2 : region.y,
+            roiPropW: region.width,
+            roiPropH: region.height
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = String(value);
+        });
+    },
+
+    /**
+     * 入力欄から外接矩形を読み取る（スナップ・画像範囲への制限前）
+     * @param {string} mode - 入力形式（'corner' / 'center'）
+     * @returns {Object|null} 外接矩形 {x, y, width, height}（数値でない欄があればnull）
+     */
+    readRoiPropertyRegion(mode) {
+        const values = ImageAnalyzer.ROI_PROPERTY_FIELDS.map(id => {
+            const input = document.getElementById(id);
+            return input ? parseFloat(input.value) : NaN;
+        });
+        if (values.some(v => !Number.isFinite(v))) return null;
+
+        const [a, b, width, height] = values;
+        if (mode === 'center') {
+            return { x: a - width / 2, y: b - height / 2, width, height };
+        }
+        return { x: a, y: b, width, height };
+    },
+
+    /**
+     * 外接矩形のスナップと画像範囲への制限
+     * @param {Object} region - 外接矩形 {x, y, width, height}
+     * @param {number} step - スナップ単位（1: 整数画素、2: ベイヤー配列に揃える）
+     * @returns {Object|null} 整数画素の外接矩形（画像がない場合はnull）
+     */
+    snapRoiRegion(region, step) {
+        if (!this.currentImage) return null;
+        const imageWidth = this.currentImage.width;
+        const imageHeight = this.currentImage.height;
+
+        const snapSize = (size, max) => {
+            const limit = Math.floor(max / step) * step;
+            return Math.max(step, Math.min(limit, Math.round(size / step) * step));
+        };
+        const snapStart = (start, size, max) => {
+            const clamped = Math.max(0, Math.min(max - size, start));
+            return Math.floor(Math.round(clamped) / step) * step;
+        };
+
+        const width = snapSize(region.width, imageWidth);
+        const height = snapSize(region.height, imageHeight);
+        return {
+            x: snapStart(region.x, width, imageWidth),
+            y: snapStart(region.y, height, imageHeight),
+            width,
+            height
+        };
+    },
+
+    /**
+     * 入力値を選択中のROIに反映して再解析
+     */
+    applyRoiProperties() {
+        const roi = this.getSelectedRoi();
+        if (!roi || !this.currentImage) return;
+
+        const input = this.readRoiPropertyRegion(this.roiPropertyMode);
+        const region = input && this.snapRoiRegion(input, this.roiPropertySnap);
+        if (!region) {
+            this.setStatusMessage('ROIの座標とサイズを数値で入力してください');
+            this.showRoiPropertyRegion(roi.region);
+            return;
+        }
+
+        this.fitRoiToRegion(roi, Object.assign({}, roi.region), roi.points, region);
+        this.showRoiPropertyRegion(roi.region);
+        this.redrawCanvas();
+        this.scheduleRoiAnalysis(roi);
+        this.setStatusMessage(`${roi.name}: (${roi.region.x}, ${roi.region.y}) ${roi.region.width} × ${roi.region.height} px`);
+    },
+
+    /**
+     * 入力値から矩形ROIを追加
+     */
+    addRoiFromProperties() {
+        if (!this.currentImage) {
+            this.setStatusMessage('まず画像を読み込んでください');
+            return;
+        }
+
+        const input = this.readRoiPropertyRegion(this.roiPropertyMode);
+        const region = input && this.snapRoiRegion(input, this.roiPropertySnap);
+        if (!region) {
+            this.setStatusMessage('ROIの座標とサイズを数値で入力してください');
+            return;
+        }
+
+        const roi = this.addRoi(region);
+        this.setStatusMessage(`${roi.name} を追加しました: (${region.x}, ${region.y}) ${region.width} × ${region.height} px`);
+    }
+});
+
+// 座標入力欄のID（X、Y、幅、高さの順）
+ImageAnalyzer.ROI_PROPERTY_FIELDS = ['roiPropX', 'roiPropY', 'roiPropW', 'roiPropH'];
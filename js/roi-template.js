@@ -0,0 +1,324 @@
+/**
+ * ImageAnalyzer - ROIテンプレートモジュール
+ * ROIとラインプロファイルのラインをJSONテンプレートとして保存し、同じ撮影条件の別画像に読み込む
+ * 座標は元画像の画素、または画像サイズで正規化した値（0〜1）で保持する
+ * 最近使ったテンプレートはlocalStorageに保存する
+ *
+ * 形式: {version, coordinates: 'pixel' | 'normalized', imageSize: {width, height},
+ *        rois: [{name, color, shape, region: {x, y, width, height}, points}], lines: [{start, end}]}
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * テンプレート操作の初期化
+     */
+    initRoiTemplates() {
+        const saveBtn = document.getElementById('saveRoiTemplate');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveRoiTemplate());
+        }
+
+        const fileInput = document.getElementById('templateFileInput');
+        const loadBtn = document.getElementById('loadRoiTemplate');
+        if (loadBtn && fileInput) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.loadRoiTemplateFile(file);
+                // 同じファイルを続けて選択できるようにする
+                fileInput.value = '';
+            });
+        }
+
+        const recentSelect = document.getElementById('recentTemplates');
+        if (recentSelect) {
+            recentSelect.addEventListener('change', () => {
+                const entry = this.getRecentTemplates()[parseInt(recentSelect.value)];
+                recentSelect.value = '';
+                if (entry) this.applyRoiTemplate(entry.template, entry.name);
+            });
+        }
+
+        this.updateRecentTemplateList();
+    },
+
+    /**
+     * 現在のROI・ラインからテンプレートを作成
+     * @param {boolean} normalized - 画像サイズで正規化する場合はtrue
+     * @returns {Object} テンプレート
+     */
+    createRoiTemplate(normalized) {
+        const { width, height } = this.currentImage;
+        const sx = normalized ? 1 / width : 1;
+        const sy = normalized ? 1 / height : 1;
+        const scalePoint = (p) => ({ x: p.x * sx, y: p.y * sy });
+
+        const template = {
+            version: ImageAnalyzer.ROI_TEMPLATE_VERSION,
+            coordinates: normalized ? 'normalized' : 'pixel',
+            imageSize: { width, height },
+            rois: this.rois.map(roi => ({
+                name: roi.name,
+                color: roi.color,
+                shape: roi.shape,
+                region: {
+                    x: roi.region.x * sx,
+                    y: roi.region.y * sy,
+                    width: roi.region.width * sx,
+                    height: roi.region.height * sy
+                },
+                points: roi.points ? roi.points.map(scalePoint) : null
+            })),
+            lines: []
+        };
+
+        const line = this.lineAnalyzer && this.lineAnalyzer.lastLine;
+        if (line) {
+            template.lines.push({ start: scalePoint(line.start), end: scalePoint(line.end) });
+        }
+        return template;
+    },
+
+    /**
+     * テンプレートの保存（JSONファイルのダウンロード）
+     */
+    saveRoiTemplate() {
+        if (!this.currentImage) {
+            this.setStatusMessage('まず画像を読み込んでください');
+            return;
+        }
+        const hasLine = this.lineAnalyzer && this.lineAnalyzer.lastLine;
+        if (this.rois.length === 0 && !hasLine) {
+            this.setStatusMessage('保存するROI・ラインがありません');
+            return;
+        }
+
+        try {
+            const normalizeCheckbox = document.getElementById('templateNormalize');
+            const template = this.createRoiTemplate(!!(normalizeCheckbox && normalizeCheckbox.checked));
+            const name = `roi_template_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.json`;
+
+            const blob = new Blob([JSON.stringify(template, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = name;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            this.rememberRoiTemplate(name, template);
+            this.setStatusMessage(`テンプレート（ROI ${template.rois.length}件、ライン ${template.lines.length}本）を保存しました`);
+        } catch (error) {
+            this.showError('テンプレートの保存に失敗しました', error);
+        }
+    },
+
+    /**
+     * テンプレートファイルの読み込み
+     * @param {File} file - JSONファイル
+     */
+    loadRoiTemplateFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let template;
+            try {
+                template = JSON.parse(e.target.result);
+            } catch (error) {
+                this.showError(`${file.name} はJSONとして読み込めません`, error);
+                return;
+            }
+            if (this.applyRoiTemplate(template, file.name)) {
+                this.rememberRoiTemplate(file.name, template);
+            }
+        };
+        reader.onerror = (error) => {
+            this.showError('テンプレートの読み込みに失敗しました', error);
+        };
+        reader.readAsText(file);
+    },
+
+    /**
+     * テンプレートの内容を検証して元画像座標に変換
+     * @param {Object} template - テンプレート
+     * @param {number} width - 適用先の画像の幅
+     * @param {number} height - 適用先の画像の高さ
+     * @returns {Object} {rois: [{name, color, shape, region, points}], lines: [{start, end}]}
+     */
+    resolveRoiTemplate(template, width, height) {
+        if (!template || !Array.isArray(template.rois)) {
+            throw new Error('ROIテンプレートの形式ではありません');
+        }
+
+        const normalized = template.coordinates === 'normalized';
+        const sx = normalized ? width : 1;
+        const sy = normalized ? height : 1;
+        const toNumber = (value) => {
+            const number = Number(value);
+            if (!Number.isFinite(number)) throw new Error('テンプレートの座標が数値ではありません');
+            return number;
+        };
+        const toPoint = (p) => ({
+            x: Math.max(0, Math.min(width, toNumber(p.x) * sx)),
+            y: Math.max(0, Math.min(height, toNumber(p.y) * sy))
+        });
+
+        const rois = [];
+        template.rois.forEach(item => {
+            const shape = ImageAnalyzer.ROI_SHAPES[item.shape] ? item.shape : 'rect';
+            let region;
+            let points = null;
+
+            if (shape === 'polygon' || shape === 'freehand') {
+                if (!Array.isArray(item.points) || item.points.length < 3) return;
+                points = item.points.map(toPoint);
+                region = AnalysisCore.getShapeBounds(points, width, height);
+            } else if (item.region) {
+                const x = Math.round(toNumber(item.region.x) * sx);
+                const y = Math.round(toNumber(item.region.y) * sy);
+                const w = Math.round((toNumber(item.region.x) + toNumber(item.region.width)) * sx) - x;
+                const h = Math.round((toNumber(item.region.y) + toNumber(item.region.height)) * sy) - y;
+                // clampRegionは始点を画像内に寄せるため、画像と重ならない矩形は先に除外する（1×1のROIにしない）
+                if (x >= width || y >= height || x + w <= 0 || y + h <= 0) return;
+                region = AnalysisCore.clampRegion({ x, y, width: w, height: h }, width, height);
+            }
+            // 画像外に外れた形状・画素を含まない形状は読み込まない
+            if (!region) return;
+            const mask = AnalysisCore.createShapeMask(shape, region, points);
+            if (mask && AnalysisCore.countMask(mask) === 0) return;
+
+            rois.push({ name: item.name, color: item.color, shape, region, points });
+        });
+
+        const toPixel = (p) => {
+            const point = toPoint(p);
+            return {
+                x: Math.min(width - 1, Math.round(point.x)),
+                y: Math.min(height - 1, Math.round(point.y))
+            };
+        };
+        const lines = (Array.isArray(template.lines) ? template.lines : [])
+            .filter(line => line && line.start && line.end)
+            .map(line => ({ start: toPixel(line.start), end: toPixel(line.end) }));
+
+        return { rois, lines };
+    },
+
+    /**
+     * テンプレートの適用（現在のROIを置き換えて全ROIを解析）
+     * @param {Object} template - テンプレート
+     * @param {string} name - 表示名（ファイル名）
+     * @returns {boolean} 適用した場合はtrue
+     */
+    applyRoiTemplate(template, name) {
+        if (!this.currentImage) {
+            this.setStatusMessage('まず画像を読み込んでください');
+            return false;
+        }
+
+        const { width, height } = this.currentImage;
+        let resolved;
+        try {
+            resolved = this.resolveRoiTemplate(template, width, height);
+        } catch (error) {
+            this.showError(`${name}: ${error.message}`, error);
+            return false;
+        }
+
+        this.clearRois();
+        resolved.rois.forEach(item => {
+            this.addRoi(item.region, {
+                name: item.name,
+                color: item.color,
+                shape: item.shape,
+                points: item.points
+            });
+        });
+        if (this.rois.length > 0) {
+            this.selectRoi(this.rois[0].id);
+        }
+
+        // ラインプロファイルは1本のみのため先頭のラインを使う
+        if (this.lineAnalyzer && resolved.lines.length > 0) {
+            this.lineAnalyzer.lastLine = resolved.lines[0];
+            this.lineAnalyzer.refresh();
+        }
+        this.redrawCanvas();
+
+        let message = `テンプレート ${name} を適用しました（ROI ${resolved.rois.length}件）`;
+        const skipped = template.rois.length - resolved.rois.length;
+        if (skipped > 0) {
+            message += `、画像外のROI ${skipped}件は除外`;
+        }
+        const size = template.imageSize;
+        if (template.coordinates !== 'normalized' && size && (size.width !== width || size.height !== height)) {
+            message += `（保存時の画像サイズ ${size.width} × ${size.height} と異なります）`;
+        }
+        this.setStatusMessage(message);
+        return true;
+    },
+
+    /**
+     * 最近使ったテンプレートの取得
+     * @returns {Array} [{name, usedAt, template}]（新しい順）
+     */
+    getRecentTemplates() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(ImageAnalyzer.RECENT_TEMPLATES_KEY) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            // localStorageが使えない環境（プライベートモード等）では履歴なし
+            return [];
+        }
+    },
+
+    /**
+     * 最近使ったテンプレートへの登録（同名は置き換え）
+     * @param {string} name - 表示名（ファイル名）
+     * @param {Object} template - テンプレート
+     */
+    rememberRoiTemplate(name, template) {
+        const entries = this.getRecentTemplates().filter(entry => entry.name !== name);
+        entries.unshift({ name, usedAt: new Date().toISOString(), template });
+        try {
+            localStorage.setItem(ImageAnalyzer.RECENT_TEMPLATES_KEY,
+                JSON.stringify(entries.slice(0, ImageAnalyzer.RECENT_TEMPLATES_MAX)));
+        } catch (error) {
+            console.warn('Failed to store recent templates:', error.message);
+        }
+        this.updateRecentTemplateList();
+    },
+
+    /**
+     * 最近使ったテンプレートの選択肢の更新
+     */
+    updateRecentTemplateList() {
+        const select = document.getElementById('recentTemplates');
+        if (!select) return;
+
+        const entries = this.getRecentTemplates();
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = entries.length > 0 ? '最近使ったテンプレート...' : '履歴なし';
+        select.appendChild(placeholder);
+
+        entries.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            const count = Array.isArray(entry.template.rois) ? entry.template.rois.length : 0;
+            option.textContent = `${entry.name}（ROI ${count}件）`;
+            select.appendChild(option);
+        });
+        select.disabled = entries.length === 0;
+    }
+});
+
+// テンプレート形式のバージョン
+ImageAnalyzer.ROI_TEMPLATE_VERSION = 1;
+
+// 最近使ったテンプレートの保存キーと件数
+ImageAnalyzer.RECENT_TEMPLATES_KEY = 'imageAnalyzer.recentRoiTemplates';
+ImageAnalyzer.RECENT_TEMPLATES_MAX = 8;
@@ -0,0 +1,438 @@
+/**
+ * ImageAnalyzer - シェーディング（周辺光量落ち）解析モジュール
+ * 表示中のフラット画像（均一光源）に減光モデルを当てはめ、光学中心に対する隅・辺の相対照度を%と段数で表示する
+ * 輝度の等照度線をキャンバスに重ねて描き、チャンネルごとの半径方向のプロファイルで色シェーディングを確認する
+ */
+
+Object.assign(ImageAnalyzer.prototype, {
+
+    /**
+     * シェーディング解析の操作の初期化
+     */
+    initShadingAnalysis() {
+        const runBtn = document.getElementById('runShadingAnalysis');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.performShadingAnalysis());
+        }
+
+        const clearBtn = document.getElementById('clearShadingAnalysis');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearShadingAnalysis();
+                this.redrawCanvas();
+            });
+        }
+
+        const centerMode = document.getElementById('shadingCenterMode');
+        if (centerMode) {
+            centerMode.addEventListener('change', () => this.updateShadingCenterInputs());
+        }
+
+        this.updateShadingCenterInputs();
+        this.updateShadingSummary();
+        this.drawShadingProfile();
+    },
+
+    /**
+     * 光学中心の入力欄の有効・無効の切り替え（「指定」のときのみ入力できる）
+     */
+    updateShadingCenterInputs() {
+        const manual = this.getInputValue('shadingCenterMode') === 'manual';
+        ['shadingCenterX', 'shadingCenterY'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.disabled = !manual;
+        });
+    },
+
+    /**
+     * 入力欄からシェーディング解析の条件を読み取る
+     * @returns {Object} {model, centerMode: 'auto' | 'image' | 'manual', center: {x, y} | null}
+     */
+    readShadingOptions() {
+        const model = AnalysisCore.SHADING_MODELS[this.getInputValue('shadingModel')] ? this.getInputValue('shadingModel') : 'radial';
+        const mode = this.getInputValue('shadingCenterMode');
+        const centerMode = mode === 'image' || mode === 'manual' ? mode : 'auto';
+
+        let center = null;
+        if (centerMode === 'image') {
+            center = { x: (this.currentImage.width - 1) / 2, y: (this.currentImage.height - 1) / 2 };
+        } else if (centerMode === 'manual') {
+            const x = parseFloat(this.getInputValue('shadingCenterX'));
+            const y = parseFloat(this.getInputValue('shadingCenterY'));
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                throw new Error('光学中心の座標を入力してください');
+            }
+            center = { x, y };
+        }
+        return { model, centerMode, center };
+    },
+
+    /**
+     * シェーディング解析の実行（表示中の画像全体）
+     */
+    performShadingAnalysis() {
+        if (!this.currentImage || !this.imageModel) {
+            this.setStatusMessage('まず画像を読み込んでください');
+            return;
+        }
+
+        let options;
+        try {
+            options = this.readShadingOptions();
+        } catch (error) {
+            this.setStatusMessage(error.message);
+            return;
+        }
+
+        this.cancelShadingAnalysis();
+        const region = { x: 0, y: 0, width: this.currentImage.width, height: this.currentImage.height };
+        const imageData = this.extractImageData(region);
+        if (!imageData) {
+            this.setStatusMessage('画像データの取得に失敗');
+            return;
+        }
+
+        const job = this.getAnalysisPool().run('analyzeShading', imageData, {
+            transfer: AnalysisCore.collectTransferables(imageData),
+            args: [this.brightnessSettings, { model: options.model, center: options.center }],
+            onProgress: (progress) => {
+                if (this.shadingJob === job) {
+                    this.setStatusMessage(`シェーディング解析中... ${Math.round(progress * 100)}%`);
+                }
+            }
+        });
+        this.shadingJob = job;
+        this.setStatusMessage('シェーディング解析中...');
+
+        job.promise
+            .then(result => {
+                if (this.shadingJob !== job) return;
+                this.shadingJob = null;
+
+                this.shadingResult = Object.assign(result, { centerMode: options.centerMode });
+                // 検出した光学中心を入力欄に反映（指定に切り替えて微調整できるように）
+                const inputs = { shadingCenterX: result.center.x, shadingCenterY: result.center.y };
+                Object.entries(inputs).forEach(([id, value]) => {
+                    const input = document.getElementById(id);
+                    if (input) input.value = value.toFixed(1);
+                });
+
+                this.updateShadingOverlay();
+                this.updateShadingSummary();
+                this.drawShadingProfile();
+                const corner = this.getShadingCornerMinimum('brightness');
+                this.setStatusMessage(`シェーディング解析完了: 隅の最小 ${this.formatShadingRatio(corner)}（${this.formatShadingStops(corner)}）`);
+            })
+            .catch(error => {
+                if (error.cancelled || this.shadingJob !== job) return;
+                this.shadingJob = null;
+                console.error('Error in shading analysis:', error);
+                this.setStatusMessage('シェーディング解析エラー: ' + error.message);
+            });
+    },
+
+    /**
+     * 実行中のシェーディング解析のキャンセル
+     */
+    cancelShadingAnalysis() {
+        if (!this.shadingJob) return;
+        this.shadingJob.cancel();
+        this.shadingJob = null;
+    },
+
+    /**
+     * シェーディング解析の結果と等照度線の破棄（キャンバスの再描画は呼び出し側で行う）
+     */
+    clearShadingAnalysis() {
+        this.cancelShadingAnalysis();
+        this.shadingResult = null;
+        this.removeOverlays('shading');
+        this.updateShadingSummary();
+        this.drawShadingProfile();
+    },
+
+    /**
+     * 等照度線と光学中心のオーバーレイ要素の更新
+     * 各値の線のうち最も長い線に値を注記する
+     */
+    updateShadingOverlay() {
+        this.removeOverlays('shading');
+        const result = this.shadingResult;
+        if (!result) return;
+
+        result.contours.forEach(contour => {
+            const color = this.getShadingContourColor(contour.level);
+            const longest = contour.lines.reduce((best, line) => (line.length > best.length ? line : best), []);
+            contour.lines.forEach(line => {
+                if (line.length < 2) return;
+                this.addOverlay({
+                    type: 'line',
+                    group: 'shading',
+                    color,
+                    points: line,
+                    endpoints: false,
+                    lineWidth: 1.5,
+                    text: line === longest ? `${Math.round(contour.level * 100)}%` : ''
+                });
+            });
+        });
+        this.addOverlay({ type: 'marker', group: 'shading', color: '#212529', point: result.center, text: '光学中心' });
+        this.redrawCanvas();
+    },
+
+    /**
+     * 等照度線の色（100%: 緑 → 低いほど赤）
+     * @param {number} level - 相対照度（0〜1）
+     * @returns {string} 色
+     */
+    getShadingContourColor(level) {
+        const hue = Math.round(120 * Math.max(0, Math.min(1, (level - 0.3) / 0.65)));
+        return `hsl(${hue}, 85%, 40%)`;
+    },
+
+    /**
+     * 相対照度の%表示
+     * @param {number|null} ratio - 中心に対する比
+     * @returns {string} 例: '62.3%'（値がない場合は空文字）
+     */
+    formatShadingRatio(ratio) {
+        const value = this.formatRoiStat(ratio === null || ratio === undefined ? null : ratio * 100, 1);
+        return value ? `${value}%` : '';
+    },
+
+    /**
+     * 相対照度の段数（EV）表示
+     * @param {number|null} ratio - 中心に対する比
+     * @returns {string} 例: '−0.68 EV'（値がない場合は空文字）
+     */
+    formatShadingStops(ratio) {
+        if (!(ratio > 0)) return '';
+        const stops = Math.log2(ratio);
+        return `${stops < 0 ? '−' : '+'}${Math.abs(stops).toFixed(2)} EV`;
+    },
+
+    /**
+     * 四隅の相対照度の最小値
+     * @param {string} channel - チャンネル
+     * @returns {number|null} 中心に対する比
+     */
+    getShadingCornerMinimum(channel) {
+        const points = this.shadingResult && this.shadingResult.channels[channel].points;
+        if (!points) return null;
+        return Math.min(points.topLeft, points.topRight, points.bottomLeft, points.bottomRight);
+    },
+
+    /**
+     * 色シェーディング（位置ごとのR/G・B/Gの相対照度の比のうち、1から最も離れた値）
+     * @returns {Object} {red, blue}（Gに対する比、求められない場合はnull）
+     */
+    getColorShading() {
+        const channels = this.shadingResult && this.shadingResult.channels;
+        const green = channels && channels.green.points;
+        const extreme = (channel) => {
+            const points = channels && channels[channel].points;
+            if (!points || !green) return null;
+            return Object.keys(AnalysisCore.SHADING_POINTS)
+                .map(key => points[key] / green[key])
+                .reduce((worst, ratio) => (Math.abs(ratio - 1) > Math.abs(worst - 1) ? ratio : worst), 1);
+        };
+        return { red: extreme('red'), blue: extreme('blue') };
+    },
+
+    /**
+     * 解析条件・隅と辺の相対照度の表示更新
+     */
+    updateShadingSummary() {
+        const summary = document.getElementById('shadingSummary');
+        const body = document.getElementById('shadingBody');
+        if (body) body.innerHTML = '';
+
+        const result = this.shadingResult;
+        if (!result) {
+            if (summary) summary.textContent = '--';
+            return;
+        }
+
+        if (body) {
+            const rows = Object.entries(AnalysisCore.SHADING_POINTS).map(([key, point]) => ({
+                label: point.label,
+                value: (channel) => (result.channels[channel].points ? result.channels[channel].points[key] : null)
+            }));
+            rows.push({ label: '最小', value: (channel) => result.channels[channel].minimum });
+            rows.forEach(({ label, value }) => {
+                const row = document.createElement('tr');
+                [
+                    label,
+                    this.formatShadingRatio(value('brightness')) || '--',
+                    this.formatShadingStops(value('brightness')) || '--',
+                    this.formatShadingRatio(value('red')) || '--',
+                    this.formatShadingRatio(value('green')) || '--',
+                    this.formatShadingRatio(value('blue')) || '--'
+                ].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+        }
+
+        if (summary) {
+            const color = this.getColorShading();
+            const formatColor = (ratio) => (ratio === null ? '--' : `${ratio >= 1 ? '+' : '−'}${Math.abs((ratio - 1) * 100).toFixed(1)}%`);
+            const residual = result.channels.brightness.residual;
+            summary.textContent = [
+                `光学中心: (${result.center.x.toFixed(1)}, ${result.center.y.toFixed(1)})（${this.describeShadingCenter(result)}）`,
+                `モデル: ${AnalysisCore.SHADING_MODELS[result.model]}（当てはめ残差 ${residual === null ? '--' : (residual * 100).toFixed(2)}%）`,
+                `色シェーディング（Gに対する最大のずれ）: R ${formatColor(color.red)} / B ${formatColor(color.blue)}`
+            ].join('\n');
+        }
+    },
+
+    /**
+     * 光学中心の決め方の説明
+     * @param {Object} result - 解析結果
+     * @returns {string} 説明
+     */
+    describeShadingCenter(result) {
+        if (result.center.source === 'auto') return '自動検出';
+        if (result.center.source === 'fallback') return '検出できないため画像中心';
+        return result.centerMode === 'image' ? '画像中心' : '指定';
+    },
+
+    /**
+     * 半径方向のプロファイルのグラフ（横軸は光学中心から最も遠い隅までの距離の比、点は実測、線はモデル）
+     */
+    drawShadingProfile() {
+        const canvas = document.getElementById('shadingProfileChart');
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+
+        const result = this.shadingResult;
+        if (!result) {
+            ctx.fillStyle = '#6c757d';
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('フラット画像を解析すると半径方向の減光を表示します', width / 2, height / 2);
+            return;
+        }
+
+        const profile = result.profile;
+        const series = ImageAnalyzer.SHADING_PROFILE_SERIES.map(item => Object.assign({}, item, profile.channels[item.channel]));
+        const values = series.flatMap(item => [...item.measured, ...item.fitted]).filter(v => v !== null);
+        const minValue = Math.max(0, Math.floor(Math.min(1, ...values) * 10) / 10);
+        const maxValue = Math.max(1.05, Math.ceil(Math.max(...values) * 20) / 20);
+
+        const margin = { left: 40, right: 10, top: 10, bottom: 24 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const toX = (rho) => margin.left + rho * plotWidth;
+        const toY = (value) => margin.top + (maxValue - value) / (maxValue - minValue) * plotHeight;
+
+        // 枠と目盛（10%刻み）
+        ctx.strokeStyle = '#dee2e6';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+        ctx.fillStyle = '#495057';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        for (let level = Math.ceil(minValue * 10) / 10; level <= maxValue + 1e-9; level += 0.1) {
+            const y = toY(level);
+            ctx.beginPath();
+            ctx.moveTo(margin.left, y);
+            ctx.lineTo(margin.left + plotWidth, y);
+            ctx.stroke();
+            ctx.fillText(`${Math.round(level * 100)}%`, margin.left - 4, y + 3);
+        }
+        ctx.textAlign = 'center';
+        ctx.fillText('中心', toX(0), height - 8);
+        ctx.fillText(`隅 (${Math.round(result.radius)} px)`, toX(1) - 20, height - 8);
+
+        series.forEach(item => {
+            // モデル（線）
+            ctx.strokeStyle = item.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let started = false;
+            item.fitted.forEach((value, i) => {
+                if (value === null) {
+                    started = false;
+                    return;
+                }
+                if (started) {
+                    ctx.lineTo(toX(profile.rho[i]), toY(value));
+                } else {
+                    ctx.moveTo(toX(profile.rho[i]), toY(value));
+                    started = true;
+                }
+            });
+            ctx.stroke();
+
+            // 実測（点）
+            ctx.fillStyle = item.color;
+            item.measured.forEach((value, i) => {
+                if (value === null) return;
+                ctx.beginPath();
+                ctx.arc(toX(profile.rho[i]), toY(value), 2, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+
+        // 凡例（減光で空きやすい右上）
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+        series.forEach((item, index) => {
+            const x = margin.left + plotWidth - (series.length - index) * 36;
+            ctx.fillStyle = item.color;
+            ctx.fillRect(x, margin.top + 6, 8, 3);
+            ctx.fillText(item.label, x + 11, margin.top + 11);
+        });
+    },
+
+    /**
+     * パラメータ出力のCSVに含めるシェーディングの値
+     * @returns {Array} 出力値（解析していない場合は空文字、SHADING_CSV_HEADERSと同じ順）
+     */
+    getShadingCsvValues() {
+        const result = this.shadingResult;
+        if (!result) return new Array(ImageAnalyzer.SHADING_CSV_HEADERS.length).fill('');
+
+        const brightness = result.channels.brightness;
+        const percent = (ratio) => (ratio === null || ratio === undefined ? '' : (ratio * 100).toFixed(2));
+        const color = this.getColorShading();
+        return [
+            result.center.x.toFixed(1),
+            result.center.y.toFixed(1),
+            AnalysisCore.SHADING_MODELS[result.model],
+            ...Object.keys(AnalysisCore.SHADING_POINTS).map(key => percent(brightness.points[key])),
+            percent(brightness.minimum),
+            brightness.minimum > 0 ? Math.log2(brightness.minimum).toFixed(3) : '',
+            color.red === null ? '' : ((color.red - 1) * 100).toFixed(2),
+            color.blue === null ? '' : ((color.blue - 1) * 100).toFixed(2)
+        ];
+    }
+});
+
+// 半径方向のプロファイルに描くチャンネル
+ImageAnalyzer.SHADING_PROFILE_SERIES = [
+    { channel: 'brightness', label: '輝度', color: 'black' },
+    { channel: 'red', label: 'R', color: 'red' },
+    { channel: 'green', label: 'G', color: 'green' },
+    { channel: 'blue', label: 'B', color: 'blue' }
+];
+
+// パラメータ出力のCSVの列（getShadingCsvValuesと同じ順）
+ImageAnalyzer.SHADING_CSV_HEADERS = [
+    'シェーディング光学中心X',
+    'シェーディング光学中心Y',
+    'シェーディングモデル',
+    ...Object.values(AnalysisCore.SHADING_POINTS).map(point => `周辺光量 ${point.label}(%)`),
+    '周辺光量 最小(%)',
+    '周辺光量 最小(EV)',
+    '色シェーディング R/G(%)',
+    '色シェーディング B/G(%)'
+];
@@ -0,0 +1,626 @@
+/**
+ * TiffDecoder - TIFFデコーダモジュール
+ * 非圧縮/LZW/PackBits/Deflate、ストリップ/タイル、8/16bitのグレー・RGB、複数ページに対応
+ */
+
+class TiffDecoder {
+    /**
+     * @param {ArrayBuffer} buffer - TIFFファイルのバイナリ
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+        this.littleEndian = true;
+        this.ifds = [];
+
+        this.parseHeader();
+    }
+
+    /**
+     * TIFFシグネチャの判定
+     * @param {ArrayBuffer} buffer - 判定するバイナリ
+     * @returns {boolean} TIFFであればtrue
+     */
+    static isTiff(buffer) {
+        if (!buffer || buffer.byteLength < 8) return false;
+        const bytes = new Uint8Array(buffer, 0, 4);
+        const isLittle = bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 0x2a && bytes[3] === 0x00;
+        const isBig = bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0x00 && bytes[3] === 0x2a;
+        return isLittle || isBig;
+    }
+
+    /**
+     * ヘッダとIFDチェーンの解析
+     */
+    parseHeader() {
+        if (this.bytes.length < 8) {
+            throw new Error('TIFFヘッダが不正です');
+        }
+
+        const byteOrder = this.view.getUint16(0, false);
+        if (byteOrder === 0x4949) {
+            this.littleEndian = true;
+        } else if (byteOrder === 0x4d4d) {
+            this.littleEndian = false;
+        } else {
+            throw new Error('TIFFのバイトオーダーが不正です');
+        }
+
+        const magic = this.view.getUint16(2, this.littleEndian);
+        if (magic === 43) {
+            throw new Error('BigTIFFには対応していません');
+        }
+        if (magic !== 42) {
+            throw new Error('TIFFシグネチャが不正です');
+        }
+
+        // 循環参照を防ぎつつIFDチェーンを辿る
+        const visited = new Set();
+        let offset = this.view.getUint32(4, this.littleEndian);
+        while (offset !== 0 && !visited.has(offset)) {
+            visited.add(offset);
+            const ifd = this.readIfd(offset);
+            this.ifds.push(ifd.tags);
+            offset = ifd.next;
+        }
+
+        if (this.ifds.length === 0) {
+            throw new Error('TIFFに画像が含まれていません');
+        }
+    }
+
+    /**
+     * IFDの読み出し
+     * @param {number} offset - IFDの開始位置
+     * @returns {Object} {tags, next} tagsはタグ番号→値の配列（ASCIIは文字列）
+     */
+    readIfd(offset) {
+        if (offset + 2 > this.bytes.length) {
+            throw new Error('IFDの位置が不正です');
+        }
+
+        const count = this.view.getUint16(offset, this.littleEndian);
+        const tags = {};
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > this.bytes.length) break;
+
+            const tag = this.view.getUint16(entry, this.littleEndian);
+            const type = this.view.getUint16(entry + 2, this.littleEndian);
+            const valueCount = this.view.getUint32(entry + 4, this.littleEndian);
+            const typeSize = TiffDecoder.TYPE_SIZES[type];
+            if (!typeSize) continue;
+
+            // 4バイト以下の値はエントリ内に格納される
+            const byteSize = typeSize * valueCount;
+            const valueOffset = byteSize <= 4 ? entry + 8 : this.view.getUint32(entry + 8, this.littleEndian);
+            if (valueOffset + byteSize > this.bytes.length) continue;
+
+            tags[tag] = this.readValues(type, valueCount, valueOffset);
+        }
+
+        const nextPos = offset + 2 + count * 12;
+        const next = nextPos + 4 <= this.bytes.length ? this.view.getUint32(nextPos, this.littleEndian) : 0;
+
+        return { tags, next };
+    }
+
+    /**
+     * タグ値の読み出し
+     * @param {number} type - TIFFのデータ型
+     * @param {number} count - 値の個数
+     * @param {number} offset - 値の位置
+     * @returns {Array|string} 値の配列（ASCIIは文字列、有理数は小数に変換）
+     */
+    readValues(type, count, offset) {
+        const view = this.view;
+        const le = this.littleEndian;
+
+        if (type === 2) {
+            let text = '';
+            for (let i = 0; i < count; i++) {
+                const code = this.bytes[offset + i];
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            return text;
+        }
+
+        const values = new Array(count);
+        for (let i = 0; i < count; i++) {
+            switch (type) {
+                case 1:
+                case 7:
+                    values[i] = view.getUint8(offset + i);
+                    break;
+                case 6:
+                    values[i] = view.getInt8(offset + i);
+                    break;
+                case 3:
+                    values[i] = view.getUint16(offset + i * 2, le);
+                    break;
+                case 8:
+                    values[i] = view.getInt16(offset + i * 2, le);
+                    break;
+                case 4:
+                case 13:
+                    values[i] = view.getUint32(offset + i * 4, le);
+                    break;
+                case 9:
+                    values[i] = view.getInt32(offset + i * 4, le);
+                    break;
+                case 5: {
+                    const denominator = view.getUint32(offset + i * 8 + 4, le);
+                    values[i] = denominator ? view.getUint32(offset + i * 8, le) / denominator : 0;
+                    break;
+                }
+                case 10: {
+                    const denominator = view.getInt32(offset + i * 8 + 4, le);
+                    values[i] = denominator ? view.getInt32(offset + i * 8, le) / denominator : 0;
+                    break;
+                }
+                case 11:
+                    values[i] = view.getFloat32(offset + i * 4, le);
+                    break;
+                case 12:
+                    values[i] = view.getFloat64(offset + i * 8, le);
+                    break;
+                default:
+                    values[i] = 0;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * ページ数の取得
+     * @returns {number} ページ数
+     */
+    getPageCount() {
+        return this.ifds.length;
+    }
+
+    /**
+     * タグの先頭値を取得
+     * @param {Object} tags - IFDのタグ
+     * @param {number} tag - タグ番号
+     * @param {*} defaultValue - タグが無い場合の値
+     * @returns {*} タグ値
+     */
+    static getTagValue(tags, tag, defaultValue = undefined) {
+        const value = tags[tag];
+        if (value === undefined) return defaultValue;
+        return Array.isArray(value) ? value[0] : value;
+    }
+
+    /**
+     * ページ情報の取得
+     * @param {number} index - ページ番号（0始まり）
+     * @returns {Object} ページ情報
+     */
+    getPageInfo(index) {
+        const tags = this.ifds[index];
+        if (!tags) {
+            throw new Error(`ページ ${index + 1} は存在しません`);
+        }
+
+        const get = (tag, defaultValue) => TiffDecoder.getTagValue(tags, tag, defaultValue);
+        const width = get(256, 0);
+        const height = get(257, 0);
+        const samplesPerPixel = get(277, 1);
+        const isTiled = tags[322] !== undefined;
+
+        return {
+            width,
+            height,
+            samplesPerPixel,
+            bitsPerSample: tags[258] || [1],
+            compression: get(259, 1),
+            photometric: get(262, samplesPerPixel >= 3 ? 2 : 1),
+            planarConfig: get(284, 1),
+            predictor: get(317, 1),
+            sampleFormat: get(339, 1),
+            extraSamples: tags[338] || [],
+            colorMap: tags[320] || null,
+            maxSampleValue: get(281),
+            isTiled,
+            blockWidth: isTiled ? get(322) : width,
+            blockHeight: isTiled ? get(323) : Math.min(get(278, height), height),
+            offsets: isTiled ? tags[324] : tags[273],
+            byteCounts: isTiled ? tags[325] : tags[279]
+        };
+    }
+
+    /**
+     * ページのデコード
+     * @param {number} index - ページ番号（0始まり）
+     * @returns {Object} {width, height, bitsPerSample, samplesPerPixel, photometric, extraSamples, colorMap, maxSampleValue, data}
+     */
+    decodePage(index) {
+        const info = this.getPageInfo(index);
+        const { width, height, samplesPerPixel } = info;
+
+        if (width <= 0 || height <= 0) {
+            throw new Error('画像サイズが不正です');
+        }
+        const bitsPerSample = info.bitsPerSample[0];
+        if (info.bitsPerSample.some(bits => bits !== bitsPerSample) || (bitsPerSample !== 8 && bitsPerSample !== 16)) {
+            throw new Error(`未対応のビット深度です: ${info.bitsPerSample.join('/')}bit`);
+        }
+        if (info.sampleFormat !== 1) {
+            throw new Error('符号なし整数以外のサンプル形式には対応していません');
+        }
+        if (![0, 1, 2, 3].includes(info.photometric)) {
+            throw new Error(`未対応の色空間です (Photometric=${info.photometric})`);
+        }
+        if (info.predictor !== 1 && info.predictor !== 2) {
+            throw new Error(`未対応のPredictorです: ${info.predictor}`);
+        }
+        if (!info.offsets || !info.byteCounts) {
+            throw new Error('画像データの位置情報がありません');
+        }
+
+        const bytesPerSample = bitsPerSample / 8;
+        const planes = info.planarConfig === 2 ? samplesPerPixel : 1;
+        const samplesInBlock = info.planarConfig === 2 ? 1 : samplesPerPixel;
+        const blocksAcross = Math.ceil(width / info.blockWidth);
+        const blocksDown = Math.ceil(height / info.blockHeight);
+        const data = bitsPerSample === 8
+            ? new Uint8Array(width * height * samplesPerPixel)
+            : new Uint16Array(width * height * samplesPerPixel);
+
+        for (let plane = 0; plane < planes; plane++) {
+            for (let by = 0; by < blocksDown; by++) {
+                for (let bx = 0; bx < blocksAcross; bx++) {
+                    const blockIndex = plane * blocksAcross * blocksDown + by * blocksAcross + bx;
+                    const offset = info.offsets[blockIndex];
+                    const byteCount = info.byteCounts[blockIndex];
+                    if (offset === undefined || byteCount === undefined) {
+                        throw new Error('ストリップ/タイル数が不足しています');
+                    }
+
+                    // ストリップの最終ブロックは行数が少ない場合がある
+                    const rowsInBlock = info.isTiled
+                        ? info.blockHeight
+                        : Math.min(info.blockHeight, height - by * info.blockHeight);
+                    const sampleCount = info.blockWidth * rowsInBlock * samplesInBlock;
+
+                    const compressed = this.bytes.subarray(offset, Math.min(offset + byteCount, this.bytes.length));
+                    const raw = TiffDecoder.decompress(info.compression, compressed, sampleCount * bytesPerSample);
+                    const samples = this.toSamples(raw, bitsPerSample, sampleCount);
+
+                    if (info.predictor === 2) {
+                        TiffDecoder.undoHorizontalPredictor(samples, info.blockWidth, rowsInBlock, samplesInBlock);
+                    }
+
+                    // 出力画像へ配置（タイル端のはみ出し部分は捨てる）
+                    for (let row = 0; row < rowsInBlock; row++) {
+                        const y = by * info.blockHeight + row;
+                        if (y >= height) break;
+                        for (let col = 0; col < info.blockWidth; col++) {
+                            const x = bx * info.blockWidth + col;
+                            if (x >= width) break;
+                            const src = (row * info.blockWidth + col) * samplesInBlock;
+                            const dst = (y * width + x) * samplesPerPixel + plane;
+                            for (let s = 0; s < samplesInBlock; s++) {
+                                data[dst + s] = samples[src + s];
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        return {
+            width,
+            height,
+            bitsPerSample,
+            samplesPerPixel,
+            photometric: info.photometric,
+            extraSamples: info.extraSamples,
+            colorMap: info.colorMap,
+            maxSampleValue: info.maxSampleValue,
+            data
+        };
+    }
+
+    /**
+     * バイト列をサンプル値の配列に変換
+     * @param {Uint8Array} raw - 展開済みバイト列
+     * @param {number} bitsPerSample - サンプルあたりのビット数
+     * @param {number} sampleCount - 必要なサンプル数
+     * @returns {Uint8Array|Uint16Array} サンプル値（不足分は0）
+     */
+    toSamples(raw, bitsPerSample, sampleCount) {
+        if (bitsPerSample === 8) {
+            const samples = new Uint8Array(sampleCount);
+            samples.set(raw.subarray(0, Math.min(raw.length, sampleCount)));
+            return samples;
+        }
+
+        const samples = new Uint16Array(sampleCount);
+        const available = Math.min(sampleCount, Math.floor(raw.length / 2));
+        if (this.littleEndian) {
+            for (let i = 0; i < available; i++) {
+                samples[i] = raw[i * 2] | (raw[i * 2 + 1] << 8);
+            }
+        } else {
+            for (let i = 0; i < available; i++) {
+                samples[i] = (raw[i * 2] << 8) | raw[i * 2 + 1];
+            }
+        }
+        return samples;
+    }
+
+    /**
+     * 圧縮データの展開
+     * @param {number} compression - 圧縮方式のタグ値
+     * @param {Uint8Array} data - 圧縮データ
+     * @param {number} expectedSize - 展開後の想定バイト数
+     * @returns {Uint8Array} 展開後のデータ
+     */
+    static decompress(compression, data, expectedSize) {
+        switch (compression) {
+            case 1:
+                return data;
+            case 5:
+                return TiffDecoder.decodeLzw(data, expectedSize);
+            case 8:
+            case 32946:
+                return Inflate.inflate(data);
+            case 32773:
+                return TiffDecoder.decodePackBits(data, expectedSize);
+            default:
+                throw new Error(`未対応の圧縮方式です (Compression=${compression})`);
+        }
+    }
+
+    /**
+     * LZW展開（TIFF形式: MSBファースト、early change）
+     * @param {Uint8Array} data - 圧縮データ
+     * @param {number} expectedSize - 展開後の想定バイト数
+     * @returns {Uint8Array} 展開後のデータ
+     */
+    static decodeLzw(data, expectedSize) {
+        const CLEAR_CODE = 256;
+        const EOI_CODE = 257;
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const firstByte = new Uint8Array(4096);
+        const lengths = new Uint16Array(4096);
+        for (let i = 0; i < 256; i++) {
+            prefix[i] = -1;
+            suffix[i] = i;
+            firstByte[i] = i;
+            lengths[i] = 1;
+        }
+
+        let out = new Uint8Array(Math.max(expectedSize, 1));
+        let outPos = 0;
+        let bitPos = 0;
+        const totalBits = data.length * 8;
+        let codeLength = 9;
+        let nextCode = 258;
+        let oldCode = -1;
+
+        const readCode = () => {
+            if (bitPos + codeLength > totalBits) return EOI_CODE;
+            let code = 0;
+            for (let i = 0; i < codeLength; i++) {
+                const bit = (data[(bitPos + i) >> 3] >> (7 - ((bitPos + i) & 7))) & 1;
+                code = (code << 1) | bit;
+            }
+            bitPos += codeLength;
+            return code;
+        };
+
+        const writeEntry = (code) => {
+            const length = lengths[code];
+            if (outPos + length > out.length) {
+                const grown = new Uint8Array(Math.max(out.length * 2, outPos + length));
+                grown.set(out);
+                out = grown;
+            }
+            let current = code;
+            for (let i = length - 1; i >= 0; i--) {
+                out[outPos + i] = suffix[current];
+                current = prefix[current];
+            }
+            outPos += length;
+        };
+
+        const addEntry = (previous, byte) => {
+            if (nextCode >= 4096) return;
+            prefix[nextCode] = previous;
+            suffix[nextCode] = byte;
+            firstByte[nextCode] = firstByte[previous];
+            lengths[nextCode] = lengths[previous] + 1;
+            nextCode++;
+        };
+
+        while (true) {
+            const code = readCode();
+            if (code === EOI_CODE) break;
+
+            if (code === CLEAR_CODE) {
+                nextCode = 258;
+                codeLength = 9;
+                oldCode = -1;
+                continue;
+            }
+
+            if (oldCode === -1) {
+                if (code > 255) throw new Error('LZWデータが不正です');
+                writeEntry(code);
+            } else if (code < nextCode) {
+                writeEntry(code);
+                addEntry(oldCode, firstByte[code]);
+            } else if (code === nextCode) {
+                addEntry(oldCode, firstByte[oldCode]);
+                writeEntry(code);
+            } else {
+                throw new Error('LZWデータが不正です');
+            }
+            oldCode = code;
+
+            if (nextCode >= (1 << codeLength) - 1 && codeLength < 12) {
+                codeLength++;
+            }
+        }
+
+        return out.subarray(0, outPos);
+    }
+
+    /**
+     * PackBits展開
+     * @param {Uint8Array} data - 圧縮データ
+     * @param {number} expectedSize - 展開後の想定バイト数
+     * @returns {Uint8Array} 展開後のデータ
+     */
+    static decodePackBits(data, expectedSize) {
+        const out = new Uint8Array(expectedSize);
+        let inPos = 0;
+        let outPos = 0;
+
+        while (inPos < data.length && outPos < expectedSize) {
+            const header = (data[inPos++] << 24) >> 24;
+            if (header >= 0) {
+                const count = Math.min(header + 1, expectedSize - outPos, data.length - inPos);
+                out.set(data.subarray(inPos, inPos + count), outPos);
+                inPos += header + 1;
+                outPos += count;
+            } else if (header !== -128) {
+                const count = Math.min(1 - header, expectedSize - outPos);
+                out.fill(data[inPos++], outPos, outPos + count);
+                outPos += count;
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * 水平差分Predictorの復元
+     * @param {Uint8Array|Uint16Array} samples - サンプル値（その場で書き換える）
+     * @param {number} width - ブロック幅
+     * @param {number} rows - ブロック行数
+     * @param {number} stride - 画素あたりのサンプル数
+     */
+    static undoHorizontalPredictor(samples, width, rows, stride) {
+        const rowLength = width * stride;
+        for (let row = 0; row < rows; row++) {
+            const start = row * rowLength;
+            for (let i = stride; i < rowLength; i++) {
+                // 型付き配列への代入でビット幅に応じたラップアラウンドが行われる
+                samples[start + i] += samples[start + i - stride];
+            }
+        }
+    }
+
+    /**
+     * デコード済みページをチャンネル別の配列に分解
+     * @param {Object} page - decodePageの戻り値
+     * @returns {Object} {r, g, b, alpha, isGray, bitsPerSample}
+     */
+    static getChannels(page) {
+        const { width, height, samplesPerPixel, photometric, data } = page;
+        const pixelCount = width * height;
+        const ArrayType = page.bitsPerSample === 8 ? Uint8Array : Uint16Array;
+        const maxValue = (1 << page.bitsPerSample) - 1;
+        const hasAlpha = page.extraSamples.length > 0 &&
+            (page.extraSamples[0] === 1 || page.extraSamples[0] === 2);
+
+        // パレットカラー: ColorMapは16bit値で格納される
+        if (photometric === 3) {
+            if (!page.colorMap) throw new Error('カラーマップがありません');
+            const entries = page.colorMap.length / 3;
+            const r = new Uint16Array(pixelCount);
+            const g = new Uint16Array(pixelCount);
+            const b = new Uint16Array(pixelCount);
+            for (let i = 0; i < pixelCount; i++) {
+                const index = Math.min(data[i * samplesPerPixel], entries - 1);
+                r[i] = page.colorMap[index];
+                g[i] = page.colorMap[index + entries];
+                b[i] = page.colorMap[index + entries * 2];
+            }
+            return { r, g, b, alpha: null, isGray: false, bitsPerSample: 16 };
+        }
+
+        if (samplesPerPixel < 3) {
+            const gray = new ArrayType(pixelCount);
+            for (let i = 0; i < pixelCount; i++) {
+                const value = data[i * samplesPerPixel];
+                gray[i] = photometric === 0 ? maxValue - value : value;
+            }
+            const alpha = hasAlpha && samplesPerPixel === 2
+                ? TiffDecoder.extractAlpha(data, samplesPerPixel, 1, pixelCount, page.bitsPerSample)
+                : null;
+            return { r: gray, g: gray, b: gray, alpha, isGray: true, bitsPerSample: page.bitsPerSample };
+        }
+
+        const r = new ArrayType(pixelCount);
+        const g = new ArrayType(pixelCount);
+        const b = new ArrayType(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            const base = i * samplesPerPixel;
+            r[i] = data[base];
+            g[i] = data[base + 1];
+            b[i] = data[base + 2];
+        }
+        const alpha = hasAlpha && samplesPerPixel >= 4
+            ? TiffDecoder.extractAlpha(data, samplesPerPixel, 3, pixelCount, page.bitsPerSample)
+            : null;
+        return { r, g, b, alpha, isGray: false, bitsPerSample: page.bitsPerSample };
+    }
+
+    /**
+     * アルファチャンネルを8bitで取り出す
+     * @param {Uint8Array|Uint16Array} data - インターリーブされたサンプル値
+     * @param {number} samplesPerPixel - 画素あたりのサンプル数
+     * @param {number} channel - アルファのサンプル位置
+     * @param {number} pixelCount - 画素数
+     * @param {number} bitsPerSample - サンプルあたりのビット数
+     * @returns {Uint8Array} アルファ値
+     */
+    static extractAlpha(data, samplesPerPixel, channel, pixelCount, bitsPerSample) {
+        const alpha = new Uint8Array(pixelCount);
+        const shift = bitsPerSample - 8;
+        for (let i = 0; i < pixelCount; i++) {
+            alpha[i] = data[i * samplesPerPixel + channel] >> shift;
+        }
+        return alpha;
+    }
+
+    /**
+     * 表示用の8bit RGBAデータを生成
+     * @param {Object} page - decodePageの戻り値
+     * @returns {Uint8ClampedArray} RGBAデータ
+     */
+    static toRGBA8(page) {
+        const channels = TiffDecoder.getChannels(page);
+        const pixelCount = page.width * page.height;
+        const rgba = new Uint8ClampedArray(pixelCount * 4);
+        const shift = channels.bitsPerSample - 8;
+
+        for (let i = 0; i < pixelCount; i++) {
+            rgba[i * 4] = channels.r[i] >> shift;
+            rgba[i * 4 + 1] = channels.g[i] >> shift;
+            rgba[i * 4 + 2] = channels.b[i] >> shift;
+            rgba[i * 4 + 3] = channels.alpha ? channels.alpha[i] : 255;
+        }
+        return rgba;
+    }
+}
+
+// TIFFデータ型ごとのバイト数
+TiffDecoder.TYPE_SIZES = {
+    1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1,
+    8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4
+};
+
+// Node.js（CommonJS）から利用する場合のエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TiffDecoder;
+}
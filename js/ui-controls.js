@@ -10,8 +10,180 @@ Object.assign(ImageAnalyzer.prototype, {
      */
     initUIControls() {
         console.log('Initializing UI controls...');
+        this.initExifAutofill();
+        this.initBrightnessSettings();
+        this.initNoiseDefinition();
         console.log('UI controls initialized');
     },
+
+    /**
+     * 輝度定義（輝度式・線形化）の初期化
+     */
+    initBrightnessSettings() {
+        ['lumaFormula', 'transferCurve', 'gammaValue'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('change', () => this.applyBrightnessSettings());
+            }
+        });
+    },
+
+    /**
+     * 雑音の定義の選択の初期化
+     */
+    initNoiseDefinition() {
+        const select = document.getElementById('noiseDefinition');
+        if (select) {
+            select.addEventListener('change', () => this.setNoiseDefinition(select.value));
+        }
+    },
+
+    /**
+     * 輝度定義の変更を反映して解析をやり直す
+     */
+    applyBrightnessSettings() {
+        const gamma = parseFloat(this.getInputValue('gammaValue'));
+        this.brightnessSettings = {
+            luma: this.getInputValue('lumaFormula') || 'bt601',
+            transfer: this.getInputValue('transferCurve') || 'none',
+            gamma: gamma > 0 ? gamma : 2.2
+        };
+
+        const gammaInput = document.getElementById('gammaValue');
+        if (gammaInput) {
+            gammaInput.classList.toggle('hidden', this.brightnessSettings.transfer !== 'gamma');
+        }
+
+        const labels = AnalysisCore.describeBrightnessSettings(this.brightnessSettings);
+        this.setStatusMessage(`輝度式: ${labels.luma} / 線形化: ${labels.transfer}`);
+
+        // 解析済みの領域・ラインを新しい定義で再計算
+        this.refreshAnalyses();
+    },
+
+    /**
+     * 解析済みのROI・ライン・グリッドの再計算（輝度定義や解析対象の画素が変わった場合）
+     */
+    refreshAnalyses() {
+        if (this.currentImage && this.rois.length > 0) {
+            this.analyzeAllRois();
+        }
+        if (this.lineAnalyzer) {
+            this.lineAnalyzer.refresh();
+        }
+        if (this.gridAnalysis) {
+            this.performGridAnalysis(this.gridAnalysis.options);
+        }
+    },
+
+    /**
+     * EXIF自動入力の初期化
+     * 手入力で値を変更したフィールドはEXIF由来の表示を解除する
+     */
+    initExifAutofill() {
+        this.exifData = null;
+        this.exifRequest = 0; // 読み込み中のEXIFが最新の画像のものかどうかの判定用
+
+        ['shutterSpeed', 'aperture', 'iso', 'whiteBalance'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('input', () => this.setExifMark(element, false));
+            }
+        });
+    },
+
+    /**
+     * 画像ファイルからEXIFを読み込んでパラメータに反映
+     * @param {File} file - 画像ファイル
+     */
+    loadExifMetadata(file) {
+        // 読み込み中に次の画像が読み込まれた（applyExifMetadataが呼ばれた）場合は反映しない
+        const request = ++this.exifRequest;
+        file.slice(0, ExifParser.READ_LENGTH).arrayBuffer()
+            .then(buffer => {
+                if (this.exifRequest === request) this.applyExifMetadata(ExifParser.parse(buffer));
+            })
+            .catch(error => {
+                console.warn('EXIF read error:', error);
+                if (this.exifRequest === request) this.applyExifMetadata(null);
+            });
+    },
+
+    /**
+     * EXIFメタデータを撮影パラメータに反映
+     * 前の画像のEXIFで入力した値は消去し、手入力の値は保持する
+     * @param {Object|null} metadata - ExifParser.parseの戻り値
+     */
+    applyExifMetadata(metadata) {
+        // 読み込み中の前の画像のEXIFは破棄する
+        this.exifRequest++;
+
+        document.querySelectorAll('.camera-panel .param-input.from-exif').forEach(element => {
+            element.value = '';
+            this.setExifMark(element, false);
+        });
+
+        this.exifData = metadata;
+        this.updateExifInfo();
+        if (!metadata) return;
+
+        const values = {
+            shutterSpeed: ExifParser.formatExposureTime(metadata.exposureTime),
+            aperture: ExifParser.formatFNumber(metadata.fNumber),
+            iso: metadata.iso ? String(metadata.iso) : '',
+            whiteBalance: ExifParser.formatWhiteBalance(metadata.whiteBalance)
+        };
+
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (!element || !value) return;
+            element.value = value;
+            this.setExifMark(element, true);
+        });
+        console.log('EXIF applied:', metadata);
+    },
+
+    /**
+     * EXIF由来であることの表示切り替え
+     * @param {HTMLElement} element - 入力要素
+     * @param {boolean} fromExif - EXIF由来フラグ
+     */
+    setExifMark(element, fromExif) {
+        element.classList.toggle('from-exif', fromExif);
+        element.title = fromExif ? 'EXIFから自動入力' : '';
+    },
+
+    /**
+     * カメラ機種・撮影日時の表示更新
+     */
+    updateExifInfo() {
+        const info = document.getElementById('exifInfo');
+        if (!info) return;
+
+        const metadata = this.exifData;
+        const camera = metadata ? [metadata.make, metadata.model].filter(Boolean).join(' ') : '';
+        const captured = metadata && metadata.dateTimeOriginal
+            ? metadata.dateTimeOriginal.toLocaleString('ja-JP')
+            : '';
+
+        if (!camera && !captured) {
+            info.textContent = '';
+            info.classList.add('hidden');
+            return;
+        }
+
+        info.textContent = `📷 ${[camera, captured].filter(Boolean).join(' ・ ')}`;
+        info.classList.remove('hidden');
+    },
+
+    /**
+     * 撮影日時の取得（EXIFがない場合は現在時刻）
+     * @returns {string} 日時文字列
+     */
+    getCaptureTime() {
+        const captured = this.exifData && this.exifData.dateTimeOriginal;
+        return (captured || new Date()).toLocaleString('ja-JP');
+    },
     
     /**
      * パラメータ保存機能
@@ -20,6 +192,11 @@ Object.assign(ImageAnalyzer.prototype, {
         try {
             const headers = [
                 '撮影日時',
+                'カメラ',
+                '輝度式',
+                '線形化',
+                'ダーク・フラット補正',
+                '雑音の定義',
                 'シャッタースピード',
                 'F値',
                 'ISO感度',
@@ -29,11 +206,37 @@ Object.assign(ImageAnalyzer.prototype, {
                 'R値',
                 'G値',
                 'B値',
+                ...ImageAnalyzer.FPN_CSV_HEADERS,
+                ...ImageAnalyzer.SHADING_CSV_HEADERS,
+                ...ImageAnalyzer.CA_CSV_HEADERS,
+                'ROI名',
+                '形状',
                 'SN比',
+                'SN比(dB)',
                 '信号値',
                 '雑音値',
                 '画素数',
                 '平均輝度',
+                'R平均',
+                'G平均',
+                'B平均',
+                'R SN比',
+                'R SN比(dB)',
+                'G SN比',
+                'G SN比(dB)',
+                'B SN比',
+                'B SN比(dB)',
+                'ラプラシアン分散',
+                'Tenengrad',
+                '正規化勾配',
+                '時間ノイズ',
+                '空間ノイズ',
+                'SN比（時間ノイズ）',
+                'SN比（空間ノイズ）',
+                '2枚目の画像',
+                'MTF50(cycles/pixel)',
+                'MTF10(cycles/pixel)',
+                'エッジ角度(°)',
                 '解析領域サイズ',
                 '矩形左上X',
                 '矩形左上Y',
@@ -45,37 +248,15 @@ Object.assign(ImageAnalyzer.prototype, {
                 '矩形右下Y'
             ];
 
-            // 矩形座標の計算
-            let rectCoords = ['', '', '', '', '', '', '', ''];
-            if (this.currentRect && this.currentImage) {
-                const scaleX = this.currentImage.width / this.displayedWidth;
-                const scaleY = this.currentImage.height / this.displayedHeight;
-                
-                const x1 = Math.round((this.currentRect.x - this.imageOffsetX) * scaleX);
-                const y1 = Math.round((this.currentRect.y - this.imageOffsetY) * scaleY);
-                const x2 = Math.round((this.currentRect.x - this.imageOffsetX + this.currentRect.width) * scaleX);
-                const y2 = Math.round((this.currentRect.y - this.imageOffsetY + this.currentRect.height) * scaleY);
-                
-                const clampedX1 = Math.max(0, Math.min(this.currentImage.width - 1, x1));
-                const clampedY1 = Math.max(0, Math.min(this.currentImage.height - 1, y1));
-                const clampedX2 = Math.max(0, Math.min(this.currentImage.width - 1, x2));
-                const clampedY2 = Math.max(0, Math.min(this.currentImage.height - 1, y2));
-                
-                rectCoords = [
-                    clampedX1,  // 左上X
-                    clampedY1,  // 左上Y
-                    clampedX2,  // 右上X
-                    clampedY1,  // 右上Y
-                    clampedX1,  // 左下X
-                    clampedY2,  // 左下Y
-                    clampedX2,  // 右下X
-                    clampedY2   // 右下Y
-                ];
-            }
-
-            // データ配列の作成
-            const data = [
-                new Date().toLocaleString('ja-JP'),
+            // 撮影パラメータ（全行共通）
+            const brightnessLabels = AnalysisCore.describeBrightnessSettings(this.brightnessSettings);
+            const parameters = [
+                this.getCaptureTime(),
+                this.exifData ? [this.exifData.make, this.exifData.model].filter(Boolean).join(' ') : '',
+                brightnessLabels.luma,
+                brightnessLabels.transfer,
+                this.describeCalibration(),
+                AnalysisCore.NOISE_DEFINITIONS[this.noiseDefinition],
                 this.getInputValue('shutterSpeed'),
                 this.getInputValue('aperture'),
                 this.getInputValue('iso'),
@@ -85,19 +266,21 @@ Object.assign(ImageAnalyzer.prototype, {
                 this.getInputValue('rValue'),
                 this.getInputValue('gValue'),
                 this.getInputValue('bValue'),
-                this.getDisplayValue('snRatio'),
-                this.getDisplayValue('signalValue'),
-                this.getDisplayValue('noiseValue'),
-                this.getDisplayValue('pixelCount'),
-                this.getDisplayValue('avgBrightness'),
-                this.getAnalysisRegionSize(),
-                ...rectCoords
+                ...this.getFpnCsvValues(),
+                ...this.getShadingCsvValues(),
+                ...this.getChromaticAberrationCsvValues()
             ];
 
+            // ROIごとに1行（ROIがない場合は撮影パラメータのみの1行）
+            const rows = this.rois.length > 0
+                ? this.rois.map(roi => [...parameters, ...this.getRoiCsvValues(roi)])
+                : [[...parameters, ...new Array(headers.length - parameters.length).fill('')]];
+
             // CSV生成とダウンロード
+            const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
             const csvContent = [
-                headers.map(h => `"${h}"`).join(','),
-                data.map(d => `"${d}"`).join(',')
+                headers.map(escape).join(','),
+                ...rows.map(row => row.map(escape).join(','))
             ].join('\n');
 
             const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8' });
@@ -110,7 +293,7 @@ Object.assign(ImageAnalyzer.prototype, {
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
 
-            this.setStatusMessage('CSVファイル（矩形座標付き）を保存しました');
+            this.setStatusMessage(`CSVファイル（ROI ${this.rois.length}件、矩形座標付き）を保存しました`);
             
         } catch (error) {
             console.error('Error saving parameters:', error);
@@ -132,6 +315,7 @@ Object.assign(ImageAnalyzer.prototype, {
                 const element = document.getElementById(id);
                 if (element) {
                     element.value = '';
+                    this.setExifMark(element, false);
                 }
             });
 
@@ -168,21 +352,69 @@ Object.assign(ImageAnalyzer.prototype, {
 
     /**
      * 解析領域サイズの取得
+     * @param {Object} roi - ROI
      * @returns {string} 解析領域サイズ（幅×高さ）
      */
-    getAnalysisRegionSize() {
-        if (!this.currentRect || !this.currentImage) return '';
-        
-        try {
-            const scaleX = this.currentImage.width / this.displayedWidth;
-            const scaleY = this.currentImage.height / this.displayedHeight;
-            const originalWidth = Math.round(this.currentRect.width * scaleX);
-            const originalHeight = Math.round(this.currentRect.height * scaleY);
-            return `${originalWidth}×${originalHeight}`;
-        } catch (error) {
-            console.error('Error getting analysis region size:', error);
-            return '';
-        }
+    getAnalysisRegionSize(roi) {
+        return roi ? `${roi.region.width}×${roi.region.height}` : '';
+    },
+
+    /**
+     * ROIのCSV出力値（名前・形状・解析結果・領域サイズ・外接矩形の四隅の座標）
+     * SN比・雑音値は選択中の雑音の定義
+     * @param {Object} roi - ROI
+     * @returns {Array} 出力値
+     */
+    getRoiCsvValues(roi) {
+        const snData = roi.snData;
+        const measure = this.getNoiseMeasure(snData);
+        const channelSn = ['red', 'green', 'blue'].flatMap(channel => {
+            const channelMeasure = this.getNoiseMeasure(snData, channel);
+            return [this.formatRoiStat(channelMeasure.snRatio, 2), this.formatRoiStat(channelMeasure.snRatioDb, 2)];
+        });
+        const stats = snData ? [
+            this.formatRoiStat(measure.snRatio, 2),
+            this.formatRoiStat(measure.snRatioDb, 2),
+            this.formatRoiStat(snData.mean, 1),
+            this.formatRoiStat(measure.noise, 2),
+            snData.pixelCount,
+            this.formatRoiStat(snData.mean, 1),
+            this.formatRoiStat(snData.channelMeans.red, 1),
+            this.formatRoiStat(snData.channelMeans.green, 1),
+            this.formatRoiStat(snData.channelMeans.blue, 1),
+            ...channelSn
+        ] : new Array(15).fill('');
+
+        // 2枚目の画像による時間ノイズ・空間ノイズ
+        const frameNoise = roi.frameNoise;
+        const noise = frameNoise ? [
+            this.formatRoiStat(frameNoise.temporalNoise, 2),
+            this.formatRoiStat(frameNoise.spatialNoise, 2),
+            this.formatRoiStat(frameNoise.temporalSnRatio, 2),
+            this.formatRoiStat(frameNoise.spatialSnRatio, 2),
+            this.secondFrame ? this.secondFrame.name : ''
+        ] : new Array(5).fill('');
+
+        // 四隅の座標（右端・下端は画像内に制限）
+        const { x, y, width, height } = roi.region;
+        const x1 = x;
+        const y1 = y;
+        const x2 = Math.min(this.currentImage.width - 1, x + width);
+        const y2 = Math.min(this.currentImage.height - 1, y + height);
+
+        return [
+            roi.name,
+            ImageAnalyzer.ROI_SHAPES[roi.shape],
+            ...stats,
+            ...this.getFocusCsvValues(roi),
+            ...noise,
+            ...this.getEdgeMtfCsvValues(roi),
+            this.getAnalysisRegionSize(roi),
+            x1, y1,  // 左上
+            x2, y1,  // 右上
+            x1, y2,  // 左下
+            x2, y2   // 右下
+        ];
     },
 
     /**
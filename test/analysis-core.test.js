@@ -0,0 +1,123 @@
+/**
+ * AnalysisCoreの解析演算のテスト（node --test test/ で実行）
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AnalysisCore = require('../js/analysis-core.js');
+
+/**
+ * 正規分布の乱数列（再現性のため線形合同法の一様乱数からBox-Muller法で生成）
+ * @param {number} count - 個数
+ * @param {number} mean - 平均
+ * @param {number} sigma - 標準偏差
+ * @returns {Float64Array} 乱数列
+ */
+function gaussianSamples(count, mean, sigma) {
+    let seed = 1;
+    const uniform = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+    const values = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        values[i] = mean + sigma * Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+    }
+    return values;
+}
+
+/**
+ * グレー画像の画像データ
+ * @param {number} width - 幅
+ * @param {number} height - 高さ
+ * @param {number} bitDepth - ビット深度
+ * @param {TypedArray} values - 画素値
+ * @returns {Object} {width, height, bitDepth, r, g, b, alpha}
+ */
+function grayImage(width, height, bitDepth, values) {
+    return { width, height, bitDepth, r: values, g: values, b: values, alpha: null };
+}
+
+test('ダーク減算後の負値を含む画像のヒストグラムは全画素を数える', () => {
+    const width = 200;
+    const height = 200;
+    const count = width * height;
+    const noise = gaussianSamples(count, 0, 3);
+    const raw = new Uint16Array(count);
+    const dark = new Float32Array(count).fill(100);
+    for (let i = 0; i < count; i++) raw[i] = Math.round(100 + noise[i]);
+
+    const image = grayImage(width, height, 12, raw);
+    const channels = AnalysisCore.calibrateImage(image, { width, height, r: dark, g: dark, b: dark }, null);
+    assert.ok(channels.r instanceof Float32Array);
+    assert.ok(Array.from(channels.r).some(value => value < 0));
+
+    const calibrated = grayImage(width, height, 12, channels.r);
+    const results = AnalysisCore.analyzePixels(calibrated);
+    const { statistics, snData } = results;
+    assert.ok(statistics.histogramOffset < 0);
+
+    const histogramStats = AnalysisCore.calculateHistogramStatistics(statistics.brightnessHistogram, statistics.histogramOffset);
+    assert.strictEqual(histogramStats.totalPixels, count);
+    assert.ok(Math.abs(histogramStats.median) <= 1);
+    assert.ok(histogramStats.minValue < -5);
+    assert.ok(Math.abs(snData.mean) < 0.1);
+    assert.ok(Math.abs(snData.stdDev - 3) < 0.1);
+});
+
+/**
+ * 中央絶対偏差によるσの参照値（全画素を並べ替えて求める、偶数個の中央値は小さい側）
+ * @param {ArrayLike<number>} values - 画素値
+ * @returns {number} 1.4826 × MAD
+ */
+function referenceMadStdDev(values) {
+    const sorted = Float64Array.from(values).sort();
+    const rank = (sorted.length - 1) >> 1;
+    const median = sorted[rank];
+    const deviations = sorted.map(value => Math.abs(value - median)).sort();
+    return 1.4826 * deviations[rank];
+}
+
+test('MADによるσは負値・小数を含む実際の画素値から求める', () => {
+    const width = 200;
+    const height = 200;
+    const count = width * height;
+    const values = Float32Array.from(gaussianSamples(count, 0, 3));
+
+    const results = AnalysisCore.analyzePixels(grayImage(width, height, 12, values));
+    const mad = results.snData.channels.brightness.noise.mad;
+    assert.ok(Math.abs(mad - 3) < 0.15);
+    assert.ok(Math.abs(mad - referenceMadStdDev(values)) < 1e-9);
+});
+
+test('1DN未満のノイズもMADによるσに反映する', () => {
+    const width = 100;
+    const height = 100;
+    const count = width * height;
+    const values = Float32Array.from(gaussianSamples(count, 1000, 0.2));
+
+    const results = AnalysisCore.analyzePixels(grayImage(width, height, 12, values));
+    const mad = results.snData.channels.red.noise.mad;
+    assert.ok(Math.abs(mad - 0.2) < 0.02);
+    assert.ok(Math.abs(mad - referenceMadStdDev(values)) < 1e-9);
+});
+
+test('一定値の領域ではMADによるσは0', () => {
+    const values = new Uint16Array(64 * 64).fill(512);
+    const results = AnalysisCore.analyzePixels(grayImage(64, 64, 12, values));
+    const { noise, snRatios } = results.snData.channels.brightness;
+    assert.strictEqual(noise.mad, 0);
+    assert.strictEqual(snRatios.mad, Infinity);
+});
+
+test('ピント指標は求める指定がある場合のみ計算する', () => {
+    const values = Float32Array.from(gaussianSamples(32 * 32, 500, 10));
+    const image = grayImage(32, 32, 12, values);
+    assert.strictEqual(AnalysisCore.analyzePixels(image).focus, null);
+
+    const focus = AnalysisCore.analyzePixels(image, null, null, true).focus;
+    assert.ok(focus.laplacianVariance > 0);
+    assert.ok(focus.normalizedGradient > 0);
+});